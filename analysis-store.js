@@ -0,0 +1,152 @@
+// ResumeAI - Local persistence
+// Saves analysis sessions and parsed resume files in IndexedDB so work survives a page
+// refresh. Parsed files are keyed by a hash of their bytes, so uploading the same file
+// again (in any session) skips text extraction.
+
+class AnalysisStore {
+    constructor(dbName = AnalysisStore.DB_NAME) {
+        this.dbName = dbName;
+        this.dbPromise = null;
+    }
+
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, AnalysisStore.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('sessions')) {
+                        db.createObjectStore('sessions', { keyPath: 'id' }).createIndex('updatedAt', 'updatedAt');
+                    }
+                    if (!db.objectStoreNames.contains('files')) {
+                        db.createObjectStore('files', { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Runs one request in its own transaction and resolves with its result
+    async run(storeName, mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Sessions
+
+    async saveSession(session) {
+        const record = { ...session, updatedAt: Date.now() };
+        if (!record.id) record.id = AnalysisStore.createId();
+        if (!record.createdAt) record.createdAt = record.updatedAt;
+        await this.run('sessions', 'readwrite', store => store.put(record));
+        return record;
+    }
+
+    getSession(id) {
+        return this.run('sessions', 'readonly', store => store.get(id));
+    }
+
+    // Lightweight summaries for the history list, newest first
+    async listSessions() {
+        const sessions = await this.run('sessions', 'readonly', store => store.getAll());
+        return sessions
+            .map(session => ({
+                id: session.id,
+                name: session.name,
+                createdAt: session.createdAt,
+                updatedAt: session.updatedAt,
+                candidateCount: session.candidates.length,
+                topScore: session.candidates.length ? session.candidates[0].score : null
+            }))
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    async renameSession(id, name) {
+        const session = await this.getSession(id);
+        if (!session) throw new Error('Session not found');
+        return this.saveSession({ ...session, name });
+    }
+
+    async duplicateSession(id) {
+        const session = await this.getSession(id);
+        if (!session) throw new Error('Session not found');
+        return this.saveSession({ ...session, id: null, createdAt: null, name: `${session.name} (copy)` });
+    }
+
+    deleteSession(id) {
+        return this.run('sessions', 'readwrite', store => store.delete(id));
+    }
+
+    // Parsed files
+
+    getFile(key) {
+        return this.run('files', 'readonly', store => store.get(key));
+    }
+
+    saveFile(record) {
+        return this.run('files', 'readwrite', store => store.put({ ...record, savedAt: Date.now() }));
+    }
+
+    // Removes parsed files that no saved session lists and that are not in keepKeys (the
+    // files open in the page); resolves with how many were removed
+    async deleteUnusedFiles(keepKeys = []) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['sessions', 'files'], 'readwrite');
+            const keep = new Set(keepKeys);
+            let removed = 0;
+            const sessions = transaction.objectStore('sessions').getAll();
+            sessions.onsuccess = () => {
+                sessions.result.forEach(session => (session.files || []).forEach(entry => keep.add(entry.key)));
+                const files = transaction.objectStore('files');
+                const keys = files.getAllKeys();
+                keys.onsuccess = () => keys.result.filter(key => !keep.has(key)).forEach(key => {
+                    files.delete(key);
+                    removed++;
+                });
+            };
+            transaction.oncomplete = () => resolve(removed);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    clearFiles() {
+        return this.run('files', 'readwrite', store => store.clear());
+    }
+
+    // SHA-256 of the contents where available (secure contexts), FNV-1a otherwise
+    static async fileKey(file) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        if (typeof crypto !== 'undefined' && crypto.subtle) {
+            const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+            return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+        }
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < bytes.length; i++) {
+            hash ^= bytes[i];
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `fnv-${(hash >>> 0).toString(16)}-${bytes.length}`;
+    }
+
+    static createId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+}
+
+AnalysisStore.DB_NAME = 'resumeai';
+AnalysisStore.DB_VERSION = 1;
@@ -0,0 +1,169 @@
+// ResumeAI - API client
+// Lets the page hand reading and ranking to a ResumeAI API server (resumeai-server.js)
+// instead of doing the work in the browser. Requests and results are the JSON the server
+// documents in its --help.
+
+class ApiRequestError extends Error {
+    constructor(message, status, code) {
+        super(message);
+        this.name = 'ApiRequestError';
+        this.status = status; // 0 when the server could not be reached
+        this.code = code || '';
+    }
+}
+
+class ResumeAIApiClient {
+    // settings: { url, apiKey } - an empty url means the server the page was loaded from
+    constructor(settings) {
+        this.baseUrl = ResumeAIApiClient.baseUrl(settings.url);
+        this.apiKey = settings.apiKey;
+        this.limits = null;
+    }
+
+    static baseUrl(url) {
+        const trimmed = String(url || '').trim().replace(/\/+$/, '');
+        if (trimmed) return trimmed;
+        return typeof location !== 'undefined' && /^https?:$/.test(location.protocol) ? location.origin : '';
+    }
+
+    async request(method, path, body) {
+        if (!this.baseUrl) throw new ApiRequestError('Enter the address of the ResumeAI server in Scoring Settings.', 0, 'no_url');
+        const headers = { 'X-API-Key': this.apiKey };
+        let payload = body;
+        if (body !== undefined && !(body instanceof FormData)) {
+            headers['Content-Type'] = 'application/json';
+            payload = JSON.stringify(body);
+        }
+
+        let response;
+        try {
+            response = await fetch(this.baseUrl + path, { method, headers, body: payload });
+        } catch (error) {
+            throw new ApiRequestError(`Could not reach the ResumeAI server at ${this.baseUrl}.`, 0, 'unreachable');
+        }
+        const data = response.status === 204 ? null : await response.json().catch(() => null);
+        if (!response.ok) {
+            const error = data && data.error ? data.error : {};
+            throw new ApiRequestError(error.message || `The ResumeAI server answered ${response.status}.`, response.status, error.code);
+        }
+        return data;
+    }
+
+    async getInfo() {
+        if (!this.limits) this.limits = (await this.request('GET', '/api/info')).limits;
+        return this.limits;
+    }
+
+    async listResumes() {
+        return (await this.request('GET', '/api/resumes')).resumes;
+    }
+
+    // Sends the files in as few requests as the server's limits allow; resolves to the
+    // uploaded resumes in the order of files
+    async uploadResumes(files, onProgress) {
+        const limits = await this.getInfo();
+        const tooLarge = files.find(file => file.size > limits.maxFileBytes);
+        if (tooLarge) {
+            throw new ApiRequestError(`${tooLarge.name} is larger than the server accepts for one file.`, 413, 'file_too_large');
+        }
+
+        const batches = [];
+        files.forEach(file => {
+            const batch = batches[batches.length - 1];
+            // Leaves room for the multipart headers around each file
+            const size = file.size + ResumeAIApiClient.PART_OVERHEAD;
+            if (batch && batch.files.length < limits.maxFilesPerRequest && batch.size + size <= limits.maxRequestBytes) {
+                batch.files.push(file);
+                batch.size += size;
+            } else {
+                batches.push({ files: [file], size });
+            }
+        });
+
+        const uploaded = [];
+        for (const batch of batches) {
+            const form = new FormData();
+            batch.files.forEach(file => {
+                form.append('files', file, file.name);
+                form.append('lastModified', String(file.lastModified || 0));
+            });
+            uploaded.push(...(await this.request('POST', '/api/resumes', form)).resumes);
+            if (onProgress) onProgress(uploaded.length, files.length);
+        }
+        return uploaded;
+    }
+
+    // Creates the job, or updates it when id is given and the server still has it
+    async saveJob(id, job) {
+        if (id) {
+            try {
+                return await this.request('PUT', `/api/jobs/${encodeURIComponent(id)}`, job);
+            } catch (error) {
+                if (error.status !== 404) throw error;
+            }
+        }
+        return this.request('POST', '/api/jobs', job);
+    }
+
+    // options: { boundaries, customSkills }, see the server's --help
+    startAnalysis(jobId, resumeIds, options = {}) {
+        return this.request('POST', `/api/jobs/${encodeURIComponent(jobId)}/analyses`, { resumeIds, ...options });
+    }
+
+    getAnalysis(id) {
+        return this.request('GET', `/api/analyses/${encodeURIComponent(id)}`);
+    }
+
+    cancelAnalysis(id) {
+        return this.request('DELETE', `/api/analyses/${encodeURIComponent(id)}`);
+    }
+
+    // With the resume text, which the page needs for search, relevance and knockout rules
+    getResults(id) {
+        return this.request('GET', `/api/analyses/${encodeURIComponent(id)}/results?text=1`);
+    }
+
+    // Polls until the analysis has finished; onProgress(done, total) after every poll.
+    // checkCancelled may throw to stop waiting, which also cancels the analysis.
+    async waitForAnalysis(analysis, onProgress, checkCancelled) {
+        let current = analysis;
+        while (current.status === 'queued' || current.status === 'running') {
+            await new Promise(resolve => setTimeout(resolve, ResumeAIApiClient.POLL_INTERVAL));
+            try {
+                if (checkCancelled) checkCancelled();
+            } catch (error) {
+                await this.cancelAnalysis(current.id).catch(() => {});
+                throw error;
+            }
+            current = await this.getAnalysis(current.id);
+            if (onProgress) onProgress(current.progress.done, current.progress.total);
+        }
+        if (current.status !== 'completed') {
+            throw new ApiRequestError(current.error || `The analysis was ${current.status} on the server.`, 0, current.status);
+        }
+        return current;
+    }
+
+    static loadSettings() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(ResumeAIApiClient.STORAGE_KEY) || '{}');
+        } catch (error) {
+            console.warn('Ignoring unreadable API server settings:', error);
+        }
+        return { ...ResumeAIApiClient.DEFAULT_SETTINGS, ...saved };
+    }
+
+    static saveSettings(settings) {
+        localStorage.setItem(ResumeAIApiClient.STORAGE_KEY, JSON.stringify(settings));
+    }
+}
+
+ResumeAIApiClient.STORAGE_KEY = 'resumeai.apiServer';
+ResumeAIApiClient.POLL_INTERVAL = 500; // ms
+ResumeAIApiClient.PART_OVERHEAD = 1024; // Bytes allowed per file for multipart headers
+ResumeAIApiClient.DEFAULT_SETTINGS = {
+    processing: 'browser', // 'browser' | 'server'
+    url: '', // Empty: the server the page was loaded from
+    apiKey: ''
+};
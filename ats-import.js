@@ -0,0 +1,290 @@
+// ResumeAI - ATS import
+// Reads an applicant tracking system export (CSV or JSON, with the resumes as a ZIP of
+// attachments) into rows, maps its columns to candidate fields, links each row to its resume
+// file and turns the rows into records the page applies once the resumes have been read.
+// Column mappings can be saved as presets, one per ATS.
+
+class AtsImport {
+    // { columns, rows: [{ column: value }] } from a CSV or JSON export
+    static parseExport(text, fileName = '') {
+        const content = String(text).replace(/^\uFEFF/, '');
+        const trimmed = content.trim();
+        if (/\.json$/i.test(fileName) || (!/\.(csv|tsv|txt)$/i.test(fileName) && /^[[{]/.test(trimmed))) {
+            return AtsImport.parseJsonExport(trimmed);
+        }
+
+        const table = AtsImport.parseCSV(content);
+        if (table.length < 2) throw new Error('The export has no rows below its header.');
+        const columns = AtsImport.uniqueColumns(table[0]);
+        const rows = table.slice(1)
+            .filter(cells => cells.some(cell => cell.trim()))
+            .map(cells => Object.fromEntries(columns.map((column, i) => [column, (cells[i] || '').trim()])));
+        return { columns, rows };
+    }
+
+    // An array of applications, or an object holding one (e.g. { "candidates": [...] }).
+    // Nested fields become dotted columns such as "candidate.email".
+    static parseJsonExport(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`The export is not valid JSON: ${error.message}`);
+        }
+        const list = Array.isArray(data) ? data : Object.values(data || {}).find(value => Array.isArray(value));
+        const items = (list || []).filter(item => item && typeof item === 'object' && !Array.isArray(item));
+        if (!items.length) throw new Error('The JSON export has no list of candidates.');
+
+        const rows = items.map(item => AtsImport.flatten(item));
+        const columns = [];
+        rows.forEach(row => Object.keys(row).forEach(column => {
+            if (!columns.includes(column)) columns.push(column);
+        }));
+        // A field that is null in one item and an object in another only keeps its nested columns
+        return { columns: columns.filter(column => !columns.some(other => other.startsWith(`${column}.`))), rows };
+    }
+
+    static flatten(value, prefix = '', row = {}) {
+        if (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object')) {
+            row[prefix] = value.filter(item => item !== null && item !== '').join('; ');
+        } else if (value && typeof value === 'object') {
+            Object.entries(value).forEach(([key, inner]) => AtsImport.flatten(inner, prefix ? `${prefix}.${key}` : key, row));
+        } else if (prefix) {
+            row[prefix] = value === null || value === undefined ? '' : String(value).trim();
+        }
+        return row;
+    }
+
+    // RFC 4180 with the delimiter (comma, semicolon or tab) taken from the header line
+    static parseCSV(text) {
+        const header = text.split(/\r?\n/, 1)[0];
+        const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+            header.split(candidate).length > header.split(best).length ? candidate : best, ',');
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && !cell) {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell || row.length) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    // Blank or repeated headers get a number so every column can be told apart
+    static uniqueColumns(headers) {
+        const seen = {};
+        return headers.map((header, i) => {
+            const name = header.trim() || `Column ${i + 1}`;
+            seen[name] = (seen[name] || 0) + 1;
+            return seen[name] > 1 ? `${name} (${seen[name]})` : name;
+        });
+    }
+
+    // field -> column, from the column names
+    static guessMapping(columns) {
+        const mapping = {};
+        const key = (value) => value.toLowerCase().replace(/[^a-z0-9]/g, '');
+        // The last part of a dotted JSON column counts too, so "candidate.email" maps to email,
+        // but "source.name" is the name of the source rather than of the candidate
+        const shortKey = (column) => {
+            const parts = column.split('.');
+            const last = parts.pop();
+            return parts.length && AtsImport.NESTED_NAMES.includes(key(last)) ? key(parts.pop()) : key(last);
+        };
+        Object.entries(AtsImport.FIELDS).forEach(([field, { synonyms }]) => {
+            const wanted = synonyms.map(key);
+            const free = columns.filter(column => !Object.values(mapping).includes(column));
+            const column = free.find(name => wanted.includes(key(name))) || free.find(name => wanted.includes(shortKey(name)));
+            if (column) mapping[field] = column;
+        });
+        return mapping;
+    }
+
+    // The pipeline status an ATS stage name most likely means, or '' when unsure
+    static guessStatus(stage) {
+        const text = String(stage || '').toLowerCase();
+        const match = AtsImport.STAGE_PATTERNS.find(([, pattern]) => pattern.test(text));
+        return match ? match[0] : '';
+    }
+
+    static distinctStages(rows, mapping) {
+        if (!mapping.stage) return [];
+        return [...new Set(rows.map(row => row[mapping.stage]).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+    }
+
+    // The attachment for each row, or '' when none could be found. The resume column may hold
+    // a path or URL, so the base name is compared too; without one, a file named after the
+    // candidate (or their email) is used when exactly one fits.
+    static linkFiles(rows, mapping, fileNames) {
+        const lower = fileNames.map(name => name.toLowerCase());
+        const byName = (value) => {
+            const wanted = String(value || '').trim().toLowerCase();
+            if (!wanted) return '';
+            const base = AtsImport.baseName(wanted);
+            const index = lower.findIndex(name => name === wanted || name === base || AtsImport.baseName(name) === base);
+            return index >= 0 ? fileNames[index] : '';
+        };
+        const byCandidate = (row) => {
+            const tokens = AtsImport.nameOf(row, mapping).toLowerCase().split(/[^a-z0-9]+/).filter(token => token.length > 1);
+            const email = mapping.email ? String(row[mapping.email] || '').toLowerCase().split('@')[0] : '';
+            const found = fileNames.filter((name, i) =>
+                (tokens.length > 1 && tokens.every(token => lower[i].includes(token))) || (email.length > 2 && lower[i].includes(email)));
+            return found.length === 1 ? found[0] : '';
+        };
+        return rows.map(row => (mapping.resumeFile && byName(row[mapping.resumeFile])) || byCandidate(row));
+    }
+
+    static baseName(path) {
+        const name = String(path).split(/[\\/]/).pop().split(/[?#]/)[0];
+        try {
+            return decodeURIComponent(name);
+        } catch (error) {
+            return name;
+        }
+    }
+
+    static nameOf(row, mapping) {
+        const value = (field) => (mapping[field] ? String(row[mapping[field]] || '').trim() : '');
+        return value('name') || [value('firstName'), value('lastName')].filter(Boolean).join(' ');
+    }
+
+    // One record per linked row: details replace what was read from the resume, the rest is
+    // kept with the candidate. stageMap: ATS stage -> pipeline status id.
+    static toRecords(rows, mapping, links, stageMap = {}) {
+        const value = (row, field) => (mapping[field] ? String(row[mapping[field]] || '').trim() : '');
+        return rows.map((row, i) => {
+            if (!links[i]) return null;
+            const details = {};
+            const name = AtsImport.nameOf(row, mapping);
+            if (name) details.name = name;
+            AtsImport.DETAIL_FIELDS.forEach(field => {
+                if (value(row, field)) details[field] = value(row, field);
+            });
+            const stage = value(row, 'stage');
+            return {
+                fileName: links[i],
+                details,
+                source: value(row, 'source'),
+                appliedAt: AtsImport.normalizeDate(value(row, 'appliedAt')),
+                stage,
+                status: stage ? stageMap[stage] || AtsImport.guessStatus(stage) : '',
+                notes: value(row, 'notes')
+            };
+        }).filter(Boolean);
+    }
+
+    // ISO dates are kept as they are; other formats are read by Date and stored as YYYY-MM-DD.
+    // Date reads "03/15/2024" as local midnight, so the day is taken in local time, not UTC.
+    static normalizeDate(value) {
+        if (!value || /^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) return value;
+        const pad = (number) => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // Resume files in a ZIP of attachments, as Files named after their base name. Folders and
+    // unsupported files are skipped; repeated names get a number.
+    static async readAttachments(bytes) {
+        const zip = new ZipReader(bytes);
+        const attachments = [];
+        const taken = new Set();
+        for (const path of zip.names()) {
+            const base = AtsImport.baseName(path);
+            const extension = (base.split('.').pop() || '').toLowerCase();
+            if (path.endsWith('/') || path.startsWith('__MACOSX/') || base.startsWith('.') ||
+                !TextExtractor.SUPPORTED_EXTENSIONS.includes(extension)) continue;
+
+            const name = AtsImport.uniqueName(base, taken);
+            taken.add(name.toLowerCase());
+            attachments.push({ path, file: new File([await zip.read(path)], name) });
+        }
+        return attachments;
+    }
+
+    // base, or base numbered before its extension when taken (a set of lowercase names) has it
+    static uniqueName(base, taken) {
+        let name = base;
+        for (let n = 2; taken.has(name.toLowerCase()); n++) {
+            name = base.replace(/(\.[^.]+)?$/, ` (${n})$1`);
+        }
+        return name;
+    }
+
+    static loadPresets() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(AtsImport.STORAGE_KEY) || '[]');
+            return Array.isArray(saved) ? saved.filter(preset => preset && preset.name && preset.mapping) : [];
+        } catch (error) {
+            console.warn('Ignoring unreadable ATS import presets:', error);
+            return [];
+        }
+    }
+
+    static savePresets(presets) {
+        localStorage.setItem(AtsImport.STORAGE_KEY, JSON.stringify(presets));
+    }
+}
+
+AtsImport.STORAGE_KEY = 'resumeai.atsPresets';
+
+// Candidate fields a column can be mapped to; synonyms are matched ignoring case and punctuation
+AtsImport.FIELDS = {
+    name: { label: 'Full name', synonyms: ['name', 'full name', 'candidate name', 'applicant name', 'candidate', 'applicant'] },
+    firstName: { label: 'First name', synonyms: ['first name', 'firstname', 'given name', 'first'] },
+    lastName: { label: 'Last name', synonyms: ['last name', 'lastname', 'surname', 'family name', 'last'] },
+    email: { label: 'Email', synonyms: ['email', 'email address', 'e-mail', 'mail'] },
+    phone: { label: 'Phone', synonyms: ['phone', 'phone number', 'mobile', 'telephone', 'cell'] },
+    location: { label: 'Location', synonyms: ['location', 'city', 'address', 'candidate location'] },
+    experience: { label: 'Current title', synonyms: ['current title', 'title', 'job title', 'headline', 'current position', 'position'] },
+    company: { label: 'Current company', synonyms: ['current company', 'company', 'employer', 'current employer', 'organization'] },
+    source: { label: 'Source', synonyms: ['source', 'candidate source', 'origin', 'channel', 'referral source', 'job board'] },
+    appliedAt: { label: 'Applied date', synonyms: ['applied', 'applied at', 'applied on', 'applied date', 'application date', 'date applied', 'created', 'created at', 'submitted'] },
+    stage: { label: 'Current stage', synonyms: ['stage', 'current stage', 'status', 'application status', 'step', 'pipeline stage'] },
+    notes: { label: 'Notes', synonyms: ['notes', 'comments', 'note', 'recruiter notes'] },
+    resumeFile: { label: 'Resume file', synonyms: ['resume', 'resume file', 'resume filename', 'cv', 'cv file', 'attachment', 'attachments', 'file', 'filename', 'file name', 'resume url', 'document'] }
+};
+
+// Nested objects often hold their value under one of these, e.g. "current_stage.name"
+AtsImport.NESTED_NAMES = ['name', 'label', 'value'];
+
+// Fields that replace what was read from the resume
+AtsImport.DETAIL_FIELDS = ['email', 'phone', 'location', 'experience', 'company'];
+
+// Checked in order, so negative forms ("Not qualified", "Not hired") are rejections first
+AtsImport.STAGE_PATTERNS = [
+    ['rejected', /reject|declin|disqualif|\b(not|un|non)[\s-]?(a[\s-])?(qualif|select|suitab|fit|hire|interest|moving|progress)|no[\s-]show|archiv|withdr/],
+    ['offer', /offer|hired|hire/],
+    ['interview', /interview|onsite|on-site|panel|assessment/],
+    ['phone-screen', /phone|screen|call/],
+    ['shortlisted', /shortlist|review|qualif/],
+    ['new', /new|applied|lead|inbox|sourced/]
+];
@@ -0,0 +1,106 @@
+// ResumeAI - Blind review
+// Builds the redacted copy of a candidate that cards, dialogs and exports show while blind
+// review is on: name, contact details, street addresses, school names and graduation years
+// are replaced so the first pass is judged on skills and experience. Resumes are read as
+// text, so photos never reach the screen. Scoring always runs on the original candidate.
+
+class BlindReview {
+    // A stable stand-in name, so "Candidate 3F9A" means the same person across reviews
+    static alias(key) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < key.length; i++) {
+            hash ^= key.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `Candidate ${((hash >>> 0) & 0xffff).toString(16).toUpperCase().padStart(4, '0')}`;
+    }
+
+    static redact(candidate, key) {
+        const alias = BlindReview.alias(key);
+        const hidden = BlindReview.HIDDEN;
+        const redact = (text) => BlindReview.redactText(text, candidate, alias);
+        const redactEducation = (text) => BlindReview.redactYears(redact(text));
+        const history = (candidate.educationHistory || []).map(entry => ({ ...entry, institution: '', year: null }));
+
+        const copy = {
+            ...candidate,
+            name: alias,
+            email: hidden,
+            phone: hidden,
+            location: hidden,
+            education: history.length
+                ? history[0].degree + (history[0].field ? ` in ${history[0].field}` : '')
+                : redactEducation(candidate.education),
+            educationHistory: history,
+            fileName: hidden,
+            sourceFile: hidden,
+            sourceFiles: candidate.sourceFiles ? candidate.sourceFiles.map(() => hidden) : candidate.sourceFiles,
+            summary: redact(candidate.summary),
+            rawText: redact(candidate.rawText),
+            confidence: { ...candidate.confidence, name: 1, email: 1, phone: 1, location: 1, education: 1 },
+            blind: true
+        };
+
+        // Ranked candidates also carry scoring notes quoted from the resume
+        if (candidate.scoreBreakdown) {
+            copy.scoreBreakdown = candidate.scoreBreakdown.map(row => {
+                const clean = row.criterion === 'education' ? redactEducation : redact;
+                return {
+                    ...row,
+                    details: row.details.map(clean),
+                    evidence: row.evidence.map(snippet => ({
+                        before: clean(snippet.before),
+                        match: clean(snippet.match),
+                        after: clean(snippet.after)
+                    }))
+                };
+            });
+            copy.relevanceTerms = candidate.relevanceTerms.filter(term => redact(term) === term);
+            copy.assessment = {
+                ...candidate.assessment,
+                strengths: candidate.assessment.strengths.map(redactEducation),
+                gaps: candidate.assessment.gaps.map(redactEducation),
+                rationale: redactEducation(candidate.assessment.rationale)
+            };
+        }
+        return copy;
+    }
+
+    // Removes the candidate's own identifying details from free text
+    static redactText(text, candidate, alias) {
+        if (!text) return text;
+        const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+        const replace = (value, phrase, replacement) => phrase
+            ? value.replace(new RegExp(`(^|[^\\w])${escape(phrase)}(?!\\w)`, 'gi'), `$1${replacement}`)
+            : value;
+
+        // Contact details first, before name tokens break them up
+        let result = String(text);
+        result = replace(result, candidate.email, '[email]');
+        result = replace(result, candidate.phone, '[phone]');
+        result = result.replace(BlindReview.PROFILE_PATTERN, '[link]');
+        result = replace(result, candidate.name, alias);
+        String(candidate.name || '').split(/[^A-Za-z\u00C0-\u024F'-]+/)
+            .filter(token => token.length > 1)
+            .forEach(token => {
+                result = replace(result, token, '[name]');
+            });
+        result = replace(result, candidate.location, '[location]');
+        (candidate.educationHistory || []).forEach(entry => {
+            result = replace(result, entry.institution, '[school]');
+        });
+        return result
+            .replace(BlindReview.SCHOOL_PATTERN, '[school]')
+            .replace(BlindReview.ADDRESS_PATTERN, '[address]');
+    }
+
+    // Only applied to education text; years elsewhere are employment dates
+    static redactYears(text) {
+        return text ? String(text).replace(/\b(19[5-9]\d|20\d{2})\b/g, '[year]') : text;
+    }
+}
+
+BlindReview.HIDDEN = 'Hidden';
+BlindReview.PROFILE_PATTERN = /\b(?:https?:\/\/)?(?:[\w-]+\.)*(?:linkedin\.com|github\.com|gitlab\.com|twitter\.com|x\.com|facebook\.com|instagram\.com)\/[^\s,;|)]+/gi;
+BlindReview.SCHOOL_PATTERN = /\b(?:[A-Z][A-Za-z.&'-]*\s+){0,4}(?:University|College|Institute|Academy|Polytechnic)\b(?:\s+(?:of|at|for)\s+(?:the\s+)?[A-Z][A-Za-z.&'-]*(?:\s+[A-Z][A-Za-z.&'-]*){0,3})?/g;
+BlindReview.ADDRESS_PATTERN = /\b\d{1,5}\s+(?:[A-Z0-9][A-Za-z0-9.'-]*\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Parkway|Pkwy)\b\.?(?:,?\s*(?:Apt|Suite|Unit|#)\.?\s*[\w-]+)?/g;
@@ -0,0 +1,195 @@
+// ResumeAI - Duplicate candidate detection
+// Groups resumes that probably belong to the same person: the same email address, the same
+// phone number, or a near-identical name at a similar employer. Matches are transitive, so a
+// resume sharing an email with one copy and a phone number with another joins both.
+// Only resumes that share an email, a phone number or a name token are compared, so large
+// pools are not compared pair by pair.
+
+class DuplicateDetector {
+    constructor(options = {}) {
+        this.nameThreshold = options.nameThreshold || 0.85;
+        this.employerThreshold = options.employerThreshold || 0.8;
+        this.normalizedFields = new WeakMap(); // candidate -> fields as compared, see normalized()
+    }
+
+    // Returns one { members, reasons } per group of two or more candidates, in upload order
+    findGroups(candidates) {
+        return this.findGroupIndexes(candidates).map(group => ({
+            members: group.members.map(index => candidates[index]),
+            reasons: group.reasons
+        }));
+    }
+
+    // The same groups with members as indexes into candidates, so they can be posted between threads
+    findGroupIndexes(candidates) {
+        const parent = candidates.map((candidate, i) => i);
+        const find = (i) => parent[i] === i ? i : (parent[i] = find(parent[i]));
+        const pairs = [];
+
+        this.candidatePairs(candidates).forEach(([i, j]) => {
+            const reasons = this.matchReasons(candidates[i], candidates[j]);
+            if (reasons.length === 0) return;
+            parent[find(j)] = find(i);
+            pairs.push({ i, reasons });
+        });
+
+        const groups = new Map(); // root index -> { members, reasons }
+        candidates.forEach((candidate, i) => {
+            const root = find(i);
+            if (!groups.has(root)) groups.set(root, { members: [], reasons: [] });
+            groups.get(root).members.push(i);
+        });
+        pairs.forEach(({ i, reasons }) => {
+            const group = groups.get(find(i));
+            reasons.forEach(reason => {
+                if (!group.reasons.includes(reason)) group.reasons.push(reason);
+            });
+        });
+
+        return Array.from(groups.values()).filter(group => group.members.length > 1);
+    }
+
+    // Pairs [i, j] (i < j) of candidates that share a blocking key, each pair once
+    candidatePairs(candidates) {
+        const blocks = new Map(); // key -> candidate indexes
+        candidates.forEach((candidate, i) => {
+            this.blockingKeys(candidate).forEach(key => {
+                if (!blocks.has(key)) blocks.set(key, []);
+                blocks.get(key).push(i);
+            });
+        });
+
+        const seen = new Set();
+        const pairs = [];
+        blocks.forEach(indexes => {
+            for (let a = 0; a < indexes.length; a++) {
+                for (let b = a + 1; b < indexes.length; b++) {
+                    const pair = indexes[a] * candidates.length + indexes[b];
+                    if (seen.has(pair)) continue;
+                    seen.add(pair);
+                    pairs.push([indexes[a], indexes[b]]);
+                }
+            }
+        });
+        return pairs.sort((x, y) => x[0] - y[0] || x[1] - y[1]);
+    }
+
+    matchReasons(a, b) {
+        const reasons = [];
+
+        const fieldsA = this.normalized(a);
+        const fieldsB = this.normalized(b);
+
+        if (fieldsA.email && fieldsA.email === fieldsB.email) {
+            reasons.push(`Same email (${fieldsA.email})`);
+        }
+
+        if (fieldsA.phone && fieldsA.phone === fieldsB.phone) {
+            reasons.push(`Same phone (${a.phone})`);
+        }
+
+        if (fieldsA.name && fieldsB.name && DuplicateDetector.similarity(fieldsA.name, fieldsB.name) >= this.nameThreshold) {
+            const employer = this.sharedEmployer(a, b);
+            if (employer) reasons.push(`Similar name and employer (${employer})`);
+        }
+
+        return reasons;
+    }
+
+    // A name alone is too common to go on, so it has to come with an overlapping employer
+    sharedEmployer(a, b) {
+        const employersB = this.normalized(b).employers;
+        for (const [key, label] of this.normalized(a).employers) {
+            for (const other of employersB.keys()) {
+                if (DuplicateDetector.similarity(key, other) >= this.employerThreshold) return label;
+            }
+        }
+        return null;
+    }
+
+    // Each candidate is normalized once however many others it is compared with
+    normalized(candidate) {
+        if (!this.normalizedFields.has(candidate)) {
+            this.normalizedFields.set(candidate, {
+                email: DuplicateDetector.normalizeEmail(candidate.email),
+                phone: DuplicateDetector.normalizePhone(candidate.phone),
+                name: DuplicateDetector.normalizeName(candidate.name),
+                employers: DuplicateDetector.employers(candidate)
+            });
+        }
+        return this.normalizedFields.get(candidate);
+    }
+
+    // Names similar enough to match differ by about one edit, so they keep a whole token in common
+    // ("Jon Smith" and "John Smith" share "smith")
+    blockingKeys(candidate) {
+        const { email, phone, name } = this.normalized(candidate);
+        const keys = [];
+        if (email) keys.push(`email:${email}`);
+        if (phone) keys.push(`phone:${phone}`);
+        new Set(name.split(' ').filter(Boolean)).forEach(token => keys.push(`name:${token}`));
+        return keys;
+    }
+
+    // The version to keep when merging: the most complete one, then the most recently modified file
+    static pickPrimary(members) {
+        return members.slice().sort((a, b) =>
+            DuplicateDetector.completeness(b) - DuplicateDetector.completeness(a) ||
+            (b.sourceModified || 0) - (a.sourceModified || 0) ||
+            a.id - b.id
+        )[0];
+    }
+
+    static completeness(candidate) {
+        const confidence = Object.values(candidate.confidence || {}).reduce((sum, value) => sum + value, 0);
+        return confidence + Math.min(candidate.skills.length, 20) / 20 + Math.min((candidate.positions || []).length, 5) / 5;
+    }
+
+    static employers(candidate) {
+        const employers = new Map(); // normalized -> as written
+        [candidate.company, ...(candidate.positions || []).map(position => position.company)].forEach(company => {
+            const key = DuplicateDetector.normalizeCompany(company);
+            if (key && !employers.has(key)) employers.set(key, company);
+        });
+        return employers;
+    }
+
+    static normalizeEmail(email) {
+        return String(email || '').trim().toLowerCase();
+    }
+
+    // Last ten digits, so "+1 (206) 555-0134" and "206.555.0134" agree
+    static normalizePhone(phone) {
+        const digits = String(phone || '').replace(/\D/g, '');
+        return digits.length >= 7 ? digits.slice(-10) : '';
+    }
+
+    // Lowercase, accents and initials removed, tokens sorted so "Doe, Jane A." matches "Jane Doe"
+    static normalizeName(name) {
+        return String(name || '')
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .split(/[^a-z]+/)
+            .filter(token => token.length > 1)
+            .sort()
+            .join(' ');
+    }
+
+    static normalizeCompany(company) {
+        return String(company || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9 ]+/g, ' ')
+            .split(/\s+/)
+            .filter(token => token && !DuplicateDetector.COMPANY_SUFFIXES.has(token))
+            .join(' ');
+    }
+
+    static similarity(a, b) {
+        const length = Math.max(a.length, b.length);
+        return length ? 1 - SkillTaxonomy.editDistance(a, b) / length : 1;
+    }
+}
+
+DuplicateDetector.COMPANY_SUFFIXES = new Set([
+    'inc', 'incorporated', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company', 'plc', 'gmbh', 'ag', 'sa', 'the'
+]);
@@ -0,0 +1,70 @@
+// ResumeAI - Fairness audit
+// Measures how much each scoring criterion moves the ranking. Every criterion is dropped in
+// turn, the remaining weights are rescaled the way the scoring model does for criteria a job
+// does not use, and the resulting order is compared with the order when every criterion counts.
+
+class FairnessAudit {
+    // candidates: in ranked order, with scoreBreakdown and relevanceScore
+    // combine(rulesScore, relevanceScore): the final score for the current ranking mode
+    static run(candidates, combine, shortlistSize = FairnessAudit.SHORTLIST_SIZE) {
+        const shortlist = Math.min(shortlistSize, candidates.length);
+        // Recomputed rather than read from the ranking, so rounding and AI scores do not show up as shifts
+        const baseline = FairnessAudit.rankWithout(candidates, null, combine);
+
+        return Object.entries(ScoringModel.CRITERIA).map(([criterion, label]) => {
+            const rows = candidates.map(candidate => candidate.scoreBreakdown.find(row => row.criterion === criterion));
+            const scored = rows.filter(row => row.applies);
+            if (!scored.length) return { criterion, label, applies: false };
+
+            const ranks = FairnessAudit.rankWithout(candidates, criterion, combine);
+            const shifts = candidates.map((candidate, i) => ranks[i] - baseline[i]);
+            const moved = shifts.filter(shift => shift !== 0);
+            const movers = candidates
+                .map((candidate, i) => ({ candidate, from: baseline[i], to: ranks[i] }))
+                .filter(mover => mover.from !== mover.to)
+                .sort((a, b) => Math.abs(b.to - b.from) - Math.abs(a.to - a.from) || a.from - b.from)
+                .slice(0, FairnessAudit.MAX_MOVERS);
+
+            return {
+                criterion,
+                label,
+                applies: true,
+                weightShare: scored.reduce((sum, row) => sum + row.possible, 0) / scored.length,
+                averagePoints: scored.reduce((sum, row) => sum + row.earned, 0) / scored.length,
+                moved: moved.length,
+                averageShift: moved.length ? moved.reduce((sum, shift) => sum + Math.abs(shift), 0) / candidates.length : 0,
+                largestShift: moved.reduce((max, shift) => Math.max(max, Math.abs(shift)), 0),
+                // Candidates who are in the top of the list only because of this criterion
+                shortlistChanges: candidates.filter((candidate, i) => baseline[i] <= shortlist && ranks[i] > shortlist).length,
+                movers
+            };
+        });
+    }
+
+    // Rank of each candidate if the criterion were left out (or with every criterion when it is
+    // null), with the usual tie-breaks
+    static rankWithout(candidates, criterion, combine) {
+        const scores = candidates.map(candidate => {
+            const earned = candidate.scoreBreakdown.reduce((sum, row) => sum + row.earned, 0);
+            const row = candidate.scoreBreakdown.find(item => item.criterion === criterion);
+            if (!row || !row.applies) return combine(earned, candidate.relevanceScore);
+            const remaining = 100 - row.possible;
+            const rules = remaining > 0 ? (earned - row.earned) / remaining * 100 : 0;
+            return combine(rules, candidate.relevanceScore);
+        });
+
+        const order = candidates.map((candidate, i) => i).sort((a, b) =>
+            scores[b] - scores[a] ||
+            candidates[a].name.localeCompare(candidates[b].name) ||
+            candidates[a].id - candidates[b].id
+        );
+        const ranks = new Array(candidates.length);
+        order.forEach((index, position) => {
+            ranks[index] = position + 1;
+        });
+        return ranks;
+    }
+}
+
+FairnessAudit.SHORTLIST_SIZE = 10;
+FairnessAudit.MAX_MOVERS = 3;
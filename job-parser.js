@@ -0,0 +1,228 @@
+// ResumeAI - Job description parsing
+// Turns the free-text job description into a structured requirement set: required and
+// preferred skills, minimum years, degree level, location, remote policy and seniority.
+
+class JobDescriptionParser {
+    constructor(taxonomy = new SkillTaxonomy()) {
+        this.taxonomy = taxonomy;
+    }
+
+    parse(text) {
+        const lines = text.split('\n').map(line => line.trim());
+        const nonEmpty = lines.filter(Boolean);
+        const requirements = {
+            title: nonEmpty.length ? nonEmpty[0].replace(/^(job title|position|role)\s*:\s*/i, '') : '',
+            requiredSkills: [],
+            preferredSkills: [],
+            minYears: null,
+            degreeLevel: '',
+            location: '',
+            remotePolicy: '',
+            seniority: ''
+        };
+
+        let section = 'general';
+        let sawRequirementSection = false;
+        const generalSkills = [];
+
+        lines.flatMap(line => this.splitSections(line)).forEach(line => {
+            if (!line) return;
+
+            const heading = this.classifyHeading(line);
+            if (heading) {
+                section = heading;
+                if (heading !== 'general') sawRequirementSection = true;
+                // "Required Skills: Python, SQL" keeps its items on the heading line
+                line = line.includes(':') ? line.slice(line.indexOf(':') + 1).trim() : '';
+                if (!line) return;
+            }
+
+            const location = JobDescriptionParser.LOCATION_LABEL.exec(line);
+            if (location) {
+                requirements.location = location[1].replace(/\(.*?\)/g, '').replace(/[-–,;\s]+$/, '').trim();
+                return;
+            }
+            const place = this.parseLocation(line);
+            if (place && !requirements.location) requirements.location = place;
+
+            // Years elsewhere ("sabbatical after 1 year") are not an experience requirement
+            const years = this.parseYears(line);
+            const required = section === 'required' || (section === 'general' && JobDescriptionParser.REQUIREMENT_LINE.test(line));
+            if (years !== null && required) {
+                requirements.minYears = requirements.minYears === null ? years : Math.min(requirements.minYears, years);
+            }
+
+            const degree = this.parseDegree(line);
+            if (degree && section !== 'preferred' && !requirements.degreeLevel) {
+                requirements.degreeLevel = degree;
+            }
+            // Years, degree and location lines only contribute skills that are named explicitly
+            const skills = this.extractSkills(line, section !== 'general' && years === null && !degree && !place);
+            if (section === 'required') {
+                skills.forEach(skill => this.addSkill(requirements.requiredSkills, skill));
+            } else if (section === 'preferred') {
+                skills.forEach(skill => this.addSkill(requirements.preferredSkills, skill));
+            } else {
+                skills.forEach(skill => this.addSkill(generalSkills, skill));
+            }
+        });
+
+        // Without explicit requirement sections every recognized skill is treated as required
+        if (!sawRequirementSection || requirements.requiredSkills.length === 0) {
+            generalSkills.forEach(skill => this.addSkill(requirements.requiredSkills, skill));
+        }
+        requirements.preferredSkills = requirements.preferredSkills
+            .filter(skill => !requirements.requiredSkills.some(required => required.toLowerCase() === skill.toLowerCase()));
+
+        if (requirements.minYears === null) {
+            const anywhere = nonEmpty.filter(line => JobDescriptionParser.REQUIREMENT_LINE.test(line)).map(line => this.parseYears(line)).find(years => years !== null);
+            if (anywhere !== undefined) requirements.minYears = anywhere;
+        }
+        if (!requirements.degreeLevel) requirements.degreeLevel = this.parseDegree(text) || '';
+        requirements.remotePolicy = this.parseRemotePolicy(text);
+        requirements.seniority = this.parseSeniority(requirements.title, text, requirements.minYears);
+
+        return requirements;
+    }
+
+    // "Must have: Java, SQL. Preferred: AWS." holds two sections; split before each heading after a sentence
+    splitSections(line) {
+        const parts = [];
+        const boundary = /[.;!?]\s+(?=[^.;:!?]{1,45}:)/g;
+        let start = 0;
+        let match;
+        while ((match = boundary.exec(line))) {
+            const rest = line.slice(match.index + match[0].length);
+            if (this.classifyHeading(rest) || JobDescriptionParser.LOCATION_LABEL.test(rest)) {
+                parts.push(line.slice(start, match.index + 1).trim());
+                start = match.index + match[0].length;
+            }
+        }
+        parts.push(line.slice(start).trim());
+        return parts;
+    }
+
+    classifyHeading(line) {
+        const heading = line.replace(/^[#*\s]+|[*\s]+$/g, '').split(':')[0].trim().toLowerCase();
+        if (heading.length > 45 || /^[-•*]/.test(line)) return null;
+
+        if (/^(preferred|nice[\s-]to[\s-]have|bonus|desired|pluses|a plus|good to have|additional)\b/.test(heading) ||
+            /\b(preferred|nice to have)\b/.test(heading)) {
+            return 'preferred';
+        }
+        if (/^(required|requirements|must[\s-]have|minimum qualifications|basic qualifications|qualifications|what you('ll)? need|what we('re)? looking for|skills|key skills|technical skills|you have)\b/.test(heading)) {
+            return 'required';
+        }
+        if (/^(responsibilities|what you('ll)? do|about (the )?(role|us|company)|benefits|perks|the role|overview|description)\b/.test(heading)) {
+            return 'general';
+        }
+        return null;
+    }
+
+    parseYears(line) {
+        const match = /(\d{1,2})\s*\+?\s*(?:(?:-|–|to)\s*\d{1,2}\s*)?(?:years?|yrs?)\b/i.exec(line);
+        return match ? parseInt(match[1], 10) : null;
+    }
+
+    // A place named in a sentence ("This role is based in Berlin, Germany"); a "Location:" line wins
+    parseLocation(line) {
+        const match = JobDescriptionParser.LOCATION_PHRASE.exec(line);
+        return match ? match[1].replace(/[,\s]+$/, '') : '';
+    }
+
+    parseDegree(line) {
+        const levels = [
+            ['highschool', /\b(high school|ged)\b/i],
+            ['associate', /\bassociate(?:'s)?\s+degree\b/i],
+            ['bachelor', /\b(bachelor(?:'s)?|b\.?s\.?c?|b\.a\.|undergraduate degree|4-year degree)\b/i],
+            ['master', /\b(master(?:'s)?|m\.?s\.?c?|mba|graduate degree)\b/i],
+            ['phd', /\b(ph\.?\s?d|doctorate)\b/i]
+        ];
+        // The lowest level mentioned is the minimum ("Bachelor's or Master's")
+        const found = levels.find(([, pattern]) => pattern.test(line));
+        return found ? found[0] : null;
+    }
+
+    parseRemotePolicy(text) {
+        if (/\bhybrid\b/i.test(text)) return 'hybrid';
+        if (/\b(fully remote|remote[\s-]first|100% remote|remote work (available|possible|ok)|remote[\s-]friendly|work from (home|anywhere)|\bremote\b)/i.test(text)) {
+            return /\b(on[\s-]?site|in[\s-]office)\s+only\b/i.test(text) ? 'onsite' : 'remote';
+        }
+        if (/\b(on[\s-]?site|in[\s-]office|in[\s-]person)\b/i.test(text)) return 'onsite';
+        return '';
+    }
+
+    parseSeniority(title, text, minYears) {
+        const source = `${title}`.toLowerCase();
+        const fromTitle = JobDescriptionParser.SENIORITY_LEVELS.find(level => level.pattern.test(source));
+        if (fromTitle) return fromTitle.value;
+
+        if (minYears !== null) {
+            if (minYears < 2) return 'junior';
+            if (minYears < 5) return 'mid';
+            if (minYears < 8) return 'senior';
+            return 'lead';
+        }
+
+        const fromText = JobDescriptionParser.SENIORITY_LEVELS.find(level => level.pattern.test(text.toLowerCase()));
+        return fromText ? fromText.value : '';
+    }
+
+    // In requirement sections, list items are taken as skills; elsewhere only known skill names
+    extractSkills(line, isRequirementSection) {
+        const content = line.replace(/^[-•*·\d.)\s]+/, '');
+        const found = this.taxonomy.findSkills(content);
+        if (!isRequirementSection) return found;
+
+        content.split(/\s*(?:,|;|\/(?!\w{1,2}\b)|\band\b|\bor\b|&)\s*/i).forEach(item => {
+            const cleaned = this.cleanPhrase(item);
+            if (!cleaned || this.taxonomy.findSkills(item).length) return;
+            if (cleaned.split(/\s+/).length <= 4) found.push(this.taxonomy.canonicalName(cleaned));
+        });
+        return found;
+    }
+
+    cleanPhrase(phrase) {
+        let cleaned = phrase.trim().replace(/[.!]+$/, '');
+        let previous;
+        do {
+            previous = cleaned;
+            cleaned = cleaned
+                .replace(JobDescriptionParser.LEAD_PHRASES, '')
+                .replace(/\s+(skills?|experience|knowledge|methodolog(y|ies)|abilities|ability|principles|concepts|background)$/i, '')
+                .trim();
+        } while (cleaned !== previous);
+
+        const words = cleaned.toLowerCase().split(/\s+/).filter(Boolean);
+        if (!words.length || words.every(word => JobDescriptionParser.FILLER_WORDS.includes(word))) return '';
+        if (cleaned.length < 2 || /^\d+$/.test(cleaned)) return '';
+        return cleaned.charAt(0).toUpperCase() + cleaned.slice(1);
+    }
+
+    addSkill(list, skill) {
+        if (!list.some(existing => existing.toLowerCase() === skill.toLowerCase())) list.push(skill);
+    }
+}
+
+JobDescriptionParser.LEAD_PHRASES = /^(strong|excellent|good|solid|proven|deep|hands-on|working|demonstrated|familiarity with|knowledge of|experience (with|in|using)|proficiency (with|in)|proficient (with|in)|expertise (with|in)|understanding of|ability to|exposure to|background in|skills in|skilled in|at least|a|an|the|in|with|of|using)\s+/i;
+
+JobDescriptionParser.LOCATION_LABEL = /^(?:location|based in|office)\s*:\s*(.+)$/i;
+// Capitalized place names after the phrase, up to four words ("New York, NY")
+JobDescriptionParser.LOCATION_PHRASE = /\b(?:[Bb]ased|[Ll]ocated|[Hh]eadquartered|[Oo]ffices?|[Oo]n-?site)\s+(?:in|at)\s+((?:[A-Z][\w.'’-]*)(?:,?\s+[A-Z][\w.'’-]*){0,3})/;
+// Lines that state an experience requirement rather than mention a length of time
+JobDescriptionParser.REQUIREMENT_LINE = /\b(experience|experienced|minimum|at least|required|requires?|track record|background in)\b/i;
+
+JobDescriptionParser.FILLER_WORDS = [
+    'talented', 'ideal', 'candidate', 'team', 'player', 'passionate', 'motivated', 'self-starter', 'rockstar',
+    'ninja', 'great', 'strong', 'excellent', 'related', 'field', 'etc', 'similar', 'other', 'relevant',
+    'equivalent', 'plus', 'bonus', 'experience', 'skills', 'knowledge', 'ability', 'work', 'years', 'year'
+];
+
+JobDescriptionParser.SENIORITY_LEVELS = [
+    { value: 'intern', pattern: /\b(intern|internship|trainee)\b/ },
+    { value: 'junior', pattern: /\b(junior|jr\.?|entry[\s-]level|graduate|associate)\b/ },
+    { value: 'lead', pattern: /\b(lead|staff|principal|architect)\b/ },
+    { value: 'manager', pattern: /\b(manager|director|head of|vp|vice president)\b/ },
+    { value: 'senior', pattern: /\b(senior|sr\.?)\b/ },
+    { value: 'mid', pattern: /\b(mid[\s-]level|intermediate)\b/ }
+];
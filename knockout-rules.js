@@ -0,0 +1,196 @@
+// ResumeAI - Knockout rules
+// Pass/fail requirements checked before the ranking is trusted: work authorization, a minimum
+// number of years, a certification, willingness to relocate. A rule is a group of conditions
+// combined with AND ("all") or OR ("any"); a candidate has to pass every rule of the role.
+// Failing a rule never changes the score, it moves the candidate to a separate list.
+
+class KnockoutRules {
+    // Rules the candidate fails, each with the conditions that were not met
+    static evaluate(candidate, rules, taxonomy) {
+        return rules
+            .filter(rule => rule.conditions.length)
+            .map(rule => {
+                const results = rule.conditions.map(condition => KnockoutRules.test(candidate, condition, taxonomy));
+                const passed = rule.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+                if (passed) return null;
+                const unmet = rule.conditions.filter((condition, i) => !results[i]).map(KnockoutRules.describeCondition);
+                return {
+                    id: rule.id,
+                    name: rule.name || 'Unnamed rule',
+                    description: KnockoutRules.describeRule(rule),
+                    reason: `${rule.match === 'any' && unmet.length > 1 ? 'None of' : 'Not met'}: ${unmet.join('; ')}`
+                };
+            })
+            .filter(Boolean);
+    }
+
+    static test(candidate, condition, taxonomy) {
+        const value = condition.value;
+        switch (condition.operator) {
+            case 'gte':
+            case 'lte': {
+                const actual = KnockoutRules.numericValue(candidate, condition.field);
+                const wanted = KnockoutRules.numericValue({ [condition.field]: value }, condition.field);
+                if (actual === null || wanted === null) return false;
+                return condition.operator === 'gte' ? actual >= wanted : actual <= wanted;
+            }
+            case 'has':
+            case 'lacks': {
+                const found = Boolean(String(value).trim()) && Boolean(taxonomy.matchSkill(candidate.skills || [], value));
+                return condition.operator === 'has' ? found : !found;
+            }
+            case 'contains':
+            case 'notContains': {
+                const found = KnockoutRules.normalizeText(candidate[condition.field]).includes(KnockoutRules.normalizeText(value));
+                return condition.operator === 'contains' ? found : !found;
+            }
+            case 'empty':
+                return !String(candidate[condition.field] || '').trim();
+            default:
+                return false;
+        }
+    }
+
+    // Degrees compare by level; a candidate whose degree was not found fails "at least"
+    static numericValue(source, field) {
+        if (field === 'educationLevel') {
+            return source.educationLevel in ScoringModel.EDUCATION_RANK ? ScoringModel.EDUCATION_RANK[source.educationLevel] : null;
+        }
+        const number = parseFloat(source[field]);
+        return Number.isNaN(number) ? null : number;
+    }
+
+    static normalizeText(value) {
+        return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    static describeCondition(condition) {
+        const field = KnockoutRules.FIELDS[condition.field];
+        const operator = KnockoutRules.OPERATORS[condition.operator];
+        if (!field || !operator) return 'Unknown condition';
+        if (condition.operator === 'empty') return `${field.label} ${operator.label}`;
+        const value = field.type === 'degree'
+            ? (KnockoutRules.DEGREES.find(([id]) => id === condition.value) || [null, condition.value])[1]
+            : field.type === 'text' ? `"${condition.value}"` : condition.value;
+        return `${field.label} ${operator.label} ${value}`;
+    }
+
+    static describeRule(rule) {
+        return rule.conditions.map(KnockoutRules.describeCondition).join(rule.match === 'any' ? ' OR ' : ' AND ');
+    }
+
+    static operatorsFor(field) {
+        const type = KnockoutRules.FIELDS[field].type;
+        return Object.keys(KnockoutRules.OPERATORS).filter(operator => KnockoutRules.OPERATORS[operator].types.includes(type));
+    }
+
+    // Drops conditions that cannot be checked, so stored or imported rules never throw
+    static normalize(rules) {
+        return (Array.isArray(rules) ? rules : []).map(rule => ({
+            id: String(rule.id || ''),
+            name: String(rule.name || '').trim(),
+            match: rule.match === 'any' ? 'any' : 'all',
+            conditions: (Array.isArray(rule.conditions) ? rule.conditions : [])
+                .filter(condition => condition && condition.field in KnockoutRules.FIELDS &&
+                    KnockoutRules.operatorsFor(condition.field).includes(condition.operator))
+                .map(condition => ({ field: condition.field, operator: condition.operator, value: condition.value === undefined || condition.value === null ? '' : String(condition.value).trim() }))
+                .filter(condition => condition.value || condition.operator === 'empty')
+        }));
+    }
+
+    // What normalize() would drop or could not check, one message each, for callers that must say so
+    static problems(rules) {
+        if (!Array.isArray(rules)) return ['Knockout rules must be an array.'];
+        const problems = [];
+        rules.forEach((rule, i) => {
+            const label = `Rule ${i + 1}${rule && rule.name ? ` ("${rule.name}")` : ''}`;
+            if (!rule || typeof rule !== 'object' || !Array.isArray(rule.conditions) || !rule.conditions.length) {
+                problems.push(`${label} has no conditions.`);
+                return;
+            }
+            if (rule.match !== undefined && rule.match !== 'all' && rule.match !== 'any') {
+                problems.push(`${label}: match must be "all" or "any".`);
+            }
+            rule.conditions.forEach((condition, j) => {
+                const problem = KnockoutRules.conditionProblem(condition);
+                if (problem) problems.push(`${label}, condition ${j + 1}: ${problem}.`);
+            });
+        });
+        return problems;
+    }
+
+    static conditionProblem(condition) {
+        if (!condition || typeof condition !== 'object') return 'not a condition';
+        if (!Object.keys(KnockoutRules.FIELDS).includes(condition.field)) return `unknown field "${condition.field}"`;
+        const field = KnockoutRules.FIELDS[condition.field];
+        if (!KnockoutRules.operatorsFor(condition.field).includes(condition.operator)) {
+            return `"${condition.operator}" cannot be used with ${field.label.toLowerCase()}`;
+        }
+        if (condition.operator === 'empty') return '';
+        const value = condition.value === undefined || condition.value === null ? '' : String(condition.value).trim();
+        if (!value) return 'no value';
+        if (field.type === 'number' && Number.isNaN(parseFloat(value))) return `"${value}" is not a number`;
+        if (field.type === 'degree' && !KnockoutRules.DEGREES.some(([id]) => id === value)) return `unknown degree "${value}"`;
+        return '';
+    }
+}
+
+KnockoutRules.FIELDS = {
+    yearsExperience: { label: 'Years of experience', type: 'number' },
+    educationLevel: { label: 'Degree', type: 'degree' },
+    skills: { label: 'Skills', type: 'skill' },
+    rawText: { label: 'Resume text', type: 'text' },
+    experience: { label: 'Current role', type: 'text' },
+    company: { label: 'Company', type: 'text' },
+    location: { label: 'Location', type: 'text' }
+};
+
+KnockoutRules.OPERATORS = {
+    gte: { label: 'is at least', types: ['number', 'degree'] },
+    lte: { label: 'is at most', types: ['number'] },
+    has: { label: 'include', types: ['skill'] },
+    lacks: { label: 'do not include', types: ['skill'] },
+    contains: { label: 'contains', types: ['text'] },
+    notContains: { label: 'does not contain', types: ['text'] },
+    empty: { label: 'is empty', types: ['text'] }
+};
+
+KnockoutRules.DEGREES = [['highschool', 'High School'], ['associate', 'Associate'], ['bachelor', 'Bachelor\'s'], ['master', 'Master\'s'], ['phd', 'PhD']];
+
+// Starting points offered in the rules editor; values are meant to be edited
+KnockoutRules.TEMPLATES = [
+    {
+        name: 'Work authorization',
+        match: 'any',
+        conditions: [
+            { field: 'rawText', operator: 'contains', value: 'authorized to work' },
+            { field: 'rawText', operator: 'contains', value: 'work authorization' },
+            { field: 'rawText', operator: 'contains', value: 'permanent resident' },
+            { field: 'rawText', operator: 'contains', value: 'citizenship' }
+        ]
+    },
+    {
+        name: 'Minimum experience',
+        match: 'all',
+        conditions: [{ field: 'yearsExperience', operator: 'gte', value: '3' }]
+    },
+    {
+        name: 'Required certification',
+        match: 'any',
+        conditions: [{ field: 'rawText', operator: 'contains', value: 'certified' }]
+    },
+    {
+        name: 'Local or willing to relocate',
+        match: 'any',
+        conditions: [
+            { field: 'location', operator: 'contains', value: '' },
+            { field: 'rawText', operator: 'contains', value: 'relocate' },
+            { field: 'rawText', operator: 'contains', value: 'relocation' }
+        ]
+    },
+    {
+        name: 'Language',
+        match: 'all',
+        conditions: [{ field: 'rawText', operator: 'contains', value: 'Spanish' }]
+    }
+];
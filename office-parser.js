@@ -0,0 +1,427 @@
+// ResumeAI - Word processor document parsers
+// Text extraction for DOCX and ODT (ZIP + XML), legacy Word 97-2003 DOC (OLE compound file)
+// and RTF. Each parser returns plain text with '\f' marking explicit page breaks.
+
+class CompoundFile {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        const view = this.view;
+        this.sectorSize = 1 << view.getUint16(0x1e, true);
+        this.miniSectorSize = 1 << view.getUint16(0x20, true);
+        this.miniStreamCutoff = view.getUint32(0x38, true);
+        if (this.sectorSize !== 512 && this.sectorSize !== 4096) {
+            throw new ResumeParseError('The Word document is damaged (bad sector size).', 'corrupt');
+        }
+
+        this.fat = this.readFat();
+        this.directory = this.readDirectory(view.getUint32(0x30, true));
+        const root = this.directory.find(entry => entry.type === 5);
+        this.miniStream = root ? this.readChain(root.start, this.fat, root.size) : new Uint8Array(0);
+        this.miniFat = this.readIdList(this.readChain(view.getUint32(0x3c, true), this.fat));
+    }
+
+    static isCompoundFile(bytes) {
+        const signature = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+        return bytes.length >= 512 && signature.every((byte, i) => bytes[i] === byte);
+    }
+
+    sectorOffset(id) {
+        return (id + 1) * this.sectorSize;
+    }
+
+    readIdList(data) {
+        const ids = [];
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        for (let i = 0; i + 4 <= data.length; i += 4) ids.push(view.getUint32(i, true));
+        return ids;
+    }
+
+    readFat() {
+        const view = this.view;
+        const fatSectors = [];
+        for (let i = 0; i < 109; i++) {
+            const id = view.getUint32(0x4c + i * 4, true);
+            if (id < 0xfffffffa) fatSectors.push(id);
+        }
+
+        // Large files keep the rest of the FAT sector list in a chain of DIFAT sectors
+        let difat = view.getUint32(0x44, true);
+        const perSector = this.sectorSize / 4 - 1;
+        for (let guard = 0; difat < 0xfffffffa && guard < 10000; guard++) {
+            const offset = this.sectorOffset(difat);
+            if (offset + this.sectorSize > this.bytes.length) break;
+            for (let i = 0; i < perSector; i++) {
+                const id = view.getUint32(offset + i * 4, true);
+                if (id < 0xfffffffa) fatSectors.push(id);
+            }
+            difat = view.getUint32(offset + perSector * 4, true);
+        }
+
+        const fat = [];
+        fatSectors.forEach(id => {
+            const offset = this.sectorOffset(id);
+            if (offset + this.sectorSize <= this.bytes.length) {
+                fat.push(...this.readIdList(this.bytes.subarray(offset, offset + this.sectorSize)));
+            }
+        });
+        return fat;
+    }
+
+    readChain(start, fat, size = Infinity, sectorSize = this.sectorSize, source = null) {
+        const chunks = [];
+        const seen = new Set();
+        let total = 0;
+
+        for (let id = start; id < 0xfffffffa && !seen.has(id) && total < size; id = fat[id]) {
+            seen.add(id);
+            const offset = source ? id * sectorSize : this.sectorOffset(id);
+            const data = (source || this.bytes).subarray(offset, offset + sectorSize);
+            if (data.length === 0) break;
+            chunks.push(data);
+            total += data.length;
+        }
+
+        const output = new Uint8Array(Math.min(total, size));
+        let offset = 0;
+        for (const chunk of chunks) {
+            const part = chunk.subarray(0, output.length - offset);
+            output.set(part, offset);
+            offset += part.length;
+        }
+        return output;
+    }
+
+    readDirectory(start) {
+        const data = this.readChain(start, this.fat);
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const entries = [];
+
+        for (let offset = 0; offset + 128 <= data.length; offset += 128) {
+            const nameLength = view.getUint16(offset + 0x40, true);
+            const type = data[offset + 0x42];
+            if (type === 0) continue;
+
+            let name = '';
+            for (let i = 0; i + 2 < nameLength; i += 2) {
+                name += String.fromCharCode(view.getUint16(offset + i, true));
+            }
+            entries.push({
+                name,
+                type,
+                start: view.getUint32(offset + 0x74, true),
+                size: view.getUint32(offset + 0x78, true)
+            });
+        }
+        return entries;
+    }
+
+    hasStream(name) {
+        return this.directory.some(entry => entry.type === 2 && entry.name === name);
+    }
+
+    readStream(name) {
+        const entry = this.directory.find(item => item.type === 2 && item.name === name);
+        if (!entry) return null;
+        if (entry.size < this.miniStreamCutoff) {
+            return this.readChain(entry.start, this.miniFat, entry.size, this.miniSectorSize, this.miniStream);
+        }
+        return this.readChain(entry.start, this.fat, entry.size);
+    }
+}
+
+class OfficeTextExtractor {
+    async extractFromZip(zip) {
+        if (zip.has('word/document.xml')) return this.extractDocx(zip);
+
+        const mimetype = zip.has('mimetype') ? (await zip.readText('mimetype')).trim() : '';
+        if (zip.has('content.xml') && (!mimetype || mimetype.startsWith('application/vnd.oasis.opendocument.text'))) {
+            return this.extractOdt(zip);
+        }
+        throw new ResumeParseError('The archive is not a Word (DOCX) or OpenDocument (ODT) text document.', 'unsupported');
+    }
+
+    async extractDocx(zip) {
+        const options = {
+            textTags: new Set(['w:t']),
+            blockTags: new Set(['w:p']),
+            emptyTags: {
+                'w:tab': '\t',
+                'w:cr': '\n',
+                'w:br': attrs => (/w:type="page"/.test(attrs) ? '\f' : '\n')
+            },
+            // Text boxes are stored twice: as DrawingML and as a legacy VML fallback
+            skipTags: new Set(['mc:Fallback', 'w:delText', 'w:instrText'])
+        };
+
+        // Contact details often live in the page header, so headers come first
+        const headers = zip.names().filter(name => /^word\/header\d*\.xml$/.test(name)).sort();
+        const parts = [];
+        for (const name of headers) {
+            parts.push(OfficeTextExtractor.xmlToText(await zip.readText(name), options));
+        }
+        parts.push(OfficeTextExtractor.xmlToText(await zip.readText('word/document.xml'), options));
+        return parts.join('\n');
+    }
+
+    async extractOdt(zip) {
+        const xml = await zip.readText('content.xml');
+        const body = xml.indexOf('<office:body');
+        return OfficeTextExtractor.xmlToText(body === -1 ? xml : xml.slice(body), {
+            textTags: null,
+            blockTags: new Set(['text:p', 'text:h', 'table:table-row']),
+            emptyTags: {
+                'text:tab': '\t',
+                'text:line-break': '\n',
+                'text:soft-page-break': '\f',
+                'text:s': attrs => {
+                    const count = /text:c="(\d+)"/.exec(attrs);
+                    return ' '.repeat(count ? parseInt(count[1], 10) : 1);
+                }
+            },
+            skipTags: new Set(['text:tracked-changes', 'office:annotation', 'text:note-citation'])
+        });
+    }
+
+    // Streams the text content out of an XML part. Only text inside textTags is kept (all text
+    // when null), blockTags end a line when they close and emptyTags expand to fixed strings.
+    static xmlToText(xml, options) {
+        const tokens = /<(\/?)([\w.-]+:?[\w.-]*)([^>]*?)(\/?)>|<!\[CDATA\[([\s\S]*?)\]\]>|<[!?][^>]*>|([^<]+)/g;
+        const { textTags, blockTags, emptyTags, skipTags } = options;
+        let inText = 0;
+        let skipping = 0;
+        let output = '';
+        let match;
+
+        while ((match = tokens.exec(xml))) {
+            const [, closing, tag, attrs, selfClosing, cdata, text] = match;
+
+            if (text !== undefined || cdata !== undefined) {
+                if (!skipping && (textTags === null || inText > 0)) {
+                    output += cdata !== undefined ? cdata : OfficeTextExtractor.decodeEntities(text);
+                }
+                continue;
+            }
+            if (!tag) continue;
+
+            if (skipTags.has(tag)) {
+                if (!selfClosing) skipping += closing ? -1 : 1;
+                skipping = Math.max(0, skipping);
+                continue;
+            }
+            if (skipping) continue;
+
+            if (closing) {
+                if (textTags && textTags.has(tag)) inText = Math.max(0, inText - 1);
+                if (blockTags.has(tag)) output += '\n';
+            } else if (selfClosing) {
+                const replacement = emptyTags[tag];
+                if (replacement !== undefined) output += typeof replacement === 'function' ? replacement(attrs) : replacement;
+                if (blockTags.has(tag)) output += '\n';
+            } else if (textTags && textTags.has(tag)) {
+                inText++;
+            }
+        }
+        return output;
+    }
+
+    static decodeEntities(text) {
+        const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+        return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (entity, body) => {
+            if (body[0] === '#') {
+                const code = body[1] === 'x' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+                return Number.isFinite(code) ? String.fromCodePoint(code) : entity;
+            }
+            return named[body] !== undefined ? named[body] : entity;
+        });
+    }
+
+    extractDoc(bytes) {
+        const cfb = new CompoundFile(bytes);
+        if (cfb.hasStream('EncryptionInfo') || cfb.hasStream('EncryptedPackage')) {
+            throw new ResumeParseError('The document is password-protected. Please upload an unlocked copy.', 'encrypted');
+        }
+
+        const wordDocument = cfb.readStream('WordDocument');
+        if (!wordDocument || wordDocument.length < 0x1aa) {
+            throw new ResumeParseError('The file is an Office document but not a Word document.', 'unsupported');
+        }
+
+        const fib = new DataView(wordDocument.buffer, wordDocument.byteOffset, wordDocument.byteLength);
+        const ident = fib.getUint16(0, true);
+        if (ident === 0xa5dc) {
+            throw new ResumeParseError('Word 95 and older documents are not supported. Please save as DOCX.', 'unsupported');
+        }
+        if (ident !== 0xa5ec) {
+            throw new ResumeParseError('The Word document is damaged (bad header).', 'corrupt');
+        }
+
+        const flags = fib.getUint16(0x0a, true);
+        if (flags & 0x0100) {
+            throw new ResumeParseError('The document is password-protected. Please upload an unlocked copy.', 'encrypted');
+        }
+
+        // The FIB is a run of variable-length blocks; walk them to find the fields we need
+        const csw = fib.getUint16(32, true);
+        const lwOffset = 32 + 2 + csw * 2 + 2;
+        const cslw = fib.getUint16(lwOffset - 2, true);
+        const fcLcbOffset = lwOffset + cslw * 4 + 2;
+        const ccpText = fib.getUint32(lwOffset + 3 * 4, true);
+        const ccpFtn = fib.getUint32(lwOffset + 4 * 4, true);
+        const ccpHdd = fib.getUint32(lwOffset + 5 * 4, true);
+        const fcClx = fib.getUint32(fcLcbOffset + 33 * 8, true);
+        const lcbClx = fib.getUint32(fcLcbOffset + 33 * 8 + 4, true);
+
+        const table = cfb.readStream(flags & 0x0200 ? '1Table' : '0Table');
+        if (!table || fcClx + lcbClx > table.length || lcbClx === 0) {
+            throw new ResumeParseError('The Word document is damaged (missing text table).', 'corrupt');
+        }
+
+        const text = OfficeTextExtractor.readPieceTable(wordDocument, table.subarray(fcClx, fcClx + lcbClx));
+        const header = text.slice(ccpText + ccpFtn, ccpText + ccpFtn + ccpHdd);
+        return OfficeTextExtractor.cleanWordText(header) + '\n' + OfficeTextExtractor.cleanWordText(text.slice(0, ccpText));
+    }
+
+    // The piece table maps character positions to byte ranges in the WordDocument stream,
+    // each stored either as UTF-16LE or as compressed single-byte Windows-1252 text
+    static readPieceTable(wordDocument, clx) {
+        const view = new DataView(clx.buffer, clx.byteOffset, clx.byteLength);
+        let pos = 0;
+        while (pos < clx.length && clx[pos] === 0x01) {
+            pos += 3 + view.getInt16(pos + 1, true);
+        }
+        if (clx[pos] !== 0x02) {
+            throw new ResumeParseError('The Word document is damaged (bad piece table).', 'corrupt');
+        }
+
+        const length = view.getUint32(pos + 1, true);
+        const plc = pos + 5;
+        const count = (length - 4) / 12;
+        const cp1252 = new TextDecoder('windows-1252');
+        const utf16 = new TextDecoder('utf-16le');
+        let text = '';
+
+        for (let i = 0; i < count; i++) {
+            const cpStart = view.getUint32(plc + i * 4, true);
+            const cpEnd = view.getUint32(plc + (i + 1) * 4, true);
+            let fc = view.getUint32(plc + (count + 1) * 4 + i * 8 + 2, true);
+            const compressed = (fc & 0x40000000) !== 0;
+            fc &= 0x3fffffff;
+
+            const chars = cpEnd - cpStart;
+            if (compressed) {
+                const start = fc / 2;
+                text += cp1252.decode(wordDocument.subarray(start, start + chars));
+            } else {
+                text += utf16.decode(wordDocument.subarray(fc, fc + chars * 2));
+            }
+        }
+        return text;
+    }
+
+    // Word's special characters: paragraph and cell marks, page breaks and field codes
+    static cleanWordText(text) {
+        let output = '';
+        const fields = [];
+        for (const ch of text) {
+            if (ch === '\x13') {
+                fields.push('instruction');
+            } else if (ch === '\x14') {
+                if (fields.length) fields[fields.length - 1] = 'result';
+            } else if (ch === '\x15') {
+                fields.pop();
+            } else if (fields.length && fields[fields.length - 1] === 'instruction') {
+                continue;
+            } else if (ch === '\r' || ch === '\x0b') {
+                output += '\n';
+            } else if (ch === '\x07') {
+                output += '\t';
+            } else if (ch === '\x0c') {
+                output += '\f';
+            } else if (ch >= ' ' || ch === '\t') {
+                output += ch;
+            }
+        }
+        return output;
+    }
+
+    extractRtf(bytes) {
+        const src = TextExtractor.bytesToLatin1(bytes);
+        const ignoredDestinations = new Set([
+            'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'listtable', 'listoverridetable',
+            'rsidtbl', 'generator', 'themedata', 'colorschememapping', 'datastore', 'latentstyles',
+            'xmlnstbl', 'mmathPr', 'pgdsctbl', 'fldinst', 'revtbl', 'filetbl', 'footnote', 'annotation'
+        ]);
+        const symbols = {
+            par: '\n', line: '\n', sect: '\n', row: '\n', page: '\f', tab: '\t', cell: '\t',
+            emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”'
+        };
+        const cp1252 = new TextDecoder('windows-1252');
+
+        const stack = [];
+        let state = { skip: false, unicodeSkip: 1 };
+        let pendingSkip = 0;
+        let output = '';
+        let i = 0;
+
+        const emit = (text) => {
+            if (pendingSkip > 0) {
+                pendingSkip--;
+                return;
+            }
+            if (!state.skip) output += text;
+        };
+
+        while (i < src.length) {
+            const ch = src[i];
+            if (ch === '{') {
+                stack.push(state);
+                state = { ...state };
+                i++;
+            } else if (ch === '}') {
+                state = stack.pop() || state;
+                pendingSkip = 0;
+                i++;
+            } else if (ch === '\\') {
+                const next = src[i + 1];
+                if (next === '\\' || next === '{' || next === '}') {
+                    emit(next);
+                    i += 2;
+                } else if (next === '\'') {
+                    emit(cp1252.decode(new Uint8Array([parseInt(src.substr(i + 2, 2), 16) || 0x3f])));
+                    i += 4;
+                } else if (next === '*') {
+                    state.skip = true;
+                    i += 2;
+                } else if (/[a-zA-Z]/.test(next)) {
+                    const word = /^\\([a-zA-Z]+)(-?\d+)? ?/.exec(src.slice(i, i + 40));
+                    const name = word[1];
+                    const param = word[2] !== undefined ? parseInt(word[2], 10) : null;
+                    i += word[0].length;
+
+                    if (ignoredDestinations.has(name)) {
+                        state.skip = true;
+                    } else if (name === 'uc') {
+                        state.unicodeSkip = param || 0;
+                    } else if (name === 'u') {
+                        emit(String.fromCharCode((param || 0) < 0 ? param + 65536 : param || 0));
+                        pendingSkip = state.unicodeSkip;
+                    } else if (symbols[name] !== undefined) {
+                        emit(symbols[name]);
+                    }
+                } else {
+                    // Control symbols: non-breaking space, optional hyphen, non-breaking hyphen
+                    if (next === '~') emit(' ');
+                    if (next === '_') emit('-');
+                    if (next === '\n' || next === '\r') emit('\n');
+                    i += 2;
+                }
+            } else {
+                if (ch !== '\r' && ch !== '\n') emit(ch);
+                i++;
+            }
+        }
+        return output;
+    }
+}
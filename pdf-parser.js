@@ -0,0 +1,759 @@
+// ResumeAI - PDF text parser
+// A small self-contained PDF reader with no external dependencies. It understands enough of
+// the file structure (objects, object streams, the page tree and fonts) to decode each page's
+// content stream and rebuild its text-showing operators into lines of plain text.
+
+class PdfName {
+    constructor(name) {
+        this.name = name;
+    }
+}
+
+class PdfRef {
+    constructor(num, gen) {
+        this.num = num;
+        this.gen = gen;
+    }
+}
+
+class PdfString {
+    constructor(bytes) {
+        this.bytes = bytes; // one char per byte
+    }
+}
+
+class PdfOperator {
+    constructor(op) {
+        this.op = op;
+    }
+}
+
+class PdfLexer {
+    constructor(src, pos = 0) {
+        this.src = src;
+        this.pos = pos;
+    }
+
+    static isWhitespace(ch) {
+        return ch === ' ' || ch === '\n' || ch === '\r' || ch === '\t' || ch === '\f' || ch === '\x00';
+    }
+
+    static isDelimiter(ch) {
+        return '()<>[]{}/%'.includes(ch);
+    }
+
+    skipWhitespace() {
+        const src = this.src;
+        while (this.pos < src.length) {
+            const ch = src[this.pos];
+            if (PdfLexer.isWhitespace(ch)) {
+                this.pos++;
+            } else if (ch === '%') {
+                while (this.pos < src.length && src[this.pos] !== '\n' && src[this.pos] !== '\r') this.pos++;
+            } else {
+                break;
+            }
+        }
+    }
+
+    // Reads the next object or operator; returns undefined at the end of input
+    readObject() {
+        this.skipWhitespace();
+        if (this.pos >= this.src.length) return undefined;
+
+        const ch = this.src[this.pos];
+        if (ch === '/') return this.readName();
+        if (ch === '(') return this.readLiteralString();
+        if (ch === '[') {
+            this.pos++;
+            return this.readArray();
+        }
+        if (ch === '<') {
+            if (this.src[this.pos + 1] === '<') {
+                this.pos += 2;
+                return this.readDictionary();
+            }
+            return this.readHexString();
+        }
+
+        const token = this.readRegularToken();
+        if (!token) {
+            // Stray delimiter such as ']' or '>>'
+            this.pos++;
+            return new PdfOperator(ch);
+        }
+
+        if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+            if (/^\d+$/.test(token)) {
+                const ref = this.tryReadReference(parseInt(token, 10));
+                if (ref) return ref;
+            }
+            return parseFloat(token);
+        }
+        if (token === 'true') return true;
+        if (token === 'false') return false;
+        if (token === 'null') return null;
+        return new PdfOperator(token);
+    }
+
+    // "12 0 R" - only consumes input when the whole reference is present
+    tryReadReference(num) {
+        const start = this.pos;
+        this.skipWhitespace();
+        const gen = this.readRegularToken();
+        if (/^\d+$/.test(gen)) {
+            this.skipWhitespace();
+            const next = this.src[this.pos + 1];
+            if (this.src[this.pos] === 'R' && (next === undefined || PdfLexer.isWhitespace(next) || PdfLexer.isDelimiter(next))) {
+                this.pos++;
+                return new PdfRef(num, parseInt(gen, 10));
+            }
+        }
+        this.pos = start;
+        return null;
+    }
+
+    readRegularToken() {
+        const start = this.pos;
+        while (this.pos < this.src.length) {
+            const ch = this.src[this.pos];
+            if (PdfLexer.isWhitespace(ch) || PdfLexer.isDelimiter(ch)) break;
+            this.pos++;
+        }
+        return this.src.slice(start, this.pos);
+    }
+
+    readName() {
+        this.pos++;
+        const raw = this.readRegularToken();
+        return new PdfName(raw.replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))));
+    }
+
+    readArray() {
+        const items = [];
+        for (;;) {
+            this.skipWhitespace();
+            if (this.pos >= this.src.length) return items;
+            if (this.src[this.pos] === ']') {
+                this.pos++;
+                return items;
+            }
+            items.push(this.readObject());
+        }
+    }
+
+    readDictionary() {
+        const dict = {};
+        for (;;) {
+            this.skipWhitespace();
+            if (this.pos >= this.src.length) return dict;
+            if (this.src.startsWith('>>', this.pos)) {
+                this.pos += 2;
+                return dict;
+            }
+            const key = this.readObject();
+            if (!(key instanceof PdfName)) continue;
+            dict[key.name] = this.readObject();
+        }
+    }
+
+    readHexString() {
+        const end = this.src.indexOf('>', this.pos);
+        const stop = end === -1 ? this.src.length : end;
+        let hex = this.src.slice(this.pos + 1, stop).replace(/[^0-9a-fA-F]/g, '');
+        this.pos = stop + 1;
+        if (hex.length % 2) hex += '0';
+
+        let bytes = '';
+        for (let i = 0; i < hex.length; i += 2) {
+            bytes += String.fromCharCode(parseInt(hex.substr(i, 2), 16));
+        }
+        return new PdfString(bytes);
+    }
+
+    readLiteralString() {
+        const src = this.src;
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+        let depth = 1;
+        let bytes = '';
+        this.pos++;
+
+        while (this.pos < src.length) {
+            const ch = src[this.pos++];
+            if (ch === '\\') {
+                const next = src[this.pos++];
+                if (next in escapes) {
+                    bytes += escapes[next];
+                } else if (next >= '0' && next <= '7') {
+                    let octal = next;
+                    while (octal.length < 3 && src[this.pos] >= '0' && src[this.pos] <= '7') octal += src[this.pos++];
+                    bytes += String.fromCharCode(parseInt(octal, 8) & 0xff);
+                } else if (next === '\r') {
+                    if (src[this.pos] === '\n') this.pos++;
+                } else if (next !== '\n' && next !== undefined) {
+                    bytes += next;
+                }
+            } else if (ch === '(') {
+                depth++;
+                bytes += ch;
+            } else if (ch === ')') {
+                if (--depth === 0) break;
+                bytes += ch;
+            } else {
+                bytes += ch;
+            }
+        }
+        return new PdfString(bytes);
+    }
+}
+
+class PdfDocument {
+    constructor(src) {
+        this.src = src;
+        this.objects = new Map(); // object number -> { value, stream: { start, end } | null }
+        this.trailers = [];
+        this.streamCache = new Map();
+        this.fontCache = new Map();
+    }
+
+    async load() {
+        if (!this.src.slice(0, 1024).includes('%PDF-')) {
+            throw new ResumeParseError('The file is not a valid PDF document.', 'corrupt');
+        }
+
+        this.scanObjects();
+        if (this.objects.size === 0) {
+            throw new ResumeParseError('The PDF is damaged and contains no readable objects.', 'corrupt');
+        }
+        this.scanTrailers();
+        await this.loadObjectStreams();
+    }
+
+    // Objects are located by scanning rather than trusting the xref table, which lets damaged
+    // or hand-edited files still be read. Later definitions win, matching incremental updates.
+    scanObjects() {
+        const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+        let match;
+
+        while ((match = pattern.exec(this.src))) {
+            const lexer = new PdfLexer(this.src, pattern.lastIndex);
+            const value = lexer.readObject();
+            const entry = { value, stream: null };
+
+            lexer.skipWhitespace();
+            if (PdfDocument.isDictionary(value) && this.src.startsWith('stream', lexer.pos)) {
+                const stream = this.locateStream(lexer.pos + 6, value.Length);
+                if (!stream) continue;
+                entry.stream = stream;
+                pattern.lastIndex = stream.end;
+            } else {
+                pattern.lastIndex = lexer.pos;
+            }
+
+            this.objects.set(parseInt(match[1], 10), entry);
+        }
+    }
+
+    locateStream(afterKeyword, length) {
+        let start = afterKeyword;
+        if (this.src[start] === '\r') start++;
+        if (this.src[start] === '\n') start++;
+
+        if (typeof length === 'number' && this.src.slice(start + length, start + length + 32).includes('endstream')) {
+            return { start, end: start + length };
+        }
+
+        // Indirect or wrong /Length: fall back to the endstream marker
+        const marker = this.src.indexOf('endstream', start);
+        if (marker === -1) return null;
+        let end = marker;
+        if (this.src[end - 1] === '\n') end--;
+        if (this.src[end - 1] === '\r') end--;
+        return { start, end: Math.max(start, end) };
+    }
+
+    scanTrailers() {
+        const pattern = /trailer\s*<</g;
+        let match;
+        while ((match = pattern.exec(this.src))) {
+            const lexer = new PdfLexer(this.src, match.index + match[0].length);
+            this.trailers.push(lexer.readDictionary());
+        }
+
+        // PDF 1.5+ cross-reference streams carry the trailer keys in their own dictionary
+        this.objects.forEach(entry => {
+            if (PdfDocument.isDictionary(entry.value) && PdfDocument.nameOf(entry.value.Type) === 'XRef') {
+                this.trailers.push(entry.value);
+            }
+        });
+    }
+
+    async loadObjectStreams() {
+        for (const entry of Array.from(this.objects.values())) {
+            if (!PdfDocument.isDictionary(entry.value) || PdfDocument.nameOf(entry.value.Type) !== 'ObjStm') continue;
+
+            const data = await this.getStreamData(entry);
+            if (!data) continue;
+
+            const src = TextExtractor.bytesToLatin1(data);
+            const count = this.resolve(entry.value.N) || 0;
+            const first = this.resolve(entry.value.First) || 0;
+            const header = new PdfLexer(src);
+
+            for (let i = 0; i < count; i++) {
+                const num = header.readObject();
+                const offset = header.readObject();
+                if (typeof num !== 'number' || typeof offset !== 'number') break;
+                if (this.objects.has(num)) continue;
+
+                const lexer = new PdfLexer(src, first + offset);
+                this.objects.set(num, { value: lexer.readObject(), stream: null });
+            }
+        }
+    }
+
+    isEncrypted() {
+        return this.trailers.some(trailer => trailer.Encrypt !== undefined);
+    }
+
+    resolve(value, depth = 0) {
+        while (value instanceof PdfRef && depth++ < 32) {
+            const entry = this.objects.get(value.num);
+            value = entry ? entry.value : null;
+        }
+        return value;
+    }
+
+    getEntry(ref) {
+        return ref instanceof PdfRef ? this.objects.get(ref.num) || null : null;
+    }
+
+    async getStreamData(entry) {
+        if (!entry || !entry.stream) return null;
+        if (this.streamCache.has(entry)) return this.streamCache.get(entry);
+
+        let data = TextExtractor.latin1ToBytes(this.src.slice(entry.stream.start, entry.stream.end));
+        const filter = this.resolve(entry.value.Filter);
+        const filters = (Array.isArray(filter) ? filter : filter ? [filter] : []).map(f => PdfDocument.nameOf(this.resolve(f)));
+
+        for (const name of filters) {
+            if (name === 'FlateDecode' || name === 'Fl') {
+                data = await TextExtractor.inflate(data);
+            } else if (name === 'ASCIIHexDecode' || name === 'AHx') {
+                data = PdfDocument.decodeAsciiHex(data);
+            } else if (name === 'ASCII85Decode' || name === 'A85') {
+                data = PdfDocument.decodeAscii85(data);
+            } else {
+                // Image codecs and the like never hold text
+                data = null;
+                break;
+            }
+        }
+
+        this.streamCache.set(entry, data);
+        return data;
+    }
+
+    getCatalog() {
+        for (let i = this.trailers.length - 1; i >= 0; i--) {
+            const root = this.resolve(this.trailers[i].Root);
+            if (PdfDocument.isDictionary(root)) return root;
+        }
+        for (const entry of this.objects.values()) {
+            if (PdfDocument.isDictionary(entry.value) && PdfDocument.nameOf(entry.value.Type) === 'Catalog') return entry.value;
+        }
+        return null;
+    }
+
+    getPages() {
+        const pages = [];
+        const catalog = this.getCatalog();
+        if (catalog) {
+            this.collectPages(this.resolve(catalog.Pages), null, pages, new Set());
+        }
+
+        if (pages.length === 0) {
+            // Broken page tree: fall back to every page object in file order
+            Array.from(this.objects.keys()).sort((a, b) => a - b).forEach(num => {
+                const value = this.objects.get(num).value;
+                if (PdfDocument.isDictionary(value) && PdfDocument.nameOf(value.Type) === 'Page') {
+                    pages.push({ dict: value, resources: this.resolve(value.Resources) || {} });
+                }
+            });
+        }
+        return pages;
+    }
+
+    collectPages(node, inheritedResources, pages, seen) {
+        if (!PdfDocument.isDictionary(node) || seen.has(node)) return;
+        seen.add(node);
+
+        const resources = this.resolve(node.Resources) || inheritedResources;
+        const kids = this.resolve(node.Kids);
+        if (Array.isArray(kids)) {
+            kids.forEach(kid => this.collectPages(this.resolve(kid), resources, pages, seen));
+        } else if (PdfDocument.nameOf(node.Type) !== 'Pages') {
+            pages.push({ dict: node, resources: resources || {} });
+        }
+    }
+
+    static isDictionary(value) {
+        return value !== null && typeof value === 'object' && value.constructor === Object;
+    }
+
+    static nameOf(value) {
+        return value instanceof PdfName ? value.name : null;
+    }
+
+    static decodeAsciiHex(data) {
+        const hex = TextExtractor.bytesToLatin1(data).split('>')[0].replace(/[^0-9a-fA-F]/g, '');
+        const bytes = new Uint8Array(Math.ceil(hex.length / 2));
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt((hex.substr(i * 2, 2) + '0').slice(0, 2), 16);
+        }
+        return bytes;
+    }
+
+    static decodeAscii85(data) {
+        const text = TextExtractor.bytesToLatin1(data).replace(/^<~/, '').split('~>')[0].replace(/\s/g, '');
+        const output = [];
+        let group = [];
+
+        const flush = (length) => {
+            while (group.length < 5) group.push(84);
+            let value = 0;
+            group.forEach(digit => { value = value * 85 + digit; });
+            for (let i = 0; i < length - 1; i++) {
+                output.push((value >>> (24 - i * 8)) & 0xff);
+            }
+            group = [];
+        };
+
+        for (const ch of text) {
+            if (ch === 'z' && group.length === 0) {
+                output.push(0, 0, 0, 0);
+                continue;
+            }
+            group.push(ch.charCodeAt(0) - 33);
+            if (group.length === 5) flush(5);
+        }
+        if (group.length) flush(group.length);
+        return new Uint8Array(output);
+    }
+}
+
+// Collects text runs into lines while the content stream is interpreted
+class PdfTextWriter {
+    constructor() {
+        this.lines = [''];
+    }
+
+    get current() {
+        return this.lines[this.lines.length - 1];
+    }
+
+    write(text) {
+        this.lines[this.lines.length - 1] += text;
+    }
+
+    space() {
+        if (this.current && !/\s$/.test(this.current)) this.write(' ');
+    }
+
+    newLine() {
+        if (this.current.trim()) this.lines.push('');
+    }
+
+    toString() {
+        return this.lines.join('\n');
+    }
+}
+
+class PdfTextExtractor {
+    async extractPages(bytes) {
+        const doc = new PdfDocument(TextExtractor.bytesToLatin1(bytes));
+        await doc.load();
+
+        if (doc.isEncrypted()) {
+            throw new ResumeParseError('The PDF is password-protected or encrypted. Please upload an unlocked copy.', 'encrypted');
+        }
+
+        const pages = doc.getPages();
+        if (pages.length === 0) {
+            throw new ResumeParseError('The PDF has no readable pages and may be damaged.', 'corrupt');
+        }
+
+        const texts = [];
+        for (const page of pages) {
+            texts.push(await this.extractPageText(doc, page));
+        }
+        return texts;
+    }
+
+    async extractPageText(doc, page) {
+        const contents = doc.resolve(page.dict.Contents);
+        const refs = Array.isArray(contents) ? contents : [page.dict.Contents];
+
+        let content = '';
+        for (const ref of refs) {
+            const data = await doc.getStreamData(doc.getEntry(ref));
+            if (data) content += TextExtractor.bytesToLatin1(data) + '\n';
+        }
+        return this.interpret(doc, content, page.resources, 0);
+    }
+
+    async interpret(doc, content, resources, depth) {
+        const lexer = new PdfLexer(content);
+        const writer = new PdfTextWriter();
+        let operands = [];
+        let font = null;
+        let lineY = null;
+        let lineStartY = 0;
+
+        for (;;) {
+            const token = lexer.readObject();
+            if (token === undefined) break;
+            if (!(token instanceof PdfOperator)) {
+                operands.push(token);
+                continue;
+            }
+
+            switch (token.op) {
+                case 'BT':
+                    lineStartY = 0;
+                    break;
+                case 'Tf':
+                    font = await this.loadFont(doc, resources, operands[0]);
+                    break;
+                case 'Td':
+                case 'TD':
+                    lineStartY += operands[1] || 0;
+                    lineY = this.moveTo(writer, lineY, lineStartY);
+                    break;
+                case 'Tm':
+                    if (typeof operands[5] === 'number') lineStartY = operands[5];
+                    lineY = this.moveTo(writer, lineY, lineStartY);
+                    break;
+                case 'T*':
+                    writer.newLine();
+                    lineY = null;
+                    break;
+                case 'Tj':
+                    writer.write(this.decodeString(operands[0], font));
+                    break;
+                case '\'':
+                    writer.newLine();
+                    writer.write(this.decodeString(operands[0], font));
+                    break;
+                case '"':
+                    writer.newLine();
+                    writer.write(this.decodeString(operands[2], font));
+                    break;
+                case 'TJ':
+                    (Array.isArray(operands[0]) ? operands[0] : []).forEach(item => {
+                        if (item instanceof PdfString) {
+                            writer.write(this.decodeString(item, font));
+                        } else if (typeof item === 'number' && item < -200) {
+                            // Large negative kerning is how many generators encode word gaps
+                            writer.space();
+                        }
+                    });
+                    break;
+                case 'Do':
+                    if (depth < 3) {
+                        const text = await this.interpretXObject(doc, resources, operands[0], depth);
+                        if (text.trim()) {
+                            writer.newLine();
+                            writer.write(text);
+                            writer.newLine();
+                        }
+                    }
+                    break;
+                case 'ID': {
+                    // Skip inline image data, which is raw binary up to the EI operator
+                    const end = content.slice(lexer.pos).search(/\sEI(\s|$)/);
+                    lexer.pos = end === -1 ? content.length : lexer.pos + end + 3;
+                    break;
+                }
+            }
+            operands = [];
+        }
+
+        return writer.toString();
+    }
+
+    // A change of baseline starts a new line; a move along the same baseline is a word gap
+    moveTo(writer, lineY, y) {
+        if (lineY !== null && Math.abs(y - lineY) > 0.5) {
+            writer.newLine();
+        } else {
+            writer.space();
+        }
+        return y;
+    }
+
+    async interpretXObject(doc, resources, name, depth) {
+        const xobjects = doc.resolve(resources && resources.XObject);
+        const ref = xobjects && name instanceof PdfName ? xobjects[name.name] : null;
+        const entry = doc.getEntry(ref);
+        if (!entry || PdfDocument.nameOf(entry.value.Subtype) !== 'Form') return '';
+
+        const data = await doc.getStreamData(entry);
+        if (!data) return '';
+        const formResources = doc.resolve(entry.value.Resources) || resources;
+        return this.interpret(doc, TextExtractor.bytesToLatin1(data), formResources, depth + 1);
+    }
+
+    async loadFont(doc, resources, name) {
+        const fonts = doc.resolve(resources && resources.Font);
+        const ref = fonts && name instanceof PdfName ? fonts[name.name] : null;
+        const dict = doc.resolve(ref);
+        if (!PdfDocument.isDictionary(dict)) return null;
+        if (doc.fontCache.has(dict)) return doc.fontCache.get(dict);
+
+        const font = {
+            twoByte: PdfDocument.nameOf(dict.Subtype) === 'Type0',
+            cmap: null,
+            codeLength: 1,
+            differences: null
+        };
+
+        if (dict.ToUnicode) {
+            const data = await doc.getStreamData(doc.getEntry(dict.ToUnicode));
+            if (data) {
+                const parsed = PdfTextExtractor.parseCMap(TextExtractor.bytesToLatin1(data), font.twoByte ? 2 : 1);
+                font.cmap = parsed.map;
+                font.codeLength = parsed.codeLength;
+            }
+        }
+
+        const encoding = doc.resolve(dict.Encoding);
+        if (PdfDocument.isDictionary(encoding)) {
+            const differences = doc.resolve(encoding.Differences);
+            if (Array.isArray(differences)) {
+                font.differences = new Map();
+                let code = 0;
+                differences.forEach(item => {
+                    if (typeof item === 'number') {
+                        code = item;
+                    } else if (item instanceof PdfName) {
+                        const char = PdfTextExtractor.glyphToUnicode(item.name);
+                        if (char !== null) font.differences.set(code, char);
+                        code++;
+                    }
+                });
+            }
+        }
+
+        doc.fontCache.set(dict, font);
+        return font;
+    }
+
+    decodeString(value, font) {
+        if (!(value instanceof PdfString)) return '';
+        const bytes = value.bytes;
+
+        if (font && font.cmap) {
+            let text = '';
+            const step = font.codeLength;
+            for (let i = 0; i + step <= bytes.length; i += step) {
+                let code = 0;
+                for (let j = 0; j < step; j++) code = (code << 8) | bytes.charCodeAt(i + j);
+                const mapped = font.cmap.get(code);
+                if (mapped !== undefined) {
+                    text += mapped;
+                } else if (step === 1) {
+                    text += this.decodeSingleByte(code, font);
+                }
+            }
+            return text;
+        }
+
+        // Two-byte fonts without a ToUnicode map use glyph ids, which cannot be turned into text
+        if (font && font.twoByte) return '';
+
+        let text = '';
+        for (let i = 0; i < bytes.length; i++) {
+            text += this.decodeSingleByte(bytes.charCodeAt(i), font);
+        }
+        return text;
+    }
+
+    decodeSingleByte(code, font) {
+        if (font && font.differences && font.differences.has(code)) return font.differences.get(code);
+        if (code < 32) return code === 9 ? ' ' : '';
+        return PdfTextExtractor.windows1252.decode(new Uint8Array([code]));
+    }
+
+    static parseCMap(text, defaultLength) {
+        const map = new Map();
+        let codeLength = defaultLength;
+
+        const codespace = /begincodespacerange\s*<([0-9a-fA-F]+)>/.exec(text);
+        if (codespace) codeLength = Math.max(1, codespace[1].length / 2);
+
+        const hexToString = (hex) => {
+            let result = '';
+            for (let i = 0; i + 4 <= hex.length; i += 4) {
+                result += String.fromCharCode(parseInt(hex.substr(i, 4), 16));
+            }
+            if (hex.length === 2) result = String.fromCharCode(parseInt(hex, 16));
+            return result;
+        };
+
+        const charBlocks = /beginbfchar([\s\S]*?)endbfchar/g;
+        let block;
+        while ((block = charBlocks.exec(text))) {
+            const pair = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g;
+            let entry;
+            while ((entry = pair.exec(block[1]))) {
+                map.set(parseInt(entry[1], 16), hexToString(entry[2]));
+            }
+        }
+
+        const rangeBlocks = /beginbfrange([\s\S]*?)endbfrange/g;
+        while ((block = rangeBlocks.exec(text))) {
+            const range = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g;
+            let entry;
+            while ((entry = range.exec(block[1]))) {
+                const low = parseInt(entry[1], 16);
+                const high = Math.min(parseInt(entry[2], 16), low + 0xffff);
+                const target = entry[3];
+
+                if (target.startsWith('[')) {
+                    const items = target.match(/<([0-9a-fA-F]*)>/g) || [];
+                    items.forEach((item, i) => map.set(low + i, hexToString(item.slice(1, -1))));
+                } else {
+                    const base = hexToString(target.slice(1, -1));
+                    if (!base) continue;
+                    const prefix = base.slice(0, -1);
+                    const last = base.charCodeAt(base.length - 1);
+                    for (let code = low; code <= high; code++) {
+                        map.set(code, prefix + String.fromCharCode(last + code - low));
+                    }
+                }
+            }
+        }
+
+        return { map, codeLength };
+    }
+
+    static glyphToUnicode(name) {
+        const named = {
+            space: ' ', bullet: '•', hyphen: '-', endash: '–', emdash: '—',
+            period: '.', comma: ',', colon: ':', semicolon: ';', slash: '/', at: '@',
+            parenleft: '(', parenright: ')', ampersand: '&', plus: '+', numbersign: '#',
+            quoteright: '’', quoteleft: '‘', quotedblleft: '“', quotedblright: '”',
+            quotesingle: '\'', quotedbl: '"', underscore: '_', percent: '%', fi: 'fi', fl: 'fl',
+            zero: '0', one: '1', two: '2', three: '3', four: '4',
+            five: '5', six: '6', seven: '7', eight: '8', nine: '9'
+        };
+        if (name in named) return named[name];
+        if (/^[A-Za-z]$/.test(name)) return name;
+        const uni = /^uni([0-9A-Fa-f]{4})$/.exec(name);
+        if (uni) return String.fromCharCode(parseInt(uni[1], 16));
+        return null;
+    }
+}
+
+PdfTextExtractor.windows1252 = new TextDecoder('windows-1252');
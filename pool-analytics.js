@@ -0,0 +1,199 @@
+// ResumeAI - Pool analytics
+// Charts describing the applicant pool as a whole: scores, coverage of the required skills,
+// years of experience, the skills most often missing and the files candidates came from. Charts
+// are drawn as self-contained SVG (no external styles or fonts) so they can also be saved as
+// images. Every bar carries the results filter that shows the candidates it counts.
+
+class PoolAnalytics {
+    // chart: { id, title, type: 'columns' | 'bars', total, empty, bars: [{ label, count, filter, color }] }
+    // filter is null for bars that cannot be filtered on
+    static build(candidates, requirements, taxonomy) {
+        return [
+            PoolAnalytics.scoreDistribution(candidates),
+            PoolAnalytics.skillCoverage(candidates, requirements, taxonomy),
+            PoolAnalytics.experienceDistribution(candidates),
+            PoolAnalytics.missingSkills(candidates),
+            PoolAnalytics.sourceFiles(candidates)
+        ];
+    }
+
+    static scoreDistribution(candidates) {
+        const width = PoolAnalytics.SCORE_BUCKET;
+        const bars = [];
+        for (let min = 0; min < 100; min += width) {
+            // The last bucket also holds perfect scores
+            const max = min + width >= 100 ? 100 : min + width - 1;
+            bars.push({
+                label: `${min}-${max}`,
+                count: candidates.filter(candidate => candidate.score >= min && candidate.score <= max).length,
+                filter: { minScore: String(min), maxScore: String(max) }
+            });
+        }
+        return { id: 'scores', title: 'Score distribution', type: 'columns', total: candidates.length, empty: 'No candidates to chart.', bars };
+    }
+
+    // Counted the way the "Has skill" filter matches, so related skills count too
+    static skillCoverage(candidates, requirements, taxonomy) {
+        return {
+            id: 'coverage',
+            title: 'Required skill coverage',
+            type: 'bars',
+            total: candidates.length,
+            empty: 'The job description lists no required skills.',
+            bars: requirements.requiredSkills.map(skill => ({
+                label: skill,
+                count: candidates.filter(candidate => taxonomy.matchSkill(candidate.skills, skill)).length,
+                filter: { skill }
+            }))
+        };
+    }
+
+    // Bucket edges are whole years; each bucket runs up to, but not including, the next edge
+    static experienceDistribution(candidates) {
+        const edges = PoolAnalytics.YEAR_BUCKETS;
+        const bars = edges.map((min, i) => {
+            const next = edges[i + 1];
+            return {
+                label: next === undefined ? `${min}+` : `${min}-${next - 1}`,
+                count: candidates.filter(candidate => candidate.yearsExperience >= min && (next === undefined || candidate.yearsExperience < next)).length,
+                filter: { minYears: String(min), maxYears: '', belowYears: next === undefined ? '' : String(next) }
+            };
+        });
+        return { id: 'experience', title: 'Years of experience', type: 'columns', total: candidates.length, empty: 'No candidates to chart.', bars };
+    }
+
+    static missingSkills(candidates) {
+        const counts = new Map();
+        candidates.forEach(candidate => candidate.missingSkills.forEach(skill => {
+            counts.set(skill, (counts.get(skill) || 0) + 1);
+        }));
+        return {
+            id: 'missing',
+            title: 'Most often missing skills',
+            type: 'bars',
+            total: candidates.length,
+            empty: 'Every candidate has every required skill.',
+            bars: [...counts.entries()]
+                .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+                .slice(0, PoolAnalytics.MAX_BARS)
+                .map(([skill, count]) => ({ label: skill, count, filter: { missingSkill: skill }, color: PoolAnalytics.COLORS.missing }))
+        };
+    }
+
+    // Candidates merged from several files count for the file they were kept from
+    static sourceFiles(candidates) {
+        const counts = new Map();
+        candidates.forEach(candidate => counts.set(candidate.sourceFile, (counts.get(candidate.sourceFile) || 0) + 1));
+        const sorted = [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+        const shown = sorted.slice(0, PoolAnalytics.MAX_BARS);
+        const others = sorted.slice(PoolAnalytics.MAX_BARS);
+        const bars = shown.map(([file, count]) => ({ label: file, count, filter: { sourceFile: file } }));
+        if (others.length) {
+            bars.push({
+                label: `${others.length} other file${others.length === 1 ? '' : 's'}`,
+                count: others.reduce((sum, [, count]) => sum + count, 0),
+                filter: null,
+                color: PoolAnalytics.COLORS.muted
+            });
+        }
+        return { id: 'sources', title: 'Candidates by source file', type: 'bars', total: candidates.length, empty: 'No candidates to chart.', bars };
+    }
+
+    static toSvg(chart) {
+        return chart.type === 'columns' ? PoolAnalytics.columnSvg(chart) : PoolAnalytics.barSvg(chart);
+    }
+
+    // Vertical columns with a count above each, for distributions
+    static columnSvg(chart) {
+        const { WIDTH, TITLE_HEIGHT, COLORS } = PoolAnalytics;
+        const plot = { left: 40, right: WIDTH - 15, top: TITLE_HEIGHT + 20, bottom: TITLE_HEIGHT + 20 + PoolAnalytics.COLUMN_HEIGHT };
+        const height = plot.bottom + 30;
+        const max = Math.max(1, ...chart.bars.map(bar => bar.count));
+        const slot = (plot.right - plot.left) / chart.bars.length;
+        const y = (count) => plot.bottom - count / max * (plot.bottom - plot.top);
+        const ticks = [...new Set([0, Math.round(max / 2), max])];
+
+        const grid = ticks.map(tick => `
+            <line x1="${plot.left}" x2="${plot.right}" y1="${y(tick)}" y2="${y(tick)}" stroke="${COLORS.grid}"/>
+            <text x="${plot.left - 6}" y="${y(tick) + 4}" text-anchor="end" font-size="11" fill="${COLORS.axis}">${tick}</text>
+        `).join('');
+        const bars = chart.bars.map((bar, i) => {
+            const x = plot.left + i * slot + slot * 0.15;
+            const top = y(bar.count);
+            return PoolAnalytics.barGroup(chart, bar, i, `
+                <rect x="${x}" y="${plot.top}" width="${slot * 0.7}" height="${plot.bottom - plot.top}" fill="transparent"/>
+                <rect x="${x}" y="${top}" width="${slot * 0.7}" height="${plot.bottom - top}" rx="3" fill="${bar.color || COLORS.bar}"/>
+                ${bar.count ? `<text x="${x + slot * 0.35}" y="${top - 5}" text-anchor="middle" font-size="11" fill="${COLORS.text}">${bar.count}</text>` : ''}
+                <text x="${x + slot * 0.35}" y="${plot.bottom + 16}" text-anchor="middle" font-size="11" fill="${COLORS.axis}">${ResultExporter.escapeXml(bar.label)}</text>
+            `);
+        }).join('');
+
+        return PoolAnalytics.frame(chart, height, grid + bars);
+    }
+
+    // Horizontal bars with the count and share of the pool after each, for named categories
+    static barSvg(chart) {
+        const { WIDTH, TITLE_HEIGHT, COLORS, ROW_HEIGHT, LABEL_WIDTH } = PoolAnalytics;
+        const left = LABEL_WIDTH + 10;
+        const right = WIDTH - 90;
+        const height = TITLE_HEIGHT + 15 + chart.bars.length * ROW_HEIGHT;
+        const max = Math.max(1, ...chart.bars.map(bar => bar.count));
+
+        const bars = chart.bars.map((bar, i) => {
+            const top = TITLE_HEIGHT + 10 + i * ROW_HEIGHT;
+            const width = bar.count / max * (right - left);
+            const share = chart.total ? Math.round(bar.count / chart.total * 100) : 0;
+            return PoolAnalytics.barGroup(chart, bar, i, `
+                <rect x="0" y="${top}" width="${WIDTH}" height="${ROW_HEIGHT}" fill="transparent"/>
+                <text x="${LABEL_WIDTH}" y="${top + ROW_HEIGHT / 2 + 4}" text-anchor="end" font-size="12" fill="${COLORS.text}">${ResultExporter.escapeXml(PoolAnalytics.truncate(bar.label))}</text>
+                <rect x="${left}" y="${top + 4}" width="${Math.max(width, bar.count ? 2 : 0)}" height="${ROW_HEIGHT - 8}" rx="3" fill="${bar.color || COLORS.bar}"/>
+                <text x="${left + width + 6}" y="${top + ROW_HEIGHT / 2 + 4}" font-size="11" fill="${COLORS.axis}">${bar.count} (${share}%)</text>
+            `);
+        }).join('');
+
+        return PoolAnalytics.frame(chart, height, bars);
+    }
+
+    // White background and title, so a saved image stands on its own
+    static frame(chart, height, content) {
+        const { WIDTH, FONT, COLORS } = PoolAnalytics;
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${height}" viewBox="0 0 ${WIDTH} ${height}" font-family="${FONT}">` +
+            `<rect width="${WIDTH}" height="${height}" fill="#ffffff"/>` +
+            `<text x="10" y="22" font-size="14" font-weight="600" fill="${COLORS.text}">${ResultExporter.escapeXml(chart.title)}</text>` +
+            `<text x="${WIDTH - 10}" y="22" text-anchor="end" font-size="11" fill="${COLORS.axis}">${chart.total} candidate${chart.total === 1 ? '' : 's'}</text>` +
+            content.replace(/\n\s*/g, '') +
+            '</svg>';
+    }
+
+    // One bar with its labels and a tooltip; bars that filter are marked for the page's click handler
+    static barGroup(chart, bar, index, content) {
+        const tooltip = `${bar.label}: ${bar.count} of ${chart.total} candidates${bar.filter ? ' - click to filter' : ''}`;
+        const attributes = bar.filter ? ` class="chart-bar" data-chart="${chart.id}" data-bar="${index}" cursor="pointer"` : '';
+        return `<g${attributes}><title>${ResultExporter.escapeXml(tooltip)}</title>${content}</g>`;
+    }
+
+    static truncate(label) {
+        return label.length > PoolAnalytics.MAX_LABEL ? `${label.slice(0, PoolAnalytics.MAX_LABEL - 1)}…` : label;
+    }
+}
+
+PoolAnalytics.SCORE_BUCKET = 10;
+PoolAnalytics.YEAR_BUCKETS = [0, 2, 5, 8, 11, 16]; // Lower edges in years
+PoolAnalytics.MAX_BARS = 12;
+PoolAnalytics.MAX_LABEL = 26; // Characters before a bar label is cut short
+
+// Drawing, in SVG user units
+PoolAnalytics.WIDTH = 560;
+PoolAnalytics.TITLE_HEIGHT = 30;
+PoolAnalytics.COLUMN_HEIGHT = 180;
+PoolAnalytics.ROW_HEIGHT = 26;
+PoolAnalytics.LABEL_WIDTH = 170;
+PoolAnalytics.FONT = 'Inter, Arial, sans-serif';
+PoolAnalytics.COLORS = {
+    bar: '#667eea',
+    missing: '#fc8181',
+    muted: '#cbd5e0',
+    grid: '#edf2f7',
+    axis: '#718096',
+    text: '#2d3748'
+};
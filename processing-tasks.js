@@ -0,0 +1,79 @@
+// ResumeAI - Processing tasks
+// The CPU-heavy steps of an analysis: reading files, extracting candidate fields, rules
+// scoring and duplicate detection. They normally run inside processing-worker.js;
+// WorkerPool runs them on the page instead when workers are unavailable. Tasks and results
+// are plain data so they can be posted between threads.
+
+class ProcessingTasks {
+    constructor(customSkills = []) {
+        this.taxonomy = new SkillTaxonomy();
+        this.taxonomy.importAliases(customSkills);
+        this.textExtractor = new TextExtractor();
+        this.fieldExtractor = new ResumeFieldExtractor({ taxonomy: this.taxonomy });
+        this.resumeSplitter = new ResumeSplitter(this.fieldExtractor);
+        this.jobParser = new JobDescriptionParser(this.taxonomy);
+        this.scorer = new HeuristicScoringProvider();
+    }
+
+    run(task) {
+        switch (task.type) {
+            case 'prepare':
+                return this.prepare(task.file);
+            case 'extract':
+                return this.extract(task.resumes, task.scoring);
+            case 'score':
+                return this.score(task.candidates, task.scoring);
+            case 'duplicates':
+                return this.findDuplicates(task.candidates);
+            default:
+                throw new Error(`Unknown processing task "${task.type}"`);
+        }
+    }
+
+    // Text, lines and detected resume boundaries for one uploaded file
+    async prepare(file) {
+        const extracted = await this.textExtractor.extract(file);
+        const lines = this.resumeSplitter.toLines(extracted);
+        const boundaries = this.resumeSplitter.findBoundaries(lines);
+        return { extracted, lines, boundaries, detectedBoundaries: boundaries.slice() };
+    }
+
+    // Everything for one file in a single step, for callers that do not review how a bulk file
+    // was split (the command-line ranker and the API server)
+    async read(file) {
+        return this.readPrepared(file.name, await this.prepare(file));
+    }
+
+    // Candidates from a prepared file, split where boundaries says when that is not where it was detected
+    readPrepared(fileName, prepared, boundaries = prepared.boundaries) {
+        const segments = this.resumeSplitter.split(prepared.lines, boundaries);
+        return this.extract(ProcessingTasks.toResumes(fileName, prepared.extracted.text, segments), null).candidates;
+    }
+
+    // One resume per segment of a bulk file, or the whole text when the file holds one resume
+    static toResumes(fileName, text, segments) {
+        return segments.length > 1
+            ? segments.map((segment, i) => ({ text: segment.text, fileName: `${fileName} (resume ${i + 1} of ${segments.length})` }))
+            : [{ text, fileName }];
+    }
+
+    // resumes: [{ text, fileName }]; with scoring, each candidate is also given a rules score
+    extract(resumes, scoring) {
+        const candidates = resumes.map((resume, i) => this.fieldExtractor.extract(resume.text, resume.fileName, i));
+        return { candidates, results: scoring ? this.score(candidates, scoring) : null };
+    }
+
+    // scoring: { requirements, profile, excludedCriteria }
+    score(candidates, scoring) {
+        const context = {
+            model: new ScoringModel(scoring.profile, this.jobParser, { excludedCriteria: scoring.excludedCriteria }),
+            requirements: scoring.requirements
+        };
+        return candidates.map(candidate => this.scorer.scoreCandidate(candidate, context));
+    }
+
+    // Groups of likely duplicates as { members: [candidate indexes], reasons }
+    findDuplicates(candidates) {
+        return new DuplicateDetector().findGroupIndexes(candidates);
+    }
+}
@@ -0,0 +1,37 @@
+// ResumeAI - Processing worker
+// Runs ProcessingTasks off the main thread for WorkerPool. The first message carries the
+// custom skill aliases; every later one is a task, answered with its result or error.
+
+importScripts(
+    'text-extractor.js',
+    'pdf-parser.js',
+    'zip-reader.js',
+    'office-parser.js',
+    'skill-taxonomy.js',
+    'resume-extractor.js',
+    'resume-splitter.js',
+    'duplicate-detector.js',
+    'job-parser.js',
+    'scoring-model.js',
+    'scoring-providers.js',
+    'processing-tasks.js'
+);
+
+let tasks = new ProcessingTasks();
+
+self.onmessage = async (e) => {
+    const message = e.data;
+    if (message.type === 'setup') {
+        tasks = new ProcessingTasks(message.customSkills);
+        return;
+    }
+
+    try {
+        self.postMessage({ id: message.id, result: await tasks.run(message) });
+    } catch (error) {
+        self.postMessage({
+            id: message.id,
+            error: { name: error.name, message: error.message, code: error.code, fileName: error.fileName }
+        });
+    }
+};
@@ -0,0 +1,118 @@
+// ResumeAI - Ranking engine
+// Ranks extracted candidates for one job: provider scores, text relevance, the ranking mode
+// and knockout rules. Nothing here touches the DOM or browser storage, so the page, the
+// command-line ranker (resumeai-cli.js) and the API server (resumeai-server.js) rank the same way.
+
+class RankingEngine {
+    constructor(taxonomy = new SkillTaxonomy()) {
+        this.taxonomy = taxonomy;
+        this.jobParser = new JobDescriptionParser(taxonomy);
+        this.relevanceModel = new RelevanceModel(taxonomy);
+        this.heuristicProvider = new HeuristicScoringProvider();
+    }
+
+    // options: {
+    //   jobDescription, requirements (parsed from the description when missing), profile,
+    //   rankingMode, excludeProxies, knockoutRules, overrides (candidateKey -> knockout override),
+    //   provider (the heuristic when missing), pool, onProgress, checkCancelled
+    // }
+    async rank(candidates, options) {
+        const provider = options.provider || this.heuristicProvider;
+        const results = await provider.scoreCandidates(candidates, {
+            model: new ScoringModel(options.profile || ScoringModel.DEFAULT_PROFILES[0], this.jobParser, {
+                excludedCriteria: options.excludeProxies ? ScoringModel.PROXY_CRITERIA : []
+            }),
+            requirements: options.requirements || this.jobParser.parse(options.jobDescription),
+            jobDescription: options.jobDescription,
+            excludeProxies: Boolean(options.excludeProxies),
+            pool: options.pool || null,
+            onProgress: options.onProgress || null
+        });
+        if (options.checkCancelled) options.checkCancelled();
+        const relevance = this.relevanceModel.rank(candidates.map(candidate => candidate.rawText), options.jobDescription);
+        return this.toRankedCandidates(candidates, results, relevance, options);
+    }
+
+    // Combines provider results with relevance and orders the candidates. Relevance is null for
+    // the provisional ranking shown while files are still being read.
+    toRankedCandidates(candidates, results, relevance, options) {
+        return this.applyKnockoutRules(candidates.map((candidate, i) => {
+            const result = results[i];
+            const exactScore = relevance
+                ? RankingEngine.combineScores(result.exactScore, relevance[i].exactScore, options.rankingMode)
+                : result.exactScore;
+            return {
+                ...candidate,
+                score: Math.round(exactScore),
+                exactScore: exactScore,
+                rulesScore: result.score,
+                relevanceScore: relevance ? relevance[i].score : 0,
+                relevanceTerms: relevance ? relevance[i].topTerms : [],
+                scoreCriteria: result.criteria,
+                scoreBreakdown: result.breakdown,
+                matchedSkills: result.matchedSkills,
+                missingSkills: result.missingSkills,
+                assessment: {
+                    strengths: result.strengths,
+                    gaps: result.gaps,
+                    rationale: result.rationale,
+                    provider: result.provider,
+                    fallbackReason: result.fallbackReason || ''
+                },
+                ranking: 0 // Will be set after sorting
+            };
+        }), options.knockoutRules, options.overrides);
+    }
+
+    // Checks knockout rules and orders candidates who failed one after everyone else.
+    // An override covers the rules that failed when it was made, not rules added later.
+    applyKnockoutRules(candidates, rules = [], overrides = {}) {
+        return candidates.map(candidate => {
+            const failed = KnockoutRules.evaluate(candidate, rules, this.taxonomy);
+            const override = overrides[RankingEngine.candidateKey(candidate)];
+            return {
+                ...candidate,
+                knockout: { failed, overridden: Boolean(failed.length && override && failed.every(rule => override.ruleIds.includes(rule.id))) }
+            };
+        // Ties are broken by name and then upload order so the ranking never depends on chance
+        }).sort((a, b) => RankingEngine.isKnockedOut(a) - RankingEngine.isKnockedOut(b) ||
+            b.exactScore - a.exactScore || a.name.localeCompare(b.name) || a.id - b.id)
+        .map((candidate, index) => ({
+            ...candidate,
+            ranking: index + 1
+        }));
+    }
+
+    // The candidate as extracted, without what ranking added; for rankings made elsewhere, such as
+    // on the API server
+    static toExtracted(candidate) {
+        const { score, exactScore, rulesScore, relevanceScore, relevanceTerms, scoreCriteria, scoreBreakdown,
+            matchedSkills, missingSkills, assessment, knockout, ranking, ...extracted } = candidate;
+        return extracted;
+    }
+
+    // mode: 'rules' | 'relevance' | 'blended'
+    static combineScores(rulesScore, relevanceScore, mode = 'rules') {
+        if (mode === 'relevance') return relevanceScore;
+        if (mode === 'blended') {
+            return rulesScore * (1 - RelevanceModel.BLEND_WEIGHT) + relevanceScore * RelevanceModel.BLEND_WEIGHT;
+        }
+        return rulesScore;
+    }
+
+    // Keyed by file and name, so review state survives re-ranking
+    static candidateKey(candidate) {
+        return `${candidate.sourceFile}|${candidate.name}`;
+    }
+
+    // Candidates ranked before knockout rules existed have no knockout result and count as passing
+    static isKnockedOut(candidate) {
+        return Boolean(candidate.knockout && candidate.knockout.failed.length && !candidate.knockout.overridden);
+    }
+
+    static describeKnockout(candidate) {
+        if (!candidate.knockout || !candidate.knockout.failed.length) return candidate.knockout ? 'Met' : '';
+        const rules = candidate.knockout.failed.map(rule => rule.name).join('; ');
+        return candidate.knockout.overridden ? `Overridden: ${rules}` : `Did not meet: ${rules}`;
+    }
+}
@@ -0,0 +1,132 @@
+// ResumeAI - Lexical relevance ranking
+// Scores the full resume text against the full job description with Okapi BM25 over
+// unigrams and bigrams. It runs entirely in the browser and rewards candidates whose
+// experience descriptions match the role even when their skills section is thin.
+
+class RelevanceModel {
+    constructor(taxonomy = null) {
+        this.taxonomy = taxonomy;
+        this.k1 = 1.2;
+        this.b = 0.75;
+    }
+
+    // Returns one { score, exactScore, rawScore, topTerms } per document, in the same order.
+    // Scores are scaled so the most relevant resume in the batch gets 100.
+    rank(documents, query) {
+        const docs = documents.map(text => this.countTerms(this.terms(text)));
+        const queryTerms = this.countTerms(this.terms(query));
+        const labels = this.surfaceForms(query);
+
+        const documentFrequency = new Map();
+        docs.forEach(doc => doc.counts.forEach((count, term) => {
+            documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        }));
+
+        const total = docs.length;
+        const averageLength = docs.reduce((sum, doc) => sum + doc.length, 0) / Math.max(total, 1) || 1;
+
+        const results = docs.map(doc => {
+            let rawScore = 0;
+            const contributions = [];
+            queryTerms.counts.forEach((queryCount, term) => {
+                const tf = doc.counts.get(term);
+                if (!tf) return;
+                const df = documentFrequency.get(term) || 0;
+                const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+                const saturation = (tf * (this.k1 + 1)) / (tf + this.k1 * (1 - this.b + this.b * doc.length / averageLength));
+                // Terms the job description repeats matter more, up to a point
+                const contribution = idf * saturation * Math.min(queryCount, 3);
+                rawScore += contribution;
+                contributions.push({ term, contribution });
+            });
+
+            const topTerms = contributions
+                .sort((a, b) => b.contribution - a.contribution)
+                .slice(0, 8)
+                .map(({ term }) => labels.get(term) || term.replace(/_/g, ' '));
+            return { rawScore, topTerms };
+        });
+
+        const best = Math.max(0, ...results.map(result => result.rawScore));
+        return results.map(result => {
+            const exactScore = best > 0 ? (result.rawScore / best) * 100 : 0;
+            return { ...result, exactScore, score: Math.round(exactScore) };
+        });
+    }
+
+    // Unigrams plus bigrams of adjacent content words ("machine_learning")
+    terms(text) {
+        const tokens = this.tokenize(text);
+        const terms = tokens.slice();
+        for (let i = 1; i < tokens.length; i++) {
+            terms.push(`${tokens[i - 1]}_${tokens[i]}`);
+        }
+        return terms;
+    }
+
+    tokenize(text) {
+        return this.words(text)
+            .filter(word => !RelevanceModel.STOP_WORDS.has(word) && !/^\d+$/.test(word))
+            .map(word => this.normalizeWord(word));
+    }
+
+    words(text) {
+        return String(text).toLowerCase().match(/[a-z0-9][a-z0-9+#]*(?:\.[a-z0-9]+)*/g) || [];
+    }
+
+    // Known aliases collapse to their skill ("k8s" -> "kubernetes"); other words get a light stem
+    normalizeWord(word) {
+        if (this.taxonomy) {
+            const canonical = this.taxonomy.canonicalize(word, { fuzzy: false });
+            if (canonical) return SkillTaxonomy.compactKey(canonical);
+        }
+        return RelevanceModel.stem(word);
+    }
+
+    countTerms(terms) {
+        const counts = new Map();
+        terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+        return { counts, length: terms.length };
+    }
+
+    // Maps normalized terms back to how the job description wrote them, for display
+    surfaceForms(text) {
+        const labels = new Map();
+        const words = this.words(text).filter(word => !RelevanceModel.STOP_WORDS.has(word) && !/^\d+$/.test(word));
+        words.forEach((word, i) => {
+            const term = this.normalizeWord(word);
+            if (!labels.has(term)) labels.set(term, word);
+            if (i > 0) {
+                const bigram = `${this.normalizeWord(words[i - 1])}_${term}`;
+                if (!labels.has(bigram)) labels.set(bigram, `${words[i - 1]} ${word}`);
+            }
+        });
+        return labels;
+    }
+
+    static stem(word) {
+        if (word.length <= 4 || /[^a-z]/.test(word)) return word;
+        if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+        if (word.endsWith('ing') && word.length > 6) return word.slice(0, -3);
+        if (word.endsWith('ed') && word.length > 5) return word.slice(0, -2);
+        if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+        return word;
+    }
+}
+
+RelevanceModel.BLEND_WEIGHT = 0.5; // Share of the blended score that comes from relevance
+
+RelevanceModel.STOP_WORDS = new Set([
+    'a', 'about', 'above', 'across', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+    'be', 'been', 'being', 'both', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'each', 'etc', 'for',
+    'from', 'had', 'has', 'have', 'he', 'her', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its',
+    'just', 'may', 'me', 'more', 'most', 'must', 'my', 'no', 'not', 'of', 'on', 'one', 'or', 'other', 'our',
+    'out', 'over', 'per', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'them',
+    'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'up', 'us', 'using', 'very', 'via',
+    'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'will', 'with', 'within', 'would',
+    'you', 'your',
+    // Job-ad boilerplate that says nothing about the role
+    'ability', 'able', 'candidate', 'excellent', 'experience', 'field', 'good', 'great', 'ideal', 'join',
+    'knowledge', 'looking', 'plus', 'preferred', 'qualifications', 'related', 'required', 'requirements',
+    'responsibilities', 'skills', 'strong', 'talented', 'team', 'year', 'years'
+]);
@@ -0,0 +1,389 @@
+// ResumeAI - Result exports
+// Turns ranked candidates into CSV (RFC 4180, with a BOM so Excel reads UTF-8), XLSX, a JSON
+// session file that can be imported again, and printable reports (shortlist, comparison,
+// fairness audit and screening kits). Rows are plain objects keyed by column id, built by toRow
+// from a ranked candidate and its review state.
+
+class ResultExporter {
+    // review: { status (as shown), rejectionReason, tags, notes }; empty when nobody reviewed the candidate
+    static toRow(candidate, review = {}) {
+        return {
+            rank: candidate.ranking,
+            name: candidate.name,
+            email: candidate.email,
+            phone: candidate.phone,
+            experience: candidate.experience,
+            company: candidate.company,
+            yearsExperience: candidate.yearsExperience,
+            location: candidate.location,
+            education: candidate.education,
+            score: candidate.score,
+            rulesScore: candidate.rulesScore,
+            relevanceScore: candidate.relevanceScore,
+            matchedSkills: candidate.matchedSkills.join('; '),
+            missingSkills: candidate.missingSkills.join('; '),
+            knockout: RankingEngine.describeKnockout(candidate),
+            summary: candidate.summary,
+            rationale: candidate.assessment.rationale,
+            status: review.status || '',
+            rejectionReason: review.rejectionReason || '',
+            tags: (review.tags || []).join('; '),
+            notes: review.notes || '',
+            sourceFiles: (candidate.sourceFiles || [candidate.sourceFile]).join('; '),
+            source: candidate.ats ? candidate.ats.source : '',
+            appliedAt: candidate.ats ? candidate.ats.appliedAt : ''
+        };
+    }
+
+    static toCSV(columns, rows) {
+        const lines = [
+            columns.map(column => column.label),
+            ...rows.map(row => columns.map(column => row[column.id]))
+        ];
+        return '\uFEFF' + lines.map(line => line.map(ResultExporter.csvField).join(',')).join('\r\n') + '\r\n';
+    }
+
+    // Quotes only where needed and doubles embedded quotes. Text that a spreadsheet would run as
+    // a formula gets a leading apostrophe.
+    static csvField(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (ResultExporter.isFormulaLike(value)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Resume text is untrusted: "=HYPERLINK(...)" in a name must stay text when the export is opened.
+    // Numbers and phone numbers such as "+49 30 1234567" cannot run anything and are left alone.
+    static isFormulaLike(value) {
+        return typeof value === 'string' && ResultExporter.FORMULA_START.test(value) && !ResultExporter.PLAIN_NUMBER.test(value);
+    }
+
+    // A single-sheet workbook with a bold, frozen header row. Strings are stored inline so
+    // no shared-string table is needed; formula-like ones use Excel's leading apostrophe style.
+    static toXLSX(columns, rows, sheetName = 'Candidates') {
+        const cell = (value, columnIndex, rowIndex, style) => {
+            const ref = `${ResultExporter.columnName(columnIndex)}${rowIndex + 1}`;
+            let styleAttr = style ? ` s="${style}"` : '';
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+            }
+            const text = value === null || value === undefined ? '' : String(value);
+            if (!style && ResultExporter.isFormulaLike(value)) styleAttr = ' s="2"';
+            return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${ResultExporter.escapeXml(text)}</t></is></c>`;
+        };
+
+        const sheetRows = [
+            `<row r="1">${columns.map((column, i) => cell(column.label, i, 0, 1)).join('')}</row>`,
+            ...rows.map((row, r) => `<row r="${r + 2}">${columns.map((column, i) => cell(row[column.id], i, r + 1)).join('')}</row>`)
+        ];
+        const widths = columns.map((column, i) => {
+            const longest = rows.reduce((max, row) => Math.max(max, ResultExporter.csvField(row[column.id]).length), column.label.length);
+            return `<col min="${i + 1}" max="${i + 1}" width="${Math.min(Math.max(longest + 2, 8), 60)}" customWidth="1"/>`;
+        });
+
+        const zip = new ZipWriter();
+        zip.addFile('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            '</Types>');
+        zip.addFile('_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>');
+        zip.addFile('xl/workbook.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            `<sheets><sheet name="${ResultExporter.escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+            '</workbook>');
+        zip.addFile('xl/_rels/workbook.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+            '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+            '</Relationships>');
+        zip.addFile('xl/styles.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" quotePrefix="1"/></cellXfs>' +
+            '</styleSheet>');
+        zip.addFile('xl/worksheets/sheet1.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+            `<cols>${widths.join('')}</cols>` +
+            `<sheetData>${sheetRows.join('')}</sheetData>` +
+            '</worksheet>');
+        return zip.toBytes();
+    }
+
+    static toJSON(session) {
+        return JSON.stringify({
+            format: ResultExporter.JSON_FORMAT,
+            version: ResultExporter.JSON_VERSION,
+            exportedAt: new Date().toISOString(),
+            session
+        }, null, 2);
+    }
+
+    // Returns the session record from an exported file, or throws with a reason the user can act on
+    static parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON.');
+        }
+        if (!data || data.format !== ResultExporter.JSON_FORMAT || !data.session) {
+            throw new Error('The file is not a ResumeAI export.');
+        }
+        if (data.version > ResultExporter.JSON_VERSION) {
+            throw new Error('The file was exported by a newer version of ResumeAI.');
+        }
+        const session = data.session;
+        if (!Array.isArray(session.requisitions) || !Array.isArray(session.extractedCandidates)) {
+            throw new Error('The export is missing its roles or candidates.');
+        }
+        // Files are optional; without them the results open with no resumes attached
+        if (session.files === undefined) session.files = [];
+        if (!Array.isArray(session.files)) {
+            throw new Error('The export lists its files in an unexpected form.');
+        }
+        return session;
+    }
+
+    // report: { title, requirements, generatedAt, entries: [{ candidate, status, notes }] }
+    static toReport(report) {
+        const escape = ResultExporter.escapeXml;
+        const requirements = report.requirements;
+        const list = (items) => items.length ? items.map(escape).join(', ') : 'None listed';
+        const points = (value) => (Math.round(value * 10) / 10).toString();
+
+        const candidates = report.entries.map(({ candidate, status, notes }) => `
+            <section class="candidate">
+                <h2>#${candidate.ranking} ${escape(candidate.name)} <span class="score">${candidate.score}%</span></h2>
+                <p class="meta">
+                    ${[candidate.experience, candidate.company, `${candidate.yearsExperience} years`, candidate.location, candidate.email]
+                        .filter(Boolean).map(escape).join(' &middot; ')}
+                </p>
+                <p class="meta">Status: ${escape(status)}</p>
+                <table>
+                    <thead><tr><th>Criterion</th><th>Points</th><th>Details</th></tr></thead>
+                    <tbody>
+                        ${candidate.scoreBreakdown.filter(row => row.applies).map(row => `
+                            <tr>
+                                <td>${escape(row.label)}</td>
+                                <td class="points">${points(row.earned)} / ${points(row.possible)}</td>
+                                <td>${row.details.map(escape).join('; ')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${candidate.missingSkills.length ? `<p class="gaps">Missing required: ${list(candidate.missingSkills)}</p>` : ''}
+                <p>${escape(candidate.assessment.rationale)}</p>
+                ${notes ? `<p class="notes"><strong>Notes:</strong> ${escape(notes)}</p>` : ''}
+            </section>
+        `).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escape(report.title)} - Shortlist</title>
+<style>${ResultExporter.REPORT_STYLES}</style>
+</head>
+<body>
+<h1>${escape(report.title)} &mdash; Shortlist</h1>
+<p class="generated">Generated ${escape(report.generatedAt.toLocaleString())} &middot; top ${report.entries.length} candidates</p>
+<div class="job">
+    <p><strong>Required skills:</strong> ${list(requirements.requiredSkills)}</p>
+    <p><strong>Preferred skills:</strong> ${list(requirements.preferredSkills)}</p>
+    <p><strong>Experience:</strong> ${requirements.minYears === null ? 'Not stated' : `${requirements.minYears}+ years`}
+        &middot; <strong>Degree:</strong> ${escape(requirements.degreeLevel || 'Not stated')}
+        &middot; <strong>Location:</strong> ${escape(requirements.location || 'Not stated')}</p>
+</div>
+${candidates}
+</body>
+</html>`;
+    }
+
+    // comparison: { title, generatedAt, names: [string], rows: [{ label, values: [string], best: [bool] }] }
+    static toComparisonReport(comparison) {
+        const escape = ResultExporter.escapeXml;
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escape(comparison.title)} - Candidate Comparison</title>
+<style>${ResultExporter.REPORT_STYLES}</style>
+</head>
+<body>
+<h1>${escape(comparison.title)} &mdash; Candidate Comparison</h1>
+<p class="generated">Generated ${escape(comparison.generatedAt.toLocaleString())} &middot; strongest value per row highlighted</p>
+<table class="comparison">
+    <thead><tr><th></th>${comparison.names.map(name => `<th>${escape(name)}</th>`).join('')}</tr></thead>
+    <tbody>
+        ${comparison.rows.map(row => `
+            <tr>
+                <th>${escape(row.label)}</th>
+                ${row.values.map((value, i) => `<td class="${row.best[i] ? 'best' : ''}">${escape(value).replace(/\n/g, '<br>')}</td>`).join('')}
+            </tr>
+        `).join('')}
+    </tbody>
+</table>
+</body>
+</html>`;
+    }
+
+    // kits: { title, generatedAt, entries: [{ candidate, kit }] } with kits from ScreeningKit.build.
+    // Each candidate starts on a new page and every question leaves room for notes.
+    static toScreeningKitReport(kits) {
+        const escape = ResultExporter.escapeXml;
+        const entries = kits.entries.map(({ candidate, kit }) => `
+            <section class="kit">
+                <h2>${escape(candidate.name)} <span class="score">#${candidate.ranking} &middot; ${candidate.score}%</span></h2>
+                <p class="meta">
+                    ${[candidate.experience, candidate.company, candidate.location, candidate.phone]
+                        .filter(Boolean).map(escape).join(' &middot; ')}
+                </p>
+                <p class="meta ${kit.experience.concern ? 'gaps' : ''}">${escape(kit.experience.text)} &middot; questions for a ${escape(kit.levelLabel.toLowerCase())} role</p>
+                ${kit.sections.filter(section => section.questions.length).map(section => `
+                    <h3>${escape(section.title)}</h3>
+                    <ol>
+                        ${section.questions.map(question => `
+                            <li class="question">
+                                ${question.skill ? `<span class="skill">${escape(question.skill)}</span> ` : ''}${escape(question.text)}
+                                <div class="answer"></div>
+                            </li>
+                        `).join('')}
+                    </ol>
+                `).join('')}
+                <p class="meta">Screened by ____________________ on ____________ &middot; Recommendation: Advance / Hold / Decline</p>
+            </section>
+        `).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escape(kits.title)} - Screening Kit</title>
+<style>${ResultExporter.REPORT_STYLES}</style>
+</head>
+<body>
+<h1>${escape(kits.title)} &mdash; Screening Kit</h1>
+<p class="generated">Generated ${escape(kits.generatedAt.toLocaleString())} &middot; ${kits.entries.length} candidate${kits.entries.length === 1 ? '' : 's'}</p>
+${entries}
+</body>
+</html>`;
+    }
+
+    // audit: { title, generatedAt, settings: [string], notes: [string], headers: [string], rows: [[string]] }
+    static toAuditReport(audit) {
+        const escape = ResultExporter.escapeXml;
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escape(audit.title)} - Fairness Audit</title>
+<style>${ResultExporter.REPORT_STYLES}</style>
+</head>
+<body>
+<h1>${escape(audit.title)} &mdash; Fairness Audit</h1>
+<p class="generated">Generated ${escape(audit.generatedAt.toLocaleString())}</p>
+<div class="job">
+    ${audit.settings.map(setting => `<p>${escape(setting)}</p>`).join('')}
+    ${audit.notes.map(note => `<p class="gaps">${escape(note)}</p>`).join('')}
+</div>
+<p>Each factor was left out in turn and the pool re-ranked with the remaining weights. Shifts are measured against the ranking with every factor counted.</p>
+<table class="comparison">
+    <thead><tr>${audit.headers.map(header => `<th>${escape(header)}</th>`).join('')}</tr></thead>
+    <tbody>
+        ${audit.rows.map(row => `<tr>${row.map(cell => `<td>${escape(cell).replace(/\n/g, '<br>')}</td>`).join('')}</tr>`).join('')}
+    </tbody>
+</table>
+</body>
+</html>`;
+    }
+
+    // 0 -> A, 25 -> Z, 26 -> AA
+    static columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + (n - 1) % 26) + name;
+        }
+        return name;
+    }
+
+    // Also drops control characters, which are not allowed in XML
+    static escapeXml(value) {
+        return String(value)
+            .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+ResultExporter.REPORT_STYLES = `
+    body { font-family: Inter, Arial, sans-serif; color: #333; margin: 30px; font-size: 12px; }
+    h1 { font-size: 20px; margin-bottom: 4px; }
+    h2 { font-size: 15px; margin: 0 0 4px; }
+    .generated, .meta { color: #666; margin: 2px 0; }
+    .job { background: #f7fafc; border-radius: 8px; padding: 12px 16px; margin: 16px 0 24px; }
+    .job p { margin: 4px 0; }
+    .candidate { border-top: 1px solid #e2e8f0; padding: 14px 0; page-break-inside: avoid; }
+    .score { float: right; color: #234e52; }
+    table { width: 100%; border-collapse: collapse; margin: 8px 0; }
+    th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #edf2f7; vertical-align: top; }
+    th { color: #4a5568; }
+    .points { white-space: nowrap; }
+    .gaps { color: #c53030; }
+    .notes { background: #fffbea; padding: 6px 8px; border-radius: 6px; }
+    .comparison { margin-top: 16px; }
+    .comparison td, .comparison th { padding: 6px 8px; border: 1px solid #e2e8f0; }
+    .comparison .best { background: #c6f6d5; font-weight: 600; }
+    .kit { page-break-after: always; padding-top: 14px; }
+    .kit:last-child { page-break-after: auto; }
+    h3 { font-size: 13px; margin: 14px 0 4px; color: #4a5568; }
+    .question { margin: 6px 0 4px; }
+    .question .skill { background: #edf2f7; border-radius: 4px; padding: 1px 6px; font-size: 11px; }
+    .answer { border-bottom: 1px solid #cbd5e0; height: 36px; }
+`;
+
+ResultExporter.JSON_FORMAT = 'resumeai-session';
+ResultExporter.JSON_VERSION = 1;
+ResultExporter.FORMULA_START = /^[=+\-@\t\r]/; // What spreadsheets read as the start of a formula
+ResultExporter.PLAIN_NUMBER = /^\+?[\d\s().-]+$/;
+
+// Everything a row can hold; `selected` marks the columns ticked by default
+ResultExporter.COLUMNS = [
+    { id: 'rank', label: 'Rank', selected: true },
+    { id: 'name', label: 'Name', selected: true },
+    { id: 'email', label: 'Email', selected: true },
+    { id: 'phone', label: 'Phone', selected: true },
+    { id: 'experience', label: 'Current Role', selected: true },
+    { id: 'company', label: 'Company', selected: true },
+    { id: 'yearsExperience', label: 'Years Exp', selected: true },
+    { id: 'location', label: 'Location', selected: true },
+    { id: 'education', label: 'Education', selected: false },
+    { id: 'score', label: 'Score', selected: true },
+    { id: 'rulesScore', label: 'Rules Score', selected: false },
+    { id: 'relevanceScore', label: 'Relevance Score', selected: false },
+    { id: 'matchedSkills', label: 'Matched Skills', selected: true },
+    { id: 'missingSkills', label: 'Missing Skills', selected: false },
+    { id: 'knockout', label: 'Knockout Rules', selected: true },
+    { id: 'summary', label: 'Summary', selected: true },
+    { id: 'rationale', label: 'Rationale', selected: false },
+    { id: 'status', label: 'Status', selected: true },
+    { id: 'rejectionReason', label: 'Rejection Reason', selected: true },
+    { id: 'tags', label: 'Tags', selected: true },
+    { id: 'notes', label: 'Notes', selected: true },
+    { id: 'sourceFiles', label: 'Source Files', selected: true },
+    { id: 'source', label: 'Source', selected: false },
+    { id: 'appliedAt', label: 'Applied', selected: false }
+];
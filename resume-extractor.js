@@ -0,0 +1,383 @@
+// ResumeAI - Structured resume field extraction
+// Builds the candidate profile used for ranking from plain resume text. Every field carries a
+// confidence between 0 and 1 so weak guesses can be flagged for the reviewer.
+
+class ResumeFieldExtractor {
+    constructor(options = {}) {
+        this.now = options.now || new Date();
+        this.taxonomy = options.taxonomy || new SkillTaxonomy();
+    }
+
+    extract(text, fileName, index) {
+        const lines = text.split('\n').map(line => line.trim());
+        const sections = this.findSections(lines);
+        const header = lines.slice(0, sections.length ? sections[0].start : Math.min(lines.length, 8)).filter(Boolean);
+
+        const email = this.extractEmail(text);
+        const phone = this.extractPhone(text);
+        const name = this.extractName(header.length ? header : lines.filter(Boolean).slice(0, 5), email, fileName);
+        const location = this.extractLocation(header, text);
+
+        const experienceLines = this.getSectionLines(lines, sections, 'experience');
+        const educationLines = this.getSectionLines(lines, sections, 'education');
+        const positions = this.extractPositions(experienceLines || this.excludeSection(lines, sections, 'education'));
+        const years = this.computeYearsExperience(positions, text);
+        const education = this.extractEducation(educationLines || lines, !educationLines);
+        const skills = this.extractSkills(this.getSectionLines(lines, sections, 'skills'), text);
+
+        const current = positions[0] || null;
+        const summaryLines = this.getSectionLines(lines, sections, 'summary');
+        const title = current && current.title ? current.title : '';
+
+        const confidence = {
+            name: name.confidence,
+            email: email ? 1 : 0,
+            phone: phone ? 0.9 : 0,
+            location: location.confidence,
+            experience: current && current.title ? current.confidence : 0,
+            company: current && current.company ? current.confidence : 0,
+            yearsExperience: years.confidence,
+            education: education.length ? education[0].confidence : 0,
+            skills: skills.confidence
+        };
+
+        return {
+            id: index + 1,
+            name: name.value,
+            email: email,
+            phone: phone,
+            experience: title,
+            company: current ? current.company : '',
+            yearsExperience: years.value,
+            skills: skills.value,
+            education: education.length ? this.formatEducation(education[0]) : '',
+            educationLevel: education.length ? education[0].level : '',
+            educationHistory: education,
+            location: location.value,
+            positions: positions,
+            sections: sections.map(section => section.type),
+            confidence: confidence,
+            fileName: fileName,
+            rawText: text,
+            summary: this.buildSummary(summaryLines, title, current, years.value, skills.value)
+        };
+    }
+
+    // Section headings are short lines that match a known heading, optionally followed by a colon
+    findSections(lines) {
+        const sections = [];
+        lines.forEach((line, i) => {
+            if (!line || line.length > 40) return;
+            const normalized = line.toLowerCase().replace(/[:\s]+$/, '').replace(/[^a-z& ]/g, '').trim();
+            for (const [type, headings] of Object.entries(ResumeFieldExtractor.SECTION_HEADINGS)) {
+                if (headings.includes(normalized)) {
+                    if (sections.length) sections[sections.length - 1].end = i;
+                    sections.push({ type, start: i, end: lines.length });
+                    break;
+                }
+            }
+        });
+        return sections;
+    }
+
+    getSectionLines(lines, sections, type) {
+        const matches = sections.filter(section => section.type === type);
+        if (!matches.length) return null;
+        return matches.reduce((all, section) => all.concat(lines.slice(section.start + 1, section.end)), []);
+    }
+
+    excludeSection(lines, sections, type) {
+        return lines.filter((line, i) => !sections.some(section => section.type === type && i >= section.start && i < section.end));
+    }
+
+    extractEmail(text) {
+        const match = text.match(/[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/);
+        return match ? match[0].toLowerCase() : '';
+    }
+
+    extractPhone(text) {
+        const pattern = /(\+?\d{1,3}[\s.-]?)?(\(\d{2,4}\)|\d{2,5})[\s.-]?\d{3,4}[\s.-]?\d{3,4}/g;
+        let match;
+        while ((match = pattern.exec(text))) {
+            const digits = match[0].replace(/\D/g, '');
+            // Skip date ranges such as "2015-2019" that look like digit runs
+            if (digits.length >= 10 && digits.length <= 15 && !/^(19|20)\d{2}[\s.-]+(19|20)\d{2}$/.test(match[0])) {
+                return match[0].trim();
+            }
+        }
+        return '';
+    }
+
+    extractName(header, email, fileName) {
+        for (const rawLine of header) {
+            const line = rawLine.split(/\s[|•·]\s|\t/)[0].trim();
+            if (!line || /[@\d]/.test(line) || line.length > 40) continue;
+            if (this.looksLikeTitle(line)) continue;
+
+            const words = line.split(/\s+/);
+            const isName = words.length >= 2 && words.length <= 4 &&
+                words.every(word => /^[A-Z][A-Za-z'’.-]*$|^[A-Z]\.?$/.test(word) || /^[A-Z'’.-]+$/.test(word));
+            if (isName) {
+                const value = line === line.toUpperCase() ? this.toTitleCase(line) : line;
+                return { value, confidence: 0.9 };
+            }
+        }
+
+        if (header[0] && !/[@\d]/.test(header[0]) && header[0].length <= 40) {
+            return { value: header[0], confidence: 0.5 };
+        }
+        if (email) {
+            const local = email.split('@')[0].split(/[._-]/).filter(part => /^[a-z]{2,}$/.test(part));
+            if (local.length >= 2) return { value: this.toTitleCase(local.join(' ')), confidence: 0.35 };
+        }
+        return { value: fileName.replace(/\.[^.]+$/, ''), confidence: 0.1 };
+    }
+
+    extractLocation(header, text) {
+        const labeled = text.match(/^(?:location|address|based in)\s*[:-]\s*(.+)$/im);
+        if (labeled) return { value: labeled[1].trim().slice(0, 60), confidence: 0.9 };
+
+        const states = ResumeFieldExtractor.US_STATES;
+        const countries = ResumeFieldExtractor.COUNTRIES;
+        for (const line of header) {
+            for (const part of line.split(/\s*[|•·]\s*/)) {
+                const match = /([A-Z][A-Za-z.'-]+(?:\s[A-Z][A-Za-z.'-]+){0,3}),\s*([A-Z]{2}|[A-Z][A-Za-z]+(?:\s[A-Z][A-Za-z]+)*)\b/.exec(part);
+                if (!match || part.includes('@')) continue;
+                if (states.includes(match[2])) return { value: `${match[1]}, ${match[2]}`, confidence: 0.8 };
+                if (countries.includes(match[2].toLowerCase())) return { value: `${match[1]}, ${match[2]}`, confidence: 0.7 };
+            }
+        }
+
+        if (/\bremote\b/i.test(header.join(' '))) return { value: 'Remote', confidence: 0.5 };
+        return { value: '', confidence: 0 };
+    }
+
+    extractPositions(lines) {
+        const positions = [];
+        const range = ResumeFieldExtractor.DATE_RANGE;
+
+        lines.forEach((line, i) => {
+            range.lastIndex = 0;
+            const match = range.exec(line);
+            if (!match) return;
+
+            const start = this.parseDate(match[1]);
+            const end = /present|current|now|today/i.test(match[2]) ? this.monthIndex(this.now) : this.parseDate(match[2], true);
+            if (start === null || end === null || end < start) return;
+
+            // Title and company are on the dated line or the lines just above it
+            const rest = (line.slice(0, match.index) + ' ' + line.slice(match.index + match[0].length))
+                .replace(/[()[\]]/g, ' ').replace(/\s+/g, ' ').trim();
+            const context = [rest, lines[i - 1] || '', lines[i - 2] || '']
+                .filter(text => text && !ResumeFieldExtractor.DATE_RANGE_TEST.test(text) && text.length < 100);
+
+            const parts = [];
+            context.forEach(text => {
+                text.split(/\s+(?:at|@|\||–|—|-)\s+|,\s+|\t/).forEach(part => {
+                    const cleaned = part.replace(/^[•*\-–\s]+|[•*\-–,\s]+$/g, '');
+                    if (cleaned && !/\d{4}/.test(cleaned)) parts.push(cleaned);
+                });
+            });
+
+            const title = parts.find(part => this.looksLikeTitle(part)) || '';
+            const company = parts.find(part => part !== title && !this.looksLikeLocation(part)) || '';
+            positions.push({
+                title,
+                company,
+                start,
+                end,
+                current: /present|current|now|today/i.test(match[2]),
+                dateText: match[0],
+                confidence: title && company ? 0.85 : title || company ? 0.6 : 0.3
+            });
+        });
+
+        // Most recent first
+        return positions.sort((a, b) => b.end - a.end || b.start - a.start);
+    }
+
+    computeYearsExperience(positions, text) {
+        if (positions.length) {
+            // Merge overlapping intervals so concurrent jobs are not double counted
+            const intervals = positions.map(p => [p.start, p.end]).sort((a, b) => a[0] - b[0]);
+            const merged = [intervals[0].slice()];
+            intervals.slice(1).forEach(([start, end]) => {
+                const last = merged[merged.length - 1];
+                if (start <= last[1]) {
+                    last[1] = Math.max(last[1], end);
+                } else {
+                    merged.push([start, end]);
+                }
+            });
+
+            const months = merged.reduce((total, [start, end]) => total + (end - start), 0);
+            const confidence = positions.length >= 2 ? 0.85 : 0.7;
+            return { value: Math.round(months / 12 * 10) / 10, confidence };
+        }
+
+        // No dated positions: fall back to a stated total such as "7+ years of experience"
+        const stated = text.match(/(\d{1,2})\+?\s*(?:years?|yrs?)\s+(?:of\s+)?(?:professional\s+|industry\s+|work\s+)?experience/i);
+        if (stated) return { value: parseInt(stated[1], 10), confidence: 0.5 };
+        return { value: 0, confidence: 0.1 };
+    }
+
+    // Without an education section, degree abbreviations like "MS" or "BA" are only trusted
+    // when an institution is named nearby
+    extractEducation(lines, requireInstitution = false) {
+        const entries = [];
+        const degreePatterns = ResumeFieldExtractor.DEGREE_PATTERNS;
+        const institutionPattern = /\b(University|College|Institute|School|Academy|Polytechnic|Universit[éäa])\b/i;
+
+        lines.forEach((line, i) => {
+            const degree = degreePatterns.find(pattern => pattern.regex.test(line));
+            if (!degree) return;
+
+            const nearby = [line, lines[i + 1] || '', lines[i - 1] || ''];
+            const institutionLine = nearby.find(text => institutionPattern.test(text)) || '';
+            const institution = institutionLine
+                .split(/\s*[,|–—(]\s*|\s+-\s+/)
+                .find(part => institutionPattern.test(part)) || '';
+            if (requireInstitution && !institution) return;
+            const rest = line.replace(degree.regex, '');
+            const fieldMatch = /\bin\s+([A-Z][A-Za-z&]+(?:\s+(?:and\s+|&\s+)?[A-Z][A-Za-z&]+){0,4})/.exec(rest) ||
+                /\bof\s+([A-Z][A-Za-z&]+(?:\s+(?:and\s+|&\s+)?[A-Z][A-Za-z&]+){0,4})/.exec(rest);
+            const yearLine = nearby.find(text => /\b(19[5-9]\d|20\d{2})\b/.test(text));
+            const years = yearLine ? yearLine.match(/\b(19[5-9]\d|20\d{2})\b/g) : null;
+
+            entries.push({
+                degree: degree.label,
+                level: degree.level,
+                field: fieldMatch ? fieldMatch[1].trim() : '',
+                institution: institution.replace(/\s*\b(19|20)\d{2}\b.*$/, '').trim(),
+                year: years ? parseInt(years[years.length - 1], 10) : null,
+                confidence: institution ? 0.85 : 0.6
+            });
+        });
+
+        const rank = { phd: 4, master: 3, bachelor: 2, associate: 1, highschool: 0 };
+        return entries.sort((a, b) => rank[b.level] - rank[a.level]);
+    }
+
+    formatEducation(entry) {
+        let text = entry.degree;
+        if (entry.field) text += ` in ${entry.field}`;
+        if (entry.institution) text += `, ${entry.institution}`;
+        if (entry.year) text += ` (${entry.year})`;
+        return text;
+    }
+
+    extractSkills(sectionLines, text) {
+        const skills = [];
+        const add = (skill) => {
+            if (!skills.some(existing => existing.toLowerCase() === skill.toLowerCase())) skills.push(skill);
+        };
+
+        if (sectionLines) {
+            sectionLines.forEach(line => {
+                // "Languages: Python, Go" - drop the category label
+                line.replace(/^[^:]{1,30}:\s*/, '')
+                    .split(/\s*[,;|•·/]\s*|\s{2,}|\t/)
+                    .map(item => item.replace(/^[-*–\s]+|[.\s]+$/g, ''))
+                    .filter(item => item && item.length <= 30 && item.split(/\s+/).length <= 4 && !/^\d+$/.test(item))
+                    .forEach(item => add(this.taxonomy.canonicalName(item)));
+            });
+        }
+
+        // Skills named after everyday words ("Swift", "Excel") only count from the skills section
+        if (sectionLines) this.taxonomy.findSkills(sectionLines.join('\n'), { listed: true }).forEach(add);
+        this.taxonomy.findSkills(text, { ordinaryWords: false }).forEach(add);
+
+        return { value: skills, confidence: sectionLines ? 0.9 : skills.length ? 0.6 : 0.2 };
+    }
+
+    buildSummary(summaryLines, title, current, years, skills) {
+        const written = summaryLines ? summaryLines.filter(Boolean).join(' ') : '';
+        if (written) return written.length > 300 ? written.slice(0, 297) + '...' : written;
+
+        const parts = [];
+        parts.push(title ? `${title}` : 'Candidate');
+        if (years) parts.push(`with ${years} years of experience`);
+        if (current && current.company) parts.push(`, most recently at ${current.company}`);
+        let summary = parts.join(' ').replace(' ,', ',') + '.';
+        if (skills.length) summary += ` Skills include ${skills.slice(0, 5).join(', ')}.`;
+        return summary;
+    }
+
+    looksLikeTitle(text) {
+        return ResumeFieldExtractor.TITLE_WORDS.test(text) && text.split(/\s+/).length <= 8;
+    }
+
+    looksLikeLocation(text) {
+        const match = /,\s*([A-Z]{2}|[A-Z][a-z]+)$/.exec(text);
+        return Boolean(match && (ResumeFieldExtractor.US_STATES.includes(match[1]) ||
+            ResumeFieldExtractor.COUNTRIES.includes(match[1].toLowerCase()))) || /^remote$/i.test(text);
+    }
+
+    toTitleCase(text) {
+        return text.toLowerCase().replace(/(^|[\s'’-])([a-z])/g, (_, sep, ch) => sep + ch.toUpperCase());
+    }
+
+    monthIndex(date) {
+        return date.getFullYear() * 12 + date.getMonth();
+    }
+
+    // Returns a month index (year * 12 + month) for "Jan 2018", "01/2018", "2018-01" or "2018"
+    parseDate(text, isEnd = false) {
+        const value = text.trim().toLowerCase();
+        let match = /^([a-z]{3,})\.?\s*'?(\d{4}|\d{2})$/.exec(value);
+        if (match) {
+            const month = ResumeFieldExtractor.MONTHS.findIndex(name => match[1].startsWith(name));
+            if (month === -1) return null;
+            return this.normalizeYear(match[2]) * 12 + month;
+        }
+        match = /^(\d{1,2})[/.](\d{4})$/.exec(value) || /^(\d{4})-(\d{1,2})$/.exec(value);
+        if (match) {
+            const [year, month] = match[1].length === 4 ? [match[1], match[2]] : [match[2], match[1]];
+            return parseInt(year, 10) * 12 + Math.min(11, Math.max(0, parseInt(month, 10) - 1));
+        }
+        match = /^(\d{4})$/.exec(value);
+        if (match) return parseInt(match[1], 10) * 12 + (isEnd ? 11 : 0);
+        return null;
+    }
+
+    normalizeYear(year) {
+        if (year.length === 4) return parseInt(year, 10);
+        const short = parseInt(year, 10);
+        return short + (short > (this.now.getFullYear() % 100) + 1 ? 1900 : 2000);
+    }
+}
+
+ResumeFieldExtractor.MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Only real month names, so a word before a year ("Initech 2012") is not read as a date
+ResumeFieldExtractor.MONTH_NAME = '\\b(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+ResumeFieldExtractor.DATE = `(?:${ResumeFieldExtractor.MONTH_NAME}\\.?\\s*'?\\d{2,4}|\\d{1,2}[/.]\\d{4}|\\d{4}-\\d{1,2}|\\d{4})`;
+ResumeFieldExtractor.DATE_RANGE = new RegExp(
+    `(${ResumeFieldExtractor.DATE})\\s*(?:-|–|—|to|until|till)\\s*(${ResumeFieldExtractor.DATE}|present|current|now|today)`, 'gi'
+);
+ResumeFieldExtractor.DATE_RANGE_TEST = new RegExp(ResumeFieldExtractor.DATE_RANGE.source, 'i');
+
+ResumeFieldExtractor.SECTION_HEADINGS = {
+    summary: ['summary', 'professional summary', 'profile', 'professional profile', 'about me', 'objective', 'career objective', 'career summary'],
+    experience: ['experience', 'work experience', 'professional experience', 'employment', 'employment history', 'work history', 'career history', 'relevant experience'],
+    education: ['education', 'academic background', 'education & training', 'education and training', 'academic qualifications', 'qualifications'],
+    skills: ['skills', 'technical skills', 'core skills', 'key skills', 'skills & abilities', 'core competencies', 'competencies', 'technologies', 'tools & technologies', 'areas of expertise', 'expertise'],
+    projects: ['projects', 'personal projects', 'key projects'],
+    certifications: ['certifications', 'certificates', 'licenses & certifications', 'licenses and certifications'],
+    languages: ['languages'],
+    other: ['awards', 'honors', 'publications', 'interests', 'hobbies', 'references', 'volunteer', 'volunteering', 'activities']
+};
+
+ResumeFieldExtractor.DEGREE_PATTERNS = [
+    { level: 'phd', label: 'PhD', regex: /\b(Ph\.?\s?D|Doctor of|Doctorate|D\.Phil)\b/i },
+    { level: 'master', label: 'Master\'s Degree', regex: /\b(Master(?:'s|s)?|M\.?S\.?c?|M\.A\.|MBA|M\.?Eng|M\.?Tech|MCA)\b(?!\w)/ },
+    { level: 'bachelor', label: 'Bachelor\'s Degree', regex: /\b(Bachelor(?:'s|s)?|B\.?S\.?c?|B\.A\.|BA|B\.?Eng|B\.?Tech|B\.E\.|BBA|BCA)\b(?!\w)/ },
+    { level: 'associate', label: 'Associate Degree', regex: /\bAssociate(?:'s)?\s+(?:Degree|of)\b/i },
+    { level: 'highschool', label: 'High School Diploma', regex: /\b(High School|Secondary School|GED)\b/i }
+];
+
+ResumeFieldExtractor.TITLE_WORDS = /\b(engineer|developer|programmer|manager|analyst|designer|intern|lead|director|consultant|specialist|scientist|architect|administrator|coordinator|officer|representative|associate|assistant|head|vp|vice president|president|founder|co-founder|executive|recruiter|accountant|writer|editor|technician|supervisor|strategist|marketer|researcher|teacher|instructor|owner|partner|advisor|agent)\b/i;
+
+ResumeFieldExtractor.US_STATES = ['AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY'];
+
+ResumeFieldExtractor.COUNTRIES = ['usa', 'united states', 'uk', 'united kingdom', 'england', 'canada', 'india', 'germany', 'france', 'spain', 'italy', 'netherlands', 'ireland', 'australia', 'new zealand', 'singapore', 'japan', 'china', 'brazil', 'mexico', 'poland', 'sweden', 'switzerland', 'israel', 'uae', 'south africa', 'nigeria', 'kenya', 'philippines', 'portugal'];
@@ -0,0 +1,124 @@
+// ResumeAI - Bulk file segmentation
+// Finds where one resume ends and the next begins inside a combined document. Each resume has
+// its own contact block, usually under a name header and often at the top of a new page, so
+// those are the signals used to place split points.
+
+class ResumeSplitter {
+    constructor(fieldExtractor = new ResumeFieldExtractor()) {
+        this.fieldExtractor = fieldExtractor;
+    }
+
+    // Flattens pages into non-empty lines, remembering which lines start a page
+    toLines(extracted) {
+        const lines = [];
+        extracted.pages.forEach((page, pageIndex) => {
+            page.split('\n').map(line => line.trim()).filter(Boolean).forEach((text, i) => {
+                lines.push({ text, page: pageIndex, pageStart: i === 0 && pageIndex > 0 });
+            });
+        });
+        return lines;
+    }
+
+    // Returns the line indexes where a new resume starts, in order (line 0 is implied)
+    findBoundaries(lines) {
+        const blocks = this.findContactBlocks(lines);
+        if (blocks.length <= 1) return [];
+
+        const headingLines = this.fieldExtractor
+            .findSections(lines.map(line => line.text))
+            .map(section => section.start);
+
+        const boundaries = [];
+        let previousStart = 0;
+        let previousEmail = blocks[0].email;
+
+        blocks.slice(1).forEach(block => {
+            // The same address again (e.g. in a page footer) belongs to the current resume
+            if (block.email && block.email === previousEmail) return;
+
+            let start = block.start;
+            const signals = ['contact'];
+            for (let k = block.start; k >= Math.max(previousStart + 1, block.start - 4); k--) {
+                if (k < block.start && this.looksLikeName(lines[k].text)) {
+                    start = k;
+                    if (!signals.includes('name-header')) signals.push('name-header');
+                }
+                if (lines[k].pageStart) {
+                    start = k;
+                    signals.push('page-break');
+                    break;
+                }
+            }
+
+            const isNewPerson = Boolean(block.email) || signals.length > 1;
+            const hasSections = headingLines.some(line => line > start && line < start + 80);
+            if (!isNewPerson || !hasSections || start - previousStart < 5) return;
+
+            boundaries.push(start);
+            previousStart = start;
+            previousEmail = block.email || previousEmail;
+        });
+
+        return boundaries;
+    }
+
+    // Groups lines holding an email address or phone number that sit close together
+    findContactBlocks(lines) {
+        const blocks = [];
+        let inReferences = false;
+
+        lines.forEach((line, i) => {
+            if (/^references?\b/i.test(line.text)) inReferences = true;
+            if (line.pageStart || this.looksLikeName(line.text)) inReferences = false;
+            if (inReferences) return;
+
+            const email = this.fieldExtractor.extractEmail(line.text);
+            const phone = this.fieldExtractor.extractPhone(line.text);
+            if (!email && !phone) return;
+
+            const last = blocks[blocks.length - 1];
+            if (last && i - last.end <= 6 && (!email || !last.email || email === last.email)) {
+                last.end = i;
+                last.email = last.email || email;
+            } else {
+                blocks.push({ start: i, end: i, email });
+            }
+        });
+        return blocks;
+    }
+
+    split(lines, boundaries) {
+        const starts = [0, ...boundaries.filter(line => line > 0 && line < lines.length)].sort((a, b) => a - b);
+        return starts.map((start, i) => {
+            const end = i + 1 < starts.length ? starts[i + 1] : lines.length;
+            const segmentLines = lines.slice(start, end);
+            const name = this.fieldExtractor.extractName(
+                segmentLines.slice(0, 6).map(line => line.text),
+                this.fieldExtractor.extractEmail(segmentLines.map(line => line.text).join('\n')),
+                `Resume ${i + 1}`
+            );
+
+            // Keep page breaks as blank lines so section detection still sees them
+            const text = segmentLines
+                .map((line, j) => (line.pageStart && j > 0 ? '\n' : '') + line.text)
+                .join('\n');
+
+            return {
+                start,
+                end,
+                label: name.value,
+                firstPage: segmentLines.length ? segmentLines[0].page + 1 : 1,
+                lastPage: segmentLines.length ? segmentLines[segmentLines.length - 1].page + 1 : 1,
+                text
+            };
+        });
+    }
+
+    looksLikeName(text) {
+        if (/[@\d,]/.test(text) || text.length > 40 || this.fieldExtractor.looksLikeTitle(text)) return false;
+        const words = text.split(/\s+/);
+        return words.length >= 2 && words.length <= 4 &&
+            words.every(word => /^[A-Z][A-Za-z'’.-]*$/.test(word)) &&
+            this.fieldExtractor.findSections([text]).length === 0;
+    }
+}
@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+// ResumeAI - Command-line ranker
+// Ranks a folder of resumes against a job description with the same engine as the page:
+//
+//     node resumeai-cli.js rank --jd jd.txt --in resumes/ --format csv --top 25
+//
+// The engine files are classic browser scripts, so they are run in this process the way
+// processing-worker.js loads them with importScripts. Scoring uses the local heuristic rules.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { File } = require('buffer');
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+class CommandLineRanker {
+    constructor(core = CommandLineRanker.loadCore()) {
+        this.core = core;
+    }
+
+    static loadCore() {
+        CommandLineRanker.CORE_SCRIPTS.forEach(name => {
+            const file = path.join(__dirname, name);
+            vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+        });
+        return vm.runInThisContext('({ ProcessingTasks, RankingEngine, ResultExporter, ScoringModel, KnockoutRules, SkillTaxonomy, TextExtractor })');
+    }
+
+    async run(argv) {
+        const [command, ...rest] = argv;
+        if (!command || command === 'help' || command === '--help' || command === '-h') {
+            process.stdout.write(CommandLineRanker.USAGE);
+            return 0;
+        }
+        if (command !== 'rank') throw new UsageError(`Unknown command "${command}"`);
+
+        const options = this.parseOptions(rest);
+        if (options.help) {
+            process.stdout.write(CommandLineRanker.USAGE);
+            return 0;
+        }
+
+        const output = await this.rank(options);
+        if (options.out) {
+            fs.writeFileSync(options.out, output);
+        } else {
+            process.stdout.write(output);
+        }
+        return 0;
+    }
+
+    parseOptions(args) {
+        const options = { in: [], format: 'json', top: 0, mode: 'rules', profile: '', rules: '', skills: '', columns: '', out: '', excludeProxies: false, help: false };
+        const flags = { '--exclude-proxies': 'excludeProxies', '--help': 'help', '-h': 'help' };
+        const values = ['--jd', '--in', '--format', '--top', '--mode', '--profile', '--rules', '--skills', '--columns', '--out'];
+
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+            if (flags[arg]) {
+                options[flags[arg]] = true;
+                continue;
+            }
+            if (!values.includes(arg)) throw new UsageError(`Unknown option "${arg}"`);
+            const value = args[++i];
+            if (value === undefined || value.startsWith('--')) throw new UsageError(`${arg} needs a value`);
+            const key = arg.slice(2);
+            if (key === 'in') {
+                options.in.push(value);
+            } else {
+                options[key] = value;
+            }
+        }
+        if (options.help) return options;
+
+        if (!options.jd) throw new UsageError('--jd is required');
+        if (!options.in.length) throw new UsageError('--in is required');
+        if (!['json', 'csv'].includes(options.format)) throw new UsageError('--format must be json or csv');
+        if (!['rules', 'relevance', 'blended'].includes(options.mode)) throw new UsageError('--mode must be rules, relevance or blended');
+        options.top = options.top ? parseInt(options.top, 10) : 0;
+        if (Number.isNaN(options.top) || options.top < 0) throw new UsageError('--top must be a positive number');
+        options.columns = this.resolveColumns(options.columns);
+        return options;
+    }
+
+    // The page's default export columns, without the review columns that are always empty here
+    resolveColumns(list) {
+        const { ResultExporter } = this.core;
+        if (!list) {
+            return ResultExporter.COLUMNS.filter(column => column.selected && !CommandLineRanker.REVIEW_COLUMNS.includes(column.id));
+        }
+        const ids = list.split(',').map(id => id.trim()).filter(Boolean);
+        const unknown = ids.filter(id => !ResultExporter.COLUMNS.some(column => column.id === id));
+        if (unknown.length) {
+            throw new UsageError(`Unknown column${unknown.length === 1 ? '' : 's'} ${unknown.join(', ')}. Available: ${ResultExporter.COLUMNS.map(column => column.id).join(', ')}`);
+        }
+        return ids.map(id => ResultExporter.COLUMNS.find(column => column.id === id));
+    }
+
+    async rank(options) {
+        const { ProcessingTasks, RankingEngine, ResultExporter, ScoringModel, KnockoutRules, SkillTaxonomy } = this.core;
+        const jobDescription = fs.readFileSync(options.jd, 'utf8');
+        const customSkills = options.skills ? SkillTaxonomy.parseEntries(fs.readFileSync(options.skills, 'utf8')) : [];
+        const profile = options.profile
+            ? ScoringModel.DEFAULT_PROFILES.find(item => item.name.toLowerCase() === options.profile.toLowerCase())
+            : ScoringModel.DEFAULT_PROFILES[0];
+        if (!profile) {
+            throw new UsageError(`Unknown profile "${options.profile}". Choose one of: ${ScoringModel.DEFAULT_PROFILES.map(item => item.name).join(', ')}`);
+        }
+        const knockoutRules = options.rules ? this.readRules(options.rules, KnockoutRules) : [];
+
+        const tasks = new ProcessingTasks(customSkills);
+        const { candidates, failures, fileCount } = await this.readResumes(this.listFiles(options.in), tasks);
+        if (candidates.length === 0) throw new Error('No resumes could be read.');
+
+        const engine = new RankingEngine(tasks.taxonomy);
+        const requirements = engine.jobParser.parse(jobDescription);
+        const ranked = await engine.rank(candidates, {
+            jobDescription,
+            requirements,
+            profile,
+            rankingMode: options.mode,
+            excludeProxies: options.excludeProxies,
+            knockoutRules
+        });
+        const knockedOut = ranked.filter(candidate => RankingEngine.isKnockedOut(candidate)).length;
+        process.stderr.write(`Ranked ${ranked.length} candidate${ranked.length === 1 ? '' : 's'} from ${fileCount} file${fileCount === 1 ? '' : 's'}` +
+            (knockoutRules.length ? `, ${knockedOut} did not meet the knockout rules` : '') + '\n');
+
+        const top = options.top ? ranked.slice(0, options.top) : ranked;
+        return options.format === 'csv'
+            ? ResultExporter.toCSV(options.columns, top.map(candidate => ResultExporter.toRow(candidate)))
+            : JSON.stringify({
+                job: { title: requirements.title, requirements },
+                generatedAt: new Date().toISOString(),
+                profile: profile.name,
+                rankingMode: options.mode,
+                total: ranked.length,
+                knockedOut,
+                failures,
+                // The full resume text is left out; it is in the files
+                candidates: top.map(({ rawText, ...candidate }) => candidate)
+            }, null, 2) + '\n';
+    }
+
+    readRules(file, KnockoutRules) {
+        return CommandLineRanker.toRules(JSON.parse(fs.readFileSync(file, 'utf8')), KnockoutRules);
+    }
+
+    // Knockout rules as saved in a session or written by hand: an array or { rules: [...] }.
+    // Rules without an id or name are numbered.
+    static toRules(data, KnockoutRules) {
+        return KnockoutRules.normalize(Array.isArray(data) ? data : data && data.rules)
+            .map((rule, i) => ({ ...rule, id: rule.id || `rule-${i + 1}`, name: rule.name || `Rule ${i + 1}` }))
+            .filter(rule => rule.conditions.length);
+    }
+
+    // Folders are read one level deep and only for supported file types; named files are always tried
+    listFiles(inputs) {
+        const { TextExtractor } = this.core;
+        return inputs.flatMap(input => {
+            if (!fs.existsSync(input)) throw new UsageError(`${input} does not exist`);
+            if (!fs.statSync(input).isDirectory()) return [input];
+            return fs.readdirSync(input)
+                .filter(name => TextExtractor.SUPPORTED_EXTENSIONS.includes((name.split('.').pop() || '').toLowerCase()))
+                .sort((a, b) => a.localeCompare(b))
+                .map(name => path.join(input, name))
+                .filter(file => fs.statSync(file).isFile());
+        });
+    }
+
+    async readResumes(files, tasks) {
+        const candidates = [];
+        const failures = [];
+
+        for (const [index, filePath] of files.entries()) {
+            const stat = fs.statSync(filePath);
+            const file = new File([fs.readFileSync(filePath)], path.basename(filePath), { lastModified: stat.mtimeMs });
+            try {
+                (await tasks.read(file)).forEach(candidate => {
+                    candidate.sourceFile = file.name;
+                    candidate.sourceModified = file.lastModified;
+                    candidates.push(candidate);
+                });
+            } catch (error) {
+                if (error.name !== 'ResumeParseError') throw error;
+                failures.push({ file: filePath, message: error.message });
+                process.stderr.write(`Could not read ${filePath}: ${error.message}\n`);
+            }
+            if (process.stderr.isTTY) process.stderr.write(`\rRead ${index + 1} of ${files.length} files${index + 1 === files.length ? '\n' : ''}`);
+        }
+
+        // Ids follow the order the files were read in, like the page
+        candidates.forEach((candidate, i) => {
+            candidate.id = i + 1;
+        });
+        return { candidates, failures, fileCount: files.length };
+    }
+}
+
+// Everything the ranker needs, in dependency order; none of these touch the DOM
+CommandLineRanker.CORE_SCRIPTS = [
+    'text-extractor.js',
+    'pdf-parser.js',
+    'zip-reader.js',
+    'office-parser.js',
+    'skill-taxonomy.js',
+    'resume-extractor.js',
+    'resume-splitter.js',
+    'job-parser.js',
+    'scoring-model.js',
+    'relevance-model.js',
+    'scoring-providers.js',
+    'knockout-rules.js',
+    'processing-tasks.js',
+    'ranking-engine.js',
+    'zip-writer.js',
+    'result-exporter.js'
+];
+
+// Pipeline columns that are always empty outside the page
+CommandLineRanker.REVIEW_COLUMNS = ['status', 'rejectionReason', 'tags', 'notes'];
+
+CommandLineRanker.USAGE = `Usage: node resumeai-cli.js rank --jd <file> --in <folder or file> [options]
+
+Ranks resumes (PDF, DOCX, DOC, ODT, RTF, TXT) against a job description.
+
+Options:
+  --jd <file>          Job description as plain text (required)
+  --in <path>          Folder of resumes or a single file; repeat for more (required)
+  --format json|csv    Output format (default: json)
+  --top <n>            Only output the n best candidates
+  --out <file>         Write to a file instead of standard output
+  --mode <mode>        rules, relevance or blended (default: rules)
+  --profile <name>     Built-in scoring profile (default: Default)
+  --rules <file>       Knockout rules as JSON, e.g. [{"name": "Experience", "match": "all",
+                       "conditions": [{"field": "yearsExperience", "operator": "gte", "value": "3"}]}]
+  --skills <file>      Custom skill aliases, in the format the settings dialog imports
+  --columns <ids>      Comma-separated CSV columns, e.g. rank,name,email,score
+  --exclude-proxies    Leave company prestige and location out of scoring
+  -h, --help           Show this help
+`;
+
+if (require.main === module) {
+    new CommandLineRanker().run(process.argv.slice(2))
+        .then(code => {
+            process.exitCode = code;
+        })
+        .catch(error => {
+            process.stderr.write(`resumeai: ${error.message}\n`);
+            if (error instanceof UsageError) process.stderr.write('Run "node resumeai-cli.js --help" for usage.\n');
+            process.exitCode = error instanceof UsageError ? 2 : 1;
+        });
+}
+
+module.exports = { CommandLineRanker, UsageError };
@@ -0,0 +1,870 @@
+#!/usr/bin/env node
+// ResumeAI - API server
+// A small self-hosted HTTP API around the ranking engine, for internal tools and for the page
+// when resumes should be read and ranked on a server instead of in the browser:
+//
+//     RESUMEAI_API_KEY=change-me node resumeai-server.js --port 8787
+//
+// Jobs, uploaded resumes and analyses are kept in memory and are gone when the server stops.
+// Past --max-resumes, the resumes used longest ago make room for new uploads.
+// Every /api request except /api/health needs the key, sent as "X-API-Key: <key>" or
+// "Authorization: Bearer <key>". The page itself is served from / so it can be opened from
+// the server without any cross-origin setup.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { File } = require('buffer');
+const { CommandLineRanker, UsageError } = require('./resumeai-cli.js');
+
+class HttpError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+class ApiServer {
+    // options: see ApiServer.DEFAULT_OPTIONS; apiKey is required
+    constructor(options, core = CommandLineRanker.loadCore()) {
+        this.core = core;
+        this.options = { ...ApiServer.DEFAULT_OPTIONS, ...options };
+        if (!this.options.apiKey) throw new UsageError('An API key is required');
+        this.tasks = new core.ProcessingTasks(this.options.customSkills);
+        this.engine = new core.RankingEngine(this.tasks.taxonomy);
+        this.jobs = new Map();
+        this.resumes = new Map();
+        this.uses = 0; // Counts uploads and analyses, so resumes can be ordered by when they were last used
+        this.analyses = new Map();
+        this.queue = []; // Analyses waiting to run; one runs at a time
+        this.running = null;
+        this.httpServer = http.createServer((request, response) => this.handle(request, response));
+        this.routes = [
+            { method: 'GET', pattern: /^\/api\/health$/, handler: this.health, public: true },
+            { method: 'GET', pattern: /^\/api\/info$/, handler: this.info },
+            { method: 'GET', pattern: /^\/api\/jobs$/, handler: this.listJobs },
+            { method: 'POST', pattern: /^\/api\/jobs$/, handler: this.createJob },
+            { method: 'GET', pattern: /^\/api\/jobs\/([\w-]+)$/, handler: this.getJob },
+            { method: 'PUT', pattern: /^\/api\/jobs\/([\w-]+)$/, handler: this.updateJob },
+            { method: 'DELETE', pattern: /^\/api\/jobs\/([\w-]+)$/, handler: this.deleteJob },
+            { method: 'POST', pattern: /^\/api\/jobs\/([\w-]+)\/analyses$/, handler: this.startAnalysis },
+            { method: 'GET', pattern: /^\/api\/resumes$/, handler: this.listResumes },
+            { method: 'POST', pattern: /^\/api\/resumes$/, handler: this.uploadResumes },
+            { method: 'GET', pattern: /^\/api\/resumes\/([\w-]+)$/, handler: this.getResume },
+            { method: 'DELETE', pattern: /^\/api\/resumes\/([\w-]+)$/, handler: this.deleteResume },
+            { method: 'GET', pattern: /^\/api\/analyses$/, handler: this.listAnalyses },
+            { method: 'GET', pattern: /^\/api\/analyses\/([\w-]+)$/, handler: this.getAnalysis },
+            { method: 'DELETE', pattern: /^\/api\/analyses\/([\w-]+)$/, handler: this.cancelAnalysis },
+            { method: 'GET', pattern: /^\/api\/analyses\/([\w-]+)\/results$/, handler: this.getResults }
+        ];
+    }
+
+    listen(port = this.options.port, host = this.options.host) {
+        return new Promise((resolve, reject) => {
+            this.httpServer.once('error', reject);
+            this.httpServer.listen(port, host, () => {
+                this.httpServer.off('error', reject);
+                resolve(this.httpServer.address());
+            });
+        });
+    }
+
+    close() {
+        return new Promise(resolve => this.httpServer.close(() => resolve()));
+    }
+
+    async handle(request, response) {
+        this.setCorsHeaders(request, response);
+        try {
+            const url = new URL(request.url, 'http://localhost');
+            if (request.method === 'OPTIONS') {
+                response.writeHead(204);
+                response.end();
+                return;
+            }
+            if (!url.pathname.startsWith('/api/')) {
+                await this.serveStatic(url.pathname, request, response);
+                return;
+            }
+
+            const { route, params } = this.findRoute(request.method, url.pathname);
+            if (!route.public) this.authenticate(request);
+            const result = await route.handler.call(this, { request, url, params });
+            this.send(response, result.status || 200, result.body, result.headers);
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                console.error('Request failed:', error);
+                error = new HttpError(500, 'internal_error', 'The request could not be completed.');
+            }
+            const headers = error.status === 401 ? { 'WWW-Authenticate': 'Bearer' } : {};
+            // The rest of an oversized body is not read, so the connection cannot be reused
+            if (error.status === 413) {
+                headers.Connection = 'close';
+                response.on('finish', () => request.destroy());
+            }
+            this.send(response, error.status, { error: { code: error.code, message: error.message } }, headers);
+        }
+    }
+
+    findRoute(method, pathname) {
+        const matches = this.routes
+            .map(route => ({ route, match: route.pattern.exec(pathname) }))
+            .filter(item => item.match);
+        if (!matches.length) throw new HttpError(404, 'not_found', `No endpoint at ${pathname}.`);
+        const found = matches.find(item => item.route.method === method);
+        if (!found) throw new HttpError(405, 'method_not_allowed', `${method} is not supported for ${pathname}.`);
+        return { route: found.route, params: found.match.slice(1) };
+    }
+
+    // Compared in constant time so the key cannot be guessed one character at a time
+    authenticate(request) {
+        const bearer = /^Bearer\s+(.+)$/i.exec(request.headers.authorization || '');
+        const given = Buffer.from(String(request.headers['x-api-key'] || (bearer ? bearer[1] : '')));
+        const expected = Buffer.from(this.options.apiKey);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            throw new HttpError(401, 'unauthorized', 'A valid API key is required.');
+        }
+    }
+
+    setCorsHeaders(request, response) {
+        const allowed = this.options.corsOrigin;
+        if (!allowed || (allowed !== '*' && request.headers.origin !== allowed)) return;
+        response.setHeader('Access-Control-Allow-Origin', allowed);
+        response.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+        response.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, X-API-Key');
+        response.setHeader('Access-Control-Max-Age', '600');
+        if (allowed !== '*') response.setHeader('Vary', 'Origin');
+    }
+
+    send(response, status, body, headers = {}) {
+        const json = body === undefined ? '' : JSON.stringify(body, null, 2) + '\n';
+        response.writeHead(status, {
+            ...headers,
+            ...(json ? { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(json) } : {})
+        });
+        response.end(json);
+    }
+
+    // Only the page's own files, which all sit next to this script
+    async serveStatic(pathname, request, response) {
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            throw new HttpError(405, 'method_not_allowed', `${request.method} is not supported for ${pathname}.`);
+        }
+        let name = 'index.html';
+        if (pathname !== '/') {
+            try {
+                name = decodeURIComponent(pathname.slice(1));
+            } catch (error) {
+                throw new HttpError(404, 'not_found', `${pathname} was not found.`);
+            }
+        }
+        const type = ApiServer.STATIC_TYPES[path.extname(name).toLowerCase()];
+        if (!type || /[\\/]/.test(name) || name.startsWith('.')) throw new HttpError(404, 'not_found', `${pathname} was not found.`);
+
+        let content;
+        try {
+            content = await fs.promises.readFile(path.join(__dirname, name));
+        } catch (error) {
+            throw new HttpError(404, 'not_found', `${pathname} was not found.`);
+        }
+        response.writeHead(200, { 'Content-Type': type, 'Content-Length': content.length });
+        response.end(request.method === 'HEAD' ? undefined : content);
+    }
+
+    // Rejects as soon as the declared or received size passes the limit
+    readBody(request, limit) {
+        const declared = parseInt(request.headers['content-length'], 10);
+        if (declared > limit) return Promise.reject(ApiServer.tooLarge(limit));
+
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            const onData = (chunk) => {
+                size += chunk.length;
+                if (size > limit) {
+                    request.off('data', onData);
+                    request.pause();
+                    reject(ApiServer.tooLarge(limit));
+                    return;
+                }
+                chunks.push(chunk);
+            };
+            request.on('data', onData);
+            request.on('end', () => resolve(Buffer.concat(chunks)));
+            request.on('error', reject);
+        });
+    }
+
+    async readJson(request) {
+        const body = await this.readBody(request, this.options.maxJsonBytes);
+        if (!body.length) return {};
+        let data;
+        try {
+            data = JSON.parse(body.toString('utf8'));
+        } catch (error) {
+            throw new HttpError(400, 'invalid_json', `The request body is not valid JSON: ${error.message}`);
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new HttpError(400, 'invalid_json', 'The request body must be a JSON object.');
+        }
+        return data;
+    }
+
+    health() {
+        return { body: { status: 'ok' } };
+    }
+
+    // What a client needs to know before uploading or creating jobs
+    info() {
+        const { ScoringModel, KnockoutRules } = this.core;
+        return {
+            body: {
+                limits: {
+                    maxRequestBytes: this.options.maxRequestBytes,
+                    maxFileBytes: this.options.maxFileBytes,
+                    maxFilesPerRequest: this.options.maxFiles,
+                    maxJsonBytes: this.options.maxJsonBytes,
+                    maxResumes: this.options.maxResumes
+                },
+                profiles: ScoringModel.DEFAULT_PROFILES.map(profile => profile.name),
+                rankingModes: ApiServer.RANKING_MODES,
+                knockoutFields: Object.keys(KnockoutRules.FIELDS),
+                knockoutOperators: Object.keys(KnockoutRules.OPERATORS)
+            }
+        };
+    }
+
+    listJobs() {
+        return { body: { jobs: [...this.jobs.values()].map(job => this.jobView(job)) } };
+    }
+
+    async createJob({ request }) {
+        const job = {
+            id: ApiServer.newId('job'),
+            createdAt: new Date().toISOString(),
+            ...this.toJob(await this.readJson(request))
+        };
+        this.jobs.set(job.id, job);
+        return { status: 201, body: this.jobView(job), headers: { Location: `/api/jobs/${job.id}` } };
+    }
+
+    getJob({ params }) {
+        return { body: this.jobView(this.findJob(params[0])) };
+    }
+
+    // Fields left out keep their current values
+    async updateJob({ request, params }) {
+        const job = this.findJob(params[0]);
+        Object.assign(job, this.toJob(await this.readJson(request), job));
+        return { body: this.jobView(job) };
+    }
+
+    deleteJob({ params }) {
+        this.findJob(params[0]);
+        this.jobs.delete(params[0]);
+        return { status: 204 };
+    }
+
+    findJob(id) {
+        const job = this.jobs.get(id);
+        if (!job) throw new HttpError(404, 'job_not_found', `There is no job ${id}.`);
+        return job;
+    }
+
+    // body: { title, description, requirements, profile (a built-in name or { name, weights,
+    // companies, locations }), rankingMode, excludeProxies, knockoutRules }
+    toJob(body, current = null) {
+        const { ScoringModel, KnockoutRules } = this.core;
+        const has = (key) => body[key] !== undefined && body[key] !== null;
+        const description = has('description') ? String(body.description) : current ? current.description : '';
+        if (!description.trim()) throw new HttpError(422, 'invalid_job', 'A job needs a description.');
+
+        let profile = current ? current.profile : ScoringModel.copyProfile(ScoringModel.DEFAULT_PROFILES[0]);
+        if (typeof body.profile === 'string') {
+            const builtIn = ScoringModel.DEFAULT_PROFILES.find(item => item.name.toLowerCase() === body.profile.toLowerCase());
+            if (!builtIn) {
+                throw new HttpError(422, 'invalid_job', `Unknown profile "${body.profile}". Send one of ${ScoringModel.DEFAULT_PROFILES.map(item => item.name).join(', ')} or a profile object.`);
+            }
+            profile = ScoringModel.copyProfile(builtIn);
+        } else if (has('profile')) {
+            if (typeof body.profile !== 'object') throw new HttpError(422, 'invalid_job', 'profile must be a name or an object.');
+            profile = ScoringModel.normalizeProfile(body.profile);
+        }
+
+        const rankingMode = has('rankingMode') ? body.rankingMode : current ? current.rankingMode : 'rules';
+        if (!ApiServer.RANKING_MODES.includes(rankingMode)) {
+            throw new HttpError(422, 'invalid_job', `rankingMode must be one of ${ApiServer.RANKING_MODES.join(', ')}.`);
+        }
+        // Rules the engine could not check are refused rather than left out
+        if (has('knockoutRules')) {
+            const problems = KnockoutRules.problems(body.knockoutRules);
+            if (problems.length) throw new HttpError(422, 'invalid_knockout_rules', problems.join(' '));
+        }
+
+        // Requirements edited by the caller are kept; otherwise they follow the description
+        let requirements = current && !has('description') ? current.requirements : this.engine.jobParser.parse(description);
+        if (has('requirements')) {
+            requirements = { ...this.engine.jobParser.parse(description), ...this.toRequirements(body.requirements) };
+        }
+
+        return {
+            title: has('title') ? String(body.title).trim() : current ? current.title : requirements.title || 'Untitled job',
+            description,
+            requirements,
+            profile,
+            rankingMode,
+            excludeProxies: has('excludeProxies') ? Boolean(body.excludeProxies) : current ? current.excludeProxies : false,
+            knockoutRules: has('knockoutRules')
+                ? CommandLineRanker.toRules(body.knockoutRules, KnockoutRules)
+                : current ? current.knockoutRules : [],
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    // Only the fields the job parser produces, each of the same type
+    toRequirements(value) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new HttpError(422, 'invalid_requirements', 'requirements must be an object.');
+        }
+        const problems = Object.keys(value).map(key => {
+            const type = ApiServer.REQUIREMENT_TYPES[key];
+            if (!type) return `requirements.${key} is not a requirement field.`;
+            return ApiServer.isType(value[key], type) ? '' : `requirements.${key} must be ${ApiServer.TYPE_NAMES[type]}.`;
+        }).filter(Boolean);
+        if (problems.length) throw new HttpError(422, 'invalid_requirements', problems.join(' '));
+        return value;
+    }
+
+    static isType(value, type) {
+        switch (type) {
+            case 'string':
+                return typeof value === 'string';
+            case 'strings':
+                return Array.isArray(value) && value.every(item => typeof item === 'string');
+            case 'years':
+                return value === null || (typeof value === 'number' && Number.isFinite(value) && value >= 0);
+            default:
+                return false;
+        }
+    }
+
+    jobView(job) {
+        return { ...job };
+    }
+
+    listResumes() {
+        return { body: { resumes: [...this.resumes.values()].map(resume => this.resumeView(resume)) } };
+    }
+
+    // multipart/form-data with one or more file fields; an optional "lastModified" field per
+    // file (milliseconds, in the same order) is kept with it
+    async uploadResumes({ request }) {
+        const { TextExtractor } = this.core;
+        const { maxRequestBytes, maxFileBytes, maxFiles } = this.options;
+        const parts = ApiServer.parseMultipart(await this.readBody(request, maxRequestBytes), request.headers['content-type']);
+        const files = parts.filter(part => part.fileName);
+        const modified = parts.filter(part => part.name === 'lastModified').map(part => parseInt(part.data.toString(), 10));
+
+        if (!files.length) throw new HttpError(400, 'no_files', 'The request did not contain any files.');
+        if (files.length > maxFiles) {
+            throw new HttpError(413, 'too_many_files', `At most ${maxFiles} files can be uploaded in one request.`);
+        }
+        const tooLarge = files.find(part => part.data.length > maxFileBytes);
+        if (tooLarge) {
+            throw new HttpError(413, 'file_too_large', `${tooLarge.fileName} is larger than the ${ApiServer.formatBytes(maxFileBytes)} limit for one file.`);
+        }
+        const unsupported = files.find(part => !TextExtractor.isSupportedFile({ name: part.fileName, type: part.contentType }));
+        if (unsupported) {
+            throw new HttpError(415, 'unsupported_file', `${unsupported.fileName} is not supported. Upload PDF, DOCX, DOC, ODT, RTF or TXT files.`);
+        }
+
+        this.makeRoom(files.length);
+        const uploaded = files.map((part, i) => {
+            const resume = {
+                id: ApiServer.newId('resume'),
+                fileName: part.fileName,
+                contentType: part.contentType,
+                size: part.data.length,
+                lastModified: Number.isFinite(modified[i]) ? modified[i] : Date.now(),
+                uploadedAt: new Date().toISOString(),
+                data: part.data,
+                prepared: null, // Read during the first analysis that uses it, see readResume()
+                resumesFound: null,
+                lastUsed: ++this.uses,
+                error: ''
+            };
+            this.resumes.set(resume.id, resume);
+            return resume;
+        });
+        return { status: 201, body: { resumes: uploaded.map(resume => this.resumeView(resume)) } };
+    }
+
+    getResume({ params }) {
+        return { body: this.resumeView(this.findResume(params[0])) };
+    }
+
+    deleteResume({ params }) {
+        this.findResume(params[0]);
+        this.resumes.delete(params[0]);
+        return { status: 204 };
+    }
+
+    // Forgets the resumes used longest ago until count more fit. Resumes a queued or running
+    // analysis still has to read are kept.
+    makeRoom(count) {
+        const { maxResumes } = this.options;
+        const excess = this.resumes.size + count - maxResumes;
+        if (excess <= 0) return;
+        const inUse = new Set([...this.queue, this.running].filter(Boolean).flatMap(analysis => analysis.resumeIds));
+        const unused = [...this.resumes.values()]
+            .filter(resume => !inUse.has(resume.id))
+            .sort((a, b) => a.lastUsed - b.lastUsed);
+        if (count > maxResumes || unused.length < excess) {
+            throw new HttpError(507, 'resume_limit', `The server keeps at most ${maxResumes} resumes and cannot make room while analyses are using them.`);
+        }
+        unused.slice(0, excess).forEach(resume => this.resumes.delete(resume.id));
+    }
+
+    findResume(id) {
+        const resume = this.resumes.get(id);
+        if (!resume) throw new HttpError(404, 'resume_not_found', `There is no resume ${id}.`);
+        return resume;
+    }
+
+    resumeView(resume) {
+        return {
+            id: resume.id,
+            fileName: resume.fileName,
+            size: resume.size,
+            lastModified: resume.lastModified,
+            uploadedAt: resume.uploadedAt,
+            status: resume.error ? 'failed' : resume.prepared ? 'read' : 'uploaded',
+            resumesFound: resume.resumesFound,
+            error: resume.error
+        };
+    }
+
+    // body: { resumeIds, boundaries, customSkills } - resumeIds defaults to every uploaded resume;
+    // boundaries maps a resume id to the lines its resumes start on, when a bulk file should be
+    // split differently than detected; customSkills are aliases recognized on top of --skills
+    async startAnalysis({ request, params }) {
+        const job = this.findJob(params[0]);
+        const body = await this.readJson(request);
+        const resumeIds = body.resumeIds === undefined ? [...this.resumes.keys()] : body.resumeIds;
+        if (!Array.isArray(resumeIds)) throw new HttpError(422, 'invalid_analysis', 'resumeIds must be an array.');
+        const unknown = resumeIds.filter(id => !this.resumes.has(id));
+        if (unknown.length) throw new HttpError(422, 'resume_not_found', `Unknown resume${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}.`);
+        if (!resumeIds.length) throw new HttpError(422, 'no_resumes', 'Upload resumes before starting an analysis.');
+        const boundaries = this.toBoundaries(body.boundaries, resumeIds);
+        const customSkills = this.toCustomSkills(body.customSkills);
+        resumeIds.forEach(id => {
+            this.resumes.get(id).lastUsed = ++this.uses;
+        });
+
+        const analysis = {
+            id: ApiServer.newId('analysis'),
+            jobId: job.id,
+            job: { ...job }, // The job as it was when the analysis started
+            resumeIds: [...new Set(resumeIds)],
+            boundaries,
+            customSkills,
+            status: 'queued', // 'queued' | 'running' | 'completed' | 'failed' | 'cancelled'
+            progress: { done: 0, total: 0 },
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            error: '',
+            failures: [],
+            results: null,
+            cancelRequested: false
+        };
+        analysis.progress.total = analysis.resumeIds.length;
+        this.analyses.set(analysis.id, analysis);
+        this.pruneAnalyses();
+        this.queue.push(analysis);
+        this.runQueue();
+        return { status: 202, body: this.analysisView(analysis), headers: { Location: `/api/analyses/${analysis.id}` } };
+    }
+
+    toBoundaries(value, resumeIds) {
+        if (value === undefined || value === null) return {};
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            throw new HttpError(422, 'invalid_analysis', 'boundaries must map resume ids to line numbers.');
+        }
+        Object.entries(value).forEach(([id, lines]) => {
+            if (!resumeIds.includes(id)) throw new HttpError(422, 'invalid_analysis', `boundaries names ${id}, which is not part of the analysis.`);
+            if (!Array.isArray(lines) || !lines.every(line => Number.isInteger(line) && line >= 0)) {
+                throw new HttpError(422, 'invalid_analysis', `boundaries for ${id} must be an array of line numbers.`);
+            }
+        });
+        return value;
+    }
+
+    toCustomSkills(value) {
+        if (value === undefined || value === null) return [];
+        try {
+            return this.core.SkillTaxonomy.parseEntries(value);
+        } catch (error) {
+            throw new HttpError(422, 'invalid_analysis', `customSkills: ${error.message}`);
+        }
+    }
+
+    listAnalyses({ url }) {
+        const jobId = url.searchParams.get('jobId');
+        const analyses = [...this.analyses.values()].filter(analysis => !jobId || analysis.jobId === jobId);
+        return { body: { analyses: analyses.map(analysis => this.analysisView(analysis)) } };
+    }
+
+    getAnalysis({ params }) {
+        return { body: this.analysisView(this.findAnalysis(params[0])) };
+    }
+
+    // A queued analysis stops at once, a running one after the file it is reading
+    cancelAnalysis({ params }) {
+        const analysis = this.findAnalysis(params[0]);
+        if (analysis.status === 'queued') {
+            this.queue = this.queue.filter(item => item !== analysis);
+            this.finishAnalysis(analysis, 'cancelled');
+        } else if (analysis.status === 'running') {
+            analysis.cancelRequested = true;
+        }
+        return { status: 202, body: this.analysisView(analysis) };
+    }
+
+    // ?top=n limits the candidates; ?text=1 includes the full resume text
+    getResults({ params, url }) {
+        const { RankingEngine } = this.core;
+        const analysis = this.findAnalysis(params[0]);
+        if (analysis.status !== 'completed') {
+            throw new HttpError(409, 'not_ready', `The analysis is ${analysis.status}; results are available once it has completed.`);
+        }
+        const top = parseInt(url.searchParams.get('top'), 10);
+        const withText = ['1', 'true'].includes(url.searchParams.get('text'));
+        const ranked = top > 0 ? analysis.results.slice(0, top) : analysis.results;
+        return {
+            body: {
+                analysis: this.analysisView(analysis),
+                job: this.jobView(analysis.job),
+                total: analysis.results.length,
+                knockedOut: analysis.results.filter(candidate => RankingEngine.isKnockedOut(candidate)).length,
+                failures: analysis.failures,
+                candidates: withText ? ranked : ranked.map(({ rawText, ...candidate }) => candidate)
+            }
+        };
+    }
+
+    findAnalysis(id) {
+        const analysis = this.analyses.get(id);
+        if (!analysis) throw new HttpError(404, 'analysis_not_found', `There is no analysis ${id}.`);
+        return analysis;
+    }
+
+    analysisView(analysis) {
+        return {
+            id: analysis.id,
+            jobId: analysis.jobId,
+            status: analysis.status,
+            progress: { ...analysis.progress },
+            resumeIds: analysis.resumeIds,
+            createdAt: analysis.createdAt,
+            startedAt: analysis.startedAt,
+            finishedAt: analysis.finishedAt,
+            error: analysis.error,
+            failures: analysis.failures,
+            candidateCount: analysis.results ? analysis.results.length : null
+        };
+    }
+
+    // Finished analyses beyond the limit are forgotten, oldest first
+    pruneAnalyses() {
+        const finished = [...this.analyses.values()].filter(analysis => analysis.finishedAt);
+        finished.slice(0, Math.max(0, finished.length - ApiServer.MAX_FINISHED_ANALYSES))
+            .forEach(analysis => this.analyses.delete(analysis.id));
+    }
+
+    async runQueue() {
+        if (this.running) return;
+        while (this.queue.length) {
+            this.running = this.queue.shift();
+            await this.runAnalysis(this.running);
+        }
+        this.running = null;
+    }
+
+    async runAnalysis(analysis) {
+        analysis.status = 'running';
+        analysis.startedAt = new Date().toISOString();
+        const { ProcessingTasks, RankingEngine } = this.core;
+        const tasks = analysis.customSkills.length ? new ProcessingTasks([...this.options.customSkills, ...analysis.customSkills]) : this.tasks;
+        try {
+            const candidates = [];
+            for (const resumeId of analysis.resumeIds) {
+                if (analysis.cancelRequested) {
+                    this.finishAnalysis(analysis, 'cancelled');
+                    return;
+                }
+                const resume = this.resumes.get(resumeId);
+                if (!resume) {
+                    analysis.failures.push({ resumeId, fileName: '', message: 'The resume was deleted before it was read.' });
+                } else {
+                    await this.readResume(resume);
+                    const read = resume.error ? null : this.extractResume(tasks, resume, analysis.boundaries[resumeId]);
+                    if (!read || read.error) {
+                        analysis.failures.push({ resumeId, fileName: resume.fileName, message: resume.error || read.error });
+                    } else {
+                        read.candidates.forEach(candidate => candidates.push({ ...candidate, resumeId, sourceFile: resume.fileName, sourceModified: resume.lastModified }));
+                    }
+                }
+                analysis.progress.done++;
+                // Lets status requests through between files
+                await new Promise(resolve => setImmediate(resolve));
+            }
+            if (!candidates.length) throw new Error('None of the resumes could be read.');
+
+            // Ids follow the order of resumeIds, like upload order on the page
+            candidates.forEach((candidate, i) => {
+                candidate.id = i + 1;
+            });
+            const job = analysis.job;
+            const engine = tasks === this.tasks ? this.engine : new RankingEngine(tasks.taxonomy);
+            const results = await engine.rank(candidates, {
+                jobDescription: job.description,
+                requirements: job.requirements,
+                profile: job.profile,
+                rankingMode: job.rankingMode,
+                excludeProxies: job.excludeProxies,
+                knockoutRules: job.knockoutRules
+            });
+            if (analysis.cancelRequested) {
+                this.finishAnalysis(analysis, 'cancelled');
+                return;
+            }
+            analysis.results = results;
+            this.finishAnalysis(analysis, 'completed');
+        } catch (error) {
+            analysis.error = error.message;
+            this.finishAnalysis(analysis, 'failed');
+        }
+    }
+
+    finishAnalysis(analysis, status) {
+        analysis.status = status;
+        analysis.finishedAt = new Date().toISOString();
+    }
+
+    // Each file is read once, whichever analysis needs it first; the bytes are dropped afterwards.
+    // Candidates are extracted per analysis, which may split the file or name skills differently.
+    async readResume(resume) {
+        if (resume.prepared || resume.error) return;
+        try {
+            resume.prepared = await this.tasks.prepare(new File([resume.data], resume.fileName, { lastModified: resume.lastModified }));
+            resume.resumesFound = this.tasks.resumeSplitter.split(resume.prepared.lines, resume.prepared.boundaries).length;
+        } catch (error) {
+            if (error.name !== 'ResumeParseError') console.error(`Could not read ${resume.fileName}:`, error);
+            resume.error = error.message || 'The file could not be read.';
+        }
+        resume.data = null;
+    }
+
+    extractResume(tasks, resume, boundaries) {
+        try {
+            return { candidates: tasks.readPrepared(resume.fileName, resume.prepared, boundaries) };
+        } catch (error) {
+            console.error(`Could not read ${resume.fileName}:`, error);
+            return { error: 'The resumes in the file could not be read.' };
+        }
+    }
+
+    static newId(prefix) {
+        return `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+    }
+
+    static tooLarge(limit) {
+        return new HttpError(413, 'request_too_large', `The request is larger than the ${ApiServer.formatBytes(limit)} limit.`);
+    }
+
+    static formatBytes(bytes) {
+        return bytes >= 1024 * 1024 ? `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB` : `${Math.round(bytes / 1024)} KB`;
+    }
+
+    // Splits a multipart/form-data body into { name, fileName, contentType, data } parts.
+    // fileName is empty for plain fields.
+    static parseMultipart(body, contentType) {
+        const boundary = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+        if (!/^multipart\/form-data/i.test(contentType || '') || !boundary) {
+            throw new HttpError(400, 'invalid_multipart', 'Expected a multipart/form-data body.');
+        }
+        const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+        const separator = Buffer.concat([Buffer.from('\r\n'), delimiter]);
+        const parts = [];
+
+        let start = body.indexOf(delimiter);
+        while (start !== -1) {
+            const headerStart = start + delimiter.length;
+            if (body.subarray(headerStart, headerStart + 2).toString() === '--') break; // Closing delimiter
+            const headerEnd = body.indexOf('\r\n\r\n', headerStart);
+            const end = headerEnd === -1 ? -1 : body.indexOf(separator, headerEnd + 4);
+            if (end === -1) throw new HttpError(400, 'invalid_multipart', 'The multipart body is incomplete.');
+
+            const headers = body.subarray(headerStart, headerEnd).toString('utf8');
+            const name = /;\s*name="([^"]*)"/i.exec(headers);
+            const fileName = /;\s*filename="([^"]*)"/i.exec(headers);
+            const type = /^content-type:\s*(.+)$/im.exec(headers);
+            parts.push({
+                name: name ? name[1] : '',
+                // Browsers send only the base name, but other clients may not
+                fileName: fileName ? path.basename(fileName[1].replace(/\\/g, '/')) : '',
+                contentType: type ? type[1].trim() : '',
+                data: body.subarray(headerEnd + 4, end)
+            });
+            start = end + 2;
+        }
+        return parts;
+    }
+
+    static parseOptions(args) {
+        const options = { help: false };
+        const values = {
+            '--port': 'port',
+            '--host': 'host',
+            '--api-key': 'apiKey',
+            '--cors-origin': 'corsOrigin',
+            '--skills': 'skills',
+            '--max-request-mb': 'maxRequestBytes',
+            '--max-file-mb': 'maxFileBytes',
+            '--max-files': 'maxFiles',
+            '--max-resumes': 'maxResumes'
+        };
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+            if (arg === '--help' || arg === '-h') {
+                options.help = true;
+                continue;
+            }
+            if (!values[arg]) throw new UsageError(`Unknown option "${arg}"`);
+            const value = args[++i];
+            if (value === undefined || value.startsWith('--')) throw new UsageError(`${arg} needs a value`);
+            options[values[arg]] = value;
+        }
+        if (options.help) return options;
+
+        const toNumber = (key, flag, scale = 1) => {
+            if (options[key] === undefined) return;
+            const number = parseFloat(options[key]);
+            if (!(number > 0)) throw new UsageError(`${flag} must be a positive number`);
+            options[key] = Math.round(number * scale);
+        };
+        toNumber('port', '--port');
+        toNumber('maxRequestBytes', '--max-request-mb', 1024 * 1024);
+        toNumber('maxFileBytes', '--max-file-mb', 1024 * 1024);
+        toNumber('maxFiles', '--max-files');
+        toNumber('maxResumes', '--max-resumes');
+        return options;
+    }
+
+    static async main(args) {
+        const options = ApiServer.parseOptions(args);
+        if (options.help) {
+            process.stdout.write(ApiServer.USAGE);
+            return;
+        }
+        const core = CommandLineRanker.loadCore();
+        if (options.skills) options.customSkills = core.SkillTaxonomy.parseEntries(fs.readFileSync(options.skills, 'utf8'));
+        const generated = !options.apiKey && !process.env.RESUMEAI_API_KEY;
+        options.apiKey = options.apiKey || process.env.RESUMEAI_API_KEY || crypto.randomBytes(18).toString('base64url');
+
+        const server = new ApiServer(options, core);
+        const address = await server.listen();
+        const host = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+        process.stderr.write(`ResumeAI API listening on http://${host}:${address.port}/ (open it in a browser for the page)\n`);
+        if (generated) process.stderr.write(`No API key was given, so one was generated for this run: ${options.apiKey}\n`);
+    }
+}
+
+ApiServer.DEFAULT_OPTIONS = {
+    port: 8787,
+    host: '127.0.0.1', // Only this machine; pass --host 0.0.0.0 to serve a network
+    apiKey: '',
+    corsOrigin: '', // Origin allowed to call the API from another site, or *
+    customSkills: [],
+    maxRequestBytes: 50 * 1024 * 1024,
+    maxFileBytes: 10 * 1024 * 1024,
+    maxFiles: 100, // Per upload request
+    maxResumes: 2000, // Kept at once; the least recently used make room for new uploads
+    maxJsonBytes: 1024 * 1024
+};
+
+ApiServer.RANKING_MODES = ['rules', 'relevance', 'blended'];
+ApiServer.MAX_FINISHED_ANALYSES = 100;
+
+// What the job parser produces for each requirement field
+ApiServer.REQUIREMENT_TYPES = {
+    title: 'string',
+    requiredSkills: 'strings',
+    preferredSkills: 'strings',
+    minYears: 'years',
+    degreeLevel: 'string',
+    location: 'string',
+    remotePolicy: 'string',
+    seniority: 'string'
+};
+ApiServer.TYPE_NAMES = {
+    string: 'a string',
+    strings: 'an array of strings',
+    years: 'a number of years or null'
+};
+
+ApiServer.STATIC_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8'
+};
+
+ApiServer.USAGE = `Usage: node resumeai-server.js [options]
+
+Serves the ranking engine as a JSON API, and the page itself at /.
+
+Options:
+  --port <n>             Port to listen on (default: 8787)
+  --host <address>       Address to listen on (default: 127.0.0.1)
+  --api-key <key>        Key every API request must send; RESUMEAI_API_KEY is used when left out,
+                         and a random key is generated and printed when neither is set
+  --cors-origin <origin> Let pages from this origin (or *) call the API
+  --skills <file>        Custom skill aliases, in the format the settings dialog imports
+  --max-request-mb <n>   Largest upload request (default: 50)
+  --max-file-mb <n>      Largest single file (default: 10)
+  --max-files <n>        Most files in one upload request (default: 100)
+  --max-resumes <n>      Most resumes kept; the least recently used make room (default: 2000)
+  -h, --help             Show this help
+
+Endpoints (JSON; send the key as "X-API-Key: <key>" or "Authorization: Bearer <key>"):
+  GET    /api/health                    No key needed
+  GET    /api/info                      Limits, profiles and ranking modes
+  GET    /api/jobs                      List jobs
+  POST   /api/jobs                      Create a job: { "description", "title", "requirements",
+                                        "profile", "rankingMode", "excludeProxies", "knockoutRules" }
+  GET    /api/jobs/:id                  A job and its parsed requirements
+  PUT    /api/jobs/:id                  Change a job; fields left out are kept
+  DELETE /api/jobs/:id                  Delete a job
+  POST   /api/resumes                   Upload resumes as multipart/form-data
+  GET    /api/resumes                   List uploaded resumes
+  DELETE /api/resumes/:id               Delete a resume
+  POST   /api/jobs/:id/analyses         Rank resumes for the job: { "resumeIds" (default: all),
+                                        "boundaries", "customSkills" }
+  GET    /api/analyses/:id              Status and progress of an analysis
+  DELETE /api/analyses/:id              Cancel an analysis
+  GET    /api/analyses/:id/results      Ranked candidates with score breakdowns; ?top=n, ?text=1
+`;
+
+if (require.main === module) {
+    ApiServer.main(process.argv.slice(2)).catch(error => {
+        process.stderr.write(`resumeai-server: ${error.message}\n`);
+        if (error instanceof UsageError) process.stderr.write('Run "node resumeai-server.js --help" for usage.\n');
+        process.exitCode = error instanceof UsageError ? 2 : 1;
+    });
+}
+
+module.exports = { ApiServer, HttpError };
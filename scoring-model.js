@@ -0,0 +1,312 @@
+// ResumeAI - Candidate scoring
+// A deterministic, weighted scoring model. Each criterion yields a fraction between 0 and 1;
+// the final score is the weighted average of the criteria that apply to the job, scaled to
+// 0-100, so a job listing 3 skills and one listing 15 produce comparable scores.
+
+class ScoringModel {
+    // options.excludedCriteria: criteria left out of every score, e.g. ScoringModel.PROXY_CRITERIA
+    constructor(profile = ScoringModel.DEFAULT_PROFILES[0], jobParser = new JobDescriptionParser(), options = {}) {
+        this.profile = profile;
+        this.jobParser = jobParser;
+        this.taxonomy = jobParser.taxonomy;
+        this.excludedCriteria = options.excludedCriteria || [];
+    }
+
+    score(candidate, requirements) {
+        const matchedSkills = [];
+        const missingSkills = [];
+        const criteria = {};
+        const notes = {}; // criterion -> { details, evidence }
+        Object.keys(ScoringModel.CRITERIA).forEach(criterion => {
+            notes[criterion] = { details: [], evidence: [] };
+        });
+
+        // Skills
+        const matchSkills = (list, criterion) => {
+            let matches = 0;
+            list.forEach(wanted => {
+                const match = this.taxonomy.matchSkill(candidate.skills, wanted);
+                if (!match) {
+                    if (criterion === 'requiredSkills') missingSkills.push(wanted);
+                    return;
+                }
+                matches++;
+                if (!matchedSkills.includes(match.skill)) matchedSkills.push(match.skill);
+                notes[criterion].details.push(match.type === 'related'
+                    ? `${wanted}: covered by ${match.skill}`
+                    : match.skill.toLowerCase() === wanted.toLowerCase() ? wanted : `${wanted}: listed as ${match.skill}`);
+                this.addEvidence(notes[criterion], candidate.rawText, this.taxonomy.aliasesFor(match.skill));
+            });
+            return matches;
+        };
+
+        if (requirements.requiredSkills.length) {
+            criteria.requiredSkills = matchSkills(requirements.requiredSkills, 'requiredSkills') / requirements.requiredSkills.length;
+        }
+        if (requirements.preferredSkills.length) {
+            criteria.preferredSkills = matchSkills(requirements.preferredSkills, 'preferredSkills') / requirements.preferredSkills.length;
+        }
+
+        criteria.experience = this.scoreExperience(candidate, requirements);
+        const education = this.scoreEducation(candidate, requirements);
+        if (education !== null) criteria.education = education;
+        const company = this.scoreCompany(candidate);
+        if (company !== null) criteria.company = company;
+        const location = this.scoreLocation(candidate, requirements);
+        if (location !== null) criteria.location = location;
+        this.excludedCriteria.forEach(criterion => {
+            delete criteria[criterion];
+        });
+        this.explainProfile(candidate, requirements, criteria, notes);
+
+        const weights = this.profile.weights;
+        let earned = 0;
+        let possible = 0;
+        Object.keys(criteria).forEach(criterion => {
+            const weight = Math.max(0, Number(weights[criterion]) || 0);
+            earned += weight * criteria[criterion];
+            possible += weight;
+        });
+
+        // Points per criterion are scaled so they add up to the score
+        const breakdown = Object.entries(ScoringModel.CRITERIA).map(([criterion, label]) => {
+            const applies = criterion in criteria && possible > 0;
+            const weight = Math.max(0, Number(weights[criterion]) || 0);
+            const pointsPossible = applies ? (weight / possible) * 100 : 0;
+            return {
+                criterion,
+                label,
+                applies,
+                ratio: applies ? criteria[criterion] : null,
+                earned: applies ? pointsPossible * criteria[criterion] : 0,
+                possible: pointsPossible,
+                details: applies ? notes[criterion].details
+                    : [this.excludedCriteria.includes(criterion) ? 'Excluded from scoring in the fairness settings' : 'Not used for this job'],
+                evidence: applies ? notes[criterion].evidence : []
+            };
+        });
+
+        const exactScore = possible > 0 ? (earned / possible) * 100 : 0;
+        return {
+            score: Math.round(exactScore),
+            exactScore,
+            criteria,
+            breakdown,
+            matchedSkills,
+            missingSkills
+        };
+    }
+
+    // Records why experience, education, company and location scored as they did
+    explainProfile(candidate, requirements, criteria, notes) {
+        const text = candidate.rawText || '';
+        const positions = candidate.positions || [];
+
+        const experience = notes.experience;
+        experience.details.push(`${candidate.yearsExperience} years of experience` +
+            (requirements.minYears ? ` (${requirements.minYears}+ required)` : ''));
+        if (requirements.seniority) {
+            const level = this.jobParser.parseSeniority(candidate.experience, '', candidate.yearsExperience);
+            experience.details.push(`Seniority: ${level || 'unknown'} (${requirements.seniority} wanted)`);
+        }
+        positions.slice(0, 4).forEach(position => {
+            this.addEvidence(experience, text, [position.dateText, position.title].filter(Boolean));
+        });
+
+        const education = notes.education;
+        education.details.push(candidate.education || 'No degree found');
+        if (requirements.degreeLevel) education.details.push(`Requires ${requirements.degreeLevel} level`);
+        (candidate.educationHistory || []).slice(0, 2).forEach(entry => {
+            this.addEvidence(education, text, [entry.institution, entry.field].filter(Boolean));
+        });
+
+        if ('company' in criteria) {
+            const company = notes.company;
+            company.details.push(criteria.company === 1 ? `Currently at ${candidate.company}`
+                : criteria.company > 0 ? 'Previously at a listed company' : 'No listed companies');
+            if (criteria.company > 0) {
+                positions.forEach(position => {
+                    if (position.company) this.addEvidence(company, text, [position.company]);
+                });
+            }
+        }
+
+        if ('location' in criteria) {
+            const location = notes.location;
+            location.details.push(requirements.remotePolicy === 'remote' ? 'Remote role, any location accepted'
+                : `${candidate.location || 'Location not found'}${criteria.location ? ' matches' : ' does not match'}`);
+            if (candidate.location) this.addEvidence(location, text, [candidate.location]);
+        }
+    }
+
+    // Adds the first place in the resume where one of the phrases appears, with some context
+    addEvidence(note, text, phrases) {
+        if (!text || note.evidence.length >= ScoringModel.MAX_EVIDENCE) return;
+
+        for (const phrase of phrases) {
+            const escaped = phrase.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&').replace(/\s+/g, '\\s+');
+            const match = new RegExp(`(^|[^\\w])(${escaped})(?![\\w])`, 'i').exec(text);
+            if (!match) continue;
+
+            const start = match.index + match[1].length;
+            const end = start + match[2].length;
+            const from = Math.max(0, start - ScoringModel.SNIPPET_CONTEXT);
+            const to = Math.min(text.length, end + ScoringModel.SNIPPET_CONTEXT);
+            const clean = (part) => part.replace(/\s+/g, ' ');
+            const snippet = {
+                before: (from > 0 ? '…' : '') + clean(text.slice(from, start)).trimStart(),
+                match: clean(match[2]),
+                after: clean(text.slice(end, to)).trimEnd() + (to < text.length ? '…' : '')
+            };
+            if (!note.evidence.some(existing => existing.before === snippet.before && existing.match === snippet.match)) {
+                note.evidence.push(snippet);
+            }
+            return;
+        }
+    }
+
+    // Full marks for meeting both the years and the seniority asked for, partial credit when close
+    scoreExperience(candidate, requirements) {
+        const minYears = requirements.minYears || 0;
+        const years = candidate.yearsExperience || 0;
+        const candidateLevel = this.jobParser.parseSeniority(candidate.experience, '', years);
+        const ranks = ScoringModel.SENIORITY_RANK;
+        const meetsSeniority = !requirements.seniority ||
+            (ranks[candidateLevel] || 0) >= ranks[requirements.seniority];
+
+        if (years >= minYears && meetsSeniority) return 1;
+        if (years >= minYears * 0.75) return 0.6;
+        return 0.3;
+    }
+
+    // Returns null when the job asks for no degree and the candidate lists none, so the criterion is left out
+    scoreEducation(candidate, requirements) {
+        const ranks = ScoringModel.EDUCATION_RANK;
+        const level = candidate.educationLevel ? ranks[candidate.educationLevel] : -1;
+        if (!requirements.degreeLevel) return level >= 0 ? 1 : null;
+        if (level >= ranks[requirements.degreeLevel]) return 1;
+        return level >= 0 ? 0.5 : 0;
+    }
+
+    // Returns null when the profile lists no companies, so the criterion is left out
+    scoreCompany(candidate) {
+        if (!this.profile.companies.length) return null;
+        const employers = [candidate.company, ...(candidate.positions || []).map(position => position.company)]
+            .filter(Boolean);
+        if (!employers.length) return 0;
+        const patterns = this.profile.companies.map(company =>
+            new RegExp(`(^|[^\\w])${company.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?!\\w)`, 'i'));
+        if (patterns.some(pattern => pattern.test(employers[0]))) return 1;
+        // Earlier roles at a listed company still count for something
+        return patterns.some(pattern => employers.some(employer => pattern.test(employer))) ? 0.5 : 0;
+    }
+
+    // Returns null when neither the job nor the profile names a location
+    scoreLocation(candidate, requirements) {
+        if (requirements.remotePolicy === 'remote') return 1;
+        const accepted = [...this.profile.locations];
+        const jobCity = requirements.location.split(',')[0].trim();
+        if (jobCity) accepted.push(jobCity);
+        if (!accepted.length) return null;
+
+        const location = (candidate.location || '').toLowerCase();
+        return accepted.some(place => place && location.includes(place.toLowerCase())) ? 1 : 0;
+    }
+
+    // Saved profiles live in localStorage; the built-in ones can be changed but not deleted
+    static loadProfiles() {
+        let saved = [];
+        try {
+            saved = JSON.parse(localStorage.getItem(ScoringModel.STORAGE_KEY) || '[]');
+        } catch (error) {
+            console.warn('Ignoring unreadable scoring profiles:', error);
+        }
+
+        const profiles = ScoringModel.DEFAULT_PROFILES.map(profile => ScoringModel.copyProfile(profile));
+        saved.forEach(profile => {
+            const index = profiles.findIndex(existing => existing.name === profile.name);
+            const normalized = ScoringModel.normalizeProfile(profile);
+            if (index >= 0) {
+                profiles[index] = { ...normalized, builtIn: true };
+            } else {
+                profiles.push(normalized);
+            }
+        });
+        return profiles;
+    }
+
+    static saveProfiles(profiles) {
+        const stored = profiles.map(profile => {
+            const { builtIn, ...rest } = profile;
+            return rest;
+        });
+        localStorage.setItem(ScoringModel.STORAGE_KEY, JSON.stringify(stored));
+    }
+
+    static normalizeProfile(profile) {
+        const weights = {};
+        Object.keys(ScoringModel.CRITERIA).forEach(criterion => {
+            const value = Number(profile.weights && profile.weights[criterion]);
+            weights[criterion] = Number.isFinite(value) && value >= 0 ? value : ScoringModel.DEFAULT_PROFILES[0].weights[criterion];
+        });
+        return {
+            name: String(profile.name || 'Untitled').trim(),
+            weights,
+            companies: Array.isArray(profile.companies) ? profile.companies.map(String).filter(Boolean) : [],
+            locations: Array.isArray(profile.locations) ? profile.locations.map(String).filter(Boolean) : []
+        };
+    }
+
+    static copyProfile(profile) {
+        return {
+            ...profile,
+            weights: { ...profile.weights },
+            companies: [...profile.companies],
+            locations: [...profile.locations]
+        };
+    }
+}
+
+ScoringModel.STORAGE_KEY = 'resumeai.scoringProfiles';
+ScoringModel.MAX_EVIDENCE = 6;
+ScoringModel.SNIPPET_CONTEXT = 60; // Characters shown either side of the matched text
+ScoringModel.ACTIVE_PROFILE_KEY = 'resumeai.activeScoringProfile';
+
+ScoringModel.CRITERIA = {
+    requiredSkills: 'Required skills',
+    preferredSkills: 'Preferred skills',
+    experience: 'Experience',
+    education: 'Education',
+    company: 'Company',
+    location: 'Location'
+};
+
+// Criteria that can stand in for background rather than ability: employer prestige and where someone lives
+ScoringModel.PROXY_CRITERIA = ['company', 'location'];
+
+ScoringModel.SENIORITY_RANK = { intern: 0, junior: 1, mid: 2, senior: 3, lead: 4, manager: 4 };
+ScoringModel.EDUCATION_RANK = { highschool: 0, associate: 1, bachelor: 2, master: 3, phd: 4 };
+
+ScoringModel.DEFAULT_PROFILES = [
+    {
+        name: 'Default',
+        builtIn: true,
+        weights: { requiredSkills: 40, preferredSkills: 10, experience: 25, education: 15, company: 5, location: 5 },
+        companies: ['Google', 'Microsoft', 'Amazon', 'Apple', 'Facebook', 'Netflix'],
+        locations: []
+    },
+    {
+        name: 'Engineering IC',
+        builtIn: true,
+        weights: { requiredSkills: 50, preferredSkills: 15, experience: 20, education: 5, company: 5, location: 5 },
+        companies: ['Google', 'Microsoft', 'Amazon', 'Apple', 'Meta', 'Facebook', 'Netflix', 'Stripe'],
+        locations: []
+    },
+    {
+        name: 'Sales',
+        builtIn: true,
+        weights: { requiredSkills: 20, preferredSkills: 10, experience: 35, education: 5, company: 15, location: 15 },
+        companies: ['Salesforce', 'Oracle', 'HubSpot', 'SAP', 'Microsoft'],
+        locations: []
+    }
+];
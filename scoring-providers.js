@@ -0,0 +1,316 @@
+// ResumeAI - Scoring providers
+// Every provider takes the candidates plus the job context and returns one assessment per
+// candidate: score (0-100), strengths, gaps and a short rationale. The heuristic provider
+// wraps the local ScoringModel; the chat-completions provider asks an OpenAI-compatible
+// endpoint and falls back to the heuristic for any batch that fails.
+
+class ScoringProviderError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'ScoringProviderError';
+        this.code = code; // 'timeout' | 'network' | 'http' | 'schema'
+    }
+}
+
+class HeuristicScoringProvider {
+    get label() {
+        return 'Heuristic rules';
+    }
+
+    // context: { model, requirements, jobDescription, excludeProxies, pool, onProgress }
+    // With a worker pool the candidates are scored in chunks off the main thread
+    async scoreCandidates(candidates, context) {
+        if (!context.pool) return candidates.map(candidate => this.scoreCandidate(candidate, context));
+
+        const chunks = [];
+        for (let i = 0; i < candidates.length; i += HeuristicScoringProvider.CHUNK_SIZE) {
+            chunks.push(candidates.slice(i, i + HeuristicScoringProvider.CHUNK_SIZE));
+        }
+        const scoring = {
+            requirements: context.requirements,
+            profile: context.model.profile,
+            excludedCriteria: context.model.excludedCriteria
+        };
+        let done = 0;
+        const results = await Promise.all(chunks.map(async chunk => {
+            const scored = await context.pool.run({ type: 'score', candidates: chunk, scoring });
+            done++;
+            if (context.onProgress) context.onProgress(done, chunks.length);
+            return scored;
+        }));
+        return results.flat();
+    }
+
+    scoreCandidate(candidate, context) {
+        const result = context.model.score(candidate, context.requirements);
+        return {
+            ...result,
+            ...this.describe(candidate, result, context.requirements),
+            provider: 'heuristic'
+        };
+    }
+
+    describe(candidate, result, requirements) {
+        const strengths = [];
+        const gaps = [];
+        const criteria = result.criteria;
+
+        const requiredCount = requirements.requiredSkills.length;
+        if (requiredCount) {
+            const matched = requiredCount - result.missingSkills.length;
+            if (matched) strengths.push(`Has ${matched} of ${requiredCount} required skills`);
+            if (result.missingSkills.length) gaps.push(`Missing ${result.missingSkills.join(', ')}`);
+        }
+
+        if (criteria.experience === 1) {
+            strengths.push(`${candidate.yearsExperience} years of experience meets the ${requirements.minYears || 0}+ asked for`);
+        } else if (requirements.minYears) {
+            gaps.push(`${candidate.yearsExperience} years of experience against ${requirements.minYears}+ required`);
+        }
+
+        if (criteria.education === 1 && candidate.education) {
+            strengths.push(candidate.education);
+        } else if (requirements.degreeLevel && criteria.education < 1) {
+            gaps.push(candidate.education ? `Degree below the ${requirements.degreeLevel} level asked for` : 'No degree found');
+        }
+
+        if (criteria.company > 0) strengths.push(`Experience at ${candidate.company}`);
+        if (criteria.location === 0) gaps.push('Location does not match');
+
+        const rationale = `Scored ${result.score}/100 by the weighted rules` +
+            (strengths.length ? `; strongest point: ${strengths[0].charAt(0).toLowerCase()}${strengths[0].slice(1)}` : '') +
+            (gaps.length ? `; main gap: ${gaps[0].charAt(0).toLowerCase()}${gaps[0].slice(1)}` : '') + '.';
+
+        return { strengths, gaps, rationale };
+    }
+}
+
+class ChatCompletionsScoringProvider {
+    constructor(settings, fallback = new HeuristicScoringProvider()) {
+        this.settings = settings;
+        this.fallback = fallback;
+        this.cache = new Map(); // hash of job + settings + resume -> assessment
+    }
+
+    get label() {
+        return `AI endpoint${this.settings.model ? ` (${this.settings.model})` : ''}`;
+    }
+
+    async scoreCandidates(candidates, context) {
+        const heuristic = await this.fallback.scoreCandidates(candidates, { ...context, onProgress: null });
+        const results = new Array(candidates.length);
+        const pending = [];
+
+        // Everything buildMessages sends besides the resume, so edited requirements are scored afresh
+        const requirements = context.requirements;
+        const jobKey = [
+            context.jobDescription, this.settings.endpoint, this.settings.model, Boolean(context.excludeProxies),
+            JSON.stringify([requirements.requiredSkills, requirements.preferredSkills, requirements.minYears, requirements.degreeLevel])
+        ].join('\n');
+        candidates.forEach((candidate, i) => {
+            const key = ChatCompletionsScoringProvider.hash(`${jobKey}\n${candidate.rawText}`);
+            if (this.cache.has(key)) {
+                results[i] = { ...heuristic[i], ...this.cache.get(key) };
+            } else {
+                pending.push({ index: i, key });
+            }
+        });
+
+        const batchSize = Math.max(1, this.settings.batchSize || 5);
+        const batchCount = Math.ceil(pending.length / batchSize);
+        for (let b = 0; b < batchCount; b++) {
+            const batch = pending.slice(b * batchSize, (b + 1) * batchSize);
+            if (context.onProgress) context.onProgress(b + 1, batchCount);
+
+            let assessments = new Map();
+            let failure = null;
+            try {
+                assessments = await this.requestBatch(batch.map(item => candidates[item.index]), context);
+            } catch (error) {
+                failure = error;
+                console.warn('AI scoring batch failed, using heuristic scores:', error);
+            }
+
+            batch.forEach(({ index, key }) => {
+                const assessment = assessments.get(candidates[index].id);
+                if (assessment) {
+                    this.cache.set(key, assessment);
+                    results[index] = { ...heuristic[index], ...assessment };
+                } else {
+                    results[index] = {
+                        ...heuristic[index],
+                        provider: 'heuristic-fallback',
+                        fallbackReason: failure ? failure.message : 'Candidate missing from the AI response'
+                    };
+                }
+            });
+        }
+
+        return results;
+    }
+
+    // The timeout covers reading the body too, so an endpoint that stalls after the headers gives up
+    async requestBatch(candidates, context) {
+        const controller = new AbortController();
+        const timeoutMs = Math.max(1, this.settings.timeoutSeconds || 30) * 1000;
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        try {
+            return await this.sendBatch(candidates, context, controller.signal, timeoutMs);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async sendBatch(candidates, context, signal, timeoutMs) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.settings.apiKey) headers.Authorization = `Bearer ${this.settings.apiKey}`;
+
+        let response;
+        try {
+            response = await fetch(ChatCompletionsScoringProvider.completionsUrl(this.settings.endpoint), {
+                method: 'POST',
+                headers,
+                signal,
+                body: JSON.stringify({
+                    model: this.settings.model || undefined,
+                    temperature: 0,
+                    messages: this.buildMessages(candidates, context)
+                })
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new ScoringProviderError(`No response within ${timeoutMs / 1000} seconds`, 'timeout');
+            }
+            throw new ScoringProviderError(`Could not reach the endpoint (${error.message})`, 'network');
+        }
+
+        if (!response.ok) {
+            throw new ScoringProviderError(`The endpoint returned HTTP ${response.status}`, 'http');
+        }
+
+        let body;
+        try {
+            body = await response.json();
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new ScoringProviderError(`No response within ${timeoutMs / 1000} seconds`, 'timeout');
+            }
+            throw new ScoringProviderError('The endpoint did not return JSON', 'schema');
+        }
+        const content = body && body.choices && body.choices[0] && body.choices[0].message
+            ? body.choices[0].message.content
+            : null;
+        if (typeof content !== 'string') {
+            throw new ScoringProviderError('The response has no choices[0].message.content', 'schema');
+        }
+
+        return ChatCompletionsScoringProvider.parseAssessments(content, candidates.map(candidate => candidate.id));
+    }
+
+    buildMessages(candidates, context) {
+        const requirements = context.requirements;
+        const resumes = candidates.map(candidate =>
+            `### Candidate ${candidate.id}\n${candidate.rawText.slice(0, ChatCompletionsScoringProvider.MAX_RESUME_CHARS)}`
+        ).join('\n\n');
+
+        return [
+            {
+                role: 'system',
+                content: 'You screen resumes against a job description for a recruiter. Judge only job-relevant ' +
+                    'qualifications; ignore names, gender, age, ethnicity and other protected characteristics. ' +
+                    (context.excludeProxies ? 'Do not give credit for employer prestige and do not consider where the candidate lives. ' : '') +
+                    'Reply with JSON only, no prose, in exactly this shape: ' +
+                    '{"results": [{"id": <candidate id number>, "score": <integer 0-100>, "strengths": [<short strings>], ' +
+                    '"gaps": [<short strings>], "rationale": "<one or two sentences>"}]}'
+            },
+            {
+                role: 'user',
+                content: `## Job description\n${context.jobDescription}\n\n` +
+                    `## Parsed requirements\nRequired skills: ${requirements.requiredSkills.join(', ') || 'none listed'}\n` +
+                    `Preferred skills: ${requirements.preferredSkills.join(', ') || 'none listed'}\n` +
+                    `Minimum years: ${requirements.minYears === null ? 'not stated' : requirements.minYears}\n` +
+                    `Degree: ${requirements.degreeLevel || 'not stated'}\n\n` +
+                    `## Resumes\n${resumes}\n\nScore every candidate: ${candidates.map(candidate => candidate.id).join(', ')}.`
+            }
+        ];
+    }
+
+    // Checks the model's reply against the expected shape; only well-formed entries are kept
+    static parseAssessments(content, expectedIds) {
+        const json = content.trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new ScoringProviderError('The model reply is not valid JSON', 'schema');
+        }
+        if (!data || !Array.isArray(data.results)) {
+            throw new ScoringProviderError('The model reply has no "results" array', 'schema');
+        }
+
+        const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+        const assessments = new Map();
+        data.results.forEach(item => {
+            const id = Number(item && item.id);
+            if (!expectedIds.includes(id) || assessments.has(id)) return;
+            if (typeof item.score !== 'number' || !Number.isFinite(item.score) || item.score < 0 || item.score > 100) return;
+            if (!isStringList(item.strengths) || !isStringList(item.gaps) || typeof item.rationale !== 'string') return;
+
+            assessments.set(id, {
+                score: Math.round(item.score),
+                exactScore: item.score,
+                strengths: item.strengths.slice(0, 8),
+                gaps: item.gaps.slice(0, 8),
+                rationale: item.rationale.slice(0, 1000),
+                provider: 'ai'
+            });
+        });
+
+        if (assessments.size === 0) {
+            throw new ScoringProviderError('The model reply contained no valid assessments', 'schema');
+        }
+        return assessments;
+    }
+
+    static completionsUrl(endpoint) {
+        const url = String(endpoint || '').trim().replace(/\/+$/, '');
+        return /\/chat\/completions$/.test(url) ? url : `${url}/chat/completions`;
+    }
+
+    // FNV-1a, used to keep cache keys short
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16) + ':' + text.length;
+    }
+
+    static loadSettings() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(ChatCompletionsScoringProvider.STORAGE_KEY) || '{}');
+        } catch (error) {
+            console.warn('Ignoring unreadable AI provider settings:', error);
+        }
+        return { ...ChatCompletionsScoringProvider.DEFAULT_SETTINGS, ...saved };
+    }
+
+    static saveSettings(settings) {
+        localStorage.setItem(ChatCompletionsScoringProvider.STORAGE_KEY, JSON.stringify(settings));
+    }
+}
+
+HeuristicScoringProvider.CHUNK_SIZE = 25; // Candidates per worker task
+
+ChatCompletionsScoringProvider.STORAGE_KEY = 'resumeai.aiProvider';
+ChatCompletionsScoringProvider.MAX_RESUME_CHARS = 6000;
+ChatCompletionsScoringProvider.DEFAULT_SETTINGS = {
+    provider: 'heuristic', // 'heuristic' | 'chat-completions'
+    endpoint: 'http://localhost:8080/v1',
+    apiKey: '',
+    model: '',
+    batchSize: 5,
+    timeoutSeconds: 30
+};
@@ -0,0 +1,156 @@
+// ResumeAI - Screening kits
+// Phone-screen questions for one candidate: required skills the resume does not show, claimed
+// strengths worth verifying, and whether their experience fits the level of the role. The
+// questions come from an editable bank keyed by skill and level. {skill}, {years}, {role},
+// {company}, {title} and {level} in a question are filled in for the candidate.
+
+class ScreeningKit {
+    // bank: [{ kind, skill, level, text }] - entries without a skill suit every skill
+    static build(candidate, requirements, bank, taxonomy) {
+        const level = ScreeningKit.roleLevel(requirements, candidate);
+        const values = {
+            years: candidate.yearsExperience,
+            role: candidate.experience || 'your current role',
+            company: candidate.company || 'your current company',
+            title: requirements.title || 'this role',
+            level: ScreeningKit.LEVELS[level].toLowerCase()
+        };
+        const forSkills = (kind, skills) => skills.flatMap((skill, i) =>
+            ScreeningKit.pick(bank, kind, skill, level, taxonomy, i, ScreeningKit.QUESTIONS_PER_SKILL[kind]).map(entry => ({
+                skill,
+                text: ScreeningKit.fill(entry.text, { ...values, skill })
+            })));
+
+        const experience = ScreeningKit.describeExperience(candidate, requirements);
+        return {
+            level,
+            levelLabel: ScreeningKit.LEVELS[level],
+            experience,
+            sections: [
+                { kind: 'gap', questions: forSkills('gap', candidate.missingSkills.slice(0, ScreeningKit.MAX_GAPS)) },
+                { kind: 'strength', questions: forSkills('strength', candidate.matchedSkills.slice(0, ScreeningKit.MAX_STRENGTHS)) },
+                {
+                    kind: 'seniority',
+                    questions: ScreeningKit.pick(bank, 'seniority', '', level, taxonomy, 0, ScreeningKit.MAX_SENIORITY)
+                        .map(entry => ({ skill: '', text: ScreeningKit.fill(entry.text, values) }))
+                }
+            ].map(section => ({ ...section, title: ScreeningKit.KINDS[section.kind].label }))
+        };
+    }
+
+    // The level the role is hired at: the job's stated seniority, else its minimum years, else
+    // the candidate's own years
+    static roleLevel(requirements, candidate) {
+        if (ScreeningKit.SENIORITY_LEVELS[requirements.seniority]) return ScreeningKit.SENIORITY_LEVELS[requirements.seniority];
+        const years = requirements.minYears !== null ? requirements.minYears : candidate.yearsExperience;
+        return years < 2 ? 'junior' : years < 5 ? 'mid' : 'senior';
+    }
+
+    static describeExperience(candidate, requirements) {
+        const years = `${candidate.yearsExperience} years of experience`;
+        if (requirements.minYears === null) return { text: years, concern: false };
+        return {
+            text: `${years}, ${requirements.minYears}+ required`,
+            concern: candidate.yearsExperience < requirements.minYears
+        };
+    }
+
+    // Questions written for the skill come first, then general ones. Which general questions
+    // are used rotates with `offset` so consecutive skills are not asked the same thing.
+    static pick(bank, kind, skill, level, taxonomy, offset, limit) {
+        const fits = bank.filter(entry => entry.kind === kind && (entry.level === 'any' || entry.level === level));
+        const specific = skill ? fits.filter(entry => entry.skill && ScreeningKit.sameSkill(entry.skill, skill, taxonomy)) : [];
+        const general = fits.filter(entry => !entry.skill);
+        const start = general.length ? offset % general.length : 0;
+        return [...specific, ...general.slice(start), ...general.slice(0, start)].slice(0, limit);
+    }
+
+    static sameSkill(a, b, taxonomy) {
+        return taxonomy.canonicalName(a).toLowerCase() === taxonomy.canonicalName(b).toLowerCase();
+    }
+
+    // Unknown placeholders are left as written
+    static fill(text, values) {
+        return text.replace(/\{(\w+)\}/g, (match, key) => key in values ? String(values[key]) : match);
+    }
+
+    static loadBank() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(ScreeningKit.STORAGE_KEY) || 'null');
+            if (Array.isArray(saved)) return ScreeningKit.normalizeBank(saved);
+        } catch (error) {
+            console.warn('Ignoring unreadable question bank:', error);
+        }
+        return ScreeningKit.DEFAULT_BANK.map(entry => ({ ...entry }));
+    }
+
+    static saveBank(bank) {
+        localStorage.setItem(ScreeningKit.STORAGE_KEY, JSON.stringify(bank));
+    }
+
+    // Drops entries without a question and fixes unknown kinds and levels
+    static normalizeBank(entries) {
+        return (Array.isArray(entries) ? entries : [])
+            .filter(entry => entry && String(entry.text || '').trim())
+            .map(entry => ({
+                kind: entry.kind in ScreeningKit.KINDS ? entry.kind : 'strength',
+                skill: String(entry.skill || '').trim(),
+                level: entry.level in ScreeningKit.LEVELS ? entry.level : 'any',
+                text: String(entry.text).trim()
+            }));
+    }
+}
+
+ScreeningKit.STORAGE_KEY = 'resumeai.questionBank';
+ScreeningKit.QUESTIONS_PER_SKILL = { gap: 1, strength: 2 };
+ScreeningKit.MAX_GAPS = 5;
+ScreeningKit.MAX_STRENGTHS = 3;
+ScreeningKit.MAX_SENIORITY = 3;
+
+ScreeningKit.KINDS = {
+    gap: {
+        label: 'Missing required skills',
+        hint: 'Asked for each required skill the resume does not show',
+        empty: 'The resume shows every required skill.'
+    },
+    strength: {
+        label: 'Verify claimed strengths',
+        hint: 'Asked for skills the resume claims that the job asks for',
+        empty: 'None of the job\'s skills were found in the resume.'
+    },
+    seniority: {
+        label: 'Seniority',
+        hint: 'Asked once per candidate, at the level of the role',
+        empty: 'The question bank has no seniority questions for this level.'
+    }
+};
+
+ScreeningKit.LEVELS = { any: 'Any level', junior: 'Junior', mid: 'Mid-level', senior: 'Senior' };
+
+// JobDescriptionParser seniority -> question level
+ScreeningKit.SENIORITY_LEVELS = { intern: 'junior', junior: 'junior', mid: 'mid', senior: 'senior', lead: 'senior', manager: 'senior' };
+
+ScreeningKit.DEFAULT_BANK = [
+    { kind: 'gap', skill: '', level: 'any', text: 'This role needs {skill}. Have you used it, or something close to it? Tell me about the most recent time.' },
+    { kind: 'gap', skill: '', level: 'any', text: 'How would you get productive with {skill} in your first month?' },
+    { kind: 'gap', skill: '', level: 'junior', text: 'Have you come across {skill} in coursework, side projects or at work? What did you build?' },
+    { kind: 'gap', skill: '', level: 'senior', text: 'We rely on {skill}. Have you made decisions about it, or about an alternative, and what were the trade-offs?' },
+    { kind: 'gap', skill: 'SQL', level: 'junior', text: 'What is the difference between an inner join and a left join?' },
+    { kind: 'strength', skill: '', level: 'any', text: 'Your resume lists {skill}. Walk me through a recent project where you used it and what you were responsible for.' },
+    { kind: 'strength', skill: '', level: 'any', text: 'What is the hardest problem you have solved with {skill}?' },
+    { kind: 'strength', skill: '', level: 'junior', text: 'How did you learn {skill}, and what would you like to get better at?' },
+    { kind: 'strength', skill: '', level: 'senior', text: 'How have you helped others on your team get better at {skill}?' },
+    { kind: 'strength', skill: 'JavaScript', level: 'any', text: 'When does a promise callback run compared with a setTimeout callback, and why?' },
+    { kind: 'strength', skill: 'React', level: 'any', text: 'How do you decide whether state belongs in a component, its parent or a shared store?' },
+    { kind: 'strength', skill: 'Python', level: 'any', text: 'When would you use a generator instead of building a list?' },
+    { kind: 'strength', skill: 'SQL', level: 'any', text: 'A query that used to be fast has become slow. How do you find out why?' },
+    { kind: 'strength', skill: 'AWS', level: 'any', text: 'Which AWS services have you run in production, and how did you manage permissions for them?' },
+    { kind: 'strength', skill: 'Docker', level: 'any', text: 'What do you do to keep container images small and builds fast?' },
+    { kind: 'strength', skill: 'Kubernetes', level: 'senior', text: 'How have you debugged a pod that keeps restarting?' },
+    { kind: 'strength', skill: 'Java', level: 'any', text: 'How would you track down a memory leak in a Java service?' },
+    { kind: 'seniority', skill: '', level: 'any', text: 'You have about {years} years of experience. Which project best shows the level you work at today?' },
+    { kind: 'seniority', skill: '', level: 'junior', text: 'When you are stuck, how long do you try on your own before asking for help, and how do you ask?' },
+    { kind: 'seniority', skill: '', level: 'mid', text: 'Tell me about something you owned from start to finish as {role}. What would you do differently?' },
+    { kind: 'seniority', skill: '', level: 'senior', text: 'Tell me about a technical decision you led that affected more than your own work.' },
+    { kind: 'seniority', skill: '', level: 'senior', text: 'How do you review other people\'s work, and who have you mentored?' }
+];
@@ -5,20 +5,124 @@ class ResumeAI {
         this.jobDescription = '';
         this.rankedCandidates = [];
         this.isProcessing = false;
+        this.processingCancelled = false;
+        this.workerPool = null; // Started on first use, see getWorkerPool()
+        this.lastStreamRender = 0;
+        this.skillTaxonomy = new SkillTaxonomy();
+        this.customSkills = SkillTaxonomy.loadCustomEntries();
+        this.applyCustomSkills();
+        this.fieldExtractor = new ResumeFieldExtractor({ taxonomy: this.skillTaxonomy });
+        this.resumeSplitter = new ResumeSplitter(this.fieldExtractor);
+        this.preparedFiles = new Map(); // File -> { extracted, lines, boundaries, detectedBoundaries } or { error }
+        this.fileKeys = new Map(); // File -> content hash used as its key in the store
+        this.store = AnalysisStore.isAvailable() ? new AnalysisStore() : null;
+        this.currentSession = null; // { id, name, createdAt } once the analysis has been saved
+        this.engine = new RankingEngine(this.skillTaxonomy);
+        this.jobParser = this.engine.jobParser;
+        this.jobRequirements = null;
+        this.jobParseTimer = null;
+        this.scoringProfiles = ScoringModel.loadProfiles();
+        this.activeProfileName = localStorage.getItem(ScoringModel.ACTIVE_PROFILE_KEY) || this.scoringProfiles[0].name;
+        this.aiSettings = ChatCompletionsScoringProvider.loadSettings();
+        this.aiProvider = null;
+        this.serverSettings = ResumeAIApiClient.loadSettings(); // Where analyses run: this browser or an API server
+        this.serverResumeIds = new Map(); // File -> id of its upload on the API server
+        this.serverJobIds = {}; // requisition id -> job id on the API server
+        this.rankingMode = localStorage.getItem('resumeai.rankingMode') || 'rules'; // 'rules' | 'relevance' | 'blended'
+        this.resultsView = localStorage.getItem('resumeai.resultsView') || 'list'; // 'list' | 'board'
+        this.resultsFilter = ResumeAI.parseFilterHash(window.location.hash);
+        this.resultsPage = ResumeAI.parseFilterPage(window.location.hash);
+        this.filterTimer = null;
+        this.compareSelection = new Set(); // candidateKeys picked for side-by-side comparison
+        this.analyticsCharts = []; // Charts last drawn in the analytics view
+        this.blindReview = localStorage.getItem('resumeai.blindReview') === 'true';
+        this.unlockedCandidates = new Set(); // candidateKeys a reviewer has revealed during blind review
+        this.excludeProxies = localStorage.getItem('resumeai.excludeProxies') === 'true'; // Leave company and location out of scoring
+        this.questionBank = ScreeningKit.loadBank(); // Questions screening kits are drawn from
+        this.importedRecords = {}; // resume file name -> what an ATS export said about it
+        // Open roles; the active one is mirrored in jobDescription, jobRequirements,
+        // activeProfileName and rankedCandidates while it is being edited
+        this.requisitions = [];
+        this.activeRequisitionId = null;
+        this.candidatePool = []; // Candidates as read from the files, before scoring
+        this.extractedCandidates = []; // Every resume read, before duplicates are merged
+        this.duplicateGroups = []; // { signature, members, reasons, suggested }, see findDuplicates()
+        this.duplicateDecisions = {}; // signature -> { action: 'merge', keep } or { action: 'separate' }
+        this.resetRequisitions();
         
         this.initializeEventListeners();
         this.initializeDragAndDrop();
+        this.initializePipelineBoard();
+        this.renderRequisitionTabs();
+        this.renderHistory();
     }
 
     initializeEventListeners() {
         // Job description
         document.getElementById('jobDescription').addEventListener('input', (e) => {
             this.jobDescription = e.target.value;
+            clearTimeout(this.jobParseTimer);
+            this.jobParseTimer = setTimeout(() => this.parseJobDescription(), 400);
         });
 
         document.getElementById('clearJob').addEventListener('click', () => {
             document.getElementById('jobDescription').value = '';
             this.jobDescription = '';
+            this.parseJobDescription();
+        });
+
+        document.getElementById('scoringSettings').addEventListener('click', () => {
+            this.showScoringSettings();
+        });
+
+        document.getElementById('knockoutRules').addEventListener('click', () => {
+            this.showKnockoutRules();
+        });
+
+        // Requisition tabs
+        document.getElementById('requisitionTabs').addEventListener('click', (e) => {
+            const remove = e.target.closest('.requisition-remove');
+            const tab = e.target.closest('.requisition-tab');
+            if (e.target.closest('.requisition-add')) {
+                this.addRequisition();
+            } else if (remove) {
+                this.removeRequisition(remove.dataset.id);
+            } else if (tab) {
+                this.switchRequisition(tab.dataset.id);
+            }
+        });
+
+        // Parsed requirement chips
+        const requirementsBody = document.getElementById('requirementsBody');
+        requirementsBody.addEventListener('click', (e) => {
+            const remove = e.target.closest('.chip-remove');
+            if (remove) {
+                this.jobRequirements[remove.dataset.group].splice(parseInt(remove.dataset.index, 10), 1);
+                this.renderJobRequirements();
+            }
+        });
+
+        requirementsBody.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' || !e.target.classList.contains('chip-input')) return;
+            e.preventDefault();
+            const value = e.target.value.trim();
+            const group = this.jobRequirements[e.target.dataset.group];
+            if (value && !group.some(skill => skill.toLowerCase() === value.toLowerCase())) {
+                group.push(value);
+            }
+            this.renderJobRequirements();
+            requirementsBody.querySelector(`.chip-input[data-group="${e.target.dataset.group}"]`).focus();
+        });
+
+        requirementsBody.addEventListener('change', (e) => {
+            const field = e.target.dataset.field;
+            if (!field) return;
+            if (field === 'minYears') {
+                const years = parseInt(e.target.value, 10);
+                this.jobRequirements.minYears = Number.isNaN(years) ? null : Math.max(0, years);
+            } else {
+                this.jobRequirements[field] = e.target.value.trim();
+            }
         });
 
         // File upload
@@ -26,15 +130,173 @@ class ResumeAI {
             this.handleFileSelect(e.target.files);
         });
 
+        document.getElementById('atsImport').addEventListener('click', (e) => {
+            e.stopPropagation(); // The upload area would open the file picker
+            this.showAtsImport();
+        });
+
         // Results actions
+        document.getElementById('rankingMode').addEventListener('click', (e) => {
+            const option = e.target.closest('.mode-option');
+            if (option && option.dataset.mode !== this.rankingMode) {
+                this.setRankingMode(option.dataset.mode);
+            }
+        });
+        this.updateRankingModeButtons();
+
+        document.getElementById('resultsView').addEventListener('click', (e) => {
+            const option = e.target.closest('.mode-option');
+            if (option && option.dataset.view !== this.resultsView) {
+                this.setResultsView(option.dataset.view);
+            }
+        });
+        this.updateResultsView();
+
+        // Results toolbar and pagination
+        const resultsToolbar = document.getElementById('resultsToolbar');
+        resultsToolbar.addEventListener('input', (e) => {
+            const field = e.target.dataset.filter;
+            if (!field) return;
+            clearTimeout(this.filterTimer);
+            this.filterTimer = setTimeout(() => this.setResultsFilter({ [field]: e.target.value }), 250);
+        });
+
+        resultsToolbar.addEventListener('change', (e) => {
+            const field = e.target.dataset.filter;
+            if (!field) return;
+            clearTimeout(this.filterTimer);
+            this.setResultsFilter({ [field]: e.target.value });
+        });
+
+        resultsToolbar.addEventListener('click', (e) => {
+            const clear = e.target.closest('[data-clear]');
+            if (!clear) return;
+            this.setResultsFilter({ [clear.dataset.clear]: '' });
+            this.renderResultsToolbar();
+        });
+
+        document.getElementById('analyticsPanel').addEventListener('click', (e) => {
+            const bar = e.target.closest('.chart-bar');
+            const download = e.target.closest('[data-action="download-chart"]');
+            if (bar) {
+                const chart = this.analyticsCharts.find(item => item.id === bar.dataset.chart);
+                this.showChartSelection(chart.bars[Number(bar.dataset.bar)].filter);
+            } else if (download) {
+                this.downloadChartImage(this.analyticsCharts.find(item => item.id === download.dataset.chart));
+            }
+        });
+
+        document.getElementById('clearFilters').addEventListener('click', () => {
+            this.resultsFilter = { ...ResumeAI.DEFAULT_FILTER };
+            this.resultsPage = 1;
+            this.writeFilterHash();
+            this.renderResultsToolbar();
+            this.renderResultsList();
+        });
+
+        document.getElementById('resultsPagination').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-page]');
+            if (!button || button.disabled) return;
+            this.resultsPage = parseInt(button.dataset.page, 10);
+            this.writeFilterHash();
+            this.renderResultsList();
+            document.getElementById('resultsGrid').scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
+
+        // Bookmarked or edited hashes apply without a reload
+        window.addEventListener('hashchange', () => {
+            this.resultsFilter = ResumeAI.parseFilterHash(window.location.hash);
+            this.resultsPage = ResumeAI.parseFilterPage(window.location.hash);
+            if (this.rankedCandidates.length) {
+                this.renderResultsToolbar();
+                this.renderResultsList();
+            }
+        });
+
+        document.getElementById('cancelProcessing').addEventListener('click', () => {
+            this.cancelProcessing();
+        });
+
+        document.getElementById('knockoutList').addEventListener('click', (e) => {
+            const row = e.target.closest('.knockout-row');
+            if (!row) return;
+            const candidate = this.rankedCandidates.find(item => this.candidateKey(item) === row.dataset.key);
+            if (candidate) this.showCandidateDetails(candidate);
+        });
+
+        // Comparison
+        document.getElementById('openCompare').addEventListener('click', () => {
+            this.showComparison();
+        });
+
+        document.getElementById('clearCompare').addEventListener('click', () => {
+            this.compareSelection.clear();
+            this.renderResultsList();
+        });
+
+        document.getElementById('reviewDuplicates').addEventListener('click', () => {
+            this.showDuplicateReview();
+        });
+
+        document.getElementById('jobMatrix').addEventListener('click', () => {
+            this.showJobMatrix();
+        });
+
+        document.getElementById('blindReview').addEventListener('click', () => {
+            this.setBlindReview(!this.blindReview);
+        });
+        this.updateBlindReviewButton();
+
+        document.getElementById('fairnessAudit').addEventListener('click', () => {
+            this.showFairnessAudit();
+        });
+
         document.getElementById('exportResults').addEventListener('click', () => {
-            this.exportResults();
+            this.showExportDialog();
         });
 
         document.getElementById('newAnalysis').addEventListener('click', () => {
             this.resetAnalysis();
         });
 
+        // Session history
+        document.getElementById('historyToggle').addEventListener('click', () => {
+            document.getElementById('historySidebar').classList.toggle('open');
+        });
+
+        document.getElementById('historyClose').addEventListener('click', () => {
+            document.getElementById('historySidebar').classList.remove('open');
+        });
+
+        document.getElementById('importSession').addEventListener('click', () => {
+            document.getElementById('importSessionInput').click();
+        });
+
+        document.getElementById('clearStoredFiles').addEventListener('click', () => {
+            this.clearStoredFiles();
+        });
+
+        document.getElementById('importSessionInput').addEventListener('change', (e) => {
+            if (e.target.files[0]) this.importSessionFile(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        const historyList = document.getElementById('historyList');
+        historyList.addEventListener('click', (e) => {
+            const item = e.target.closest('.history-item');
+            if (!item || e.target.closest('.history-rename-input')) return;
+            const action = e.target.closest('[data-action]');
+            if (!action) {
+                this.openSession(item.dataset.id);
+            } else if (action.dataset.action === 'rename') {
+                this.startRenameSession(item);
+            } else if (action.dataset.action === 'duplicate') {
+                this.duplicateSession(item.dataset.id);
+            } else if (action.dataset.action === 'delete') {
+                this.deleteSession(item.dataset.id);
+            }
+        });
+
         // Modal
         document.getElementById('modalClose').addEventListener('click', () => {
             this.closeModal();
@@ -70,23 +332,426 @@ class ResumeAI {
         });
     }
 
-    handleFileSelect(files) {
-        const validTypes = ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
-        
+    initializePipelineBoard() {
+        const board = document.getElementById('pipelineBoard');
+
+        board.addEventListener('dragstart', (e) => {
+            const card = e.target.closest('.board-card');
+            if (!card) return;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', card.dataset.key);
+            card.classList.add('dragging');
+        });
+
+        board.addEventListener('dragend', (e) => {
+            const card = e.target.closest('.board-card');
+            if (card) card.classList.remove('dragging');
+        });
+
+        board.addEventListener('dragover', (e) => {
+            const column = e.target.closest('.pipeline-column');
+            if (!column) return;
+            e.preventDefault();
+            column.classList.add('dragover');
+        });
+
+        board.addEventListener('dragleave', (e) => {
+            const column = e.target.closest('.pipeline-column');
+            if (column && !column.contains(e.relatedTarget)) {
+                column.classList.remove('dragover');
+            }
+        });
+
+        board.addEventListener('drop', (e) => {
+            const column = e.target.closest('.pipeline-column');
+            if (!column) return;
+            e.preventDefault();
+            column.classList.remove('dragover');
+
+            const key = e.dataTransfer.getData('text/plain');
+            const candidate = this.rankedCandidates.find(item => this.candidateKey(item) === key);
+            if (!candidate || this.getPipeline(candidate).status === column.dataset.status) return;
+            this.updatePipeline(candidate, { status: column.dataset.status });
+            if (column.dataset.status === 'rejected') {
+                this.showNotification(`${this.viewCandidate(candidate).name} rejected. Open the candidate to record a reason.`, 'info');
+            }
+        });
+
+        board.addEventListener('click', (e) => {
+            const card = e.target.closest('.board-card');
+            if (!card) return;
+            const candidate = this.rankedCandidates.find(item => this.candidateKey(item) === card.dataset.key);
+            if (candidate) this.showCandidateDetails(candidate);
+        });
+    }
+
+    async handleFileSelect(files) {
+        const addedFiles = [];
         Array.from(files).forEach(file => {
-            if (validTypes.includes(file.type)) {
+            if (TextExtractor.isSupportedFile(file)) {
                 if (!this.uploadedFiles.find(f => f.name === file.name)) {
                     this.uploadedFiles.push(file);
+                    addedFiles.push(file);
                 }
             } else {
-                this.showNotification(`File ${file.name} is not supported. Please upload PDF, DOC, or DOCX files.`, 'error');
+                this.showNotification(`File ${file.name} is not supported. Please upload PDF, DOCX, DOC, ODT, RTF or TXT files.`, 'error');
             }
         });
 
         this.updateFileList();
+        // With a job description the analysis reads the new files itself, with progress; without
+        // one they are read now so the file list can show what each holds
+        if (!this.jobDescription.trim()) {
+            await this.prepareFiles(addedFiles);
+            this.updateFileList();
+        }
         this.startAnalysis();
     }
 
+    // Imports candidates from an ATS export in three steps: choose the export and its resumes,
+    // map the export's columns to candidate fields, then check which resume each row gets.
+    // The rows are kept as records and applied when the resumes are read.
+    showAtsImport() {
+        const modal = document.getElementById('detailModal');
+        const modalBody = document.getElementById('modalBody');
+        document.getElementById('modalTitle').textContent = 'Import from ATS';
+
+        const state = { step: 'files', exportFile: null, resumeFiles: [], table: null, attachments: [], mapping: {}, stageMap: {}, links: [], preset: '' };
+        let presets = AtsImport.loadPresets();
+        const fileNames = () => state.attachments.map(attachment => attachment.file.name);
+        const columnSelect = (field) => `
+            <select data-field="${field}">
+                <option value="">Not in the export</option>
+                ${state.table.columns.map(column => `<option value="${this.escapeHtml(column)}" ${state.mapping[field] === column ? 'selected' : ''}>${this.escapeHtml(column)}</option>`).join('')}
+            </select>
+        `;
+        const stageSelect = (stage) => `
+            <select data-stage="${this.escapeHtml(stage)}">
+                ${ResumeAI.PIPELINE_STAGES.map(item => `<option value="${item.id}" ${state.stageMap[stage] === item.id ? 'selected' : ''}>${item.label}</option>`).join('')}
+            </select>
+        `;
+        // Stages keep the status picked for them earlier; new ones get a guess
+        const updateStages = () => {
+            state.stageMap = Object.fromEntries(AtsImport.distinctStages(state.table.rows, state.mapping)
+                .map(stage => [stage, state.stageMap[stage] || AtsImport.guessStatus(stage) || 'new']));
+        };
+        const applyPreset = (preset) => {
+            state.preset = preset.name;
+            state.mapping = Object.fromEntries(Object.entries(preset.mapping).filter(([, column]) => state.table.columns.includes(column)));
+            state.stageMap = { ...preset.stageMap };
+            updateStages();
+        };
+
+        modalBody.innerHTML = '<div class="ats-import"></div>';
+        const wizard = modalBody.querySelector('.ats-import');
+        const render = () => {
+            if (state.step === 'files') {
+                wizard.innerHTML = `
+                    <p class="settings-help">Export the applications from your ATS or job board as CSV or JSON, with the resumes as a ZIP of attachments or as separate files. Each row is linked to its resume, and its details, source, applied date and stage are kept with the candidate.</p>
+                    <div class="ats-files">
+                        <label>Export (CSV or JSON)
+                            <input type="file" id="atsExportFile" accept=".csv,.tsv,.txt,.json">
+                        </label>
+                        <label>Resumes (ZIP of attachments or resume files)
+                            <input type="file" id="atsResumeFiles" multiple accept=".zip,.pdf,.docx,.doc,.odt,.rtf,.txt">
+                        </label>
+                    </div>
+                    <div class="settings-actions">
+                        <button class="btn-secondary" data-action="cancel">Cancel</button>
+                        <button class="btn-primary" data-action="read"><i class="fas fa-arrow-right"></i> Next</button>
+                    </div>
+                `;
+            } else if (state.step === 'mapping') {
+                const sample = state.table.rows[0];
+                const stages = Object.keys(state.stageMap);
+                wizard.innerHTML = `
+                    <p class="settings-help">${state.table.rows.length} row${state.table.rows.length === 1 ? '' : 's'} and ${state.attachments.length} resume file${state.attachments.length === 1 ? '' : 's'}. Choose the column that holds each field; mapped fields replace what is read from the resume.</p>
+                    <div class="settings-actions ats-presets">
+                        <select data-action="preset">
+                            <option value="">Column presets...</option>
+                            ${presets.map((preset, i) => `<option value="${i}" ${state.preset === preset.name ? 'selected' : ''}>${this.escapeHtml(preset.name)}</option>`).join('')}
+                        </select>
+                        <input type="text" id="atsPresetName" value="${this.escapeHtml(state.preset)}" placeholder="Preset name, e.g. Greenhouse">
+                        <button class="btn-secondary" data-action="save-preset"><i class="fas fa-save"></i> Save Preset</button>
+                        ${state.preset ? '<button class="btn-secondary" data-action="delete-preset"><i class="fas fa-trash"></i> Delete</button>' : ''}
+                    </div>
+                    <table class="ats-table">
+                        <thead><tr><th>Field</th><th>Column</th><th>First row</th></tr></thead>
+                        <tbody>
+                            ${Object.entries(AtsImport.FIELDS).map(([field, { label }]) => `
+                                <tr>
+                                    <td>${label}</td>
+                                    <td>${columnSelect(field)}</td>
+                                    <td class="ats-sample">${state.mapping[field] ? this.escapeHtml(sample[state.mapping[field]]) : ''}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    ${stages.length ? `
+                        <h4>Stages</h4>
+                        <p class="matrix-hint">The status each stage in the export becomes in the pipeline of ${this.escapeHtml(this.requisitionTitle(this.getActiveRequisition()))}. Candidates the role already has a status for keep it.</p>
+                        <table class="ats-table">
+                            <tbody>
+                                ${stages.map(stage => `<tr><td>${this.escapeHtml(stage)}</td><td>${stageSelect(stage)}</td></tr>`).join('')}
+                            </tbody>
+                        </table>
+                    ` : ''}
+                    <div class="settings-actions">
+                        <button class="btn-secondary" data-action="back"><i class="fas fa-arrow-left"></i> Back</button>
+                        <button class="btn-primary" data-action="link"><i class="fas fa-arrow-right"></i> Next</button>
+                    </div>
+                `;
+            } else {
+                const linked = state.links.filter(Boolean);
+                const repeated = linked.filter((name, i) => linked.indexOf(name) !== i);
+                wizard.innerHTML = `
+                    <p class="settings-help">${linked.length} of ${state.table.rows.length} rows have a resume. Rows without one are skipped${repeated.length ? '; when rows share a resume, the last of them is used' : ''}.</p>
+                    <table class="ats-table">
+                        <thead><tr><th>Candidate</th><th>Stage</th><th>Resume</th></tr></thead>
+                        <tbody>
+                            ${state.table.rows.map((row, i) => `
+                                <tr class="${state.links[i] ? '' : 'ats-unlinked'}">
+                                    <td>${this.escapeHtml(AtsImport.nameOf(row, state.mapping) || `Row ${i + 1}`)}</td>
+                                    <td>${state.mapping.stage ? this.escapeHtml(row[state.mapping.stage]) : ''}</td>
+                                    <td>
+                                        <select data-row="${i}">
+                                            <option value="">Skip this row</option>
+                                            ${fileNames().map(name => `<option value="${this.escapeHtml(name)}" ${state.links[i] === name ? 'selected' : ''}>${this.escapeHtml(name)}</option>`).join('')}
+                                        </select>
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    <div class="settings-actions">
+                        <button class="btn-secondary" data-action="mapping"><i class="fas fa-arrow-left"></i> Back</button>
+                        <button class="btn-primary" data-action="import" ${linked.length ? '' : 'disabled'}><i class="fas fa-file-import"></i> Import ${linked.length} Candidate${linked.length === 1 ? '' : 's'}</button>
+                    </div>
+                `;
+            }
+        };
+
+        const readFiles = async () => {
+            if (!state.exportFile) {
+                this.showNotification('Choose the export file first.', 'warning');
+                return;
+            }
+            try {
+                state.table = AtsImport.parseExport(await state.exportFile.text(), state.exportFile.name);
+                state.attachments = [];
+                for (const file of state.resumeFiles) {
+                    if (/\.zip$/i.test(file.name)) {
+                        state.attachments.push(...await AtsImport.readAttachments(new Uint8Array(await file.arrayBuffer())));
+                    } else {
+                        state.attachments.push({ path: file.name, file });
+                    }
+                }
+            } catch (error) {
+                this.showNotification(`Could not read the export: ${error.message}`, 'error');
+                return;
+            }
+
+            // A preset that fits every column it maps is probably for this ATS
+            const preset = presets.find(item => Object.values(item.mapping).every(column => state.table.columns.includes(column)));
+            if (preset) {
+                applyPreset(preset);
+            } else {
+                state.preset = '';
+                state.mapping = AtsImport.guessMapping(state.table.columns);
+                updateStages();
+            }
+            state.step = 'mapping';
+            render();
+        };
+
+        const importRows = () => {
+            const requisitionId = this.getActiveRequisition().id;
+            const records = AtsImport.toRecords(state.table.rows, state.mapping, state.links, state.stageMap);
+            // Records are kept by file name, so a resume named like one already uploaded gets a number
+            const taken = new Set([...this.uploadedFiles.map(file => file.name), ...Object.keys(this.importedRecords)].map(name => name.toLowerCase()));
+            const names = new Map(); // name in the import -> name it is added under
+            const files = state.attachments.map(attachment => attachment.file).filter(file => state.links.includes(file.name)).map(file => {
+                const name = AtsImport.uniqueName(file.name, taken);
+                taken.add(name.toLowerCase());
+                names.set(file.name, name);
+                return name === file.name ? file : new File([file], name, { type: file.type, lastModified: file.lastModified });
+            });
+            records.forEach(({ fileName, ...record }) => {
+                this.importedRecords[names.get(fileName) || fileName] = { ...record, requisitionId };
+            });
+            const skipped = state.table.rows.length - records.length;
+            this.closeModal();
+            this.showNotification(`Imported ${records.length} candidate${records.length === 1 ? '' : 's'} from ${state.exportFile.name}` +
+                (skipped ? `; ${skipped} row${skipped === 1 ? ' without a resume was' : 's without a resume were'} skipped.` : '.'), 'success');
+            this.handleFileSelect(files);
+        };
+
+        wizard.addEventListener('change', (e) => {
+            const target = e.target;
+            if (target.id === 'atsExportFile') {
+                state.exportFile = target.files[0] || null;
+            } else if (target.id === 'atsResumeFiles') {
+                state.resumeFiles = Array.from(target.files);
+            } else if (target.dataset.field !== undefined) {
+                if (target.value) {
+                    state.mapping[target.dataset.field] = target.value;
+                } else {
+                    delete state.mapping[target.dataset.field];
+                }
+                updateStages();
+                render();
+            } else if (target.dataset.stage !== undefined) {
+                state.stageMap[target.dataset.stage] = target.value;
+            } else if (target.dataset.row !== undefined) {
+                state.links[Number(target.dataset.row)] = target.value;
+                render();
+            } else if (target.dataset.action === 'preset' && target.value !== '') {
+                applyPreset(presets[Number(target.value)]);
+                render();
+            }
+        });
+
+        wizard.addEventListener('click', (e) => {
+            const action = e.target.closest('button[data-action]');
+            if (!action) return;
+            switch (action.dataset.action) {
+                case 'cancel':
+                    this.closeModal();
+                    return;
+                case 'read':
+                    readFiles();
+                    return;
+                case 'back':
+                    state.step = 'files';
+                    state.exportFile = null;
+                    state.resumeFiles = [];
+                    break;
+                case 'save-preset': {
+                    const name = wizard.querySelector('#atsPresetName').value.trim();
+                    if (!name) {
+                        this.showNotification('Give the preset a name, such as the ATS it is for.', 'warning');
+                        return;
+                    }
+                    presets = [...presets.filter(preset => preset.name !== name), { name, mapping: { ...state.mapping }, stageMap: { ...state.stageMap } }];
+                    AtsImport.savePresets(presets);
+                    state.preset = name;
+                    this.showNotification(`Saved the column preset "${name}".`, 'success');
+                    break;
+                }
+                case 'delete-preset':
+                    presets = presets.filter(preset => preset.name !== state.preset);
+                    AtsImport.savePresets(presets);
+                    state.preset = '';
+                    break;
+                case 'link':
+                    state.links = AtsImport.linkFiles(state.table.rows, state.mapping, fileNames());
+                    state.step = 'links';
+                    break;
+                case 'mapping':
+                    state.step = 'mapping';
+                    break;
+                case 'import':
+                    importRows();
+                    return;
+                default:
+                    return;
+            }
+            render();
+        });
+
+        render();
+        modal.style.display = 'block';
+    }
+
+    // Fills in what an ATS export said about each resume. The export's details win over what was
+    // read from the file, and its stage becomes the status in the role it was imported for unless
+    // the candidate already has one there. A file holding several resumes is left alone, since a
+    // row describes one applicant.
+    applyImportedRecords(candidates) {
+        candidates.forEach(candidate => {
+            const record = this.importedRecords[candidate.sourceFile];
+            if (!record || candidates.filter(other => other.sourceFile === candidate.sourceFile).length !== 1) return;
+
+            Object.assign(candidate, record.details);
+            candidate.confidence = { ...candidate.confidence };
+            Object.keys(record.details).forEach(field => {
+                candidate.confidence[field] = 1;
+            });
+            candidate.ats = { source: record.source, appliedAt: record.appliedAt, stage: record.stage };
+
+            const requisition = this.requisitions.find(item => item.id === record.requisitionId);
+            const key = this.candidateKey(candidate);
+            if (requisition && (record.status || record.notes) && !requisition.pipeline[key]) {
+                requisition.pipeline[key] = { status: record.status || 'new', notes: record.notes };
+            }
+        });
+        return candidates;
+    }
+
+    getWorkerPool() {
+        if (!this.workerPool) this.workerPool = new WorkerPool({ setup: { customSkills: this.customSkills } });
+        return this.workerPool;
+    }
+
+    async prepareFiles(files) {
+        const pool = this.getWorkerPool();
+        await WorkerPool.forEachLimited(files, pool.size * 2, file => this.prepareFile(file));
+    }
+
+    // Reads a file once and looks for multiple resumes inside it
+    async prepareFile(file) {
+        if (await this.loadStoredFile(file)) return;
+        try {
+            this.preparedFiles.set(file, await this.getWorkerPool().run({ type: 'prepare', file }));
+            this.storePreparedFile(file);
+        } catch (error) {
+            if (error instanceof ProcessingCancelledError) throw error;
+            this.preparedFiles.set(file, { error });
+        }
+    }
+
+    // Reuses a file parsed earlier (in any session) when its contents are unchanged
+    async loadStoredFile(file) {
+        if (!this.store) return false;
+        try {
+            const key = await AnalysisStore.fileKey(file);
+            this.fileKeys.set(file, key);
+            const record = await this.store.getFile(key);
+            if (!record) return false;
+            this.preparedFiles.set(file, {
+                extracted: record.extracted,
+                lines: record.lines,
+                boundaries: record.boundaries,
+                detectedBoundaries: record.detectedBoundaries
+            });
+            return true;
+        } catch (error) {
+            console.warn('Parsed file cache unavailable:', error);
+            return false;
+        }
+    }
+
+    storePreparedFile(file) {
+        const key = this.fileKeys.get(file);
+        const prepared = this.preparedFiles.get(file);
+        if (!this.store || !key || !prepared || prepared.error) return;
+        this.store.saveFile({
+            key,
+            name: file.name,
+            blob: file,
+            extracted: prepared.extracted,
+            lines: prepared.lines,
+            boundaries: prepared.boundaries,
+            detectedBoundaries: prepared.detectedBoundaries
+        }).catch(error => console.warn('Could not save parsed file:', error));
+    }
+
+    getSegments(file) {
+        const prepared = this.preparedFiles.get(file);
+        if (!prepared || prepared.error) return [];
+        return this.resumeSplitter.split(prepared.lines, prepared.boundaries);
+    }
+
     updateFileList() {
         const fileList = document.getElementById('fileList');
         fileList.innerHTML = '';
@@ -95,10 +760,24 @@ class ResumeAI {
             const fileItem = document.createElement('div');
             fileItem.className = 'file-item';
             
-            const isBulk = this.isBulkResumeFile(file);
-            const estimatedResumes = isBulk ? this.detectNumberOfResumes(file) : 1;
-            const fileType = isBulk ? 'Bulk File' : 'Individual Resume';
-            const icon = isBulk ? 'fas fa-layer-group' : 'fas fa-file-pdf';
+            const prepared = this.preparedFiles.get(file);
+            const segments = this.getSegments(file);
+            const isBulk = segments.length > 1;
+            const fileType = !prepared ? (this.serverResumeIds.has(file) ? 'Read on the server' : 'Reading...') : prepared.error ? 'Could not be read' : isBulk ? 'Bulk File' : 'Individual Resume';
+            const icon = isBulk ? 'fas fa-layer-group' : this.getFileIcon(file);
+
+            let detailsHtml = '';
+            if (prepared && prepared.error) {
+                detailsHtml = `<p class="file-error"><i class="fas fa-exclamation-circle"></i> ${this.escapeHtml(prepared.error.message)}</p>`;
+            } else if (isBulk) {
+                detailsHtml = `
+                    <p class="bulk-info"><i class="fas fa-users"></i> ${segments.length} resumes detected</p>
+                    <ul class="segment-list">
+                        ${segments.map(segment => `
+                            <li>${this.escapeHtml(segment.label)} <span>${segment.firstPage === segment.lastPage ? `page ${segment.firstPage}` : `pages ${segment.firstPage}-${segment.lastPage}`}</span></li>
+                        `).join('')}
+                    </ul>`;
+            }
             
             fileItem.innerHTML = `
                 <div class="file-info">
@@ -106,12 +785,16 @@ class ResumeAI {
                         <i class="${icon}"></i>
                     </div>
                     <div class="file-details">
-                        <h4>${file.name}</h4>
+                        <h4>${this.escapeHtml(file.name)}</h4>
                         <p>${this.formatFileSize(file.size)} • ${fileType}</p>
-                        ${isBulk ? `<p class="bulk-info"><i class="fas fa-users"></i> Estimated ${estimatedResumes} resumes</p>` : ''}
+                        ${detailsHtml}
                     </div>
                 </div>
                 <div class="file-actions">
+                    ${prepared && !prepared.error ? `
+                    <button class="btn-secondary file-split" onclick="resumeAI.showSplitEditor(${index})" title="Adjust where resumes are split">
+                        <i class="fas fa-cut"></i>
+                    </button>` : ''}
                     <button class="file-remove" onclick="resumeAI.removeFile(${index})">
                         <i class="fas fa-trash"></i>
                     </button>
@@ -121,8 +804,84 @@ class ResumeAI {
         });
     }
 
+    showSplitEditor(index) {
+        const file = this.uploadedFiles[index];
+        const prepared = this.preparedFiles.get(file);
+        if (!prepared || prepared.error) return;
+
+        const modal = document.getElementById('detailModal');
+        const modalBody = document.getElementById('modalBody');
+        document.getElementById('modalTitle').textContent = `Adjust split points - ${file.name}`;
+
+        const boundaries = new Set(prepared.boundaries);
+        const render = () => {
+            let resumeNumber = 1;
+            const linesHtml = prepared.lines.map((line, i) => {
+                const isBoundary = i > 0 && boundaries.has(i);
+                if (isBoundary) resumeNumber++;
+                return `
+                    ${line.pageStart ? `<div class="split-page-break">Page ${line.page + 1}</div>` : ''}
+                    ${isBoundary ? `<div class="split-marker"><i class="fas fa-cut"></i> Resume ${resumeNumber} starts here</div>` : ''}
+                    <div class="split-line ${isBoundary ? 'boundary' : ''}" data-line="${i}">${this.escapeHtml(line.text)}</div>
+                `;
+            }).join('');
+
+            modalBody.innerHTML = `
+                <p class="split-help">Click a line to start a new resume there, or click a marked line to merge it back into the previous resume.</p>
+                <div class="split-editor">
+                    <div class="split-marker"><i class="fas fa-cut"></i> Resume 1 starts here</div>
+                    ${linesHtml}
+                </div>
+                <div class="split-actions">
+                    <button class="btn-secondary" id="splitReset"><i class="fas fa-undo"></i> Reset to detected</button>
+                    <button class="btn-primary" id="splitApply"><i class="fas fa-check"></i> Apply (${resumeNumber} resumes)</button>
+                </div>
+            `;
+
+            modalBody.querySelector('.split-editor').addEventListener('click', (e) => {
+                const lineElement = e.target.closest('.split-line');
+                if (!lineElement) return;
+                const line = parseInt(lineElement.dataset.line, 10);
+                if (line === 0) return;
+                if (boundaries.has(line)) {
+                    boundaries.delete(line);
+                } else {
+                    boundaries.add(line);
+                }
+                render();
+            });
+
+            document.getElementById('splitReset').addEventListener('click', () => {
+                boundaries.clear();
+                prepared.detectedBoundaries.forEach(line => boundaries.add(line));
+                render();
+            });
+
+            document.getElementById('splitApply').addEventListener('click', () => {
+                prepared.boundaries = Array.from(boundaries).sort((a, b) => a - b);
+                this.storePreparedFile(file);
+                this.closeModal();
+                this.updateFileList();
+                this.startAnalysis();
+            });
+        };
+
+        render();
+        modal.style.display = 'block';
+    }
+
+    getFileIcon(file) {
+        const extension = (file.name.split('.').pop() || '').toLowerCase();
+        if (extension === 'pdf') return 'fas fa-file-pdf';
+        if (['doc', 'docx', 'odt', 'rtf'].includes(extension)) return 'fas fa-file-word';
+        return 'fas fa-file-alt';
+    }
+
     removeFile(index) {
-        this.uploadedFiles.splice(index, 1);
+        const [file] = this.uploadedFiles.splice(index, 1);
+        this.preparedFiles.delete(file);
+        this.serverResumeIds.delete(file);
+        delete this.importedRecords[file.name];
         this.updateFileList();
     }
 
@@ -134,354 +893,2010 @@ class ResumeAI {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
-    async startAnalysis() {
-        if (this.uploadedFiles.length === 0) {
-            this.showNotification('Please upload at least one resume file.', 'warning');
-            return;
-        }
+    // Shows an extracted value with a warning marker when the extractor was not confident about it
+    formatField(candidate, field, value = candidate[field]) {
+        if (value === '' || value === undefined || value === null) return '<span class="field-missing">Not found</span>';
+        const confidence = candidate.confidence ? candidate.confidence[field] : 1;
+        const text = this.escapeHtml(value);
+        if (confidence >= 0.5) return text;
+        return `<span class="low-confidence" title="Low-confidence extraction (${Math.round(confidence * 100)}%) - please verify">${text} <i class="fas fa-exclamation-triangle"></i></span>`;
+    }
 
-        if (!this.jobDescription.trim()) {
-            this.showNotification('Please enter job requirements before analyzing resumes.', 'warning');
-            return;
-        }
+    escapeHtml(value) {
+        // Resume text is untrusted, so anything taken from a file is escaped before rendering
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
 
-        this.isProcessing = true;
-        this.showProcessingSection();
-        
-        try {
-            // Simulate file processing and AI analysis
-            const candidates = await this.processResumes();
-            this.rankedCandidates = this.rankCandidates(candidates);
-            this.displayResults();
-        } catch (error) {
-            this.showNotification('Error processing resumes. Please try again.', 'error');
-            console.error('Processing error:', error);
-        } finally {
-            this.isProcessing = false;
-        }
+    parseJobDescription() {
+        this.jobRequirements = this.jobDescription.trim() ? this.jobParser.parse(this.jobDescription) : null;
+        this.renderJobRequirements();
+        this.renderRequisitionTabs();
     }
 
-    showProcessingSection() {
-        document.getElementById('processingSection').style.display = 'block';
-        document.getElementById('resultsSection').style.display = 'none';
-        
-        this.animateProgress();
+    createRequisition() {
+        return {
+            id: AnalysisStore.createId(),
+            jobDescription: '',
+            jobRequirements: null,
+            profileName: this.activeProfileName,
+            rankedCandidates: [],
+            knockoutRules: [], // See KnockoutRules
+            pipeline: {} // candidateKey -> { status, notes, rejectionReason, tags, knockoutOverride, knockoutLog }
+        };
     }
 
-    animateProgress() {
-        const progressFill = document.getElementById('progressFill');
-        const statusText = document.getElementById('processingStatus');
-        
-        const hasBulkFiles = this.uploadedFiles.some(file => this.isBulkResumeFile(file));
-        const totalResumes = this.uploadedFiles.reduce((total, file) => {
-            return total + (this.isBulkResumeFile(file) ? this.detectNumberOfResumes(file) : 1);
-        }, 0);
-        
-        const steps = [
-            { progress: 20, text: hasBulkFiles ? 'Reading bulk files and individual resumes...' : 'Reading resume files...' },
-            { progress: 40, text: `Extracting content from ${totalResumes} resumes...` },
-            { progress: 60, text: 'Analyzing skills and experience...' },
-            { progress: 80, text: 'Matching against job requirements...' },
-            { progress: 100, text: 'Generating rankings...' }
-        ];
-
-        let currentStep = 0;
-        const interval = setInterval(() => {
-            if (currentStep < steps.length) {
-                progressFill.style.width = steps[currentStep].progress + '%';
-                statusText.textContent = steps[currentStep].text;
-                currentStep++;
-            } else {
-                clearInterval(interval);
-                setTimeout(() => {
-                    document.getElementById('processingSection').style.display = 'none';
-                }, 500);
-            }
-        }, 800);
+    resetRequisitions() {
+        const requisition = this.createRequisition();
+        this.requisitions = [requisition];
+        this.activeRequisitionId = requisition.id;
+        this.candidatePool = [];
     }
 
-    async processResumes() {
-        // Process resumes - supports both individual files and bulk files
-        const candidates = [];
-        
-        for (let i = 0; i < this.uploadedFiles.length; i++) {
-            const file = this.uploadedFiles[i];
-            
-            // Check if this is a bulk resume file
-            if (this.isBulkResumeFile(file)) {
-                const bulkCandidates = await this.processBulkResumeFile(file, candidates.length);
-                candidates.push(...bulkCandidates);
-            } else {
-                // Process individual resume file
-                const candidate = this.generateMockCandidateData(file.name, candidates.length);
-                candidates.push(candidate);
-            }
-        }
+    getActiveRequisition() {
+        return this.requisitions.find(requisition => requisition.id === this.activeRequisitionId);
+    }
 
-        return candidates;
+    // Copies the fields being edited back into the active requisition
+    syncActiveRequisition() {
+        Object.assign(this.getActiveRequisition(), {
+            jobDescription: this.jobDescription,
+            jobRequirements: this.jobRequirements,
+            profileName: this.activeProfileName,
+            rankedCandidates: this.rankedCandidates
+        });
     }
 
-    isBulkResumeFile(file) {
-        // Check if file contains multiple resumes based on name or content
-        const bulkKeywords = ['bulk', 'multiple', 'batch', 'resumes', 'candidates'];
-        const fileName = file.name.toLowerCase();
-        
-        return bulkKeywords.some(keyword => fileName.includes(keyword)) || 
-               file.size > 500000; // Files larger than 500KB might contain multiple resumes
+    requisitionTitle(requisition) {
+        const index = this.requisitions.indexOf(requisition);
+        return (requisition.jobRequirements && requisition.jobRequirements.title) || `Role ${index + 1}`;
     }
 
-    async processBulkResumeFile(file, startIndex) {
-        // Simulate processing a bulk file containing multiple resumes
-        const candidates = [];
-        const numResumes = this.detectNumberOfResumes(file);
-        
-        for (let i = 0; i < numResumes; i++) {
-            const candidate = this.generateMockCandidateData(
-                `Resume_${startIndex + i + 1}_from_${file.name}`, 
-                startIndex + i
-            );
-            candidates.push(candidate);
+    loadRequisition(requisition) {
+        this.activeRequisitionId = requisition.id;
+        this.jobDescription = requisition.jobDescription;
+        document.getElementById('jobDescription').value = requisition.jobDescription;
+        this.jobRequirements = requisition.jobRequirements;
+        this.renderJobRequirements();
+        if (this.scoringProfiles.some(profile => profile.name === requisition.profileName)) {
+            this.setActiveProfile(requisition.profileName);
         }
 
-        return candidates;
+        this.rankedCandidates = requisition.rankedCandidates;
+        if (this.rankedCandidates.length) {
+            this.displayResults();
+        } else {
+            document.getElementById('resultsSection').style.display = 'none';
+        }
+        this.renderRequisitionTabs();
     }
 
-    detectNumberOfResumes(file) {
-        // Simulate detecting number of resumes in bulk file
-        // In a real application, this would parse the file content
-        
-        // For demo purposes, return different numbers based on file size
-        if (file.size < 100000) return 5;      // Small file: 5 resumes
-        if (file.size < 500000) return 10;     // Medium file: 10 resumes  
-        if (file.size < 1000000) return 20;    // Large file: 20 resumes
-        return 50; // Very large file: 50 resumes
-    }
-
-    generateMockCandidateData(fileName, index) {
-        const names = [
-            'Sarah Johnson', 'Michael Chen', 'Emily Rodriguez', 'David Kim', 'Lisa Thompson',
-            'James Wilson', 'Maria Garcia', 'Robert Brown', 'Jennifer Davis', 'Christopher Lee',
-            'Amanda Taylor', 'Daniel Martinez', 'Jessica Anderson', 'Matthew Thomas', 'Ashley Jackson',
-            'Andrew White', 'Stephanie Harris', 'Kevin Martin', 'Nicole Thompson', 'Ryan Garcia'
-        ];
-
-        const skills = [
-            'JavaScript', 'Python', 'React', 'Node.js', 'SQL', 'AWS', 'Docker', 'Git',
-            'Machine Learning', 'Data Analysis', 'Project Management', 'Agile', 'Scrum',
-            'UI/UX Design', 'Figma', 'Photoshop', 'Marketing', 'Sales', 'Customer Service',
-            'Communication', 'Leadership', 'Problem Solving', 'Team Management', 'Analytics'
-        ];
-
-        const experiences = [
-            'Software Engineer', 'Data Scientist', 'Product Manager', 'UX Designer', 'Marketing Manager',
-            'Sales Representative', 'Business Analyst', 'DevOps Engineer', 'Frontend Developer',
-            'Backend Developer', 'Full Stack Developer', 'Project Manager', 'HR Specialist',
-            'Financial Analyst', 'Operations Manager', 'Content Writer', 'Graphic Designer'
-        ];
-
-        const companies = [
-            'Google', 'Microsoft', 'Amazon', 'Apple', 'Facebook', 'Netflix', 'Uber', 'Airbnb',
-            'Tesla', 'SpaceX', 'IBM', 'Oracle', 'Salesforce', 'Adobe', 'Intel', 'NVIDIA',
-            'Spotify', 'Twitter', 'LinkedIn', 'Pinterest', 'Slack', 'Zoom', 'Shopify', 'Stripe'
-        ];
-
-        const name = names[index % names.length];
-        const experience = experiences[Math.floor(Math.random() * experiences.length)];
-        const company = companies[Math.floor(Math.random() * companies.length)];
-        const yearsExp = Math.floor(Math.random() * 10) + 1;
-        
-        // Generate random skills
-        const candidateSkills = [];
-        const numSkills = Math.floor(Math.random() * 8) + 5;
-        for (let i = 0; i < numSkills; i++) {
-            const skill = skills[Math.floor(Math.random() * skills.length)];
-            if (!candidateSkills.includes(skill)) {
-                candidateSkills.push(skill);
-            }
-        }
+    async switchRequisition(id) {
+        if (id === this.activeRequisitionId || this.isProcessing) return;
+        await this.rankPendingRequisitions();
+        this.loadRequisition(this.requisitions.find(requisition => requisition.id === id));
+    }
 
-        return {
-            id: index + 1,
-            name: name,
-            email: `${name.toLowerCase().replace(' ', '.')}@email.com`,
-            phone: `+1-${Math.floor(Math.random() * 900) + 100}-${Math.floor(Math.random() * 900) + 100}-${Math.floor(Math.random() * 9000) + 1000}`,
-            experience: experience,
-            company: company,
-            yearsExperience: yearsExp,
-            skills: candidateSkills,
-            education: 'Bachelor\'s Degree in Computer Science',
-            location: 'San Francisco, CA',
-            fileName: fileName,
-            summary: `Experienced ${experience} with ${yearsExp} years of expertise in ${candidateSkills.slice(0, 3).join(', ')}. Proven track record at ${company} with strong analytical and problem-solving skills.`
-        };
+    addRequisition() {
+        if (this.isProcessing) return;
+        this.syncActiveRequisition();
+        const requisition = this.createRequisition();
+        this.requisitions.push(requisition);
+        this.loadRequisition(requisition);
+        document.getElementById('jobDescription').focus();
     }
 
-    rankCandidates(candidates) {
-        const jobKeywords = this.extractKeywords(this.jobDescription.toLowerCase());
-        
-        return candidates.map(candidate => {
-            let score = 0;
-            const matchedSkills = [];
-            
-            // Skill matching (40% of score)
-            candidate.skills.forEach(skill => {
-                if (jobKeywords.some(keyword => 
-                    skill.toLowerCase().includes(keyword) || 
-                    keyword.includes(skill.toLowerCase())
-                )) {
-                    score += 8;
-                    matchedSkills.push(skill);
-                }
-            });
+    removeRequisition(id) {
+        if (this.requisitions.length === 1 || this.isProcessing) return;
+        const requisition = this.requisitions.find(item => item.id === id);
+        if (requisition.jobDescription.trim() && !confirm(`Remove "${this.requisitionTitle(requisition)}"?`)) return;
+
+        this.syncActiveRequisition();
+        this.requisitions = this.requisitions.filter(item => item.id !== id);
+        if (id === this.activeRequisitionId) {
+            this.loadRequisition(this.requisitions[0]);
+        } else {
+            this.renderRequisitionTabs();
+        }
+        this.saveSession();
+    }
 
-            // Experience level matching (25% of score)
-            const experienceKeywords = ['senior', 'lead', 'principal', 'manager', 'director'];
-            const hasSeniorRole = experienceKeywords.some(keyword => 
-                candidate.experience.toLowerCase().includes(keyword) ||
-                jobKeywords.includes(keyword)
-            );
-            if (hasSeniorRole && candidate.yearsExperience >= 5) {
-                score += 10;
-            } else if (candidate.yearsExperience >= 3) {
-                score += 6;
-            } else {
-                score += 3;
-            }
+    renderRequisitionTabs() {
+        this.syncActiveRequisition();
+        const canRemove = this.requisitions.length > 1;
+        document.getElementById('requisitionTabs').innerHTML = this.requisitions.map(requisition => `
+            <button class="requisition-tab ${requisition.id === this.activeRequisitionId ? 'active' : ''}" data-id="${requisition.id}">
+                <span class="requisition-title">${this.escapeHtml(this.requisitionTitle(requisition))}</span>
+                ${requisition.rankedCandidates.length ? `<span class="requisition-count">${requisition.rankedCandidates.length}</span>` : ''}
+                ${canRemove ? `<span class="requisition-remove" data-id="${requisition.id}" title="Remove role">&times;</span>` : ''}
+            </button>
+        `).join('') + `
+            <button class="requisition-add" title="Add another open role">
+                <i class="fas fa-plus"></i> Add Role
+            </button>
+        `;
+    }
 
-            // Education matching (15% of score)
-            const educationKeywords = ['degree', 'bachelor', 'master', 'phd', 'university', 'college'];
-            if (educationKeywords.some(keyword => 
-                candidate.education.toLowerCase().includes(keyword) ||
-                jobKeywords.includes(keyword)
-            )) {
-                score += 6;
-            }
+    renderJobRequirements() {
+        const knockoutCount = this.getActiveRequisition().knockoutRules.length;
+        document.getElementById('knockoutRules').innerHTML = `<i class="fas fa-ban"></i> Knockouts${knockoutCount ? ` (${knockoutCount})` : ''}`;
 
-            // Company prestige (10% of score)
-            const topCompanies = ['google', 'microsoft', 'amazon', 'apple', 'facebook', 'netflix'];
-            if (topCompanies.includes(candidate.company.toLowerCase())) {
-                score += 5;
-            }
+        const container = document.getElementById('jobRequirements');
+        const body = document.getElementById('requirementsBody');
+        const requirements = this.jobRequirements;
 
-            // Location matching (5% of score)
-            const locationKeywords = ['remote', 'san francisco', 'new york', 'seattle', 'austin'];
-            if (locationKeywords.some(keyword => 
-                candidate.location.toLowerCase().includes(keyword) ||
-                jobKeywords.includes(keyword)
-            )) {
-                score += 3;
-            }
+        if (!requirements) {
+            container.style.display = 'none';
+            body.innerHTML = '';
+            return;
+        }
 
-            // Random factor for realistic variation (5% of score)
-            score += Math.random() * 5;
+        const chipGroup = (group, label, placeholder) => `
+            <div class="requirement-group">
+                <label>${label}</label>
+                <div class="chip-list">
+                    ${requirements[group].map((skill, index) => `
+                        <span class="chip chip-${group}">
+                            ${this.escapeHtml(skill)}
+                            <button class="chip-remove" data-group="${group}" data-index="${index}" title="Remove">&times;</button>
+                        </span>
+                    `).join('')}
+                    <input type="text" class="chip-input" data-group="${group}" placeholder="${placeholder}">
+                </div>
+            </div>
+        `;
 
-            return {
-                ...candidate,
-                score: Math.min(Math.round(score), 100),
-                matchedSkills: matchedSkills,
-                ranking: 0 // Will be set after sorting
-            };
-        }).sort((a, b) => b.score - a.score)
-        .map((candidate, index) => ({
-            ...candidate,
-            ranking: index + 1
-        }));
-    }
+        const select = (field, options) => `
+            <select data-field="${field}">
+                ${options.map(([value, text]) => `<option value="${value}" ${requirements[field] === value ? 'selected' : ''}>${text}</option>`).join('')}
+            </select>
+        `;
 
-    extractKeywords(text) {
-        const commonWords = ['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'may', 'might', 'must', 'can', 'this', 'that', 'these', 'those', 'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them'];
-        
-        return text.split(/\s+/)
-            .filter(word => word.length > 2 && !commonWords.includes(word.toLowerCase()))
-            .map(word => word.toLowerCase().replace(/[^\w]/g, ''));
+        body.innerHTML = `
+            ${chipGroup('requiredSkills', 'Required Skills', 'Add required skill...')}
+            ${chipGroup('preferredSkills', 'Preferred Skills', 'Add preferred skill...')}
+            <div class="requirement-fields">
+                <div class="requirement-field">
+                    <label>Min. Years</label>
+                    <input type="number" min="0" max="50" data-field="minYears" value="${requirements.minYears === null ? '' : requirements.minYears}" placeholder="Any">
+                </div>
+                <div class="requirement-field">
+                    <label>Degree</label>
+                    ${select('degreeLevel', [['', 'Any'], ['highschool', 'High School'], ['associate', 'Associate'], ['bachelor', 'Bachelor\'s'], ['master', 'Master\'s'], ['phd', 'PhD']])}
+                </div>
+                <div class="requirement-field">
+                    <label>Seniority</label>
+                    ${select('seniority', [['', 'Any'], ['intern', 'Intern'], ['junior', 'Junior'], ['mid', 'Mid-level'], ['senior', 'Senior'], ['lead', 'Lead / Staff'], ['manager', 'Manager']])}
+                </div>
+                <div class="requirement-field">
+                    <label>Location</label>
+                    <input type="text" data-field="location" value="${this.escapeHtml(requirements.location)}" placeholder="Any">
+                </div>
+                <div class="requirement-field">
+                    <label>Work Policy</label>
+                    ${select('remotePolicy', [['', 'Not specified'], ['onsite', 'On-site'], ['hybrid', 'Hybrid'], ['remote', 'Remote']])}
+                </div>
+            </div>
+        `;
+        container.style.display = 'block';
+    }
+
+    async startAnalysis() {
+        if (this.isProcessing) {
+            this.showNotification('An analysis is already running. Cancel it or wait for it to finish.', 'warning');
+            return;
+        }
+
+        if (this.uploadedFiles.length === 0) {
+            this.showNotification('Please upload at least one resume file.', 'warning');
+            return;
+        }
+
+        if (!this.jobDescription.trim()) {
+            this.showNotification('Please enter job requirements before analyzing resumes.', 'warning');
+            return;
+        }
+
+        this.isProcessing = true;
+        this.processingCancelled = false;
+        // Restored if the run is cancelled or fails
+        this.syncActiveRequisition();
+        const previous = {
+            extractedCandidates: this.extractedCandidates,
+            candidatePool: this.candidatePool,
+            duplicateGroups: this.duplicateGroups,
+            rankings: this.requisitions.map(requisition => requisition.rankedCandidates)
+        };
+        this.showProcessingSection();
+
+        try {
+            if (this.serverSettings.processing === 'server') {
+                await this.analyzeOnServer();
+            } else {
+                const candidates = await this.processResumes();
+                if (candidates.length === 0) {
+                    this.showNotification('None of the uploaded files could be read.', 'error');
+                    this.hideProcessingSection();
+                    this.restoreResults(previous);
+                    return;
+                }
+                this.extractedCandidates = candidates;
+                await this.findDuplicates(candidates);
+                this.candidatePool = this.resolveDuplicates(candidates);
+                this.updateProgress(ResumeAI.READING_SHARE, `Ranking ${this.candidatePool.length} candidates...`);
+                await this.rankRequisitions();
+            }
+            this.throwIfCancelled();
+            this.hideProcessingSection();
+            this.isProcessing = false;
+            this.displayResults();
+            this.reportScoringFallbacks();
+            this.reportDuplicates();
+            await this.saveSession();
+        } catch (error) {
+            this.hideProcessingSection();
+            this.restoreResults(previous);
+            if (error instanceof ProcessingCancelledError) {
+                this.showNotification('Analysis cancelled. The previous results were kept.', 'info');
+            } else if (error instanceof ApiRequestError) {
+                this.showNotification(`ResumeAI server: ${error.message}`, 'error');
+            } else {
+                this.showNotification('Error processing resumes. The previous results were kept.', 'error');
+                console.error('Processing error:', error);
+            }
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    cancelProcessing() {
+        if (!this.isProcessing || this.processingCancelled) return;
+        this.processingCancelled = true;
+        document.getElementById('cancelProcessing').disabled = true;
+        document.getElementById('processingStatus').textContent = 'Cancelling...';
+        if (this.workerPool) this.workerPool.cancel();
+    }
+
+    // For the steps the worker pool does not see, such as requests to an AI endpoint
+    throwIfCancelled() {
+        if (this.processingCancelled) throw new ProcessingCancelledError();
+    }
+
+    restoreResults(previous) {
+        this.extractedCandidates = previous.extractedCandidates;
+        this.candidatePool = previous.candidatePool;
+        this.duplicateGroups = previous.duplicateGroups;
+        this.requisitions.forEach((requisition, i) => {
+            requisition.rankedCandidates = previous.rankings[i];
+        });
+        this.rankedCandidates = this.getActiveRequisition().rankedCandidates;
+        this.isProcessing = false;
+        if (this.rankedCandidates.length) {
+            this.displayResults();
+        } else {
+            document.getElementById('resultsSection').style.display = 'none';
+        }
+    }
+
+    showProcessingSection() {
+        document.getElementById('processingSection').style.display = 'block';
+        document.getElementById('resultsSection').style.display = 'none';
+        document.getElementById('cancelProcessing').disabled = false;
+        document.getElementById('processingDetail').textContent = '';
+        this.updateProgress(0, `Reading ${this.uploadedFiles.length} file${this.uploadedFiles.length === 1 ? '' : 's'}...`);
+    }
+
+    hideProcessingSection() {
+        document.getElementById('processingSection').style.display = 'none';
+    }
+
+    updateProgress(fraction, status) {
+        document.getElementById('progressFill').style.width = `${Math.round(fraction * 100)}%`;
+        document.getElementById('processingStatus').textContent = status;
+    }
+
+    // Hands reading and ranking to the API server: uploads the files it does not have yet, then
+    // ranks them for every open role there. Duplicate decisions and knockout overrides are page
+    // state, so they are applied to the server's rankings here.
+    async analyzeOnServer() {
+        const client = new ResumeAIApiClient(this.serverSettings);
+        const files = this.uploadedFiles;
+
+        // A restarted server has forgotten earlier uploads
+        const known = new Set((await client.listResumes()).map(resume => resume.id));
+        this.serverResumeIds.forEach((id, file) => {
+            if (!known.has(id)) this.serverResumeIds.delete(file);
+        });
+        const pending = files.filter(file => !this.serverResumeIds.has(file));
+        if (pending.length) {
+            const uploaded = await client.uploadResumes(pending, (done, total) => {
+                this.updateProgress(done / total * ResumeAI.UPLOAD_SHARE, `Uploaded ${done} of ${total} files to the server`);
+            });
+            pending.forEach((file, i) => this.serverResumeIds.set(file, uploaded[i].id));
+        }
+        this.throwIfCancelled();
+
+        const resumeIds = files.map(file => this.serverResumeIds.get(file));
+        const filesById = new Map(files.map(file => [this.serverResumeIds.get(file), file]));
+        // The server splits bulk files where it detects resumes unless they were split by hand here
+        const boundaries = {};
+        files.forEach(file => {
+            const prepared = this.preparedFiles.get(file);
+            if (prepared && !prepared.error && prepared.boundaries.join() !== prepared.detectedBoundaries.join()) {
+                boundaries[this.serverResumeIds.get(file)] = prepared.boundaries;
+            }
+        });
+        this.syncActiveRequisition();
+        const requisitions = this.requisitions.filter(requisition => requisition.jobDescription.trim());
+        const rankings = new Map(); // requisition -> the server's ranked candidates
+        let failures = [];
+
+        for (const [index, requisition] of requisitions.entries()) {
+            const options = this.rankingOptions(requisition);
+            const title = this.requisitionTitle(requisition);
+            const job = await client.saveJob(this.serverJobIds[requisition.id], {
+                title,
+                description: options.jobDescription,
+                requirements: options.requirements,
+                profile: options.profile,
+                rankingMode: options.rankingMode,
+                excludeProxies: options.excludeProxies,
+                knockoutRules: options.knockoutRules
+            });
+            this.serverJobIds[requisition.id] = job.id;
+
+            const started = await client.startAnalysis(job.id, resumeIds, { boundaries, customSkills: this.customSkills });
+            const analysis = await client.waitForAnalysis(started, (done, total) => {
+                const share = (index + done / total) / requisitions.length;
+                this.updateProgress(ResumeAI.UPLOAD_SHARE + share * (1 - ResumeAI.UPLOAD_SHARE),
+                    `Server is reading and ranking for ${title}: ${done} of ${total} files`);
+            }, () => this.throwIfCancelled());
+            const results = await client.getResults(analysis.id);
+            failures = results.failures;
+            rankings.set(requisition, this.applyImportedRecords(results.candidates.map(candidate => ({
+                ...candidate,
+                sourceModified: filesById.get(candidate.resumeId).lastModified || 0
+            }))));
+        }
+        this.updateFileList();
+
+        failures.forEach(failure => {
+            this.showNotification(`Could not read ${failure.fileName}: ${failure.message}`, 'error');
+        });
+
+        // Every role ranked the same resumes with the same ids, so any ranking gives the pool
+        this.extractedCandidates = [...rankings.values().next().value]
+            .sort((a, b) => a.id - b.id)
+            .map(candidate => RankingEngine.toExtracted(candidate));
+        await this.findDuplicates(this.extractedCandidates);
+        this.candidatePool = this.resolveDuplicates(this.extractedCandidates);
+        const pool = new Map(this.candidatePool.map(candidate => [this.candidateKey(candidate), candidate]));
+        this.requisitions.forEach(requisition => {
+            // Merged duplicates drop out; the kept version brings the files it was merged from
+            const ranked = (rankings.get(requisition) || [])
+                .filter(candidate => pool.has(this.candidateKey(candidate)))
+                .map(candidate => ({ ...candidate, ...pool.get(this.candidateKey(candidate)) }));
+            requisition.rankedCandidates = this.engine.applyKnockoutRules(ranked, requisition.knockoutRules, this.knockoutOverrides(requisition));
+        });
+        this.rankedCandidates = this.getActiveRequisition().rankedCandidates;
+        this.renderRequisitionTabs();
+    }
+
+    // Reads and extracts every file on the worker pool. Each file's candidates get a provisional
+    // rules score for the open role and appear in the results as soon as the file is done.
+    async processResumes() {
+        const pool = this.getWorkerPool();
+        const requisition = this.getActiveRequisition();
+        const scoring = {
+            requirements: requisition.jobRequirements || this.jobParser.parse(requisition.jobDescription),
+            profile: this.getProfile(requisition.profileName),
+            excludedCriteria: this.excludeProxies ? ScoringModel.PROXY_CRITERIA : []
+        };
+        const total = this.uploadedFiles.length;
+        const perFile = new Array(total);
+        const failures = [];
+        let streamed = [];
+        let done = 0;
+        let found = 0;
+        this.rankedCandidates = [];
+        this.duplicateGroups = [];
+        this.lastStreamRender = 0;
+
+        await WorkerPool.forEachLimited(this.uploadedFiles, pool.size * 2, async (file, index) => {
+            if (!this.preparedFiles.has(file)) await this.prepareFile(file);
+            this.throwIfCancelled();
+
+            const prepared = this.preparedFiles.get(file);
+            if (prepared.error) {
+                failures.push({ fileName: file.name, message: prepared.error.message });
+            } else {
+                // Bulk files give one candidate per detected resume
+                const resumes = ProcessingTasks.toResumes(file.name, prepared.extracted.text, this.getSegments(file));
+                const { candidates, results } = await pool.run({ type: 'extract', resumes, scoring });
+                this.throwIfCancelled();
+
+                candidates.forEach(candidate => {
+                    candidate.sourceFile = file.name;
+                    candidate.sourceModified = file.lastModified || 0;
+                });
+                this.applyImportedRecords(candidates);
+                perFile[index] = candidates;
+                found += candidates.length;
+                streamed = streamed.concat(candidates.map((candidate, i) => ({ candidate, result: results[i] })));
+            }
+
+            done++;
+            this.updateProgress(done / total * ResumeAI.READING_SHARE, `Read ${done} of ${total} files: ${file.name}`);
+            document.getElementById('processingDetail').textContent = `${found} resume${found === 1 ? '' : 's'} found` +
+                (failures.length ? `, ${failures.length} file${failures.length === 1 ? '' : 's'} could not be read` : '');
+            this.streamResults(streamed);
+        });
+        this.updateFileList();
+
+        failures.forEach(failure => {
+            this.showNotification(`Could not read ${failure.fileName}: ${failure.message}`, 'error');
+        });
+
+        // Ids follow upload order, whichever file finished first
+        const candidates = perFile.filter(Boolean).flat();
+        candidates.forEach((candidate, i) => {
+            candidate.id = i + 1;
+        });
+        return candidates;
+    }
+
+    // Shows the provisional ranking so far, redrawn at most every STREAM_RENDER_INTERVAL ms
+    streamResults(streamed) {
+        const now = Date.now();
+        if (now - this.lastStreamRender < ResumeAI.STREAM_RENDER_INTERVAL) return;
+        this.lastStreamRender = now;
+        this.rankedCandidates = this.engine.toRankedCandidates(
+            streamed.map(item => item.candidate),
+            streamed.map(item => item.result),
+            null,
+            this.rankingOptions(this.getActiveRequisition())
+        );
+        this.displayResults();
+    }
+
+    // Groups likely duplicates on the worker pool. Groups only change with the candidates, so
+    // deciding on a group does not look for them again.
+    async findDuplicates(candidates) {
+        const groups = await this.getWorkerPool().run({ type: 'duplicates', candidates });
+        this.duplicateGroups = groups.map(group => {
+            const members = group.members.map(index => candidates[index]);
+            const signature = members.map(member => this.candidateKey(member)).sort().join('\n');
+            return { members, reasons: group.reasons, signature, suggested: DuplicateDetector.pickPrimary(members) };
+        });
+    }
+
+    // Applies the reviewer's decisions to the groups findDuplicates() found in candidates. Merged
+    // groups are reduced to the kept version, which remembers every file it was found in.
+    resolveDuplicates(candidates) {
+        const removed = new Set();
+        const merged = new Map(); // kept candidate -> merged copy
+
+        this.duplicateGroups.forEach(group => {
+            const decision = this.duplicateDecisions[group.signature];
+            if (!decision || decision.action !== 'merge') return;
+            const kept = group.members.find(member => this.candidateKey(member) === decision.keep) || group.suggested;
+            const others = group.members.filter(member => member !== kept);
+            others.forEach(member => removed.add(member));
+            merged.set(kept, {
+                ...kept,
+                sourceFiles: [kept.sourceFile, ...others.map(member => member.sourceFile).filter(file => file !== kept.sourceFile)],
+                mergedFrom: others.map(member => ({ name: member.name, fileName: member.fileName }))
+            });
+        });
+
+        return candidates
+            .filter(candidate => !removed.has(candidate))
+            .map(candidate => merged.get(candidate) || candidate);
+    }
+
+    pendingDuplicateGroups() {
+        return this.duplicateGroups.filter(group => !this.duplicateDecisions[group.signature]);
+    }
+
+    reportDuplicates() {
+        const pending = this.pendingDuplicateGroups().length;
+        if (pending) {
+            this.showNotification(`Found ${pending} group${pending === 1 ? '' : 's'} of possible duplicate candidates. Review them above the results.`, 'info');
+        }
+    }
+
+    renderDuplicateBanner() {
+        const banner = document.getElementById('duplicateBanner');
+        if (this.duplicateGroups.length === 0) {
+            banner.style.display = 'none';
+            return;
+        }
+        const pending = this.pendingDuplicateGroups().length;
+        document.getElementById('duplicateSummary').textContent = pending
+            ? `${pending} group${pending === 1 ? '' : 's'} of possible duplicates to review`
+            : `${this.duplicateGroups.length} duplicate group${this.duplicateGroups.length === 1 ? '' : 's'} reviewed`;
+        banner.classList.toggle('pending', pending > 0);
+        banner.style.display = 'flex';
+    }
+
+    async decideDuplicateGroup(signature, decision) {
+        if (decision) {
+            this.duplicateDecisions[signature] = decision;
+        } else {
+            delete this.duplicateDecisions[signature];
+        }
+        this.candidatePool = this.resolveDuplicates(this.extractedCandidates);
+        await this.rankRequisitions();
+        this.displayResults();
+        await this.saveSession();
+    }
+
+    showDuplicateReview() {
+        const modal = document.getElementById('detailModal');
+        const modalBody = document.getElementById('modalBody');
+        document.getElementById('modalTitle').textContent = 'Possible Duplicates';
+        modalBody.innerHTML = '<div class="duplicate-review"></div>';
+        const review = modalBody.querySelector('.duplicate-review');
+
+        const render = () => {
+            review.innerHTML = this.duplicateGroups.map((group, index) => {
+                const decision = this.duplicateDecisions[group.signature];
+                const keep = decision && decision.action === 'merge' ? decision.keep : this.candidateKey(group.suggested);
+                return `
+                    <div class="duplicate-group ${decision ? 'decided' : ''}" data-index="${index}">
+                        <div class="duplicate-reasons">
+                            ${group.reasons.map(reason => `<span><i class="fas fa-link"></i> ${this.escapeHtml(this.blindReview ? reason.replace(/\s*\(.*\)$/, '') : reason)}</span>`).join('')}
+                        </div>
+                        <table class="duplicate-table">
+                            <thead>
+                                <tr><th>Keep</th><th>Name</th><th>Email</th><th>Phone</th><th>Company</th><th>File</th></tr>
+                            </thead>
+                            <tbody>
+                                ${group.members.map(member => {
+                                    const shown = this.viewCandidate(member);
+                                    return `
+                                    <tr>
+                                        <td><input type="radio" name="keep-${index}" value="${this.escapeHtml(this.candidateKey(member))}" ${this.candidateKey(member) === keep ? 'checked' : ''} ${decision ? 'disabled' : ''}></td>
+                                        <td>${this.formatField(shown, 'name')}${member === group.suggested ? ' <span class="duplicate-suggested">most complete</span>' : ''}</td>
+                                        <td>${this.formatField(shown, 'email')}</td>
+                                        <td>${this.formatField(shown, 'phone')}</td>
+                                        <td>${this.formatField(member, 'company')}</td>
+                                        <td>${this.escapeHtml(shown.fileName)}</td>
+                                    </tr>
+                                `;
+                                }).join('')}
+                            </tbody>
+                        </table>
+                        <div class="duplicate-actions">
+                            ${decision ? `
+                                <span class="duplicate-decision">
+                                    <i class="fas fa-${decision.action === 'merge' ? 'compress-alt' : 'people-arrows'}"></i>
+                                    ${decision.action === 'merge' ? 'Merged' : 'Kept separate'}
+                                </span>
+                                <button class="btn-secondary" data-action="undo">Undo</button>
+                            ` : `
+                                <button class="btn-secondary" data-action="separate"><i class="fas fa-people-arrows"></i> Keep Separate</button>
+                                <button class="btn-primary" data-action="merge"><i class="fas fa-compress-alt"></i> Merge</button>
+                            `}
+                        </div>
+                    </div>
+                `;
+            }).join('') || '<p>No possible duplicates were found.</p>';
+        };
+
+        review.addEventListener('click', async (e) => {
+            const action = e.target.closest('[data-action]');
+            const groupElement = e.target.closest('.duplicate-group');
+            if (!action || !groupElement) return;
+            const group = this.duplicateGroups[parseInt(groupElement.dataset.index, 10)];
+
+            if (action.dataset.action === 'merge') {
+                const keep = groupElement.querySelector('input[type="radio"]:checked').value;
+                await this.decideDuplicateGroup(group.signature, { action: 'merge', keep });
+            } else if (action.dataset.action === 'separate') {
+                await this.decideDuplicateGroup(group.signature, { action: 'separate' });
+            } else {
+                await this.decideDuplicateGroup(group.signature, null);
+            }
+            render();
+        });
+
+        render();
+        modal.style.display = 'block';
+    }
+
+    // Ranks the candidate pool against every role that has a job description
+    async rankRequisitions() {
+        this.syncActiveRequisition();
+        for (const requisition of this.requisitions) {
+            requisition.rankedCandidates = requisition.jobDescription.trim()
+                ? await this.rankCandidates(this.candidatePool, requisition)
+                : [];
+        }
+        this.rankedCandidates = this.getActiveRequisition().rankedCandidates;
+        this.renderRequisitionTabs();
+    }
+
+    // Ranks roles that were added or filled in after the last analysis
+    async rankPendingRequisitions() {
+        this.syncActiveRequisition();
+        const pending = this.candidatePool.length
+            ? this.requisitions.filter(requisition => requisition.jobDescription.trim() && requisition.rankedCandidates.length === 0)
+            : [];
+        if (pending.length === 0) return;
+
+        for (const requisition of pending) {
+            requisition.rankedCandidates = await this.rankCandidates(this.candidatePool, requisition);
+        }
+        this.rankedCandidates = this.getActiveRequisition().rankedCandidates;
+        if (this.rankedCandidates.length) this.displayResults();
+        this.renderRequisitionTabs();
+        await this.saveSession();
+    }
+
+    rankCandidates(candidates, requisition) {
+        const provider = this.getScoringProvider();
+        return this.engine.rank(candidates, {
+            ...this.rankingOptions(requisition),
+            provider,
+            pool: this.getWorkerPool(),
+            onProgress: (batch, total) => {
+                this.updateProgress(ResumeAI.READING_SHARE + (1 - ResumeAI.READING_SHARE) * batch / total,
+                    `Scoring with ${provider.label} (batch ${batch} of ${total})...`);
+            },
+            checkCancelled: () => this.throwIfCancelled()
+        });
+    }
+
+    // What RankingEngine needs to know about a role and the current settings
+    rankingOptions(requisition) {
+        return {
+            jobDescription: requisition.jobDescription,
+            requirements: requisition.jobRequirements || this.jobParser.parse(requisition.jobDescription),
+            profile: this.getProfile(requisition.profileName),
+            rankingMode: this.rankingMode,
+            excludeProxies: this.excludeProxies,
+            knockoutRules: requisition.knockoutRules,
+            overrides: this.knockoutOverrides(requisition)
+        };
+    }
+
+    knockoutOverrides(requisition) {
+        const overrides = {};
+        Object.entries(requisition.pipeline).forEach(([key, entry]) => {
+            if (entry.knockoutOverride) overrides[key] = entry.knockoutOverride;
+        });
+        return overrides;
+    }
+
+    // Re-checks the rules without scoring again, after the rules or an override changed
+    refreshKnockouts(requisition = this.getActiveRequisition()) {
+        requisition.rankedCandidates = this.engine.applyKnockoutRules(requisition.rankedCandidates, requisition.knockoutRules, this.knockoutOverrides(requisition));
+        if (requisition.id === this.activeRequisitionId) this.rankedCandidates = requisition.rankedCandidates;
+    }
+
+    // Puts a candidate who failed a knockout rule back in the ranking, or undoes that (reason null).
+    // Every change is kept in the pipeline's knockout log.
+    setKnockoutOverride(candidate, reason) {
+        const key = this.candidateKey(candidate);
+        const pipeline = this.getPipeline(candidate);
+        const failed = candidate.knockout.failed;
+        const at = new Date().toISOString();
+        const override = reason === null ? null : { at, reason, rules: failed.map(rule => rule.name), ruleIds: failed.map(rule => rule.id) };
+        this.getActiveRequisition().pipeline[key] = {
+            ...pipeline,
+            knockoutOverride: override,
+            knockoutLog: [...pipeline.knockoutLog, {
+                action: override ? 'overridden' : 'restored',
+                at,
+                reason: reason || '',
+                rules: failed.map(rule => rule.name)
+            }]
+        };
+        this.refreshKnockouts();
+        this.displayResults();
+        this.saveSession();
+        this.showCandidateDetails(this.rankedCandidates.find(item => this.candidateKey(item) === key));
+    }
+
+    getScoringProvider() {
+        if (this.aiSettings.provider !== 'chat-completions' || !this.aiSettings.endpoint) {
+            return this.engine.heuristicProvider;
+        }
+        // Kept between runs so its response cache survives re-ranking
+        if (!this.aiProvider) {
+            this.aiProvider = new ChatCompletionsScoringProvider(this.aiSettings, this.engine.heuristicProvider);
+        }
+        return this.aiProvider;
+    }
+
+    reportScoringFallbacks() {
+        const fallbacks = this.rankedCandidates.filter(candidate => candidate.assessment.provider === 'heuristic-fallback');
+        if (fallbacks.length) {
+            this.showNotification(`AI scoring failed for ${fallbacks.length} candidate${fallbacks.length === 1 ? '' : 's'} (${fallbacks[0].assessment.fallbackReason}). Heuristic scores were used instead.`, 'warning');
+        }
+    }
+
+    setRankingMode(mode) {
+        this.rankingMode = mode;
+        localStorage.setItem('resumeai.rankingMode', mode);
+        this.updateRankingModeButtons();
+        this.rerankCandidates();
+    }
+
+    updateRankingModeButtons() {
+        document.querySelectorAll('#rankingMode .mode-option').forEach(option => {
+            option.classList.toggle('active', option.dataset.mode === this.rankingMode);
+        });
+    }
+
+    setResultsView(view) {
+        this.resultsView = view;
+        localStorage.setItem('resumeai.resultsView', view);
+        this.updateResultsView();
+        if (this.rankedCandidates.length) this.renderResultsList();
+    }
+
+    updateResultsView() {
+        document.querySelectorAll('#resultsView .mode-option').forEach(option => {
+            option.classList.toggle('active', option.dataset.view === this.resultsView);
+        });
+        document.getElementById('resultsGrid').style.display = this.resultsView === 'list' ? '' : 'none';
+        document.getElementById('pipelineBoard').style.display = this.resultsView === 'board' ? '' : 'none';
+        document.getElementById('analyticsPanel').style.display = this.resultsView === 'analytics' ? '' : 'none';
+    }
+
+    setBlindReview(enabled) {
+        this.blindReview = enabled;
+        localStorage.setItem('resumeai.blindReview', String(enabled));
+        this.updateBlindReviewButton();
+        if (this.rankedCandidates.length) this.displayResults();
+    }
+
+    updateBlindReviewButton() {
+        const button = document.getElementById('blindReview');
+        button.classList.toggle('active', this.blindReview);
+        button.innerHTML = `<i class="fas fa-user-secret"></i> Blind Review: ${this.blindReview ? 'On' : 'Off'}`;
+    }
+
+    // What cards, dialogs and exports show: the redacted copy while blind review hides the candidate.
+    // Keys, pipeline state and scoring always use the original.
+    viewCandidate(candidate) {
+        const key = this.candidateKey(candidate);
+        return this.blindReview && !this.unlockedCandidates.has(key) ? BlindReview.redact(candidate, key) : candidate;
+    }
+
+    setCandidateUnlocked(candidate, unlocked) {
+        const key = this.candidateKey(candidate);
+        if (unlocked) {
+            this.unlockedCandidates.add(key);
+        } else {
+            this.unlockedCandidates.delete(key);
+        }
+        this.displayResults();
+        this.showCandidateDetails(candidate);
+        this.saveSession();
+    }
+
+    // Pipeline state is kept per role under this key, so it survives re-ranking
+    candidateKey(candidate) {
+        return RankingEngine.candidateKey(candidate);
+    }
+
+    getPipeline(candidate) {
+        // Entries saved before knockout rules existed lack the override fields
+        return {
+            status: 'new',
+            notes: '',
+            rejectionReason: '',
+            tags: [],
+            knockoutOverride: null,
+            knockoutLog: [],
+            ...this.getActiveRequisition().pipeline[this.candidateKey(candidate)]
+        };
+    }
+
+    updatePipeline(candidate, changes) {
+        const entry = { ...this.getPipeline(candidate), ...changes };
+        if (entry.status !== 'rejected') entry.rejectionReason = '';
+        this.getActiveRequisition().pipeline[this.candidateKey(candidate)] = entry;
+        this.displayResults();
+        this.saveSession();
+    }
+
+    renderPipelineBoard(visible = this.rankedCandidates) {
+        document.getElementById('pipelineBoard').innerHTML = ResumeAI.PIPELINE_STAGES.map(stage => {
+            const candidates = visible.filter(candidate => this.getPipeline(candidate).status === stage.id);
+            const hidden = candidates.length - ResumeAI.BOARD_COLUMN_LIMIT;
+            return `
+                <div class="pipeline-column" data-status="${stage.id}">
+                    <div class="pipeline-column-header">
+                        <span><i class="fas ${stage.icon}"></i> ${stage.label}</span>
+                        <span class="pipeline-count">${candidates.length}</span>
+                    </div>
+                    <div class="pipeline-cards">
+                        ${candidates.slice(0, ResumeAI.BOARD_COLUMN_LIMIT).map(candidate => {
+                            const pipeline = this.getPipeline(candidate);
+                            return `
+                                <div class="board-card" draggable="true" data-key="${this.escapeHtml(this.candidateKey(candidate))}">
+                                    <div class="board-card-header">
+                                        <strong>${this.formatField(this.viewCandidate(candidate), 'name')}</strong>
+                                        <span class="board-score">${candidate.score}%</span>
+                                    </div>
+                                    <p>#${candidate.ranking} &bull; ${this.formatField(candidate, 'experience')}</p>
+                                    ${pipeline.rejectionReason ? `<p class="board-reason">${this.escapeHtml(pipeline.rejectionReason)}</p>` : ''}
+                                    ${RankingEngine.isKnockedOut(candidate) ? '<p class="board-reason"><i class="fas fa-ban"></i> Did not meet requirements</p>' : ''}
+                                    ${this.renderTags(pipeline)}
+                                    ${pipeline.notes ? '<i class="fas fa-sticky-note board-notes" title="Has notes"></i>' : ''}
+                                </div>
+                            `;
+                        }).join('')}
+                        ${hidden > 0 ? `<p class="pipeline-more">+${hidden} more &mdash; narrow the filters to see them</p>` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    renderTags(pipeline) {
+        return pipeline.tags.length
+            ? `<div class="pipeline-tags">${pipeline.tags.map(tag => `<span class="pipeline-tag">${this.escapeHtml(tag)}</span>`).join('')}</div>`
+            : '';
+    }
+
+    renderPipelineEditor(candidate) {
+        const pipeline = this.getPipeline(candidate);
+        return `
+            <h4 style="margin-bottom: 15px; color: #333;">Pipeline</h4>
+            <div class="requirement-fields">
+                <div class="requirement-field">
+                    <label>Status</label>
+                    <select data-pipeline="status">
+                        ${ResumeAI.PIPELINE_STAGES.map(stage => `<option value="${stage.id}" ${pipeline.status === stage.id ? 'selected' : ''}>${stage.label}</option>`).join('')}
+                    </select>
+                </div>
+                ${pipeline.status === 'rejected' ? `
+                <div class="requirement-field">
+                    <label>Rejection Reason</label>
+                    <select data-pipeline="rejectionReason">
+                        <option value="">Choose a reason...</option>
+                        ${ResumeAI.REJECTION_REASONS.map(reason => `<option value="${reason}" ${pipeline.rejectionReason === reason ? 'selected' : ''}>${reason}</option>`).join('')}
+                    </select>
+                </div>` : ''}
+            </div>
+            <div class="requirement-group" style="margin-top: 15px;">
+                <label>Tags</label>
+                <div class="chip-list">
+                    ${pipeline.tags.map((tag, index) => `
+                        <span class="chip pipeline-tag">
+                            ${this.escapeHtml(tag)}
+                            <button class="chip-remove" data-tag-index="${index}" title="Remove">&times;</button>
+                        </span>
+                    `).join('')}
+                    <input type="text" class="chip-input" data-pipeline="tag" placeholder="Add tag...">
+                </div>
+            </div>
+            <div class="requirement-group">
+                <label>Notes</label>
+                <textarea class="pipeline-notes" data-pipeline="notes" rows="3" placeholder="Screening notes, interview feedback, follow-ups...">${this.escapeHtml(pipeline.notes)}</textarea>
+            </div>
+        `;
+    }
+
+    bindPipelineEditor(candidate, editor) {
+        const render = () => {
+            editor.innerHTML = this.renderPipelineEditor(candidate);
+        };
+
+        editor.addEventListener('change', (e) => {
+            const field = e.target.dataset.pipeline;
+            if (!field || field === 'tag') return;
+            this.updatePipeline(candidate, { [field]: e.target.value });
+            if (field === 'status') render();
+        });
+
+        editor.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' || e.target.dataset.pipeline !== 'tag') return;
+            e.preventDefault();
+            const tag = e.target.value.trim();
+            const tags = this.getPipeline(candidate).tags;
+            if (tag && !tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+                this.updatePipeline(candidate, { tags: [...tags, tag] });
+            }
+            render();
+            editor.querySelector('.chip-input').focus();
+        });
+
+        editor.addEventListener('click', (e) => {
+            const remove = e.target.closest('.chip-remove');
+            if (!remove) return;
+            const tags = this.getPipeline(candidate).tags.slice();
+            tags.splice(parseInt(remove.dataset.tagIndex, 10), 1);
+            this.updatePipeline(candidate, { tags });
+            render();
+        });
+    }
+
+    // Failed knockout rules and the override controls in the candidate dialog
+    renderKnockoutReview(candidate) {
+        const knockout = candidate.knockout;
+        const pipeline = this.getPipeline(candidate);
+        const failed = knockout ? knockout.failed : [];
+        if (!failed.length && !pipeline.knockoutLog.length) return '';
+        const formatDate = (iso) => new Date(iso).toLocaleString();
+
+        return `
+            <div class="knockout-review ${RankingEngine.isKnockedOut(candidate) ? 'failed' : ''}" style="background: #f7fafc; padding: 20px; border-radius: 12px;">
+                <h4 style="margin-bottom: 15px; color: #333;">Knockout Rules</h4>
+                ${failed.length ? `
+                <ul class="knockout-failures">
+                    ${failed.map(rule => `
+                        <li>
+                            <strong>${this.escapeHtml(rule.name)}</strong> &mdash; ${this.escapeHtml(rule.reason)}
+                            <small>Rule: ${this.escapeHtml(rule.description)}</small>
+                        </li>
+                    `).join('')}
+                </ul>` : '<p>Meets every knockout rule for this role.</p>'}
+                ${knockout && knockout.overridden ? `
+                <p class="knockout-override-note">
+                    <i class="fas fa-user-check"></i> Ranked anyway since ${formatDate(pipeline.knockoutOverride.at)}: ${this.escapeHtml(pipeline.knockoutOverride.reason)}
+                </p>
+                <button class="btn-secondary" data-knockout="restore"><i class="fas fa-undo"></i> Undo Override</button>` : failed.length ? `
+                <div class="knockout-override">
+                    <input type="text" class="knockout-reason" placeholder="Reason for ranking this candidate anyway (required)">
+                    <button class="btn-primary" data-knockout="override"><i class="fas fa-user-check"></i> Override</button>
+                </div>` : ''}
+                ${pipeline.knockoutLog.length ? `
+                <details class="knockout-log">
+                    <summary>Override history (${pipeline.knockoutLog.length})</summary>
+                    <ul>
+                        ${pipeline.knockoutLog.slice().reverse().map(entry => `
+                            <li>${formatDate(entry.at)}: ${entry.action === 'overridden'
+                                ? `overrode ${this.escapeHtml(entry.rules.join(', '))} &mdash; ${this.escapeHtml(entry.reason)}`
+                                : `undid the override of ${this.escapeHtml(entry.rules.join(', '))}`}</li>
+                        `).join('')}
+                    </ul>
+                </details>` : ''}
+            </div>
+        `;
+    }
+
+    getActiveProfile() {
+        return this.getProfile(this.activeProfileName);
+    }
+
+    getProfile(name) {
+        return this.scoringProfiles.find(profile => profile.name === name) || this.scoringProfiles[0];
+    }
+
+    // Scores again with the current requirements and profiles without re-reading the files
+    async rerankCandidates() {
+        if (this.candidatePool.length === 0) return;
+        await this.rankRequisitions();
+        if (this.rankedCandidates.length === 0) {
+            document.getElementById('resultsSection').style.display = 'none';
+            return;
+        }
+        this.displayResults();
+        this.reportScoringFallbacks();
+        await this.saveSession();
+    }
+
+    showScoringSettings() {
+        const modal = document.getElementById('detailModal');
+        const modalBody = document.getElementById('modalBody');
+        document.getElementById('modalTitle').textContent = 'Scoring Settings';
+
+        let draft = ScoringModel.copyProfile(this.getActiveProfile());
+        const aiDraft = { ...this.aiSettings };
+        const serverDraft = { ...this.serverSettings };
+        const fairnessDraft = { excludeProxies: this.excludeProxies, blindReview: this.blindReview };
+        const render = () => {
+            const totalWeight = Object.keys(ScoringModel.CRITERIA)
+                .reduce((sum, criterion) => sum + draft.weights[criterion], 0);
+            const weightsHtml = Object.entries(ScoringModel.CRITERIA).map(([criterion, label]) => `
+                <div class="weight-row">
+                    <label for="weight-${criterion}">${label}</label>
+                    <input type="range" id="weight-${criterion}" min="0" max="100" step="5" data-criterion="${criterion}" value="${draft.weights[criterion]}">
+                    <span class="weight-value">${draft.weights[criterion]}</span>
+                    <span class="weight-share">${totalWeight ? Math.round(draft.weights[criterion] / totalWeight * 100) : 0}%</span>
+                </div>
+            `).join('');
+
+            modalBody.innerHTML = `
+                <div class="scoring-settings">
+                    <div class="profile-row">
+                        <label for="profileSelect">Profile</label>
+                        <select id="profileSelect">
+                            ${this.scoringProfiles.map(profile => `
+                                <option value="${this.escapeHtml(profile.name)}" ${profile.name === draft.name ? 'selected' : ''}>${this.escapeHtml(profile.name)}</option>
+                            `).join('')}
+                        </select>
+                        <button class="btn-secondary" id="profileDelete" ${draft.builtIn ? 'disabled title="Built-in profiles cannot be deleted"' : ''}>
+                            <i class="fas fa-trash"></i> Delete
+                        </button>
+                    </div>
+
+                    <h4>Weights</h4>
+                    <p class="settings-help">Each criterion is scored from 0 to 1 and combined by weight into a 0-100 score. Criteria the job does not use (e.g. no preferred skills) are left out.</p>
+                    <div class="weight-list">${weightsHtml}</div>
+
+                    <div class="settings-lists">
+                        <div>
+                            <h4>Preferred Companies</h4>
+                            <textarea id="profileCompanies" rows="6" placeholder="One company per line">${this.escapeHtml(draft.companies.join('\n'))}</textarea>
+                        </div>
+                        <div>
+                            <h4>Preferred Locations</h4>
+                            <textarea id="profileLocations" rows="6" placeholder="One location per line">${this.escapeHtml(draft.locations.join('\n'))}</textarea>
+                        </div>
+                    </div>
+
+                    <h4>Fairness</h4>
+                    <p class="settings-help">Employer prestige and location can stand in for background rather than ability. Blind review hides identities in cards, dialogs and exports until a reviewer reveals a candidate.</p>
+                    <label class="settings-check">
+                        <input type="checkbox" id="excludeProxies" ${fairnessDraft.excludeProxies ? 'checked' : ''}>
+                        Exclude company prestige and location from scoring
+                    </label>
+                    <label class="settings-check">
+                        <input type="checkbox" id="blindReviewSetting" ${fairnessDraft.blindReview ? 'checked' : ''}>
+                        Blind review: hide names, contact details, schools and graduation years
+                    </label>
+
+                    <h4>AI Scoring Provider</h4>
+                    <p class="settings-help">The heuristic scores locally with the weights above. An OpenAI-compatible chat-completions endpoint (e.g. a self-hosted model) receives the job description and resume text; if a request fails or times out, the heuristic score is used.</p>
+                    <div class="provider-fields">
+                        <div class="requirement-field">
+                            <label for="aiProvider">Provider</label>
+                            <select id="aiProvider">
+                                <option value="heuristic" ${aiDraft.provider === 'heuristic' ? 'selected' : ''}>Heuristic (local)</option>
+                                <option value="chat-completions" ${aiDraft.provider === 'chat-completions' ? 'selected' : ''}>Chat-completions endpoint</option>
+                            </select>
+                        </div>
+                        <div class="requirement-field provider-endpoint">
+                            <label for="aiEndpoint">Endpoint URL</label>
+                            <input type="url" id="aiEndpoint" value="${this.escapeHtml(aiDraft.endpoint)}" placeholder="http://localhost:8080/v1">
+                        </div>
+                        <div class="requirement-field">
+                            <label for="aiApiKey">API Key</label>
+                            <input type="password" id="aiApiKey" value="${this.escapeHtml(aiDraft.apiKey)}" placeholder="Optional" autocomplete="off">
+                        </div>
+                        <div class="requirement-field">
+                            <label for="aiModel">Model</label>
+                            <input type="text" id="aiModel" value="${this.escapeHtml(aiDraft.model)}" placeholder="Server default">
+                        </div>
+                        <div class="requirement-field">
+                            <label for="aiBatchSize">Resumes per Request</label>
+                            <input type="number" id="aiBatchSize" min="1" max="20" value="${aiDraft.batchSize}">
+                        </div>
+                        <div class="requirement-field">
+                            <label for="aiTimeout">Timeout (seconds)</label>
+                            <input type="number" id="aiTimeout" min="5" max="600" value="${aiDraft.timeoutSeconds}">
+                        </div>
+                    </div>
+
+                    <h4>Processing</h4>
+                    <p class="settings-help">Resumes can be read and ranked by a ResumeAI API server (<code>node resumeai-server.js</code>) instead of this browser. The server scores with the heuristic and the detected split points of bulk files; leave the address empty when this page was opened from the server itself.</p>
+                    <div class="provider-fields">
+                        <div class="requirement-field">
+                            <label for="processingMode">Process Resumes</label>
+                            <select id="processingMode">
+                                <option value="browser" ${serverDraft.processing === 'browser' ? 'selected' : ''}>In this browser</option>
+                                <option value="server" ${serverDraft.processing === 'server' ? 'selected' : ''}>On a ResumeAI server</option>
+                            </select>
+                        </div>
+                        <div class="requirement-field provider-endpoint">
+                            <label for="serverUrl">Server Address</label>
+                            <input type="url" id="serverUrl" value="${this.escapeHtml(serverDraft.url)}" placeholder="http://localhost:8787">
+                        </div>
+                        <div class="requirement-field">
+                            <label for="serverApiKey">API Key</label>
+                            <input type="password" id="serverApiKey" value="${this.escapeHtml(serverDraft.apiKey)}" autocomplete="off">
+                        </div>
+                    </div>
+
+                    <h4>Skill Aliases</h4>
+                    <p class="settings-help">
+                        ${this.customSkills.length} custom skill${this.customSkills.length === 1 ? '' : 's'} imported.
+                        Import a JSON file such as <code>{"Kubernetes": ["k8s", "kube"]}</code> or
+                        <code>{"skills": [{"name": "Snowflake", "aliases": ["Snowflake DB"], "implies": ["SQL"]}]}</code>.
+                    </p>
+                    <div class="alias-actions">
+                        <button class="btn-secondary" id="aliasImport"><i class="fas fa-file-import"></i> Import Aliases</button>
+                        <button class="btn-secondary" id="aliasClear" ${this.customSkills.length ? '' : 'disabled'}><i class="fas fa-undo"></i> Remove Custom Aliases</button>
+                        <input type="file" id="aliasFile" accept=".json,application/json" style="display: none;">
+                    </div>
+
+                    <div class="settings-actions">
+                        <input type="text" id="profileNewName" placeholder="New profile name">
+                        <button class="btn-secondary" id="profileSaveAs"><i class="fas fa-copy"></i> Save as New</button>
+                        <button class="btn-primary" id="profileApply"><i class="fas fa-check"></i> Save &amp; Apply</button>
+                    </div>
+                </div>
+            `;
+
+            const readLists = () => {
+                const toList = (id) => document.getElementById(id).value.split('\n').map(line => line.trim()).filter(Boolean);
+                draft.companies = toList('profileCompanies');
+                draft.locations = toList('profileLocations');
+
+                const toNumber = (id, min, max, fallback) => {
+                    const value = parseInt(document.getElementById(id).value, 10);
+                    return Number.isNaN(value) ? fallback : Math.min(max, Math.max(min, value));
+                };
+                fairnessDraft.excludeProxies = document.getElementById('excludeProxies').checked;
+                fairnessDraft.blindReview = document.getElementById('blindReviewSetting').checked;
+                aiDraft.provider = document.getElementById('aiProvider').value;
+                aiDraft.endpoint = document.getElementById('aiEndpoint').value.trim();
+                aiDraft.apiKey = document.getElementById('aiApiKey').value.trim();
+                aiDraft.model = document.getElementById('aiModel').value.trim();
+                aiDraft.batchSize = toNumber('aiBatchSize', 1, 20, aiDraft.batchSize);
+                aiDraft.timeoutSeconds = toNumber('aiTimeout', 5, 600, aiDraft.timeoutSeconds);
+                serverDraft.processing = document.getElementById('processingMode').value;
+                serverDraft.url = document.getElementById('serverUrl').value.trim();
+                serverDraft.apiKey = document.getElementById('serverApiKey').value.trim();
+            };
+
+            // Updated in place so dragging a slider is not interrupted by a re-render
+            modalBody.querySelector('.weight-list').addEventListener('input', (e) => {
+                const criterion = e.target.dataset.criterion;
+                if (!criterion) return;
+                draft.weights[criterion] = parseInt(e.target.value, 10);
+                const total = Object.values(draft.weights).reduce((sum, weight) => sum + weight, 0);
+                modalBody.querySelectorAll('.weight-row').forEach(row => {
+                    const weight = draft.weights[row.querySelector('input').dataset.criterion];
+                    row.querySelector('.weight-value').textContent = weight;
+                    row.querySelector('.weight-share').textContent = `${total ? Math.round(weight / total * 100) : 0}%`;
+                });
+            });
+
+            document.getElementById('aliasImport').addEventListener('click', () => {
+                document.getElementById('aliasFile').click();
+            });
+
+            document.getElementById('aliasFile').addEventListener('change', async (e) => {
+                if (!e.target.files.length) return;
+                readLists();
+                await this.importSkillAliases(e.target.files[0]);
+                render();
+            });
+
+            document.getElementById('aliasClear').addEventListener('click', () => {
+                readLists();
+                this.customSkills = [];
+                SkillTaxonomy.saveCustomEntries(this.customSkills);
+                this.applyCustomSkills();
+                this.rerankCandidates();
+                this.showNotification('Custom skill aliases removed.', 'info');
+                render();
+            });
+
+            document.getElementById('profileSelect').addEventListener('change', (e) => {
+                draft = ScoringModel.copyProfile(this.scoringProfiles.find(profile => profile.name === e.target.value));
+                render();
+            });
+
+            document.getElementById('profileDelete').addEventListener('click', () => {
+                if (draft.builtIn) return;
+                this.scoringProfiles = this.scoringProfiles.filter(profile => profile.name !== draft.name);
+                ScoringModel.saveProfiles(this.scoringProfiles);
+                this.setActiveProfile(this.scoringProfiles[0].name);
+                this.showNotification(`Deleted scoring profile "${draft.name}".`, 'info');
+                draft = ScoringModel.copyProfile(this.getActiveProfile());
+                render();
+            });
+
+            document.getElementById('profileSaveAs').addEventListener('click', () => {
+                const name = document.getElementById('profileNewName').value.trim();
+                if (!name) {
+                    this.showNotification('Enter a name for the new profile.', 'warning');
+                    return;
+                }
+                if (this.scoringProfiles.some(profile => profile.name.toLowerCase() === name.toLowerCase())) {
+                    this.showNotification(`A profile named "${name}" already exists.`, 'warning');
+                    return;
+                }
+                readLists();
+                draft = { ...ScoringModel.copyProfile(draft), name, builtIn: false };
+                this.scoringProfiles.push(ScoringModel.copyProfile(draft));
+                this.applyScoringProfile(draft);
+                render();
+            });
+
+            document.getElementById('profileApply').addEventListener('click', () => {
+                readLists();
+                if (aiDraft.provider === 'chat-completions' && !aiDraft.endpoint) {
+                    this.showNotification('Enter the endpoint URL for the chat-completions provider.', 'warning');
+                    return;
+                }
+                if (serverDraft.processing === 'server' && (!ResumeAIApiClient.baseUrl(serverDraft.url) || !serverDraft.apiKey)) {
+                    this.showNotification('Enter the address and API key of the ResumeAI server.', 'warning');
+                    return;
+                }
+                if (serverDraft.url !== this.serverSettings.url) {
+                    this.serverResumeIds.clear();
+                    this.serverJobIds = {};
+                }
+                this.serverSettings = { ...serverDraft };
+                ResumeAIApiClient.saveSettings(this.serverSettings);
+                this.aiSettings = { ...aiDraft };
+                this.aiProvider = null;
+                ChatCompletionsScoringProvider.saveSettings(this.aiSettings);
+                this.excludeProxies = fairnessDraft.excludeProxies;
+                localStorage.setItem('resumeai.excludeProxies', String(this.excludeProxies));
+                if (fairnessDraft.blindReview !== this.blindReview) this.setBlindReview(fairnessDraft.blindReview);
+                const index = this.scoringProfiles.findIndex(profile => profile.name === draft.name);
+                this.scoringProfiles[index] = ScoringModel.copyProfile(draft);
+                this.applyScoringProfile(draft);
+                this.closeModal();
+            });
+        };
+
+        render();
+        modal.style.display = 'block';
+    }
+
+    // Pass/fail rules for the active role. Edits are kept in a draft until Save & Apply.
+    showKnockoutRules() {
+        const modal = document.getElementById('detailModal');
+        const modalBody = document.getElementById('modalBody');
+        const requisition = this.getActiveRequisition();
+        document.getElementById('modalTitle').textContent = `Knockout Rules - ${this.requisitionTitle(requisition)}`;
+
+        const copyRule = (rule) => ({ ...rule, id: rule.id || AnalysisStore.createId(), conditions: rule.conditions.map(condition => ({ ...condition })) });
+        const draft = requisition.knockoutRules.map(copyRule);
+        const requirements = this.jobRequirements || { requiredSkills: [], preferredSkills: [] };
+
+        const valueInput = (condition) => {
+            const type = KnockoutRules.FIELDS[condition.field].type;
+            if (condition.operator === 'empty') return '<span class="knockout-value"></span>';
+            if (type === 'degree') {
+                return `
+                    <select class="knockout-value" data-prop="value">
+                        <option value="">Choose...</option>
+                        ${KnockoutRules.DEGREES.map(([id, label]) => `<option value="${id}" ${condition.value === id ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                `;
+            }
+            return `<input class="knockout-value" data-prop="value" type="${type === 'number' ? 'number' : 'text'}" ${type === 'number' ? 'min="0" max="50"' : ''}
+                ${type === 'skill' ? 'list="knockoutSkills"' : ''} value="${this.escapeHtml(condition.value)}" placeholder="${type === 'skill' ? 'Skill' : 'Value'}">`;
+        };
+
+        modalBody.innerHTML = '<div class="knockout-editor"></div>';
+        const editor = modalBody.querySelector('.knockout-editor');
+        const render = () => {
+            editor.innerHTML = `
+                <p class="settings-help">A candidate has to pass every rule to be ranked. Within a rule, conditions are combined with AND (all must hold) or OR (one is enough). Candidates who fail are listed under "Did not meet requirements" with the rule that failed; their scores are not changed.</p>
+                <datalist id="knockoutSkills">
+                    ${[...requirements.requiredSkills, ...requirements.preferredSkills].map(skill => `<option value="${this.escapeHtml(skill)}">`).join('')}
+                </datalist>
+                <div class="knockout-rules">
+                    ${draft.length ? draft.map((rule, r) => `
+                        <div class="knockout-rule" data-rule="${r}">
+                            <div class="knockout-rule-header">
+                                <input type="text" data-prop="name" value="${this.escapeHtml(rule.name)}" placeholder="Rule name, e.g. Work authorization">
+                                <select data-prop="match">
+                                    <option value="all" ${rule.match === 'all' ? 'selected' : ''}>All conditions (AND)</option>
+                                    <option value="any" ${rule.match === 'any' ? 'selected' : ''}>Any condition (OR)</option>
+                                </select>
+                                <button class="chip-remove" data-action="remove-rule" title="Remove rule">&times;</button>
+                            </div>
+                            ${rule.conditions.map((condition, c) => `
+                                <div class="knockout-condition" data-condition="${c}">
+                                    <span class="knockout-joiner">${c === 0 ? 'If' : rule.match === 'any' ? 'OR' : 'AND'}</span>
+                                    <select data-prop="field">
+                                        ${Object.entries(KnockoutRules.FIELDS).map(([field, { label }]) => `<option value="${field}" ${condition.field === field ? 'selected' : ''}>${label}</option>`).join('')}
+                                    </select>
+                                    <select data-prop="operator">
+                                        ${KnockoutRules.operatorsFor(condition.field).map(operator => `<option value="${operator}" ${condition.operator === operator ? 'selected' : ''}>${KnockoutRules.OPERATORS[operator].label}</option>`).join('')}
+                                    </select>
+                                    ${valueInput(condition)}
+                                    <button class="chip-remove" data-action="remove-condition" title="Remove condition">&times;</button>
+                                </div>
+                            `).join('')}
+                            <button class="btn-secondary" data-action="add-condition"><i class="fas fa-plus"></i> Condition</button>
+                        </div>
+                    `).join('') : '<p class="matrix-hint">No knockout rules for this role yet. Every candidate is ranked.</p>'}
+                </div>
+                <div class="settings-actions">
+                    <select id="knockoutTemplate">
+                        <option value="">Add from template...</option>
+                        ${KnockoutRules.TEMPLATES.map((template, i) => `<option value="${i}">${template.name}</option>`).join('')}
+                        ${requirements.requiredSkills.length ? '<option value="required">Every required skill in the job</option>' : ''}
+                    </select>
+                    <button class="btn-secondary" id="addKnockoutRule"><i class="fas fa-plus"></i> Add Rule</button>
+                    <button class="btn-primary" id="saveKnockoutRules"><i class="fas fa-check"></i> Save &amp; Apply</button>
+                </div>
+            `;
+        };
+
+        const target = (element) => {
+            const rule = element.closest('[data-rule]');
+            const condition = element.closest('[data-condition]');
+            return {
+                rule: rule ? draft[Number(rule.dataset.rule)] : null,
+                condition: rule && condition ? draft[Number(rule.dataset.rule)].conditions[Number(condition.dataset.condition)] : null
+            };
+        };
+
+        // Typing updates the draft in place; structural changes re-render
+        editor.addEventListener('input', (e) => {
+            const prop = e.target.dataset.prop;
+            const { rule, condition } = target(e.target);
+            if (prop === 'name' && rule) rule.name = e.target.value;
+            if (prop === 'value' && condition) condition.value = e.target.value;
+        });
+
+        editor.addEventListener('change', (e) => {
+            const prop = e.target.dataset.prop;
+            const { rule, condition } = target(e.target);
+            if (e.target.id === 'knockoutTemplate') {
+                if (e.target.value === 'required') {
+                    draft.push({
+                        id: AnalysisStore.createId(),
+                        name: 'Required skills',
+                        match: 'all',
+                        conditions: requirements.requiredSkills.map(skill => ({ field: 'skills', operator: 'has', value: skill }))
+                    });
+                } else if (e.target.value !== '') {
+                    draft.push(copyRule(KnockoutRules.TEMPLATES[Number(e.target.value)]));
+                }
+            } else if (prop === 'match' && rule) {
+                rule.match = e.target.value;
+            } else if (prop === 'field' && condition) {
+                condition.field = e.target.value;
+                condition.operator = KnockoutRules.operatorsFor(condition.field)[0];
+                condition.value = '';
+            } else if (prop === 'operator' && condition) {
+                condition.operator = e.target.value;
+            } else {
+                return;
+            }
+            render();
+        });
+
+        editor.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action], #addKnockoutRule, #saveKnockoutRules');
+            if (!action) return;
+            const { rule, condition } = target(action);
+            if (action.id === 'addKnockoutRule') {
+                draft.push({ id: AnalysisStore.createId(), name: '', match: 'all', conditions: [{ field: 'rawText', operator: 'contains', value: '' }] });
+            } else if (action.id === 'saveKnockoutRules') {
+                this.saveKnockoutRules(draft);
+                return;
+            } else if (action.dataset.action === 'remove-rule') {
+                draft.splice(draft.indexOf(rule), 1);
+            } else if (action.dataset.action === 'add-condition') {
+                rule.conditions.push({ field: 'rawText', operator: 'contains', value: '' });
+            } else if (action.dataset.action === 'remove-condition') {
+                rule.conditions.splice(rule.conditions.indexOf(condition), 1);
+            }
+            render();
+        });
+
+        render();
+        modal.style.display = 'block';
+    }
+
+    saveKnockoutRules(draft) {
+        const incomplete = draft.some(rule => rule.conditions.some(condition => condition.operator !== 'empty' && !String(condition.value).trim()));
+        if (incomplete) {
+            this.showNotification('Fill in a value for every condition, or remove it.', 'warning');
+            return;
+        }
+
+        const requisition = this.getActiveRequisition();
+        requisition.knockoutRules = KnockoutRules.normalize(draft.map((rule, i) => ({ ...rule, name: rule.name.trim() || `Rule ${i + 1}` })))
+            .filter(rule => rule.conditions.length);
+        this.closeModal();
+        this.renderJobRequirements();
+        if (this.rankedCandidates.length === 0) return;
+
+        this.refreshKnockouts(requisition);
+        this.displayResults();
+        this.saveSession();
+        const failed = this.rankedCandidates.filter(candidate => RankingEngine.isKnockedOut(candidate)).length;
+        this.showNotification(`${failed} of ${this.rankedCandidates.length} candidates did not meet the knockout rules.`, failed ? 'info' : 'success');
+    }
+
+    applyCustomSkills() {
+        this.skillTaxonomy.reset();
+        try {
+            this.skillTaxonomy.importAliases(this.customSkills);
+        } catch (error) {
+            console.warn('Ignoring invalid custom skill aliases:', error);
+            this.customSkills = [];
+        }
+        // Workers keep their own taxonomy, so they are restarted with the new aliases
+        if (this.workerPool) {
+            this.workerPool.cancel();
+            this.workerPool = null;
+        }
+    }
+
+    async importSkillAliases(file) {
+        try {
+            const entries = SkillTaxonomy.parseEntries(await file.text());
+            this.customSkills.push(...entries);
+            SkillTaxonomy.saveCustomEntries(this.customSkills);
+            this.applyCustomSkills();
+            this.rerankCandidates();
+            this.showNotification(`Imported ${entries.length} skill${entries.length === 1 ? '' : 's'} from ${file.name}.`, 'success');
+        } catch (error) {
+            this.showNotification(`Could not import ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    applyScoringProfile(profile) {
+        ScoringModel.saveProfiles(this.scoringProfiles);
+        this.setActiveProfile(profile.name);
+        this.rerankCandidates();
+        this.showNotification(`Scoring profile "${profile.name}" saved and applied.`, 'success');
+    }
+
+    // Sessions keep the whole profile each role was scored with. One that does not exist here, or
+    // has been changed since, is added as a profile of its own so the role keeps its weights.
+    restoreProfile(saved) {
+        const profile = ScoringModel.normalizeProfile(saved);
+        const settings = ({ name, builtIn, ...rest }) => JSON.stringify(ScoringModel.normalizeProfile(rest));
+        const sameName = this.scoringProfiles.find(existing => existing.name === profile.name);
+        const same = sameName && settings(sameName) === settings(profile)
+            ? sameName
+            : this.scoringProfiles.find(existing => settings(existing) === settings(profile));
+        if (same) return same.name;
+
+        let name = profile.name;
+        for (let copy = 1; this.scoringProfiles.some(existing => existing.name === name); copy++) {
+            name = `${profile.name} (restored${copy > 1 ? ` ${copy}` : ''})`;
+        }
+        this.scoringProfiles.push({ ...profile, name });
+        ScoringModel.saveProfiles(this.scoringProfiles);
+        this.showNotification(`Added the scoring profile "${name}" this analysis was scored with.`, 'info');
+        return name;
+    }
+
+    setActiveProfile(name) {
+        this.activeProfileName = name;
+        localStorage.setItem(ScoringModel.ACTIVE_PROFILE_KEY, name);
     }
 
     displayResults() {
         const resultsSection = document.getElementById('resultsSection');
-        const resultsGrid = document.getElementById('resultsGrid');
         const totalResumes = document.getElementById('totalResumes');
-        const topCandidates = document.getElementById('topCandidates');
 
         resultsSection.style.display = 'block';
+        totalResumes.textContent = this.isProcessing
+            ? `${this.rankedCandidates.length} resumes so far (provisional rules scores)`
+            : `${this.rankedCandidates.length} resumes processed`;
+        document.getElementById('activeRole').textContent = `Ranked for ${this.requisitionTitle(this.getActiveRequisition())}`;
+        this.renderDuplicateBanner();
+        this.renderResultsToolbar();
+        this.renderResultsList();
+    }
+
+    // Only one page of cards is in the DOM at a time, so large pools stay responsive
+    renderResultsList() {
+        const resultsGrid = document.getElementById('resultsGrid');
+        const matching = this.getFilteredCandidates();
+        const candidates = matching.filter(candidate => !RankingEngine.isKnockedOut(candidate));
+        const knockedOut = matching.filter(candidate => RankingEngine.isKnockedOut(candidate));
+        const pageCount = Math.max(1, Math.ceil(candidates.length / ResumeAI.PAGE_SIZE));
+        this.resultsPage = Math.min(Math.max(1, this.resultsPage), pageCount);
+        const start = (this.resultsPage - 1) * ResumeAI.PAGE_SIZE;
+        const page = candidates.slice(start, start + ResumeAI.PAGE_SIZE);
+
         resultsGrid.innerHTML = '';
+        page.forEach(candidate => resultsGrid.appendChild(this.createCandidateCard(candidate)));
+        if (page.length === 0) {
+            resultsGrid.innerHTML = knockedOut.length
+                ? '<p class="results-empty">No candidates met every requirement.</p>'
+                : '<p class="results-empty">No candidates match these filters.</p>';
+        }
+
+        const filtered = matching.length < this.rankedCandidates.length ? ` (${matching.length} of ${this.rankedCandidates.length} match the filters)` : '';
+        document.getElementById('topCandidates').textContent = page.length
+            ? `Showing ${start + 1}-${start + page.length}${filtered}`
+            : knockedOut.length ? `None met every requirement${filtered}` : `No matches${filtered}`;
+
+        this.renderPagination(pageCount);
+        this.renderKnockoutSection(knockedOut);
+        this.renderPipelineBoard(matching);
+        this.renderAnalytics(matching);
+        this.renderCompareBar();
+    }
+
+    // Charts of the candidates matching the filters, drawn only while the analytics view is open
+    renderAnalytics(candidates) {
+        if (this.resultsView !== 'analytics') return;
+        const requirements = this.jobRequirements || { requiredSkills: [], preferredSkills: [] };
+        this.analyticsCharts = PoolAnalytics.build(candidates, requirements, this.skillTaxonomy).map(chart =>
+            // File names can identify a candidate
+            chart.id === 'sources' && this.blindReview ? { ...chart, bars: [], empty: 'File names are hidden during blind review.' } : chart);
+
+        const knockedOut = candidates.filter(candidate => RankingEngine.isKnockedOut(candidate)).length;
+        const scope = (candidates.length < this.rankedCandidates.length
+            ? `${candidates.length} of ${this.rankedCandidates.length} candidates match the filters`
+            : `All ${candidates.length} candidates`) +
+            (knockedOut ? `, including ${knockedOut} who did not meet the knockout rules.` : '.');
+        document.getElementById('analyticsPanel').innerHTML = `
+            <p class="matrix-hint">${scope} Click a bar to list those candidates.</p>
+            <div class="analytics-grid">
+                ${this.analyticsCharts.map(chart => `
+                    <div class="analytics-card">
+                        ${chart.total && chart.bars.length ? `
+                            <div class="analytics-chart">${PoolAnalytics.toSvg(chart)}</div>
+                            <button class="btn-secondary" data-action="download-chart" data-chart="${chart.id}" title="Save this chart as a PNG image">
+                                <i class="fas fa-image"></i> Save Image
+                            </button>
+                        ` : `
+                            <h4>${chart.title}</h4>
+                            <p class="matrix-hint">${chart.total ? chart.empty : 'No candidates match the filters.'}</p>
+                        `}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Lists the candidates behind a chart bar; its filter is added to the ones already set
+    showChartSelection(filter) {
+        this.resultsFilter = { ...this.resultsFilter, ...filter };
+        this.resultsPage = 1;
+        this.writeFilterHash();
+        this.renderResultsToolbar();
+        this.setResultsView('list');
+    }
+
+    // The SVG is drawn onto a canvas, which is saved as PNG
+    downloadChartImage(chart) {
+        const url = window.URL.createObjectURL(new Blob([PoolAnalytics.toSvg(chart)], { type: 'image/svg+xml' }));
+        const image = new Image();
+        image.onload = () => {
+            const scale = ResumeAI.CHART_IMAGE_SCALE;
+            const canvas = document.createElement('canvas');
+            canvas.width = image.width * scale;
+            canvas.height = image.height * scale;
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0);
+            window.URL.revokeObjectURL(url);
+            canvas.toBlob(blob => {
+                this.downloadFile(blob, `${chart.id}_chart_${new Date().toISOString().split('T')[0]}.png`, 'image/png');
+            }, 'image/png');
+        };
+        image.onerror = () => {
+            window.URL.revokeObjectURL(url);
+            this.showNotification('Could not save the chart as an image.', 'error');
+        };
+        image.src = url;
+    }
+
+    // Candidates who failed a knockout rule, with the rule, below the ranking in the list view
+    renderKnockoutSection(candidates) {
+        const section = document.getElementById('knockoutSection');
+        section.style.display = candidates.length && this.resultsView === 'list' ? '' : 'none';
+        document.getElementById('knockoutCount').textContent = candidates.length;
+
+        const hidden = candidates.length - ResumeAI.KNOCKOUT_LIST_LIMIT;
+        document.getElementById('knockoutList').innerHTML = candidates.slice(0, ResumeAI.KNOCKOUT_LIST_LIMIT).map(candidate => `
+            <div class="knockout-row" data-key="${this.escapeHtml(this.candidateKey(candidate))}" title="Open to review or override">
+                <strong>${this.formatField(this.viewCandidate(candidate), 'name')}</strong>
+                <span class="board-score">${candidate.score}%</span>
+                <span class="knockout-reasons">
+                    ${candidate.knockout.failed.map(rule => `<span><i class="fas fa-ban"></i> ${this.escapeHtml(rule.name)} &mdash; ${this.escapeHtml(rule.reason)}</span>`).join('')}
+                </span>
+            </div>
+        `).join('') + (hidden > 0 ? `<p class="pipeline-more">+${hidden} more &mdash; narrow the filters to see them</p>` : '');
+    }
+
+    renderPagination(pageCount) {
+        const pagination = document.getElementById('resultsPagination');
+        if (pageCount <= 1) {
+            pagination.innerHTML = '';
+            return;
+        }
+
+        // First, last and the pages around the current one
+        const pages = [];
+        for (let page = 1; page <= pageCount; page++) {
+            if (page === 1 || page === pageCount || Math.abs(page - this.resultsPage) <= 2) {
+                pages.push(page);
+            } else if (pages[pages.length - 1] !== null) {
+                pages.push(null);
+            }
+        }
+
+        pagination.innerHTML = `
+            <button class="page-button" data-page="${this.resultsPage - 1}" ${this.resultsPage === 1 ? 'disabled' : ''}><i class="fas fa-chevron-left"></i></button>
+            ${pages.map(page => page === null
+                ? '<span class="page-gap">&hellip;</span>'
+                : `<button class="page-button ${page === this.resultsPage ? 'active' : ''}" data-page="${page}">${page}</button>`
+            ).join('')}
+            <button class="page-button" data-page="${this.resultsPage + 1}" ${this.resultsPage === pageCount ? 'disabled' : ''}><i class="fas fa-chevron-right"></i></button>
+        `;
+    }
+
+    renderResultsToolbar() {
+        const filter = this.resultsFilter;
+        const requirements = this.jobRequirements || { requiredSkills: [], preferredSkills: [] };
+        const skills = [...requirements.requiredSkills, ...requirements.preferredSkills];
+        if (filter.skill && !skills.includes(filter.skill)) skills.push(filter.skill);
+
+        document.getElementById('filterSkill').innerHTML = '<option value="">Any skill</option>' +
+            skills.map(skill => `<option value="${this.escapeHtml(skill)}">${this.escapeHtml(skill)}</option>`).join('');
+        document.getElementById('filterStatus').innerHTML = '<option value="">Any status</option>' +
+            ResumeAI.PIPELINE_STAGES.map(stage => `<option value="${stage.id}">${stage.label}</option>`).join('');
 
-        const displayCount = Math.min(this.rankedCandidates.length, 20);
-        totalResumes.textContent = `${this.rankedCandidates.length} resumes processed`;
-        topCandidates.textContent = `Top ${displayCount} candidates shown`;
+        document.querySelectorAll('#resultsToolbar [data-filter]').forEach(input => {
+            input.value = filter[input.dataset.filter];
+        });
+        document.getElementById('filterChips').innerHTML = Object.entries(ResumeAI.CHIP_FILTERS)
+            .filter(([key]) => filter[key])
+            .map(([key, label]) => `
+                <span class="filter-chip">${label}: ${this.escapeHtml(filter[key])}
+                    <button class="chip-remove" data-clear="${key}" title="Remove this filter">&times;</button>
+                </span>
+            `).join('');
+    }
+
+    setResultsFilter(changes) {
+        this.resultsFilter = { ...this.resultsFilter, ...changes };
+        this.resultsPage = 1;
+        this.writeFilterHash();
+        this.renderResultsList();
+    }
+
+    getFilteredCandidates() {
+        const filter = this.resultsFilter;
+        const terms = filter.query.toLowerCase().split(/\s+/).filter(Boolean);
+        const minScore = parseFloat(filter.minScore);
+        const maxScore = parseFloat(filter.maxScore);
+        const minYears = parseFloat(filter.minYears);
+        const maxYears = parseFloat(filter.maxYears);
+        const belowYears = parseFloat(filter.belowYears);
+        const location = filter.location.trim().toLowerCase();
+
+        const candidates = this.rankedCandidates.filter(candidate => {
+            if (!Number.isNaN(minScore) && candidate.score < minScore) return false;
+            if (!Number.isNaN(maxScore) && candidate.score > maxScore) return false;
+            if (!Number.isNaN(minYears) && candidate.yearsExperience < minYears) return false;
+            if (!Number.isNaN(maxYears) && candidate.yearsExperience > maxYears) return false;
+            if (!Number.isNaN(belowYears) && candidate.yearsExperience >= belowYears) return false;
+            if (location && !candidate.location.toLowerCase().includes(location)) return false;
+            if (filter.status && this.getPipeline(candidate).status !== filter.status) return false;
+            if (filter.skill && !this.skillTaxonomy.matchSkill(candidate.skills, filter.skill)) return false;
+            if (filter.missingSkill && !candidate.missingSkills.includes(filter.missingSkill)) return false;
+            if (filter.sourceFile && !(candidate.sourceFiles || [candidate.sourceFile]).includes(filter.sourceFile)) return false;
+            if (terms.length) {
+                // Searches what the reviewer can see, so blind review cannot be probed by name
+                const shown = this.viewCandidate(candidate);
+                const pipeline = this.getPipeline(candidate);
+                const text = [shown.name, shown.email, shown.rawText, pipeline.notes, ...pipeline.tags].join('\n').toLowerCase();
+                if (!terms.every(term => text.includes(term))) return false;
+            }
+            return true;
+        });
 
-        for (let i = 0; i < displayCount; i++) {
-            const candidate = this.rankedCandidates[i];
-            const candidateCard = this.createCandidateCard(candidate);
-            resultsGrid.appendChild(candidateCard);
+        if (filter.sort === 'experience') {
+            candidates.sort((a, b) => b.yearsExperience - a.yearsExperience || a.ranking - b.ranking);
+        } else if (filter.sort === 'name') {
+            const names = new Map(candidates.map(candidate => [candidate, this.viewCandidate(candidate).name]));
+            candidates.sort((a, b) => names.get(a).localeCompare(names.get(b)) || a.ranking - b.ranking);
         }
+        return candidates;
+    }
+
+    // Only values that differ from the defaults go into the hash, so a clean view has none
+    writeFilterHash() {
+        const params = new URLSearchParams();
+        Object.entries(this.resultsFilter).forEach(([key, value]) => {
+            if (value !== ResumeAI.DEFAULT_FILTER[key]) params.set(key, value);
+        });
+        if (this.resultsPage > 1) params.set('page', this.resultsPage);
+        const hash = params.toString();
+        history.replaceState(null, '', hash ? `#${hash}` : window.location.pathname + window.location.search);
+    }
+
+    static parseFilterHash(hash) {
+        const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+        const filter = { ...ResumeAI.DEFAULT_FILTER };
+        Object.keys(filter).forEach(key => {
+            if (params.has(key)) filter[key] = params.get(key);
+        });
+        return filter;
+    }
+
+    static parseFilterPage(hash) {
+        const page = parseInt(new URLSearchParams(String(hash || '').replace(/^#/, '')).get('page'), 10);
+        return page > 0 ? page : 1;
     }
 
     createCandidateCard(candidate) {
         const card = document.createElement('div');
         card.className = 'candidate-card';
-        card.onclick = () => this.showCandidateDetails(candidate);
+        card.onclick = (e) => {
+            if (!e.target.closest('.compare-toggle')) this.showCandidateDetails(candidate);
+        };
 
         const skillsHtml = candidate.skills.map(skill => {
             const isMatched = candidate.matchedSkills.includes(skill);
-            return `<span class="skill-tag ${isMatched ? 'matched' : ''}">${skill}</span>`;
+            return `<span class="skill-tag ${isMatched ? 'matched' : ''}">${this.escapeHtml(skill)}</span>`;
         }).join('');
 
-        card.innerHTML = `
-            <div class="candidate-header">
-                <div class="candidate-rank">#${candidate.ranking}</div>
-                <div class="candidate-score">${candidate.score}% Match</div>
-            </div>
-            <div class="candidate-info">
-                <h3>${candidate.name}</h3>
-                <p>${candidate.experience} • ${candidate.yearsExperience} years experience</p>
-                <p><i class="fas fa-building"></i> ${candidate.company}</p>
-                <p><i class="fas fa-map-marker-alt"></i> ${candidate.location}</p>
-            </div>
-            <div class="candidate-skills">
-                <strong>Skills:</strong>
-                <div class="skills-list">
-                    ${skillsHtml}
+        const pipeline = this.getPipeline(candidate);
+        const stage = ResumeAI.PIPELINE_STAGES.find(item => item.id === pipeline.status);
+        const shown = this.viewCandidate(candidate);
+
+        card.innerHTML = `
+            <div class="candidate-header">
+                <div class="candidate-rank">#${candidate.ranking}</div>
+                <label class="compare-toggle" title="Select up to ${ResumeAI.MAX_COMPARE} candidates to compare">
+                    <input type="checkbox" ${this.compareSelection.has(this.candidateKey(candidate)) ? 'checked' : ''}> Compare
+                </label>
+                <div class="candidate-score">${candidate.score}% Match</div>
+            </div>
+            <div class="candidate-info">
+                <h3>${shown.blind ? '<i class="fas fa-user-secret" title="Identity hidden for blind review"></i> ' : ''}${this.formatField(shown, 'name')}</h3>
+                <p>${this.formatField(candidate, 'experience')} • ${this.formatField(candidate, 'yearsExperience', `${candidate.yearsExperience} years experience`)}</p>
+                <p><i class="fas fa-building"></i> ${this.formatField(candidate, 'company')}</p>
+                <p><i class="fas fa-map-marker-alt"></i> ${this.formatField(shown, 'location')}</p>
+                ${candidate.sourceFiles ? `<p class="merged-note"><i class="fas fa-clone"></i> Merged from ${candidate.sourceFiles.length} files</p>` : ''}
+            </div>
+            <div class="candidate-pipeline">
+                <span class="status-badge status-${stage.id}"><i class="fas ${stage.icon}"></i> ${stage.label}</span>
+                ${pipeline.rejectionReason ? `<span class="board-reason">${this.escapeHtml(pipeline.rejectionReason)}</span>` : ''}
+                ${candidate.knockout && candidate.knockout.overridden ? `<span class="knockout-badge" title="${this.escapeHtml(RankingEngine.describeKnockout(candidate))}"><i class="fas fa-user-check"></i> Knockout overridden</span>` : ''}
+                ${this.renderTags(pipeline)}
+            </div>
+            <div class="candidate-skills">
+                <strong>Skills:</strong>
+                <div class="skills-list">
+                    ${skillsHtml}
+                </div>
+            </div>
+            <div class="candidate-summary">
+                <p>${this.escapeHtml(shown.summary)}</p>
+            </div>
+            ${this.renderBreakdown(shown, true)}
+        `;
+
+        card.querySelector('.compare-toggle input').addEventListener('change', (e) => {
+            this.toggleCompare(candidate, e.target);
+        });
+
+        return card;
+    }
+
+    toggleCompare(candidate, checkbox) {
+        const key = this.candidateKey(candidate);
+        if (!checkbox.checked) {
+            this.compareSelection.delete(key);
+        } else if (this.getCompareCandidates().length >= ResumeAI.MAX_COMPARE) {
+            checkbox.checked = false;
+            this.showNotification(`You can compare up to ${ResumeAI.MAX_COMPARE} candidates at a time.`, 'warning');
+            return;
+        } else {
+            this.compareSelection.add(key);
+        }
+        this.renderCompareBar();
+    }
+
+    // Selected candidates that are still in the results, in ranking order
+    getCompareCandidates() {
+        return this.rankedCandidates.filter(candidate => this.compareSelection.has(this.candidateKey(candidate)));
+    }
+
+    renderCompareBar() {
+        const bar = document.getElementById('compareBar');
+        const candidates = this.getCompareCandidates();
+        if (candidates.length === 0) {
+            bar.style.display = 'none';
+            return;
+        }
+        document.getElementById('compareSummary').textContent =
+            `${candidates.length} selected: ${candidates.map(candidate => this.viewCandidate(candidate).name).join(', ')}`;
+        document.getElementById('openCompare').disabled = candidates.length < 2;
+        bar.style.display = 'flex';
+    }
+
+    // Rows of the comparison table; `best` marks the strongest value(s) in rows that can be ranked
+    buildComparison(candidates) {
+        const shown = candidates.map(candidate => this.viewCandidate(candidate));
+        const requirements = this.jobRequirements || this.jobParser.parse(this.jobDescription);
+        const rows = [];
+        const addRow = (label, values, measures = null) => {
+            let best = values.map(() => false);
+            if (measures) {
+                const top = Math.max(...measures);
+                // Nothing stands out when everyone is level
+                if (measures.some(measure => measure !== top)) best = measures.map(measure => measure === top);
+            }
+            rows.push({ label, values, best });
+        };
+
+        addRow('Overall score', candidates.map(candidate => `${candidate.score}%`), candidates.map(candidate => candidate.exactScore));
+        candidates[0].scoreBreakdown.forEach((component, index) => {
+            if (!candidates.some(candidate => candidate.scoreBreakdown[index].applies)) return;
+            const points = (value) => (Math.round(value * 10) / 10).toString();
+            addRow(
+                `${component.label} points`,
+                candidates.map(candidate => {
+                    const row = candidate.scoreBreakdown[index];
+                    return row.applies ? `${points(row.earned)} / ${points(row.possible)}` : 'n/a';
+                }),
+                candidates.map(candidate => candidate.scoreBreakdown[index].ratio)
+            );
+        });
+        addRow('Rules score', candidates.map(candidate => `${candidate.rulesScore}%`), candidates.map(candidate => candidate.rulesScore));
+        addRow('Relevance', candidates.map(candidate => `${candidate.relevanceScore}%`), candidates.map(candidate => candidate.relevanceScore));
+
+        const matched = candidates.map(candidate => requirements.requiredSkills.filter(skill => !candidate.missingSkills.includes(skill)));
+        addRow(
+            `Required skills matched (of ${requirements.requiredSkills.length})`,
+            matched.map(skills => skills.length ? `${skills.length}: ${skills.join(', ')}` : 'None'),
+            matched.map(skills => skills.length)
+        );
+        addRow(
+            'Missing required skills',
+            candidates.map(candidate => candidate.missingSkills.join(', ') || 'None'),
+            candidates.map(candidate => -candidate.missingSkills.length)
+        );
+        addRow(
+            'Years of experience',
+            candidates.map(candidate => `${candidate.yearsExperience}`),
+            candidates.map(candidate => candidate.yearsExperience)
+        );
+        addRow(
+            'Education',
+            shown.map(candidate => candidate.education || 'Not found'),
+            candidates.map(candidate => candidate.educationLevel in ScoringModel.EDUCATION_RANK ? ScoringModel.EDUCATION_RANK[candidate.educationLevel] : -1)
+        );
+        addRow('Recent roles', candidates.map(candidate => (candidate.positions || []).slice(0, 3)
+            .map(position => [position.title, position.company].filter(Boolean).join(' at ') + (position.dateText ? ` (${position.dateText})` : ''))
+            .join('\n') || 'Not found'));
+        addRow(
+            'Location',
+            shown.map(candidate => candidate.location || 'Not found'),
+            requirements.location ? candidates.map(candidate => candidate.scoreCriteria.location || 0) : null
+        );
+        if (this.getActiveRequisition().knockoutRules.length) {
+            addRow('Knockout rules', candidates.map(candidate => RankingEngine.describeKnockout(candidate) || 'Not checked'));
+        }
+        addRow('Status', candidates.map(candidate => ResumeAI.PIPELINE_STAGES.find(stage => stage.id === this.getPipeline(candidate).status).label));
+
+        return { names: shown.map(candidate => candidate.name), rows };
+    }
+
+    showComparison() {
+        const candidates = this.getCompareCandidates();
+        if (candidates.length < 2) {
+            this.showNotification('Select at least two candidates to compare.', 'warning');
+            return;
+        }
+
+        const modal = document.getElementById('detailModal');
+        const modalBody = document.getElementById('modalBody');
+        const comparison = this.buildComparison(candidates);
+        document.getElementById('modalTitle').textContent = 'Compare Candidates';
+
+        modalBody.innerHTML = `
+            <div class="comparison-view">
+                <div class="matrix-wrapper">
+                    <table class="comparison-table">
+                        <thead>
+                            <tr>
+                                <th></th>
+                                ${candidates.map(candidate => `<th><a href="#" data-key="${this.escapeHtml(this.candidateKey(candidate))}">#${candidate.ranking} ${this.escapeHtml(this.viewCandidate(candidate).name)}</a></th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${comparison.rows.map(row => `
+                                <tr>
+                                    <th>${this.escapeHtml(row.label)}</th>
+                                    ${row.values.map((value, i) => `<td class="${row.best[i] ? 'best' : ''}">${this.escapeHtml(value).replace(/\n/g, '<br>')}</td>`).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <div class="settings-actions">
+                    <button class="btn-secondary" data-action="csv"><i class="fas fa-file-csv"></i> Export CSV</button>
+                    <button class="btn-primary" data-action="print"><i class="fas fa-print"></i> Print / PDF</button>
                 </div>
-            </div>
-            <div class="candidate-summary">
-                <p>${candidate.summary}</p>
             </div>
         `;
 
-        return card;
+        modalBody.querySelector('.comparison-view').addEventListener('click', (e) => {
+            const link = e.target.closest('[data-key]');
+            const action = e.target.closest('[data-action]');
+            if (link) {
+                e.preventDefault();
+                this.showCandidateDetails(candidates.find(candidate => this.candidateKey(candidate) === link.dataset.key));
+            } else if (action && action.dataset.action === 'csv') {
+                const columns = [{ id: 'label', label: 'Criterion' }, ...comparison.names.map((name, i) => ({ id: i, label: name }))];
+                const rows = comparison.rows.map(row => ({ label: row.label, ...row.values }));
+                this.downloadFile(ResultExporter.toCSV(columns, rows), `candidate_comparison_${new Date().toISOString().split('T')[0]}.csv`, 'text/csv;charset=utf-8');
+            } else if (action && action.dataset.action === 'print') {
+                this.openPrintableReport(ResultExporter.toComparisonReport({
+                    title: this.requisitionTitle(this.getActiveRequisition()),
+                    generatedAt: new Date(),
+                    ...comparison
+                }), 'candidate_comparison');
+            }
+        });
+
+        modal.style.display = 'block';
     }
 
-    showCandidateDetails(candidate) {
+    showCandidateDetails(original) {
         const modal = document.getElementById('detailModal');
         const modalTitle = document.getElementById('modalTitle');
         const modalBody = document.getElementById('modalBody');
+        const candidate = this.viewCandidate(original);
+        const unlocked = this.blindReview && !candidate.blind;
 
         modalTitle.textContent = `${candidate.name} - Detailed Profile`;
 
+        const positions = candidate.positions || [];
+        const positionsHtml = positions.length ? `
+                    <ul class="position-list">
+                        ${positions.map(position => `
+                            <li><strong>${this.escapeHtml(position.title || 'Role not found')}</strong>${position.company ? ` at ${this.escapeHtml(position.company)}` : ''} <span>${this.escapeHtml(position.dateText)}</span></li>
+                        `).join('')}
+                    </ul>` : '';
+
         const skillsHtml = candidate.skills.map(skill => {
             const isMatched = candidate.matchedSkills.includes(skill);
-            return `<span class="skill-tag ${isMatched ? 'matched' : ''}">${skill}</span>`;
+            return `<span class="skill-tag ${isMatched ? 'matched' : ''}">${this.escapeHtml(skill)}</span>`;
         }).join('');
 
+        const assessment = candidate.assessment;
+        const assessmentSource = assessment.provider === 'ai'
+            ? `Assessed by ${this.escapeHtml(this.getScoringProvider().label)}`
+            : assessment.provider === 'heuristic-fallback'
+                ? `AI scoring failed (${this.escapeHtml(assessment.fallbackReason)}); heuristic rules were used`
+                : 'Assessed by the heuristic rules';
+
         modalBody.innerHTML = `
             <div style="display: grid; gap: 25px;">
+                ${candidate.blind || unlocked ? `
+                <div class="blind-notice">
+                    <i class="fas fa-user-secret"></i>
+                    <span>${unlocked ? 'Identity revealed for this candidate.' : 'Name, contact details, schools and graduation years are hidden for blind review.'}</span>
+                    <button class="btn-secondary" id="toggleIdentity">${unlocked ? '<i class="fas fa-eye-slash"></i> Hide Again' : '<i class="fas fa-eye"></i> Reveal Identity'}</button>
+                </div>` : ''}
+                <div class="pipeline-editor" style="background: #f7fafc; padding: 20px; border-radius: 12px;">
+                    ${this.renderPipelineEditor(original)}
+                </div>
+                ${this.renderKnockoutReview(original)}
+                
                 <div style="background: #f7fafc; padding: 20px; border-radius: 12px;">
                     <h4 style="margin-bottom: 15px; color: #333;">Contact Information</h4>
-                    <p><strong>Email:</strong> ${candidate.email}</p>
-                    <p><strong>Phone:</strong> ${candidate.phone}</p>
-                    <p><strong>Location:</strong> ${candidate.location}</p>
+                    <p><strong>Email:</strong> ${this.formatField(candidate, 'email')}</p>
+                    <p><strong>Phone:</strong> ${this.formatField(candidate, 'phone')}</p>
+                    <p><strong>Location:</strong> ${this.formatField(candidate, 'location')}</p>
+                    <p><strong>${candidate.sourceFiles ? 'Source Files' : 'Source File'}:</strong> ${(candidate.sourceFiles || [candidate.sourceFile]).map(file => this.escapeHtml(file)).join(', ')}</p>
+                    ${candidate.ats ? `
+                    <p><strong>Source:</strong> ${this.formatField(candidate.ats, 'source')}</p>
+                    <p><strong>Applied:</strong> ${this.formatField(candidate.ats, 'appliedAt')}</p>
+                    <p><strong>ATS Stage:</strong> ${this.formatField(candidate.ats, 'stage')}</p>` : ''}
                 </div>
                 
                 <div style="background: #f7fafc; padding: 20px; border-radius: 12px;">
                     <h4 style="margin-bottom: 15px; color: #333;">Professional Experience</h4>
-                    <p><strong>Current Role:</strong> ${candidate.experience}</p>
-                    <p><strong>Company:</strong> ${candidate.company}</p>
-                    <p><strong>Experience:</strong> ${candidate.yearsExperience} years</p>
+                    <p><strong>Current Role:</strong> ${this.formatField(candidate, 'experience')}</p>
+                    <p><strong>Company:</strong> ${this.formatField(candidate, 'company')}</p>
+                    <p><strong>Experience:</strong> ${this.formatField(candidate, 'yearsExperience', `${candidate.yearsExperience} years`)}</p>
+                    ${positionsHtml}
                 </div>
                 
                 <div style="background: #f7fafc; padding: 20px; border-radius: 12px;">
                     <h4 style="margin-bottom: 15px; color: #333;">Education</h4>
-                    <p>${candidate.education}</p>
+                    <p>${this.formatField(candidate, 'education')}</p>
                 </div>
                 
                 <div style="background: #f7fafc; padding: 20px; border-radius: 12px;">
@@ -495,18 +2910,420 @@ class ResumeAI {
                     </p>
                 </div>
                 
+                <div style="background: #f7fafc; padding: 20px; border-radius: 12px;">
+                    <h4 style="margin-bottom: 15px; color: #333;">Score Breakdown</h4>
+                    ${this.renderBreakdown(candidate, false)}
+                </div>
+                
+                <div style="background: #f7fafc; padding: 20px; border-radius: 12px;">
+                    <h4 style="margin-bottom: 15px; color: #333;">Assessment</h4>
+                    <p>${this.escapeHtml(assessment.rationale)}</p>
+                    <div class="assessment-columns">
+                        <div>
+                            <h5><i class="fas fa-plus-circle" style="color: #38a169;"></i> Strengths</h5>
+                            <ul>${assessment.strengths.map(item => `<li>${this.escapeHtml(item)}</li>`).join('') || '<li>None identified</li>'}</ul>
+                        </div>
+                        <div>
+                            <h5><i class="fas fa-minus-circle" style="color: #e53e3e;"></i> Gaps</h5>
+                            <ul>${assessment.gaps.map(item => `<li>${this.escapeHtml(item)}</li>`).join('') || '<li>None identified</li>'}</ul>
+                        </div>
+                    </div>
+                    <p class="assessment-source">${assessmentSource}</p>
+                </div>
+
+                <div style="background: #f7fafc; padding: 20px; border-radius: 12px;">
+                    <h4 style="margin-bottom: 15px; color: #333;">Phone Screen</h4>
+                    <p>Tailored questions for ${candidate.missingSkills.length} missing required skill${candidate.missingSkills.length === 1 ? '' : 's'}, the strengths the resume claims and the seniority of the role.</p>
+                    <button class="btn-primary" id="generateScreeningKit" style="margin-top: 12px;"><i class="fas fa-clipboard-list"></i> Generate Screening Kit</button>
+                </div>
+                
                 <div style="background: #f7fafc; padding: 20px; border-radius: 12px;">
                     <h4 style="margin-bottom: 15px; color: #333;">AI Analysis Summary</h4>
-                    <p>${candidate.summary}</p>
+                    <p>${this.escapeHtml(candidate.summary)}</p>
                     <div style="margin-top: 15px; padding: 15px; background: #e6fffa; border-radius: 8px; border-left: 4px solid #38a169;">
                         <p style="margin: 0; font-weight: 500; color: #234e52;">
                             <i class="fas fa-star"></i> Overall Match Score: ${candidate.score}%
                         </p>
+                        <p style="margin: 8px 0 0; font-size: 0.9rem; color: #234e52;">
+                            ${candidate.assessment.provider === 'ai' ? 'AI' : 'Rules'}: ${candidate.rulesScore}% &bull; Relevance: ${candidate.relevanceScore}% of the best resume in this batch
+                        </p>
+                        ${candidate.relevanceTerms.length ? `
+                        <p style="margin: 8px 0 0; font-size: 0.9rem; color: #234e52;">
+                            Matching terms: ${candidate.relevanceTerms.map(term => this.escapeHtml(term)).join(', ')}
+                        </p>` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+        this.bindPipelineEditor(original, modalBody.querySelector('.pipeline-editor'));
+        const knockoutReview = modalBody.querySelector('.knockout-review');
+        if (knockoutReview) {
+            knockoutReview.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-knockout]');
+                if (!action) return;
+                if (action.dataset.knockout === 'restore') {
+                    this.setKnockoutOverride(original, null);
+                    return;
+                }
+                const reason = knockoutReview.querySelector('.knockout-reason').value.trim();
+                if (!reason) {
+                    this.showNotification('Enter a reason for the override; it is kept with the candidate.', 'warning');
+                    return;
+                }
+                this.setKnockoutOverride(original, reason);
+            });
+        }
+        if (candidate.blind || unlocked) {
+            document.getElementById('toggleIdentity').addEventListener('click', () => {
+                this.setCandidateUnlocked(original, !unlocked);
+            });
+        }
+        document.getElementById('generateScreeningKit').addEventListener('click', () => {
+            this.showScreeningKit(original);
+        });
+
+        modal.style.display = 'block';
+    }
+
+    buildScreeningKit(original) {
+        return ScreeningKit.build(this.viewCandidate(original), this.jobRequirements || this.jobParser.parse(this.jobDescription),
+            this.questionBank, this.skillTaxonomy);
+    }
+
+    // Generated from the current question bank every time, so bank edits show up at once
+    showScreeningKit(original) {
+        const modal = document.getElementById('detailModal');
+        const modalBody = document.getElementById('modalBody');
+        const candidate = this.viewCandidate(original);
+        const kit = this.buildScreeningKit(original);
+        document.getElementById('modalTitle').textContent = `${candidate.name} - Screening Kit`;
+
+        modalBody.innerHTML = `
+            <div class="screening-kit">
+                <p class="settings-help">
+                    Questions for a ${kit.levelLabel.toLowerCase()} ${this.escapeHtml(this.requisitionTitle(this.getActiveRequisition()))} role.
+                    <span class="${kit.experience.concern ? 'kit-concern' : ''}">${this.escapeHtml(kit.experience.text)}.</span>
+                </p>
+                ${kit.sections.map(section => `
+                    <div class="kit-section">
+                        <h4>${section.title}</h4>
+                        ${section.questions.length ? `
+                        <ol class="kit-questions">
+                            ${section.questions.map(question => `
+                                <li>${question.skill ? `<span class="skill-tag">${this.escapeHtml(question.skill)}</span> ` : ''}${this.escapeHtml(question.text)}</li>
+                            `).join('')}
+                        </ol>` : `<p class="matrix-hint">${ScreeningKit.KINDS[section.kind].empty}</p>`}
+                    </div>
+                `).join('')}
+                <div class="settings-actions">
+                    <button class="btn-secondary" data-action="back"><i class="fas fa-arrow-left"></i> Back to Profile</button>
+                    <button class="btn-secondary" data-action="bank"><i class="fas fa-list"></i> Edit Question Bank</button>
+                    <button class="btn-primary" data-action="print"><i class="fas fa-print"></i> Print Kit</button>
+                </div>
+            </div>
+        `;
+
+        modalBody.querySelector('.screening-kit').addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]');
+            if (!action) return;
+            if (action.dataset.action === 'back') this.showCandidateDetails(original);
+            if (action.dataset.action === 'bank') this.showQuestionBank(() => this.showScreeningKit(original));
+            if (action.dataset.action === 'print') this.openScreeningKits([original]);
+        });
+
+        modal.style.display = 'block';
+    }
+
+    // onDone runs after saving or cancelling, e.g. to return to the kit the bank was opened from
+    showQuestionBank(onDone = () => this.closeModal()) {
+        const modal = document.getElementById('detailModal');
+        const modalBody = document.getElementById('modalBody');
+        document.getElementById('modalTitle').textContent = 'Question Bank';
+
+        let draft = this.questionBank.map(entry => ({ ...entry }));
+        const requirements = this.jobRequirements || { requiredSkills: [], preferredSkills: [] };
+        const row = (entry, i) => `
+            <div class="question-row" data-entry="${i}">
+                ${entry.kind === 'seniority' ? '<span></span>' : `<input type="text" data-prop="skill" list="questionSkills" value="${this.escapeHtml(entry.skill)}" placeholder="Any skill">`}
+                <select data-prop="level">
+                    ${Object.entries(ScreeningKit.LEVELS).map(([level, label]) => `<option value="${level}" ${entry.level === level ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                <input type="text" data-prop="text" value="${this.escapeHtml(entry.text)}" placeholder="Question">
+                <button class="chip-remove" data-action="remove" title="Remove question">&times;</button>
+            </div>
+        `;
+
+        modalBody.innerHTML = '<div class="question-bank"></div>';
+        const editor = modalBody.querySelector('.question-bank');
+        const render = () => {
+            editor.innerHTML = `
+                <p class="settings-help">Kits use the questions written for a skill first, then the ones without a skill, which suit any skill. The level comes from the job's seniority or minimum years. {skill}, {years}, {role}, {company}, {title} and {level} are filled in for each candidate.</p>
+                <datalist id="questionSkills">
+                    ${[...requirements.requiredSkills, ...requirements.preferredSkills].map(skill => `<option value="${this.escapeHtml(skill)}">`).join('')}
+                </datalist>
+                ${Object.entries(ScreeningKit.KINDS).map(([kind, { label, hint }]) => `
+                    <h4>${label}</h4>
+                    <p class="matrix-hint">${hint}</p>
+                    <div class="question-list">
+                        ${draft.map((entry, i) => entry.kind === kind ? row(entry, i) : '').join('')}
+                    </div>
+                    <button class="btn-secondary" data-action="add" data-kind="${kind}"><i class="fas fa-plus"></i> Question</button>
+                `).join('')}
+                <div class="settings-actions">
+                    <button class="btn-secondary" data-action="defaults"><i class="fas fa-undo"></i> Restore Defaults</button>
+                    <button class="btn-secondary" data-action="cancel">Cancel</button>
+                    <button class="btn-primary" data-action="save"><i class="fas fa-check"></i> Save</button>
+                </div>
+            `;
+        };
+
+        const handleEdit = (e) => {
+            const entry = e.target.closest('[data-entry]');
+            if (entry && e.target.dataset.prop) draft[Number(entry.dataset.entry)][e.target.dataset.prop] = e.target.value;
+        };
+        editor.addEventListener('input', handleEdit);
+        editor.addEventListener('change', handleEdit);
+
+        editor.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]');
+            if (!action) return;
+            const entry = action.closest('[data-entry]');
+            switch (action.dataset.action) {
+                case 'add':
+                    draft.push({ kind: action.dataset.kind, skill: '', level: 'any', text: '' });
+                    break;
+                case 'remove':
+                    draft.splice(Number(entry.dataset.entry), 1);
+                    break;
+                case 'defaults':
+                    draft = ScreeningKit.DEFAULT_BANK.map(item => ({ ...item }));
+                    break;
+                case 'cancel':
+                    onDone();
+                    return;
+                case 'save':
+                    this.questionBank = ScreeningKit.normalizeBank(draft);
+                    ScreeningKit.saveBank(this.questionBank);
+                    this.showNotification(`Question bank saved with ${this.questionBank.length} question${this.questionBank.length === 1 ? '' : 's'}.`, 'success');
+                    onDone();
+                    return;
+                default:
+                    return;
+            }
+            render();
+        });
+
+        render();
+        modal.style.display = 'block';
+    }
+
+    // One printable kit per candidate, in ranking order
+    openScreeningKits(candidates) {
+        const html = ResultExporter.toScreeningKitReport({
+            title: this.requisitionTitle(this.getActiveRequisition()),
+            generatedAt: new Date(),
+            entries: candidates.map(candidate => ({
+                candidate: this.viewCandidate(candidate),
+                kit: this.buildScreeningKit(candidate)
+            }))
+        });
+
+        this.openPrintableReport(html, 'screening_kits');
+    }
+
+    // Per-criterion points for the rules score; the compact form is the hover panel on each card
+    renderBreakdown(candidate, compact) {
+        const formatPoints = (points) => (Math.round(points * 10) / 10).toString();
+        const rows = candidate.scoreBreakdown.filter(row => row.applies || !compact);
+        const missing = candidate.missingSkills.length
+            ? `<p class="breakdown-gaps"><i class="fas fa-exclamation-triangle"></i> Missing required: ${candidate.missingSkills.map(skill => this.escapeHtml(skill)).join(', ')}</p>`
+            : '';
+
+        if (compact) {
+            return `
+                <div class="card-breakdown">
+                    <strong>Rules score ${candidate.rulesScore}/100</strong>
+                    ${rows.map(row => `
+                        <div class="breakdown-row">
+                            <span>${row.label}</span>
+                            <div class="breakdown-bar"><div style="width: ${Math.round(row.ratio * 100)}%"></div></div>
+                            <span>${formatPoints(row.earned)}/${formatPoints(row.possible)}</span>
+                        </div>
+                    `).join('')}
+                    ${missing}
+                </div>
+            `;
+        }
+
+        return `
+            <div class="score-breakdown">
+                ${rows.map(row => `
+                    <div class="breakdown-criterion ${row.applies ? '' : 'not-applicable'}">
+                        <div class="breakdown-row">
+                            <strong>${row.label}</strong>
+                            <div class="breakdown-bar"><div style="width: ${Math.round((row.ratio || 0) * 100)}%"></div></div>
+                            <span>${formatPoints(row.earned)} / ${formatPoints(row.possible)} pts</span>
+                        </div>
+                        <ul class="breakdown-details">
+                            ${row.details.map(detail => `<li>${this.escapeHtml(detail)}</li>`).join('')}
+                        </ul>
+                        ${row.evidence.map(snippet => `
+                            <blockquote class="evidence">${this.escapeHtml(snippet.before)}<mark>${this.escapeHtml(snippet.match)}</mark>${this.escapeHtml(snippet.after)}</blockquote>
+                        `).join('')}
                     </div>
+                `).join('')}
+                ${missing}
+                <p class="breakdown-total">Rules score: ${candidate.rulesScore}/100${candidate.assessment.provider === 'ai' ? ' (the AI score replaces it in ranking)' : ''}</p>
+            </div>
+        `;
+    }
+
+    // Candidate x role grid showing where each person fits best
+    async showJobMatrix() {
+        await this.rankPendingRequisitions();
+
+        const jobs = this.requisitions.filter(requisition => requisition.rankedCandidates.length);
+        if (jobs.length === 0) {
+            this.showNotification('Rank some resumes first.', 'warning');
+            return;
+        }
+
+        const rows = this.candidatePool.map(candidate => {
+            const cells = jobs.map(job => job.rankedCandidates.find(ranked => ranked.id === candidate.id));
+            // A role whose knockout rules the candidate fails is only the best fit if every role's are failed
+            const fit = (cell) => (RankingEngine.isKnockedOut(cell) ? -1000 : 0) + cell.exactScore;
+            const best = cells.reduce((bestIndex, cell, i) => fit(cell) > fit(cells[bestIndex]) ? i : bestIndex, 0);
+            return { candidate, cells, best };
+        }).sort((a, b) => b.cells[b.best].exactScore - a.cells[a.best].exactScore || a.candidate.name.localeCompare(b.candidate.name));
+
+        const modal = document.getElementById('detailModal');
+        const modalBody = document.getElementById('modalBody');
+        document.getElementById('modalTitle').textContent = 'Candidate x Role Matrix';
+
+        modalBody.innerHTML = `
+            <p class="matrix-hint">Each cell is the candidate's match score and rank for that role. The best fit for each candidate is highlighted; click a cell to open the candidate for that role.</p>
+            ${jobs.length === 1 ? '<p class="matrix-hint">Add another role to compare fits across jobs.</p>' : ''}
+            <div class="matrix-wrapper">
+                <table class="job-matrix">
+                    <thead>
+                        <tr>
+                            <th>Candidate</th>
+                            ${jobs.map(job => `<th class="matrix-role" data-requisition="${job.id}">${this.escapeHtml(this.requisitionTitle(job))}</th>`).join('')}
+                            <th>Best Fit</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => `
+                            <tr>
+                                <td class="matrix-candidate">${this.formatField(this.viewCandidate(row.candidate), 'name')}</td>
+                                ${row.cells.map((cell, i) => `
+                                    <td class="matrix-cell ${i === row.best && jobs.length > 1 ? 'best' : ''} ${RankingEngine.isKnockedOut(cell) ? 'knocked-out' : ''}" data-requisition="${jobs[i].id}" data-candidate="${cell.id}" style="background: rgba(102, 126, 234, ${(cell.score / 100 * 0.35).toFixed(2)})" ${RankingEngine.isKnockedOut(cell) ? 'title="Did not meet the knockout rules for this role"' : ''}>
+                                        ${cell.score}% <small>#${cell.ranking}</small>${RankingEngine.isKnockedOut(cell) ? ' <i class="fas fa-ban"></i>' : ''}
+                                    </td>
+                                `).join('')}
+                                <td class="matrix-best">${this.escapeHtml(this.requisitionTitle(jobs[row.best]))}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        modalBody.querySelector('.job-matrix').addEventListener('click', async (e) => {
+            const target = e.target.closest('[data-requisition]');
+            if (!target) return;
+            this.closeModal();
+            await this.switchRequisition(target.dataset.requisition);
+            if (target.dataset.candidate !== undefined) {
+                const candidate = this.rankedCandidates.find(ranked => ranked.id === Number(target.dataset.candidate));
+                if (candidate) this.showCandidateDetails(candidate);
+            }
+        });
+
+        modal.style.display = 'block';
+    }
+
+    // How far each scoring factor moves the ranking, as text ready for the dialog and the printed report
+    buildFairnessAudit() {
+        const shortlistSize = Math.min(FairnessAudit.SHORTLIST_SIZE, this.rankedCandidates.length);
+        const results = FairnessAudit.run(this.rankedCandidates, (rules, relevance) => RankingEngine.combineScores(rules, relevance, this.rankingMode), shortlistSize);
+        const round = (value) => (Math.round(value * 10) / 10).toString();
+        const modeLabels = { rules: 'Rules', relevance: 'Relevance', blended: 'Blended' };
+
+        const notes = [];
+        if (this.rankingMode === 'relevance') {
+            notes.push('Candidates are ranked by relevance alone, so none of the scoring factors moves the ranking.');
+        }
+        if (this.rankedCandidates.some(candidate => candidate.assessment.provider === 'ai')) {
+            notes.push('Scores from the AI provider cannot be taken apart, so the audit re-ranks with the heuristic rules scores instead.');
+        }
+
+        return {
+            title: this.requisitionTitle(this.getActiveRequisition()),
+            generatedAt: new Date(),
+            settings: [
+                `${this.rankedCandidates.length} candidates, ${modeLabels[this.rankingMode]} ranking, profile "${this.activeProfileName}"`,
+                `Company prestige and location ${this.excludeProxies ? 'excluded from' : 'included in'} scoring`,
+                `Blind review ${this.blindReview ? 'on' : 'off'}`
+            ],
+            notes,
+            headers: ['Factor', 'Weight', 'Avg. points', 'Candidates moved', 'Avg. shift', 'Largest shift', `Leave top ${shortlistSize}`, 'Biggest movers'],
+            rows: results.map(result => {
+                if (!result.applies) {
+                    const excluded = this.excludeProxies && ScoringModel.PROXY_CRITERIA.includes(result.criterion);
+                    return [result.label, excluded ? 'Excluded from scoring' : 'Not used for this job', '', '', '', '', '', ''];
+                }
+                return [
+                    result.label,
+                    `${round(result.weightShare)}%`,
+                    round(result.averagePoints),
+                    `${result.moved} of ${this.rankedCandidates.length}`,
+                    `${round(result.averageShift)} places`,
+                    `${result.largestShift} places`,
+                    `${result.shortlistChanges}`,
+                    result.movers.map(mover => `${this.viewCandidate(mover.candidate).name}: #${mover.from} to #${mover.to}`).join('\n') || 'None'
+                ];
+            })
+        };
+    }
+
+    showFairnessAudit() {
+        if (this.rankedCandidates.length === 0) return;
+
+        const modal = document.getElementById('detailModal');
+        const modalBody = document.getElementById('modalBody');
+        const audit = this.buildFairnessAudit();
+        document.getElementById('modalTitle').textContent = 'Fairness Audit';
+
+        modalBody.innerHTML = `
+            <div class="fairness-audit">
+                <p class="matrix-hint">Each factor is left out in turn and the pool is re-ranked with the remaining weights. Shifts are measured against the ranking with every factor counted; "Leave top" is how many shortlisted candidates only make the list because of that factor.</p>
+                <ul class="audit-settings">
+                    ${audit.settings.map(setting => `<li>${this.escapeHtml(setting)}</li>`).join('')}
+                </ul>
+                ${audit.notes.map(note => `<p class="audit-note"><i class="fas fa-info-circle"></i> ${this.escapeHtml(note)}</p>`).join('')}
+                <div class="matrix-wrapper">
+                    <table class="comparison-table">
+                        <thead>
+                            <tr>${audit.headers.map(header => `<th>${this.escapeHtml(header)}</th>`).join('')}</tr>
+                        </thead>
+                        <tbody>
+                            ${audit.rows.map(row => `
+                                <tr>${row.map(cell => `<td>${this.escapeHtml(cell).replace(/\n/g, '<br>')}</td>`).join('')}</tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <div class="settings-actions">
+                    <button class="btn-primary" id="printAudit"><i class="fas fa-print"></i> Print / PDF</button>
                 </div>
             </div>
         `;
 
+        document.getElementById('printAudit').addEventListener('click', () => {
+            this.openPrintableReport(ResultExporter.toAuditReport(audit), 'fairness_audit');
+        });
+
         modal.style.display = 'block';
     }
 
@@ -514,58 +3331,453 @@ class ResumeAI {
         document.getElementById('detailModal').style.display = 'none';
     }
 
-    exportResults() {
+    showExportDialog() {
         if (this.rankedCandidates.length === 0) {
             this.showNotification('No results to export.', 'warning');
             return;
         }
 
-        const csvContent = this.generateCSV();
-        const blob = new Blob([csvContent], { type: 'text/csv' });
+        const modal = document.getElementById('detailModal');
+        const modalBody = document.getElementById('modalBody');
+        document.getElementById('modalTitle').textContent = 'Export Results';
+
+        const saved = JSON.parse(localStorage.getItem('resumeai.exportColumns') || 'null');
+        const selected = new Set(saved || ResultExporter.COLUMNS.filter(column => column.selected).map(column => column.id));
+        const filteredCount = this.getFilteredCandidates().length;
+        const filtered = filteredCount < this.rankedCandidates.length;
+
+        modalBody.innerHTML = `
+            <div class="export-dialog">
+                <div class="export-formats">
+                    ${[
+                        ['csv', 'fa-file-csv', 'CSV', 'Spreadsheets and ATS imports'],
+                        ['xlsx', 'fa-file-excel', 'Excel', 'XLSX workbook'],
+                        ['json', 'fa-file-code', 'JSON', this.blindReview ? 'Full session with identities; unavailable during blind review' : 'Full session, can be imported again'],
+                        ['report', 'fa-file-pdf', 'Shortlist Report', 'Printable, save as PDF'],
+                        ['screening', 'fa-clipboard-list', 'Screening Kits', 'Printable phone-screen questions per candidate']
+                    ].map(([format, icon, label, hint], i) => `
+                        <label class="export-format">
+                            <input type="radio" name="exportFormat" value="${format}" ${i === 0 ? 'checked' : ''} ${format === 'json' && this.blindReview ? 'disabled' : ''}>
+                            <i class="fas ${icon}"></i>
+                            <span><strong>${label}</strong><small>${hint}</small></span>
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="export-options" data-for="csv xlsx">
+                    <div class="export-columns-header">
+                        <h4>Columns</h4>
+                        <button class="btn-secondary" data-select="all">All</button>
+                        <button class="btn-secondary" data-select="none">None</button>
+                    </div>
+                    <div class="export-columns">
+                        ${ResultExporter.COLUMNS.map(column => `
+                            <label><input type="checkbox" value="${column.id}" ${selected.has(column.id) ? 'checked' : ''}> ${column.label}</label>
+                        `).join('')}
+                    </div>
+                </div>
+                <div class="export-options" data-for="report screening">
+                    <label>Candidates in the report <input type="number" id="reportCount" min="1" max="${this.rankedCandidates.length}" value="${Math.min(10, this.rankedCandidates.length)}"></label>
+                </div>
+                <label class="export-scope" data-for="csv xlsx report screening">
+                    <input type="checkbox" id="exportFiltered" ${filtered ? 'checked' : 'disabled'}>
+                    Only candidates matching the current filters (${filteredCount} of ${this.rankedCandidates.length})
+                </label>
+                <div class="settings-actions">
+                    <button class="btn-primary" id="runExport"><i class="fas fa-download"></i> Export</button>
+                </div>
+            </div>
+        `;
+
+        const dialog = modalBody.querySelector('.export-dialog');
+        const format = () => dialog.querySelector('input[name="exportFormat"]:checked').value;
+        const updateOptions = () => {
+            dialog.querySelectorAll('[data-for]').forEach(element => {
+                element.style.display = element.dataset.for.split(' ').includes(format()) ? '' : 'none';
+            });
+        };
+
+        dialog.addEventListener('change', (e) => {
+            if (e.target.name === 'exportFormat') updateOptions();
+        });
+
+        dialog.addEventListener('click', (e) => {
+            const select = e.target.closest('[data-select]');
+            if (select) {
+                dialog.querySelectorAll('.export-columns input').forEach(input => {
+                    input.checked = select.dataset.select === 'all';
+                });
+            }
+        });
+
+        dialog.querySelector('#runExport').addEventListener('click', () => {
+            const columns = Array.from(dialog.querySelectorAll('.export-columns input:checked')).map(input => input.value);
+            if (['csv', 'xlsx'].includes(format()) && columns.length === 0) {
+                this.showNotification('Choose at least one column to export.', 'warning');
+                return;
+            }
+            localStorage.setItem('resumeai.exportColumns', JSON.stringify(columns));
+            this.exportResults({
+                format: format(),
+                columns,
+                filtered: dialog.querySelector('#exportFiltered').checked,
+                reportCount: parseInt(dialog.querySelector('#reportCount').value, 10) || 10
+            });
+            this.closeModal();
+        });
+
+        updateOptions();
+        modal.style.display = 'block';
+    }
+
+    exportResults(options) {
+        const candidates = options.filtered ? this.getFilteredCandidates() : this.rankedCandidates;
+        const baseName = `resume_rankings_${new Date().toISOString().split('T')[0]}`;
+        const columns = ResultExporter.COLUMNS.filter(column => options.columns.includes(column.id));
+
+        if (options.format === 'csv') {
+            this.downloadFile(ResultExporter.toCSV(columns, candidates.map(candidate => this.exportRow(candidate))), `${baseName}.csv`, 'text/csv;charset=utf-8');
+        } else if (options.format === 'xlsx') {
+            const title = this.requisitionTitle(this.getActiveRequisition()).replace(/[\\/?*[\]:]/g, ' ');
+            this.downloadFile(ResultExporter.toXLSX(columns, candidates.map(candidate => this.exportRow(candidate)), title),
+                `${baseName}.xlsx`, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        } else if (options.format === 'json') {
+            const record = { ...this.buildSessionRecord(), name: this.currentSession ? this.currentSession.name : this.defaultSessionName() };
+            this.downloadFile(ResultExporter.toJSON(record), `${baseName}.json`, 'application/json');
+        } else if (options.format === 'screening') {
+            this.openScreeningKits(candidates.slice(0, options.reportCount));
+            return;
+        } else {
+            this.openShortlistReport(candidates.slice(0, options.reportCount));
+            return;
+        }
+
+        this.showNotification('Results exported successfully!', 'success');
+    }
+
+    exportRow(original) {
+        const pipeline = this.getPipeline(original);
+        return ResultExporter.toRow(this.viewCandidate(original), {
+            ...pipeline,
+            status: ResumeAI.PIPELINE_STAGES.find(stage => stage.id === pipeline.status).label
+        });
+    }
+
+    // Opens the report in a new window and brings up the print dialog, where it can be saved as
+    // PDF. If pop-ups are blocked the HTML is downloaded instead.
+    openShortlistReport(candidates) {
+        const html = ResultExporter.toReport({
+            title: this.requisitionTitle(this.getActiveRequisition()),
+            requirements: this.jobRequirements || this.jobParser.parse(this.jobDescription),
+            generatedAt: new Date(),
+            entries: candidates.map(candidate => {
+                const pipeline = this.getPipeline(candidate);
+                return {
+                    candidate: this.viewCandidate(candidate),
+                    status: ResumeAI.PIPELINE_STAGES.find(stage => stage.id === pipeline.status).label,
+                    notes: pipeline.notes
+                };
+            })
+        });
+
+        this.openPrintableReport(html, 'shortlist');
+    }
+
+    openPrintableReport(html, baseName) {
+        const reportWindow = window.open('', '_blank');
+        if (!reportWindow) {
+            this.downloadFile(html, `${baseName}_${new Date().toISOString().split('T')[0]}.html`, 'text/html');
+            this.showNotification('Pop-ups are blocked, so the report was downloaded instead.', 'info');
+            return;
+        }
+        reportWindow.document.write(html);
+        reportWindow.document.close();
+        reportWindow.focus();
+        reportWindow.print();
+    }
+
+    downloadFile(content, fileName, type) {
+        const blob = new Blob([content], { type });
         const url = window.URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `resume_rankings_${new Date().toISOString().split('T')[0]}.csv`;
+        a.download = fileName;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         window.URL.revokeObjectURL(url);
-
-        this.showNotification('Results exported successfully!', 'success');
     }
 
-    generateCSV() {
-        const headers = ['Rank', 'Name', 'Email', 'Phone', 'Experience', 'Company', 'Years Exp', 'Location', 'Score', 'Matched Skills', 'Summary'];
-        const rows = this.rankedCandidates.map(candidate => [
-            candidate.ranking,
-            candidate.name,
-            candidate.email,
-            candidate.phone,
-            candidate.experience,
-            candidate.company,
-            candidate.yearsExperience,
-            candidate.location,
-            candidate.score,
-            candidate.matchedSkills.join('; '),
-            candidate.summary.replace(/,/g, ';')
-        ]);
+    async importSessionFile(file) {
+        let session;
+        try {
+            session = ResultExporter.parseJSON(await file.text());
+        } catch (error) {
+            this.showNotification(`Could not import ${file.name}: ${error.message}`, 'error');
+            return;
+        }
 
-        return [headers, ...rows].map(row => 
-            row.map(field => `"${field}"`).join(',')
-        ).join('\n');
+        try {
+            await this.restoreSession(session);
+        } catch (error) {
+            console.error('Import failed:', error);
+            this.clearWorkspace();
+            this.showNotification(`Could not import ${file.name}: the analysis in it could not be restored.`, 'error');
+            return;
+        }
+        // Imports are saved as a new session rather than overwriting the original
+        this.currentSession = { id: null, name: `${session.name || 'Imported analysis'} (imported)`, createdAt: null };
+        await this.saveSession();
+        this.showNotification(`Imported "${session.name || file.name}".`, 'success');
     }
 
     resetAnalysis() {
+        this.clearWorkspace();
+        this.renderHistory();
+        this.showNotification('Analysis reset. Ready for new resumes!', 'info');
+    }
+
+    clearWorkspace() {
         this.uploadedFiles = [];
+        this.preparedFiles.clear();
+        this.serverResumeIds.clear();
+        this.fileKeys.clear();
         this.jobDescription = '';
+        this.jobRequirements = null;
         this.rankedCandidates = [];
+        this.currentSession = null;
+        this.compareSelection.clear();
+        this.unlockedCandidates.clear();
+        this.extractedCandidates = [];
+        this.duplicateGroups = [];
+        this.duplicateDecisions = {};
+        this.importedRecords = {};
+        this.resetRequisitions();
         
         document.getElementById('jobDescription').value = '';
         document.getElementById('fileList').innerHTML = '';
+        this.renderJobRequirements();
+        this.renderRequisitionTabs();
         document.getElementById('resultsSection').style.display = 'none';
         document.getElementById('processingSection').style.display = 'none';
-        
-        this.showNotification('Analysis reset. Ready for new resumes!', 'info');
+    }
+
+    // Saves the current analysis as a new session, or updates the one that is open
+    async saveSession() {
+        if (!this.store || this.candidatePool.length === 0) return;
+
+        try {
+            const record = await this.store.saveSession({
+                id: this.currentSession ? this.currentSession.id : null,
+                name: this.currentSession ? this.currentSession.name : this.defaultSessionName(),
+                createdAt: this.currentSession ? this.currentSession.createdAt : null,
+                ...this.buildSessionRecord()
+            });
+            this.currentSession = { id: record.id, name: record.name, createdAt: record.createdAt };
+            this.renderHistory();
+        } catch (error) {
+            console.warn('Could not save the analysis:', error);
+        }
+    }
+
+    // Everything needed to restore the workspace; also the body of JSON exports
+    buildSessionRecord() {
+        this.syncActiveRequisition();
+        const { apiKey, ...aiSettings } = this.aiSettings; // Keys stay in settings only
+        return {
+            requisitions: this.requisitions.map(requisition => ({
+                id: requisition.id,
+                jobDescription: requisition.jobDescription,
+                jobRequirements: requisition.jobRequirements,
+                profile: ScoringModel.copyProfile(this.getProfile(requisition.profileName)),
+                rankedCandidates: requisition.rankedCandidates,
+                knockoutRules: requisition.knockoutRules,
+                pipeline: requisition.pipeline
+            })),
+            activeRequisitionId: this.activeRequisitionId,
+            extractedCandidates: this.extractedCandidates,
+            duplicateDecisions: this.duplicateDecisions,
+            importedRecords: this.importedRecords,
+            rankingMode: this.rankingMode,
+            excludeProxies: this.excludeProxies,
+            unlockedCandidates: Array.from(this.unlockedCandidates),
+            aiSettings: aiSettings,
+            files: this.uploadedFiles.map(file => ({ name: file.name, size: file.size, key: this.fileKeys.get(file) || null })),
+            candidates: this.rankedCandidates
+        };
+    }
+
+    defaultSessionName() {
+        const title = this.requisitionTitle(this.requisitions[0]).slice(0, 60);
+        const others = this.requisitions.length - 1;
+        return `${title}${others ? ` (+${others} more)` : ''} - ${new Date().toLocaleDateString()}`;
+    }
+
+    async openSession(id) {
+        const session = await this.store.getSession(id);
+        if (!session) {
+            this.showNotification('That session no longer exists.', 'error');
+            this.renderHistory();
+            return;
+        }
+
+        await this.restoreSession(session);
+        this.renderHistory();
+        document.getElementById('historySidebar').classList.remove('open');
+        this.showNotification(`Opened "${session.name}".`, 'success');
+    }
+
+    async restoreSession(session) {
+        this.clearWorkspace();
+        // Sessions saved before requisitions existed hold a single job at the top level
+        const requisitions = session.requisitions || [{
+            id: AnalysisStore.createId(),
+            jobDescription: session.jobDescription,
+            jobRequirements: session.jobRequirements,
+            profile: session.profile,
+            rankedCandidates: session.candidates
+        }];
+        this.requisitions = requisitions.map(requisition => ({
+            id: requisition.id,
+            jobDescription: requisition.jobDescription,
+            jobRequirements: requisition.jobRequirements,
+            profileName: this.restoreProfile(requisition.profile),
+            rankedCandidates: requisition.rankedCandidates,
+            knockoutRules: KnockoutRules.normalize(requisition.knockoutRules),
+            pipeline: requisition.pipeline || {}
+        }));
+        this.duplicateDecisions = session.duplicateDecisions || {};
+        this.importedRecords = session.importedRecords || {};
+        if (session.extractedCandidates && session.extractedCandidates.length) {
+            this.extractedCandidates = session.extractedCandidates;
+            await this.findDuplicates(this.extractedCandidates);
+            this.candidatePool = this.resolveDuplicates(this.extractedCandidates);
+        } else {
+            const ranked = this.requisitions.find(requisition => requisition.rankedCandidates.length);
+            this.candidatePool = ranked ? ranked.rankedCandidates.slice().sort((a, b) => a.id - b.id) : [];
+        }
+        this.rankingMode = session.rankingMode;
+        this.updateRankingModeButtons();
+        this.excludeProxies = Boolean(session.excludeProxies);
+        this.unlockedCandidates = new Set(session.unlockedCandidates || []);
+
+        // Files come back from the parsed-file store; ones that were cleared (or never stored
+        // in this browser) are simply skipped
+        for (const entry of session.files || []) {
+            const record = entry.key && this.store ? await this.store.getFile(entry.key) : null;
+            if (!record) continue;
+            const file = record.blob;
+            this.uploadedFiles.push(file);
+            this.fileKeys.set(file, entry.key);
+            this.preparedFiles.set(file, {
+                extracted: record.extracted,
+                lines: record.lines,
+                boundaries: record.boundaries,
+                detectedBoundaries: record.detectedBoundaries
+            });
+        }
+        this.updateFileList();
+
+        this.currentSession = { id: session.id, name: session.name, createdAt: session.createdAt };
+        this.loadRequisition(this.requisitions.find(requisition => requisition.id === session.activeRequisitionId) || this.requisitions[0]);
+    }
+
+    startRenameSession(item) {
+        const nameElement = item.querySelector('.history-name');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'history-rename-input';
+        input.value = nameElement.textContent;
+        nameElement.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = async (save) => {
+            if (done) return;
+            done = true;
+            const name = input.value.trim();
+            if (save && name) {
+                await this.store.renameSession(item.dataset.id, name);
+                if (this.currentSession && this.currentSession.id === item.dataset.id) {
+                    this.currentSession.name = name;
+                }
+            }
+            this.renderHistory();
+        };
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    async duplicateSession(id) {
+        const copy = await this.store.duplicateSession(id);
+        this.showNotification(`Created "${copy.name}".`, 'success');
+        this.renderHistory();
+    }
+
+    async deleteSession(id) {
+        const session = await this.store.getSession(id);
+        if (!session || !confirm(`Delete "${session.name}"? This cannot be undone.`)) return;
+        await this.store.deleteSession(id);
+        if (this.currentSession && this.currentSession.id === id) this.currentSession = null;
+        this.showNotification(`Deleted "${session.name}".`, 'info');
+        this.renderHistory();
+        try {
+            await this.store.deleteUnusedFiles(this.uploadedFiles.map(file => this.fileKeys.get(file)));
+        } catch (error) {
+            console.warn('Could not remove unused parsed files:', error);
+        }
+    }
+
+    // Saved analyses keep their results; reopening one afterwards brings back no resume files
+    async clearStoredFiles() {
+        if (!this.store || !confirm('Remove all stored resume files from this browser? Saved analyses keep their results, but reopening one will not bring its files back.')) return;
+        try {
+            await this.store.clearFiles();
+            this.showNotification('Stored resume files removed.', 'success');
+        } catch (error) {
+            console.error('Could not clear stored files:', error);
+            this.showNotification('Could not remove the stored resume files.', 'error');
+        }
+    }
+
+    async renderHistory() {
+        const list = document.getElementById('historyList');
+        if (!this.store) {
+            list.innerHTML = '<p class="history-empty">History is not available in this browser.</p>';
+            return;
+        }
+
+        let sessions;
+        try {
+            sessions = await this.store.listSessions();
+        } catch (error) {
+            console.warn('Could not load session history:', error);
+            list.innerHTML = '<p class="history-empty">History could not be loaded.</p>';
+            return;
+        }
+
+        if (sessions.length === 0) {
+            list.innerHTML = '<p class="history-empty">Completed analyses are saved here automatically.</p>';
+            return;
+        }
+
+        list.innerHTML = sessions.map(session => `
+            <div class="history-item ${this.currentSession && this.currentSession.id === session.id ? 'active' : ''}" data-id="${this.escapeHtml(session.id)}">
+                <div class="history-name">${this.escapeHtml(session.name)}</div>
+                <div class="history-meta">
+                    ${session.candidateCount} candidate${session.candidateCount === 1 ? '' : 's'}${session.topScore !== null ? ` &bull; top ${session.topScore}%` : ''}
+                    &bull; ${new Date(session.updatedAt).toLocaleString()}
+                </div>
+                <div class="history-actions">
+                    <button data-action="rename" title="Rename"><i class="fas fa-pen"></i></button>
+                    <button data-action="duplicate" title="Duplicate"><i class="fas fa-copy"></i></button>
+                    <button data-action="delete" title="Delete"><i class="fas fa-trash"></i></button>
+                </div>
+            </div>
+        `).join('');
     }
 
     showNotification(message, type = 'info') {
@@ -590,7 +3802,7 @@ class ResumeAI {
         notification.innerHTML = `
             <div style="display: flex; align-items: center; gap: 10px;">
                 <i class="fas fa-${type === 'error' ? 'exclamation-circle' : type === 'warning' ? 'exclamation-triangle' : type === 'success' ? 'check-circle' : 'info-circle'}"></i>
-                <span>${message}</span>
+                <span>${this.escapeHtml(message)}</span>
             </div>
         `;
 
@@ -608,6 +3820,59 @@ class ResumeAI {
     }
 }
 
+ResumeAI.PIPELINE_STAGES = [
+    { id: 'new', label: 'New', icon: 'fa-inbox' },
+    { id: 'shortlisted', label: 'Shortlisted', icon: 'fa-star' },
+    { id: 'phone-screen', label: 'Phone Screen', icon: 'fa-phone' },
+    { id: 'interview', label: 'Interview', icon: 'fa-users' },
+    { id: 'offer', label: 'Offer', icon: 'fa-handshake' },
+    { id: 'rejected', label: 'Rejected', icon: 'fa-times-circle' }
+];
+
+ResumeAI.PAGE_SIZE = 24;
+ResumeAI.MAX_COMPARE = 4;
+ResumeAI.READING_SHARE = 0.8; // Part of the progress bar for reading files; ranking fills the rest
+ResumeAI.UPLOAD_SHARE = 0.2; // Part of the progress bar for uploading files to the API server
+ResumeAI.STREAM_RENDER_INTERVAL = 500;
+ResumeAI.BOARD_COLUMN_LIMIT = 50;
+ResumeAI.KNOCKOUT_LIST_LIMIT = 50;
+
+ResumeAI.DEFAULT_FILTER = {
+    query: '',
+    minScore: '',
+    maxScore: '',
+    skill: '',
+    missingSkill: '', // Set from the analytics charts, shown as chips
+    minYears: '',
+    maxYears: '',
+    belowYears: '', // Exclusive upper bound set from the analytics charts, shown as a chip
+    location: '',
+    status: '',
+    sourceFile: '', // Set from the analytics charts, shown as chips
+    sort: 'score' // 'score' | 'experience' | 'name'
+};
+
+// Filters without a toolbar input, shown as removable chips while set
+ResumeAI.CHIP_FILTERS = {
+    missingSkill: 'Missing',
+    belowYears: 'Years under',
+    sourceFile: 'From file'
+};
+
+ResumeAI.CHART_IMAGE_SCALE = 2; // Saved chart images are drawn at twice their on-screen size
+
+ResumeAI.REJECTION_REASONS = [
+    'Missing required skills',
+    'Not enough experience',
+    'Overqualified',
+    'Location or work policy',
+    'Compensation expectations',
+    'Failed screening',
+    'Withdrew',
+    'Position filled',
+    'Other'
+];
+
 // Add CSS animations for notifications
 const style = document.createElement('style');
 style.textContent = `
@@ -661,5 +3926,6 @@ Preferred Qualifications:
 Location: San Francisco, CA (Remote work available)`;
     
     resumeAI.jobDescription = document.getElementById('jobDescription').value;
+    resumeAI.parseJobDescription();
 });
 
@@ -0,0 +1,365 @@
+// ResumeAI - Skill taxonomy
+// Maps the many ways a skill is written ("JS", "ReactJS", "k8s", "Postgres") to one canonical
+// name, records which broader skills a skill implies (Kubernetes implies Containers), and
+// matches skills token by token so "Java" no longer matches "JavaScript".
+
+class SkillTaxonomy {
+    constructor(entries = SkillTaxonomy.DEFAULT_ENTRIES) {
+        this.reset(entries);
+    }
+
+    reset(entries = SkillTaxonomy.DEFAULT_ENTRIES) {
+        this.entries = new Map();    // canonical name -> { name, aliases, implies }
+        this.aliasIndex = new Map(); // compact key -> canonical name
+        this.patternCache = null;
+        entries.forEach(entry => this.addEntry(entry));
+    }
+
+    addEntry(entry) {
+        const name = String(entry.name || '').trim();
+        if (!name) return;
+
+        const canonical = this.canonicalize(name, { fuzzy: false }) || name;
+        const existing = this.entries.get(canonical) || { name: canonical, aliases: [], implies: [] };
+        (entry.aliases || []).forEach(alias => {
+            alias = String(alias).trim();
+            if (alias && !existing.aliases.includes(alias)) existing.aliases.push(alias);
+        });
+        (entry.implies || []).forEach(implied => {
+            implied = String(implied).trim();
+            if (implied && !existing.implies.includes(implied)) existing.implies.push(implied);
+        });
+
+        this.entries.set(canonical, existing);
+        [canonical, ...existing.aliases].forEach(alias => {
+            this.aliasIndex.set(SkillTaxonomy.compactKey(alias), canonical);
+        });
+        this.patternCache = null;
+    }
+
+    importAliases(json) {
+        const entries = SkillTaxonomy.parseEntries(json);
+        entries.forEach(entry => this.addEntry(entry));
+        return entries;
+    }
+
+    // Accepts { "skills": [{ "name": "Kubernetes", "aliases": ["k8s"], "implies": ["Containers"] }] },
+    // a bare array of those entries, or a plain map such as { "Kubernetes": ["k8s", "kube"] }
+    static parseEntries(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        let entries;
+        if (Array.isArray(data)) {
+            entries = data;
+        } else if (data && Array.isArray(data.skills)) {
+            entries = data.skills;
+        } else if (data && typeof data === 'object') {
+            entries = Object.entries(data).map(([name, aliases]) => ({ name, aliases }));
+        } else {
+            throw new Error('Expected a JSON object or array of skills.');
+        }
+
+        const valid = entries.filter(entry =>
+            entry && typeof entry.name === 'string' && entry.name.trim() &&
+            (entry.aliases === undefined || Array.isArray(entry.aliases)) &&
+            (entry.implies === undefined || Array.isArray(entry.implies)));
+        if (valid.length !== entries.length) {
+            throw new Error('Each skill needs a "name" and optional "aliases" and "implies" lists.');
+        }
+        return valid.map(entry => ({ name: entry.name, aliases: entry.aliases || [], implies: entry.implies || [] }));
+    }
+
+    // Returns the canonical name for a skill, or null when it is not in the taxonomy.
+    // Fuzzy lookup tolerates small typos in longer names ("Kubernets", "Pyhton").
+    canonicalize(skill, options = {}) {
+        const key = SkillTaxonomy.compactKey(skill);
+        if (!key) return null;
+        if (this.aliasIndex.has(key)) return this.aliasIndex.get(key);
+        if (options.fuzzy === false || key.length < 6) return null;
+
+        const maxDistance = key.length >= 10 ? 2 : 1;
+        const found = new Set();
+        this.aliasIndex.forEach((canonical, alias) => {
+            if (alias.length >= 6 && alias[0] === key[0] && Math.abs(alias.length - key.length) <= maxDistance &&
+                SkillTaxonomy.editDistance(alias, key) <= maxDistance) {
+                found.add(canonical);
+            }
+        });
+        return found.size === 1 ? found.values().next().value : null;
+    }
+
+    canonicalName(skill) {
+        return this.canonicalize(skill, { fuzzy: false }) || skill;
+    }
+
+    // Every way the skill may be written, starting with the form given
+    aliasesFor(skill) {
+        const canonical = this.canonicalize(skill);
+        const entry = canonical ? this.entries.get(canonical) : null;
+        const names = entry ? [skill, entry.name, ...entry.aliases] : [skill];
+        return names.filter((name, i) => names.findIndex(other => other.toLowerCase() === name.toLowerCase()) === i);
+    }
+
+    // The skill itself plus everything it implies, transitively
+    expand(canonical) {
+        const result = new Set();
+        const visit = (name) => {
+            if (result.has(name)) return;
+            result.add(name);
+            const entry = this.entries.get(name);
+            if (entry) entry.implies.forEach(implied => visit(this.canonicalize(implied, { fuzzy: false }) || implied));
+        };
+        visit(canonical);
+        return result;
+    }
+
+    // Finds the candidate skill that satisfies a requirement. `type` is 'exact' when both
+    // resolve to the same skill, 'related' when the candidate's skill implies the requirement
+    // and 'partial' when unknown phrases share all their words.
+    matchSkill(candidateSkills, requirement) {
+        const wanted = this.canonicalize(requirement);
+        let related = null;
+        let partial = null;
+
+        for (const skill of candidateSkills) {
+            const canonical = this.canonicalize(skill);
+            if (wanted && canonical) {
+                if (canonical === wanted) return { skill, type: 'exact' };
+                if (!related && this.expand(canonical).has(wanted)) related = { skill, type: 'related' };
+                continue;
+            }
+            if (!partial && this.tokensMatch(skill, requirement)) partial = { skill, type: 'partial' };
+        }
+        return related || partial;
+    }
+
+    // True when every word of the shorter phrase appears (allowing a typo in long words) in the other
+    tokensMatch(a, b) {
+        let tokensA = SkillTaxonomy.tokenize(a);
+        let tokensB = SkillTaxonomy.tokenize(b);
+        if (!tokensA.length || !tokensB.length) return false;
+        if (tokensA.length > tokensB.length) [tokensA, tokensB] = [tokensB, tokensA];
+
+        return tokensA.every(token => tokensB.some(other =>
+            token === other ||
+            (token.length >= 6 && other.length >= 6 && SkillTaxonomy.editDistance(token, other) <= 1)));
+    }
+
+    // Finds every known skill mentioned in free text, returned as canonical names.
+    // Two-letter aliases ("Go", "JS") only match with the same capitalization; single letters never do.
+    // Aliases that are also ordinary words ("Swift", "Excel") need the same capitalization too, and
+    // count only on a line that names another skill and not as the first word of a sentence
+    // (unless a list follows), so "Excel at teamwork" or "a swift response" do not. In a skills list
+    // (`listed`) capitalization is enough; `ordinaryWords: false` leaves them out altogether.
+    findSkills(text, options = {}) {
+        if (!this.patternCache) {
+            this.patternCache = [];
+            this.entries.forEach(entry => {
+                [entry.name, ...entry.aliases].filter(alias => alias.length > 1).forEach(alias => {
+                    const escaped = alias.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&').replace(/\s+/g, '[\\s-]+');
+                    const ordinary = SkillTaxonomy.ORDINARY_WORDS.includes(alias.toLowerCase());
+                    const flags = ordinary ? 'g' : alias.length <= 2 ? '' : 'i';
+                    const after = ordinary ? '(?![\\w#+]|\\.\\w|-\\w)' : '(?![\\w#+]|\\.\\w)';
+                    this.patternCache.push({ name: entry.name, ordinary, pattern: new RegExp(`(^|[^\\w.#+])${escaped}${after}`, flags) });
+                });
+            });
+        }
+
+        const found = [];
+        const lines = String(text).split('\n');
+        this.patternCache.forEach(({ name, ordinary, pattern }) => {
+            if (found.includes(name) || (ordinary && options.ordinaryWords === false)) return;
+            if (ordinary ? lines.some(line => this.mentionsOrdinary(line, pattern, options.listed)) : pattern.test(text)) found.push(name);
+        });
+        return found;
+    }
+
+    mentionsOrdinary(line, pattern, listed) {
+        pattern.lastIndex = 0;
+        let match;
+        let context = listed ? true : null;
+        while ((match = pattern.exec(line))) {
+            const before = line.slice(0, match.index + match[1].length).replace(/^[-•*·\d.)\s]+/, '');
+            const opensSentence = !before.trim() || /[.!?]\s*$/.test(before);
+            if (!listed && opensSentence && !/^\s*[,;|/]/.test(line.slice(match.index + match[0].length))) continue;
+            if (context === null) {
+                context = this.patternCache.some(entry => !entry.ordinary && entry.pattern.test(line));
+            }
+            if (context) return true;
+        }
+        return false;
+    }
+
+    // Custom aliases are stored separately so the bundled taxonomy can be updated underneath them
+    static loadCustomEntries() {
+        try {
+            return JSON.parse(localStorage.getItem(SkillTaxonomy.STORAGE_KEY) || '[]');
+        } catch (error) {
+            console.warn('Ignoring unreadable custom skill aliases:', error);
+            return [];
+        }
+    }
+
+    static saveCustomEntries(entries) {
+        localStorage.setItem(SkillTaxonomy.STORAGE_KEY, JSON.stringify(entries));
+    }
+
+    static compactKey(text) {
+        return String(text).toLowerCase().trim().replace(/[\s._\-/']+/g, '');
+    }
+
+    static tokenize(text) {
+        return String(text).toLowerCase().split(/[^a-z0-9#+]+/).filter(Boolean);
+    }
+
+    // Optimal string alignment distance: Levenshtein plus adjacent transpositions
+    static editDistance(a, b) {
+        const rows = [];
+        for (let i = 0; i <= a.length; i++) {
+            rows.push([i]);
+            for (let j = 1; j <= b.length; j++) {
+                if (i === 0) {
+                    rows[i].push(j);
+                    continue;
+                }
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let distance = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    distance = Math.min(distance, rows[i - 2][j - 2] + 1);
+                }
+                rows[i].push(distance);
+            }
+        }
+        return rows[a.length][b.length];
+    }
+}
+
+SkillTaxonomy.STORAGE_KEY = 'resumeai.customSkills';
+
+// Aliases that are also everyday English words, matched with extra care in free text
+SkillTaxonomy.ORDINARY_WORDS = [
+    'go', 'swift', 'rust', 'ruby', 'react', 'node', 'express', 'flask', 'spring', 'rails', 'lambda',
+    'dynamo', 'shell', 'torch', 'pandas', 'looker', 'excel', 'sketch'
+];
+
+SkillTaxonomy.DEFAULT_ENTRIES = [
+    // Languages
+    { name: 'JavaScript', aliases: ['JS', 'ECMAScript', 'ES6', 'Vanilla JS'], implies: ['Frontend Development'] },
+    { name: 'TypeScript', aliases: ['TS'], implies: ['JavaScript'] },
+    { name: 'Python', aliases: ['Python3', 'Python 3'] },
+    { name: 'Java', aliases: ['Java SE', 'Java EE', 'J2EE'] },
+    { name: 'C#', aliases: ['CSharp', 'C Sharp'] },
+    { name: 'C++', aliases: ['CPP'] },
+    { name: 'Go', aliases: ['Golang'] },
+    { name: 'Ruby', aliases: [] },
+    { name: 'PHP', aliases: [] },
+    { name: 'Swift', aliases: [] },
+    { name: 'Kotlin', aliases: [] },
+    { name: 'Rust', aliases: [] },
+    { name: 'Scala', aliases: [] },
+    { name: 'R', aliases: ['RStudio'] },
+    { name: 'HTML', aliases: ['HTML5'], implies: ['Frontend Development'] },
+    { name: 'CSS', aliases: ['CSS3'], implies: ['Frontend Development'] },
+    { name: 'Sass', aliases: ['SCSS'], implies: ['CSS'] },
+
+    // Frameworks
+    { name: 'React', aliases: ['ReactJS', 'React.js', 'React JS'], implies: ['JavaScript', 'Frontend Development'] },
+    { name: 'React Native', aliases: [], implies: ['React', 'Mobile Development'] },
+    { name: 'Angular', aliases: ['AngularJS', 'Angular.js'], implies: ['JavaScript', 'Frontend Development'] },
+    { name: 'Vue', aliases: ['Vue.js', 'VueJS'], implies: ['JavaScript', 'Frontend Development'] },
+    { name: 'Node.js', aliases: ['Node', 'NodeJS', 'Node JS'], implies: ['JavaScript', 'Backend Development'] },
+    { name: 'Express', aliases: ['Express.js', 'ExpressJS'], implies: ['Node.js'] },
+    { name: 'Django', aliases: [], implies: ['Python', 'Backend Development'] },
+    { name: 'Flask', aliases: [], implies: ['Python', 'Backend Development'] },
+    { name: 'Spring', aliases: ['Spring Boot', 'SpringBoot'], implies: ['Java', 'Backend Development'] },
+    { name: '.NET', aliases: ['dotnet', 'ASP.NET', '.NET Core'], implies: ['C#', 'Backend Development'] },
+    { name: 'Ruby on Rails', aliases: ['Rails', 'RoR'], implies: ['Ruby', 'Backend Development'] },
+
+    // Data stores
+    { name: 'SQL', aliases: ['T-SQL', 'PL/SQL'], implies: ['Databases'] },
+    { name: 'PostgreSQL', aliases: ['Postgres', 'psql'], implies: ['SQL'] },
+    { name: 'MySQL', aliases: [], implies: ['SQL'] },
+    { name: 'MariaDB', aliases: [], implies: ['SQL'] },
+    { name: 'SQL Server', aliases: ['MSSQL', 'MS SQL'], implies: ['SQL'] },
+    { name: 'Oracle Database', aliases: ['Oracle DB'], implies: ['SQL'] },
+    { name: 'NoSQL', aliases: [], implies: ['Databases'] },
+    { name: 'MongoDB', aliases: ['Mongo'], implies: ['NoSQL'] },
+    { name: 'Redis', aliases: [], implies: ['NoSQL'] },
+    { name: 'DynamoDB', aliases: ['Dynamo'], implies: ['NoSQL', 'AWS'] },
+    { name: 'Cassandra', aliases: [], implies: ['NoSQL'] },
+    { name: 'Elasticsearch', aliases: ['Elastic Search', 'OpenSearch'], implies: ['Databases'] },
+    { name: 'Databases', aliases: ['Database', 'RDBMS', 'Database Design'] },
+
+    // APIs
+    { name: 'GraphQL', aliases: [], implies: ['APIs'] },
+    { name: 'REST', aliases: ['RESTful', 'REST API', 'REST APIs', 'RESTful APIs'], implies: ['APIs'] },
+    { name: 'APIs', aliases: ['API', 'API Design', 'Web Services'] },
+
+    // Cloud and infrastructure
+    { name: 'AWS', aliases: ['Amazon Web Services', 'EC2', 'S3', 'Lambda'], implies: ['Cloud Computing'] },
+    { name: 'Azure', aliases: ['Microsoft Azure'], implies: ['Cloud Computing'] },
+    { name: 'GCP', aliases: ['Google Cloud', 'Google Cloud Platform'], implies: ['Cloud Computing'] },
+    { name: 'Cloud Computing', aliases: ['Cloud Infrastructure', 'Cloud Platforms'] },
+    { name: 'Docker', aliases: ['Dockerfile', 'Docker Compose'], implies: ['Containers'] },
+    { name: 'Kubernetes', aliases: ['k8s', 'kube', 'EKS', 'GKE', 'AKS'], implies: ['Containers', 'DevOps'] },
+    { name: 'Containers', aliases: ['Containerization', 'Container Orchestration'] },
+    { name: 'Terraform', aliases: ['HCL'], implies: ['Infrastructure as Code', 'DevOps'] },
+    { name: 'Infrastructure as Code', aliases: ['IaC'], implies: ['DevOps'] },
+    { name: 'CloudFormation', aliases: [], implies: ['Infrastructure as Code', 'AWS'] },
+    { name: 'Pulumi', aliases: [], implies: ['Infrastructure as Code'] },
+    { name: 'Jenkins', aliases: [], implies: ['CI/CD'] },
+    { name: 'CI/CD', aliases: ['CI', 'CD', 'Continuous Integration', 'Continuous Delivery', 'Continuous Deployment', 'GitHub Actions', 'GitLab CI', 'CircleCI'], implies: ['DevOps'] },
+    { name: 'DevOps', aliases: ['SRE', 'Site Reliability Engineering'] },
+    { name: 'Linux', aliases: ['Unix', 'Ubuntu', 'RHEL'] },
+    { name: 'Bash', aliases: ['Shell Scripting', 'Shell'], implies: ['Linux'] },
+    { name: 'Git', aliases: ['GitHub', 'GitLab', 'Bitbucket', 'Version Control'] },
+
+    // Data and machine learning
+    { name: 'Machine Learning', aliases: ['ML'], implies: ['Data Science'] },
+    { name: 'Scikit-learn', aliases: ['sklearn'], implies: ['Machine Learning'] },
+    { name: 'Deep Learning', aliases: ['Neural Networks', 'DL'], implies: ['Machine Learning'] },
+    { name: 'TensorFlow', aliases: ['TF'], implies: ['Deep Learning'] },
+    { name: 'Keras', aliases: [], implies: ['Deep Learning'] },
+    { name: 'PyTorch', aliases: ['Torch'], implies: ['Deep Learning'] },
+    { name: 'Natural Language Processing', aliases: ['NLP'], implies: ['Machine Learning'] },
+    { name: 'Data Science', aliases: [] },
+    { name: 'Data Analysis', aliases: ['Data Analytics'], implies: ['Analytics'] },
+    { name: 'Pandas', aliases: [], implies: ['Data Analysis', 'Python'] },
+    { name: 'NumPy', aliases: [], implies: ['Data Analysis', 'Python'] },
+    { name: 'Analytics', aliases: [] },
+    { name: 'Google Analytics', aliases: ['GA4'], implies: ['Analytics'] },
+    { name: 'Tableau', aliases: [], implies: ['Data Visualization'] },
+    { name: 'Power BI', aliases: ['PowerBI'], implies: ['Data Visualization'] },
+    { name: 'Looker', aliases: [], implies: ['Data Visualization'] },
+    { name: 'Data Visualization', aliases: ['Dashboards'] },
+    { name: 'Excel', aliases: ['Microsoft Excel', 'MS Excel', 'Spreadsheets'] },
+
+    // Practices and tools
+    { name: 'Frontend Development', aliases: ['Front-end', 'Frontend', 'Front End Development'] },
+    { name: 'Backend Development', aliases: ['Back-end', 'Backend', 'Back End Development', 'Server-side'] },
+    { name: 'Mobile Development', aliases: ['Mobile Apps', 'Mobile App Development'] },
+    { name: 'iOS', aliases: ['iOS Development'], implies: ['Mobile Development'] },
+    { name: 'Android', aliases: ['Android Development'], implies: ['Mobile Development'] },
+    { name: 'Project Management', aliases: ['PMP', 'Program Management'] },
+    { name: 'Agile', aliases: ['Agile Methodologies', 'Agile Methodology'] },
+    { name: 'Kanban', aliases: [], implies: ['Agile'] },
+    { name: 'Scrum', aliases: ['Scrum Master', 'CSM'], implies: ['Agile'] },
+    { name: 'Jira', aliases: [] },
+    { name: 'UI/UX Design', aliases: ['UX', 'UI', 'UX Design', 'UI Design', 'User Experience', 'User Interface Design'] },
+    { name: 'Figma', aliases: [], implies: ['UI/UX Design'] },
+    { name: 'Sketch', aliases: [], implies: ['UI/UX Design'] },
+    { name: 'Photoshop', aliases: ['Adobe Photoshop'] },
+    { name: 'Illustrator', aliases: ['Adobe Illustrator'] },
+
+    // Business
+    { name: 'Marketing', aliases: ['Digital Marketing', 'Content Marketing'] },
+    { name: 'SEO', aliases: ['Search Engine Optimization', 'SEM'], implies: ['Marketing'] },
+    { name: 'Sales', aliases: ['B2B Sales', 'Business Development', 'Account Management'] },
+    { name: 'Salesforce', aliases: ['SFDC'], implies: ['CRM'] },
+    { name: 'HubSpot', aliases: [], implies: ['CRM'] },
+    { name: 'CRM', aliases: [] },
+    { name: 'Customer Service', aliases: ['Customer Support', 'Client Services'] },
+    { name: 'Communication', aliases: ['Communication Skills', 'Written Communication', 'Verbal Communication', 'Public Speaking'] },
+    { name: 'Leadership', aliases: ['Team Leadership', 'People Leadership'] },
+    { name: 'Problem Solving', aliases: ['Problem-solving', 'Analytical Thinking', 'Critical Thinking'] },
+    { name: 'Team Management', aliases: ['People Management', 'Managing Teams'], implies: ['Leadership'] }
+];
@@ -0,0 +1,30 @@
+// East of UTC, where reading dates as UTC moved them a day back
+process.env.TZ = 'Asia/Tokyo';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers.js');
+
+const { AtsImport } = load(['AtsImport'], ['ats-import.js']);
+
+test('keeps the day of dates in other formats', () => {
+    assert.equal(AtsImport.normalizeDate('03/15/2024'), '2024-03-15');
+    assert.equal(AtsImport.normalizeDate('March 1, 2024'), '2024-03-01');
+    assert.equal(AtsImport.normalizeDate('2024-03-15T23:30:00Z'), '2024-03-15');
+    assert.equal(AtsImport.normalizeDate('soon'), 'soon');
+    assert.equal(AtsImport.normalizeDate(''), '');
+});
+
+test('reads negative stages as rejections', () => {
+    const statuses = ['Not qualified', 'Unqualified', 'Not hired', 'Not selected', 'No-show', 'Not a fit', 'Disqualified']
+        .map(stage => AtsImport.guessStatus(stage));
+    assert.deepEqual([...new Set(statuses)], ['rejected']);
+    assert.deepEqual(['Qualified', 'Hired', 'Phone screen', 'Not yet reviewed', 'Applied'].map(stage => AtsImport.guessStatus(stage)),
+        ['shortlisted', 'offer', 'phone-screen', 'shortlisted', 'new']);
+});
+
+test('numbers names that are already taken', () => {
+    const taken = new Set(['resume.pdf', 'resume (2).pdf']);
+    assert.equal(AtsImport.uniqueName('Resume.pdf', taken), 'Resume (3).pdf');
+    assert.equal(AtsImport.uniqueName('cv.docx', taken), 'cv.docx');
+});
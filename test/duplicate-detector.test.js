@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers.js');
+
+const { DuplicateDetector } = load(['DuplicateDetector'], ['duplicate-detector.js']);
+
+const candidate = (id, fields) => ({ id, name: '', email: '', phone: '', company: '', positions: [], skills: [], confidence: {}, ...fields });
+
+test('groups by email, phone and similar name with a shared employer', () => {
+    const candidates = [
+        candidate(1, { name: 'John Smith', company: 'Acme Corp' }),
+        candidate(2, { name: 'Ana Lopez', email: 'ana@example.com' }),
+        candidate(3, { name: 'Jon Smith', company: 'Acme Inc.' }),
+        candidate(4, { name: 'A. Lopez', email: 'ANA@example.com', phone: '206.555.0134' }),
+        candidate(5, { name: 'Jon Smith', company: 'Globex' }),
+        candidate(6, { name: 'Ana M. Lopez', phone: '+1 (206) 555-0134' })
+    ];
+    const groups = new DuplicateDetector().findGroups(candidates);
+    assert.deepEqual(groups.map(group => group.members.map(member => member.id)), [[1, 3], [2, 4, 6]]);
+    assert.deepEqual(groups[0].reasons, ['Similar name and employer (Acme Corp)']);
+    assert.deepEqual(groups[1].reasons, ['Same email (ana@example.com)', 'Same phone (206.555.0134)']);
+});
+
+test('only compares candidates that share an email, phone or name token', () => {
+    const candidates = [
+        candidate(1, { name: 'John Smith', email: 'js@example.com' }),
+        candidate(2, { name: 'Mary Jones' }),
+        candidate(3, { name: 'Smith John', phone: '555 0100 200' }),
+        candidate(4, { name: 'Peter Pan', email: 'js@example.com', phone: '5550100200' })
+    ];
+    assert.deepEqual(new DuplicateDetector().candidatePairs(candidates), [[0, 2], [0, 3], [2, 3]]);
+});
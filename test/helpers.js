@@ -0,0 +1,41 @@
+// ResumeAI - Test helpers
+// Loads the engine scripts the way the command-line ranker does and reads the fixture resumes.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { File } = require('buffer');
+const { CommandLineRanker } = require('../resumeai-cli.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const core = CommandLineRanker.loadCore();
+
+// Classes the scripts define, by name; scripts outside the ranker's core are loaded first
+function load(names, scripts = []) {
+    scripts.forEach(name => {
+        const file = path.join(__dirname, '..', name);
+        vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+    });
+    return Object.fromEntries(names.map(name => [name, vm.runInThisContext(name)]));
+}
+
+function fixturePath(...parts) {
+    return path.join(FIXTURES, ...parts);
+}
+
+function readFixture(...parts) {
+    return fs.readFileSync(fixturePath(...parts), 'utf8');
+}
+
+// Candidates from every fixture resume, numbered in file name order like the page does
+async function readFixtureCandidates(tasks = new core.ProcessingTasks()) {
+    const ranker = new CommandLineRanker(core);
+    const { candidates } = await ranker.readResumes(ranker.listFiles([fixturePath('resumes')]), tasks);
+    return candidates;
+}
+
+function textFile(name, text) {
+    return new File([text], name, { lastModified: 0 });
+}
+
+module.exports = { core, load, fixturePath, readFixture, readFixtureCandidates, textFile };
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, readFixture } = require('./helpers.js');
+
+const { JobDescriptionParser, SkillTaxonomy } = load(['JobDescriptionParser', 'SkillTaxonomy']);
+const parser = new JobDescriptionParser(new SkillTaxonomy());
+
+test('reads minimum years only from requirements', () => {
+    const requirements = parser.parse([
+        'Data Engineer',
+        'Requirements',
+        '- 4+ years of experience with SQL',
+        'Benefits',
+        '- Paid sabbatical after 1 year'
+    ].join('\n'));
+    assert.equal(requirements.minYears, 4);
+
+    const prose = parser.parse('Data Engineer\nYou will join a team founded 2 years ago.\nWe need at least 3 years of experience in Python.');
+    assert.equal(prose.minYears, 3);
+});
+
+test('splits sections that share a line', () => {
+    const requirements = parser.parse('Backend Engineer\nMust have: Java, SQL. Preferred: NoSQL, AWS.');
+    assert.deepEqual(requirements.requiredSkills, ['Java', 'SQL']);
+    assert.deepEqual(requirements.preferredSkills, ['NoSQL', 'AWS']);
+});
+
+test('finds a location mentioned in a sentence', () => {
+    assert.equal(parser.parse('Engineer\nThis role is based in Berlin, Germany, with two office days a week.').location, 'Berlin, Germany');
+    assert.equal(parser.parse('Engineer\nOur offices in Hamburg are great.\nLocation: Munich').location, 'Munich');
+    assert.equal(parser.parse(readFixture('jd.txt')).location, 'Berlin, Germany');
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { core, readFixture, readFixtureCandidates } = require('./helpers.js');
+
+const { RankingEngine, ScoringModel, SkillTaxonomy } = core;
+const jobDescription = readFixture('jd.txt');
+
+async function rank(options = {}) {
+    const engine = new RankingEngine(new SkillTaxonomy());
+    return engine.rank(await readFixtureCandidates(), { jobDescription, ...options });
+}
+
+test('ranks the fixture resumes by fit for the job', async () => {
+    const ranked = await rank();
+    assert.deepEqual(ranked.map(candidate => candidate.name), ['Alice Senior', 'Bob Middle', 'Carol Junior']);
+    assert.deepEqual(ranked.map(candidate => candidate.ranking), [1, 2, 3]);
+    assert.ok(ranked[0].score > ranked[1].score && ranked[1].score > ranked[2].score);
+});
+
+test('reports matched and missing required skills', async () => {
+    const [alice, bob] = await rank();
+    assert.deepEqual(alice.missingSkills, []);
+    assert.ok(bob.matchedSkills.includes('Python'));
+    assert.ok(bob.missingSkills.includes('AWS'));
+});
+
+test('keeps the same order in every ranking mode', async () => {
+    for (const rankingMode of ['rules', 'relevance', 'blended']) {
+        const ranked = await rank({ rankingMode });
+        assert.equal(ranked[0].name, 'Alice Senior', rankingMode);
+        assert.equal(ranked[2].name, 'Carol Junior', rankingMode);
+    }
+});
+
+test('ranks the same way on every run', async () => {
+    const first = await rank();
+    const second = await rank();
+    assert.deepEqual(second.map(candidate => [candidate.name, candidate.exactScore]), first.map(candidate => [candidate.name, candidate.exactScore]));
+});
+
+test('orders candidates who fail a knockout rule last, unless overridden', async () => {
+    const knockoutRules = [{ id: 'years', name: 'Experience', match: 'all', conditions: [{ field: 'yearsExperience', operator: 'gte', value: '8' }] }];
+    const ranked = await rank({ knockoutRules });
+    assert.deepEqual(ranked.filter(candidate => !RankingEngine.isKnockedOut(candidate)).map(candidate => candidate.name), ['Alice Senior']);
+    assert.equal(ranked[1].knockout.failed[0].name, 'Experience');
+
+    const carol = ranked.find(candidate => candidate.name === 'Carol Junior');
+    const overrides = { [RankingEngine.candidateKey(carol)]: { ruleIds: ['years'] } };
+    const overridden = await rank({ knockoutRules, overrides });
+    assert.deepEqual(overridden.filter(candidate => !RankingEngine.isKnockedOut(candidate)).map(candidate => candidate.name), ['Alice Senior', 'Carol Junior']);
+});
+
+test('toExtracted leaves out what ranking added', async () => {
+    const [alice] = await rank();
+    const extracted = RankingEngine.toExtracted(alice);
+    assert.equal(extracted.name, 'Alice Senior');
+    ['score', 'ranking', 'matchedSkills', 'knockout', 'assessment'].forEach(field => assert.ok(!(field in extracted), field));
+});
+
+test('leaves education out when the job asks for no degree and the candidate lists none', () => {
+    const engine = new RankingEngine(new SkillTaxonomy());
+    const model = new ScoringModel({ ...ScoringModel.DEFAULT_PROFILES[0], companies: [] }, engine.jobParser);
+    const requirements = engine.jobParser.parse('Data Analyst\nRequirements:\n- SQL');
+    const candidate = { skills: ['SQL'], rawText: 'SQL', yearsExperience: 0, experience: '', educationLevel: '', education: '', location: '' };
+
+    const result = model.score(candidate, requirements);
+    assert.equal(result.score, 100);
+    assert.equal(result.breakdown.find(row => row.criterion === 'education').applies, false);
+    assert.equal(model.score({ ...candidate, educationLevel: 'bachelor' }, requirements).score, 100);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { core } = require('./helpers.js');
+
+const { ResultExporter } = core;
+const columns = [{ id: 'name', label: 'Name' }, { id: 'phone', label: 'Phone' }, { id: 'score', label: 'Score' }];
+const rows = [
+    { name: '=HYPERLINK("http://example.com","Click")', phone: '+1 206 555 0134', score: -5 },
+    { name: '@SUM(A1:A2)', phone: '-2+3', score: 80 },
+    { name: 'Jane Doe', phone: '206-555-0134', score: 90 }
+];
+
+test('keeps formula-like text from running as a formula in CSV', () => {
+    const lines = ResultExporter.toCSV(columns, rows).replace('\uFEFF', '').split('\r\n');
+    assert.deepEqual(lines, [
+        'Name,Phone,Score',
+        '"\'=HYPERLINK(""http://example.com"",""Click"")",+1 206 555 0134,-5',
+        '\'@SUM(A1:A2),\'-2+3,80',
+        'Jane Doe,206-555-0134,90',
+        ''
+    ]);
+    assert.equal(ResultExporter.csvField('\tcmd'), '\'\tcmd');
+    assert.equal(ResultExporter.csvField('+49 (30) 123-4567'), '+49 (30) 123-4567');
+    assert.equal(ResultExporter.csvField('-12.5'), '-12.5');
+});
+
+test('marks formula-like text with a leading apostrophe in XLSX', () => {
+    const xml = Buffer.from(ResultExporter.toXLSX(columns, rows)).toString('utf8');
+    assert.match(xml, /<xf [^>]*quotePrefix="1"\/>/);
+    assert.match(xml, /<c r="A2" s="2" t="inlineStr"><is><t xml:space="preserve">=HYPERLINK/);
+    assert.match(xml, /<c r="B2" t="inlineStr"><is><t xml:space="preserve">\+1 206 555 0134</);
+    assert.match(xml, /<c r="B3" s="2" t="inlineStr"><is><t xml:space="preserve">-2\+3</);
+    assert.match(xml, /<c r="C2"><v>-5<\/v><\/c>/);
+    assert.match(xml, /<c r="A4" t="inlineStr"><is><t xml:space="preserve">Jane Doe</);
+});
+
+test('imports an export that lists no files', () => {
+    const session = { name: 'Backend', requisitions: [], extractedCandidates: [] };
+    assert.deepEqual(ResultExporter.parseJSON(ResultExporter.toJSON(session)).files, []);
+    assert.throws(() => ResultExporter.parseJSON(ResultExporter.toJSON({ ...session, files: 'resume.pdf' })),
+        /lists its files in an unexpected form/);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers.js');
+
+const { ResumeFieldExtractor, SkillTaxonomy } = load(['ResumeFieldExtractor', 'SkillTaxonomy']);
+const extractor = new ResumeFieldExtractor({ now: new Date(2025, 5, 1), taxonomy: new SkillTaxonomy() });
+const year = (index) => Math.floor(index / 12);
+
+test('reads "Company YYYY - YYYY" lines as positions', () => {
+    const [position] = extractor.extractPositions(['Developer at Initech 2012 - 2016']);
+    assert.equal(position.title, 'Developer');
+    assert.equal(position.company, 'Initech');
+    assert.equal(year(position.start), 2012);
+    assert.equal(year(position.end), 2016);
+
+    const [other] = extractor.extractPositions(['Engineer, Beta Inc 2014 - 2017']);
+    assert.equal(other.company, 'Beta Inc');
+    assert.deepEqual([year(other.start), year(other.end)], [2014, 2017]);
+});
+
+test('counts years of experience from year-only ranges', () => {
+    const candidate = extractor.extract([
+        'Sam Taylor',
+        'sam@example.com',
+        '',
+        'EXPERIENCE',
+        'Developer at Initech 2012 - 2016',
+        'Engineer, Beta Inc 2016 - 2019'
+    ].join('\n'), 'sam.txt', 0);
+    assert.equal(candidate.yearsExperience, 7.9);
+});
+
+test('still reads month names, including long and dotted forms', () => {
+    const positions = extractor.extractPositions([
+        'Senior Engineer, Acme Corp',
+        'Sept. 2019 - Present',
+        'Analyst at Globex March 2015 to Aug 2019'
+    ]);
+    assert.equal(positions.length, 2);
+    assert.ok(positions[0].current);
+    assert.equal(positions[0].start, 2019 * 12 + 8);
+    assert.equal(positions[1].start, 2015 * 12 + 2);
+    assert.equal(positions[1].end, 2019 * 12 + 7);
+});
+
+test('takes skills named after everyday words only from the skills section', () => {
+    const candidate = extractor.extract([
+        'Sam Taylor',
+        'sam@example.com',
+        '',
+        'SUMMARY',
+        'Won the Swift Award for Python tooling at Shell.',
+        '',
+        'SKILLS',
+        'Languages: Go and Kotlin'
+    ].join('\n'), 'sam.txt', 0);
+    assert.ok(['Python', 'Go', 'Kotlin'].every(skill => candidate.skills.includes(skill)));
+    assert.ok(!candidate.skills.includes('Swift'));
+    assert.ok(!candidate.skills.includes('Bash'));
+});
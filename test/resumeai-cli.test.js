@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const { core, fixturePath } = require('./helpers.js');
+const { CommandLineRanker, UsageError } = require('../resumeai-cli.js');
+
+const CLI = path.join(__dirname, '..', 'resumeai-cli.js');
+const ranker = new CommandLineRanker(core);
+
+function run(...args) {
+    return execFileSync(process.execPath, [CLI, ...args], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+test('rank writes the ranking as CSV', () => {
+    const output = run('rank', '--jd', fixturePath('jd.txt'), '--in', fixturePath('resumes'), '--format', 'csv', '--columns', 'rank,name,email');
+    assert.equal(output, '\uFEFFRank,Name,Email\r\n' +
+        '1,Alice Senior,alice.senior@example.com\r\n' +
+        '2,Bob Middle,bob.middle@example.com\r\n' +
+        '3,Carol Junior,carol.junior@example.com\r\n');
+});
+
+test('rank writes JSON without the resume text and honours --top', () => {
+    const result = JSON.parse(run('rank', '--jd', fixturePath('jd.txt'), '--in', fixturePath('resumes'), '--top', '2'));
+    assert.equal(result.total, 3);
+    assert.equal(result.job.title, 'Senior Backend Engineer');
+    assert.deepEqual(result.candidates.map(candidate => candidate.name), ['Alice Senior', 'Bob Middle']);
+    assert.ok(!('rawText' in result.candidates[0]));
+});
+
+test('rank applies knockout rules from a file', () => {
+    const result = JSON.parse(run('rank', '--jd', fixturePath('jd.txt'), '--in', fixturePath('resumes'), '--rules', fixturePath('rules.json')));
+    assert.equal(result.knockedOut, 2);
+    assert.equal(result.candidates[0].name, 'Alice Senior');
+});
+
+test('bad usage exits with status 2', () => {
+    const result = spawnSync(process.execPath, [CLI, 'rank', '--in', fixturePath('resumes')], { encoding: 'utf8' });
+    assert.equal(result.status, 2);
+    assert.match(result.stderr, /--jd is required/);
+});
+
+test('parseOptions rejects unknown options and columns', () => {
+    const base = ['--jd', 'jd.txt', '--in', 'resumes'];
+    assert.throws(() => ranker.parseOptions([...base, '--bogus', 'x']), UsageError);
+    assert.throws(() => ranker.parseOptions([...base, '--columns', 'rank,nope']), /Unknown column nope/);
+    assert.throws(() => ranker.parseOptions([...base, '--mode', 'magic']), /--mode/);
+    assert.equal(ranker.parseOptions([...base, '--top', '5']).top, 5);
+});
+
+test('toRules numbers rules without an id or name and drops empty ones', () => {
+    const rules = CommandLineRanker.toRules({ rules: [
+        { match: 'all', conditions: [{ field: 'yearsExperience', operator: 'gte', value: '3' }] },
+        { name: 'Empty', conditions: [] }
+    ] }, core.KnockoutRules);
+    assert.equal(rules.length, 1);
+    assert.equal(rules[0].id, 'rule-1');
+    assert.equal(rules[0].name, 'Rule 1');
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ApiServer } = require('../resumeai-server.js');
+const { core } = require('./helpers.js');
+
+const KEY = 'test-key';
+const BULK = [
+    'Jane Roe',
+    'jane.roe@example.com',
+    'Skills: Python, Frobnication',
+    'John Poe',
+    'john.poe@example.com',
+    'Skills: Java'
+].join('\n');
+
+async function withServer(options, run) {
+    const server = new ApiServer({ apiKey: KEY, port: 0, ...options }, core);
+    const { port } = await server.listen();
+    const call = async (method, path, body) => {
+        const headers = { 'X-API-Key': KEY };
+        if (body !== undefined && !(body instanceof FormData)) headers['Content-Type'] = 'application/json';
+        const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+            method,
+            headers,
+            body: body === undefined || body instanceof FormData ? body : JSON.stringify(body)
+        });
+        return { status: response.status, body: response.status === 204 ? null : await response.json() };
+    };
+    try {
+        await run(call);
+    } finally {
+        await server.close();
+    }
+}
+
+function upload(call, ...texts) {
+    const form = new FormData();
+    texts.forEach((text, i) => form.append('files', new Blob([text]), `resume-${i + 1}.txt`));
+    return call('POST', '/api/resumes', form);
+}
+
+async function analyze(call, jobId, body) {
+    let { body: analysis } = await call('POST', `/api/jobs/${jobId}/analyses`, body);
+    while (analysis.status === 'queued' || analysis.status === 'running') {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        analysis = (await call('GET', `/api/analyses/${analysis.id}`)).body;
+    }
+    assert.equal(analysis.status, 'completed', analysis.error);
+    return (await call('GET', `/api/analyses/${analysis.id}/results`)).body.candidates;
+}
+
+test('refuses requirements of the wrong type and rules that cannot be checked', () => withServer({}, async (call) => {
+    const badRequirements = await call('POST', '/api/jobs', {
+        description: 'Python developer',
+        requirements: { requiredSkills: 'Python', minYears: '5', salary: 1 }
+    });
+    assert.equal(badRequirements.status, 422);
+    assert.equal(badRequirements.body.error.code, 'invalid_requirements');
+    assert.match(badRequirements.body.error.message, /requirements\.requiredSkills must be an array of strings/);
+    assert.match(badRequirements.body.error.message, /requirements\.minYears must be a number of years or null/);
+    assert.match(badRequirements.body.error.message, /requirements\.salary is not a requirement field/);
+
+    const badRules = await call('POST', '/api/jobs', {
+        description: 'Python developer',
+        knockoutRules: [
+            { name: 'Experience', conditions: [{ field: 'yearsExperience', operator: 'gte', value: 'five' }] },
+            { name: 'Degree', conditions: [{ field: 'degree', operator: 'gte', value: 'bachelor' }] },
+            { name: 'Empty', conditions: [] }
+        ]
+    });
+    assert.equal(badRules.status, 422);
+    assert.equal(badRules.body.error.code, 'invalid_knockout_rules');
+    assert.equal(badRules.body.error.message, [
+        'Rule 1 ("Experience"), condition 1: "five" is not a number.',
+        'Rule 2 ("Degree"), condition 1: unknown field "degree".',
+        'Rule 3 ("Empty") has no conditions.'
+    ].join(' '));
+
+    const good = await call('POST', '/api/jobs', {
+        description: 'Python developer',
+        requirements: { requiredSkills: ['Python'], minYears: null },
+        knockoutRules: [{ conditions: [{ field: 'yearsExperience', operator: 'gte', value: '3' }] }]
+    });
+    assert.equal(good.status, 201);
+    assert.deepEqual(good.body.requirements.requiredSkills, ['Python']);
+}));
+
+test('splits files where the analysis says and recognizes its custom skills', () => withServer({}, async (call) => {
+    const { body: job } = await call('POST', '/api/jobs', { description: 'Requirements: Python' });
+    const { body: uploaded } = await upload(call, BULK);
+    const id = uploaded.resumes[0].id;
+
+    const detected = await analyze(call, job.id, {});
+    assert.equal(detected.length, 1);
+    assert.ok(!detected[0].skills.includes('Frobnication'));
+
+    const split = await analyze(call, job.id, { boundaries: { [id]: [3] }, customSkills: [{ name: 'Frobnication' }] });
+    assert.deepEqual(split.map(candidate => candidate.email).sort(), ['jane.roe@example.com', 'john.poe@example.com']);
+    assert.ok(split.find(candidate => candidate.email === 'jane.roe@example.com').skills.includes('Frobnication'));
+
+    const refused = await call('POST', `/api/jobs/${job.id}/analyses`, { boundaries: { [id]: ['3'] } });
+    assert.equal(refused.status, 422);
+    assert.equal((await call('POST', `/api/jobs/${job.id}/analyses`, { customSkills: 'Frobnication' })).status, 422);
+}));
+
+test('forgets the resumes used longest ago past the limit', () => withServer({ maxResumes: 2 }, async (call) => {
+    const { body: job } = await call('POST', '/api/jobs', { description: 'Requirements: Python' });
+    const first = (await upload(call, BULK)).body.resumes[0].id;
+    const second = (await upload(call, BULK)).body.resumes[0].id;
+    await analyze(call, job.id, { resumeIds: [first] });
+
+    const third = (await upload(call, BULK)).body.resumes[0].id;
+    const kept = (await call('GET', '/api/resumes')).body.resumes.map(resume => resume.id);
+    assert.deepEqual(kept.sort(), [first, third].sort());
+    assert.ok(!kept.includes(second));
+    assert.equal((await upload(call, BULK, BULK, BULK)).status, 507);
+}));
+
+test('answers not found for page paths that do not decode', () => withServer({}, async (call) => {
+    const logged = [];
+    const original = console.error;
+    console.error = (...args) => logged.push(args);
+    try {
+        const malformed = await call('GET', '/%E0%A4%A.html');
+        assert.equal(malformed.status, 404);
+        assert.equal(malformed.body.error.code, 'not_found');
+    } finally {
+        console.error = original;
+    }
+    assert.deepEqual(logged, []);
+}));
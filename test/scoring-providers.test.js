@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { load } = require('./helpers.js');
+
+const { ChatCompletionsScoringProvider, ScoringProviderError } = load(['ChatCompletionsScoringProvider', 'ScoringProviderError']);
+
+const REQUIREMENTS = { requiredSkills: ['Python'], preferredSkills: [], minYears: null, degreeLevel: '' };
+
+async function withEndpoint(handler, run) {
+    const server = http.createServer(handler);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        await run(`http://127.0.0.1:${server.address().port}/v1`);
+    } finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+test('gives up on an endpoint that stalls after sending headers', () => withEndpoint((request, response) => {
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.write('{"choices": [');
+}, async (endpoint) => {
+    const provider = new ChatCompletionsScoringProvider({ endpoint, timeoutSeconds: 1 });
+    const candidates = [{ id: 1, rawText: 'Python developer' }];
+    await assert.rejects(provider.requestBatch(candidates, { jobDescription: 'Python', requirements: REQUIREMENTS }),
+        error => error instanceof ScoringProviderError && error.code === 'timeout');
+}));
+
+test('scores again after the requirements change', () => {
+    let requests = 0;
+    return withEndpoint((request, response) => {
+        requests++;
+        const content = JSON.stringify({ results: [{ id: 1, score: 70, strengths: [], gaps: [], rationale: 'Fits.' }] });
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ choices: [{ message: { content } }] }));
+    }, async (endpoint) => {
+        const provider = new ChatCompletionsScoringProvider({ endpoint }, { scoreCandidates: async (candidates) => candidates.map(() => ({})) });
+        const candidates = [{ id: 1, rawText: 'Python developer' }];
+        const context = { jobDescription: 'Python developer', requirements: REQUIREMENTS };
+        await provider.scoreCandidates(candidates, context);
+        await provider.scoreCandidates(candidates, context);
+        assert.equal(requests, 1);
+
+        await provider.scoreCandidates(candidates, { ...context, requirements: { ...REQUIREMENTS, minYears: 5 } });
+        assert.equal(requests, 2);
+    });
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers.js');
+
+const { SkillTaxonomy } = load(['SkillTaxonomy']);
+const taxonomy = new SkillTaxonomy();
+
+test('does not read everyday words in prose as skills', () => {
+    const prose = [
+        'I excel at building teams and I am a go-getter.',
+        'Swift delivery matters to me, and I express ideas clearly.',
+        'In Spring 2019 I joined Shell as an analyst and learned to react quickly.'
+    ].join('\n');
+    assert.deepEqual(taxonomy.findSkills(prose), []);
+});
+
+test('finds skills named after everyday words where they are used as skills', () => {
+    assert.deepEqual(taxonomy.findSkills('Built APIs in Go and Python, with Spring Boot and Express.').sort(),
+        ['APIs', 'Express', 'Go', 'Python', 'Spring'].sort());
+    assert.deepEqual(taxonomy.findSkills('Excel, Tableau').sort(), ['Excel', 'Tableau']);
+    assert.deepEqual(taxonomy.findSkills('Swift', { listed: true }), ['Swift']);
+    assert.deepEqual(taxonomy.findSkills('swift', { listed: true }), []);
+});
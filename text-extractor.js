@@ -0,0 +1,176 @@
+// ResumeAI - Resume text extraction
+// Turns an uploaded File into plain text (plus per-page text where the format has pages)
+// that the candidate extraction stage can work with.
+
+class ResumeParseError extends Error {
+    constructor(message, code, fileName = '') {
+        super(message);
+        this.name = 'ResumeParseError';
+        this.code = code; // 'encrypted' | 'corrupt' | 'no-text' | 'unsupported'
+        this.fileName = fileName;
+    }
+}
+
+class TextExtractor {
+    constructor() {
+        this.pdfExtractor = new PdfTextExtractor();
+        this.officeExtractor = new OfficeTextExtractor();
+    }
+
+    // Used for a quick check when files are selected; the real format is decided by signature
+    static isSupportedFile(file) {
+        const extension = (file.name.split('.').pop() || '').toLowerCase();
+        return TextExtractor.SUPPORTED_EXTENSIONS.includes(extension) ||
+               TextExtractor.SUPPORTED_MIME_TYPES.includes(file.type) ||
+               !file.type; // Browsers report an empty type for many .odt, .rtf and extensionless files
+    }
+
+    async extract(file) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        let format = TextExtractor.detectFormat(bytes);
+
+        let pages;
+        try {
+            switch (format) {
+                case 'pdf':
+                    pages = await this.pdfExtractor.extractPages(bytes);
+                    break;
+                case 'zip': {
+                    const zip = new ZipReader(bytes);
+                    format = zip.has('word/document.xml') ? 'docx' : 'odt';
+                    pages = (await this.officeExtractor.extractFromZip(zip)).split('\f');
+                    break;
+                }
+                case 'doc':
+                    pages = this.officeExtractor.extractDoc(bytes).split('\f');
+                    break;
+                case 'rtf':
+                    pages = this.officeExtractor.extractRtf(bytes).split('\f');
+                    break;
+                case 'txt':
+                    pages = TextExtractor.decodePlainText(bytes).split('\f');
+                    break;
+                default:
+                    throw new ResumeParseError(`Unrecognized file format. Supported formats: ${TextExtractor.SUPPORTED_EXTENSIONS.join(', ').toUpperCase()}.`, 'unsupported');
+            }
+        } catch (error) {
+            if (error instanceof ResumeParseError) {
+                error.fileName = file.name;
+                throw error;
+            }
+            throw new ResumeParseError(`The file could not be read (${error.message}).`, 'corrupt', file.name);
+        }
+
+        pages = pages.map(page => TextExtractor.normalizeText(page));
+        const text = pages.join('\n\n').trim();
+        if (!text) {
+            throw new ResumeParseError('No selectable text was found. The file may be a scanned image.', 'no-text', file.name);
+        }
+
+        return { fileName: file.name, format, text, pages };
+    }
+
+    // Identifies the format from the file signature (magic bytes) rather than the name or MIME type
+    static detectFormat(bytes) {
+        // PDF allows up to 1KB of junk before the header
+        const head = TextExtractor.bytesToLatin1(bytes.subarray(0, 1024));
+        if (head.includes('%PDF-')) return 'pdf';
+        if (ZipReader.isZip(bytes)) return 'zip';
+        if (CompoundFile.isCompoundFile(bytes)) return 'doc';
+        if (/^(\xef\xbb\xbf)?\{\\rtf/.test(head)) return 'rtf';
+        if (TextExtractor.looksLikeText(bytes)) return 'txt';
+        return 'unknown';
+    }
+
+    static looksLikeText(bytes) {
+        if (bytes.length === 0) return false;
+        if ((bytes[0] === 0xff && bytes[1] === 0xfe) || (bytes[0] === 0xfe && bytes[1] === 0xff)) return true;
+
+        const sample = bytes.subarray(0, 4096);
+        let control = 0;
+        for (const byte of sample) {
+            if (byte === 0) return false;
+            if (byte < 0x20 && byte !== 0x09 && byte !== 0x0a && byte !== 0x0d && byte !== 0x0c) control++;
+        }
+        return control / sample.length < 0.02;
+    }
+
+    static decodePlainText(bytes) {
+        if (bytes[0] === 0xff && bytes[1] === 0xfe) return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+        if (bytes[0] === 0xfe && bytes[1] === 0xff) return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes).replace(/^\ufeff/, '');
+        } catch (error) {
+            // Not valid UTF-8: most older text files are Windows-1252
+            return new TextDecoder('windows-1252').decode(bytes);
+        }
+    }
+
+    static normalizeText(text) {
+        return text
+            .replace(/\r\n?/g, '\n')
+            .replace(/[ \t\f\v]+/g, ' ')
+            .split('\n')
+            .map(line => line.replace(/ {2,}/g, ' ').trim())
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    // Converts bytes to a string with one char per byte (0-255) so binary offsets are preserved
+    static bytesToLatin1(bytes) {
+        let result = '';
+        for (let i = 0; i < bytes.length; i += 8192) {
+            result += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+        }
+        return result;
+    }
+
+    static latin1ToBytes(str) {
+        const bytes = new Uint8Array(str.length);
+        for (let i = 0; i < str.length; i++) {
+            bytes[i] = str.charCodeAt(i) & 0xff;
+        }
+        return bytes;
+    }
+
+    // Inflates zlib ('deflate') or raw deflate ('deflate-raw') data using the browser's
+    // built-in DecompressionStream. Output produced before a trailing error is kept, since
+    // many PDF writers pad compressed streams with junk bytes.
+    static async inflate(bytes, format = 'deflate') {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+        const reader = stream.getReader();
+        const chunks = [];
+        let length = 0;
+
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                chunks.push(value);
+                length += value.length;
+            }
+        } catch (error) {
+            if (chunks.length === 0) throw error;
+        }
+
+        const output = new Uint8Array(length);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            output.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return output;
+    }
+}
+
+TextExtractor.SUPPORTED_EXTENSIONS = ['pdf', 'docx', 'doc', 'odt', 'rtf', 'txt'];
+TextExtractor.SUPPORTED_MIME_TYPES = [
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.oasis.opendocument.text',
+    'application/rtf',
+    'text/rtf',
+    'text/plain'
+];
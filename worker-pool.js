@@ -0,0 +1,162 @@
+// ResumeAI - Worker pool
+// Runs processing tasks on a bounded number of Web Workers and queues the rest. Where workers
+// cannot be started (no Worker support, or a page opened from file:// that the browser will
+// not load workers for) the same tasks run on the page one at a time, yielding between tasks
+// so progress still repaints.
+
+class ProcessingCancelledError extends Error {
+    constructor() {
+        super('Processing was cancelled');
+        this.name = 'ProcessingCancelledError';
+    }
+}
+
+class WorkerPool {
+    // options: { scriptUrl, size, setup } - setup is sent to every worker before its first task
+    constructor(options = {}) {
+        this.scriptUrl = options.scriptUrl || WorkerPool.SCRIPT_URL;
+        this.size = options.size || WorkerPool.defaultSize();
+        this.setup = options.setup || {};
+        this.slots = []; // { worker, task, answered }
+        this.queue = []; // { message, resolve, reject }
+        this.nextId = 1;
+        this.inline = typeof Worker === 'undefined' ? new ProcessingTasks(this.setup.customSkills) : null;
+        this.draining = false;
+    }
+
+    static defaultSize() {
+        const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency ? navigator.hardwareConcurrency : 2;
+        // One core is left for the page itself
+        return Math.max(1, Math.min(WorkerPool.MAX_SIZE, cores - 1));
+    }
+
+    run(message) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ message, resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    // Rejects everything queued or running with ProcessingCancelledError. The pool can be used
+    // again afterwards; workers are started as tasks arrive.
+    cancel() {
+        const pending = [...this.slots.filter(slot => slot.task).map(slot => slot.task), ...this.queue];
+        this.slots.forEach(slot => slot.worker.terminate());
+        this.slots = [];
+        this.queue = [];
+        pending.forEach(task => task.reject(new ProcessingCancelledError()));
+    }
+
+    dispatch() {
+        if (this.inline) {
+            this.drainInline();
+            return;
+        }
+        while (this.queue.length) {
+            const slot = this.slots.find(item => !item.task) || (this.slots.length < this.size ? this.spawn() : null);
+            if (!slot) return;
+            slot.task = this.queue.shift();
+            slot.task.id = this.nextId++;
+            slot.worker.postMessage({ ...slot.task.message, id: slot.task.id });
+        }
+    }
+
+    spawn() {
+        let worker;
+        try {
+            worker = new Worker(this.scriptUrl);
+        } catch (error) {
+            this.fallBack(error);
+            return null;
+        }
+        const slot = { worker, task: null, answered: false };
+        worker.onmessage = (e) => this.handleMessage(slot, e.data);
+        worker.onerror = (e) => this.handleError(slot, e);
+        worker.postMessage({ type: 'setup', ...this.setup });
+        this.slots.push(slot);
+        return slot;
+    }
+
+    handleMessage(slot, data) {
+        const task = slot.task;
+        slot.task = null;
+        slot.answered = true;
+        if (task && task.id === data.id) {
+            if (data.error) {
+                task.reject(WorkerPool.toError(data.error));
+            } else {
+                task.resolve(data.result);
+            }
+        }
+        this.dispatch();
+    }
+
+    // A worker that fails before answering anything could not load its scripts, so the pool
+    // gives up on workers. One that fails later loses its task and is replaced.
+    handleError(slot, event) {
+        event.preventDefault();
+        if (!slot.answered) {
+            this.fallBack(new Error(event.message || 'The worker script could not be loaded'));
+            return;
+        }
+        slot.worker.terminate();
+        this.slots = this.slots.filter(item => item !== slot);
+        if (slot.task) slot.task.reject(new Error(event.message || 'The worker stopped unexpectedly'));
+        this.dispatch();
+    }
+
+    fallBack(error) {
+        console.warn('Web Workers are unavailable, processing on the page instead:', error);
+        const running = this.slots.filter(slot => slot.task).map(slot => slot.task);
+        this.slots.forEach(slot => slot.worker.terminate());
+        this.slots = [];
+        this.queue = [...running, ...this.queue];
+        this.inline = new ProcessingTasks(this.setup.customSkills);
+        this.drainInline();
+    }
+
+    async drainInline() {
+        if (this.draining) return;
+        this.draining = true;
+        while (this.queue.length) {
+            const task = this.queue.shift();
+            try {
+                task.resolve(await this.inline.run(task.message));
+            } catch (error) {
+                task.reject(error);
+            }
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        this.draining = false;
+    }
+
+    // Rebuilds an error posted by a worker, keeping parse errors recognisable
+    static toError(data) {
+        if (data.name === 'ResumeParseError') return new ResumeParseError(data.message, data.code, data.fileName);
+        const error = new Error(data.message);
+        error.name = data.name;
+        return error;
+    }
+
+    // Calls fn for every item with at most `limit` calls in flight; stops starting new ones
+    // after the first failure, which is then thrown
+    static async forEachLimited(items, limit, fn) {
+        let next = 0;
+        let failed = false;
+        const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+            while (!failed && next < items.length) {
+                const index = next++;
+                try {
+                    await fn(items[index], index);
+                } catch (error) {
+                    failed = true;
+                    throw error;
+                }
+            }
+        });
+        await Promise.all(runners);
+    }
+}
+
+WorkerPool.SCRIPT_URL = 'processing-worker.js';
+WorkerPool.MAX_SIZE = 4;
@@ -0,0 +1,94 @@
+// ResumeAI - ZIP archive reader
+// Reads the central directory of a ZIP file and inflates individual entries. DOCX and ODT
+// documents are ZIP packages of XML parts, so this is all that is needed to open them.
+
+class ZipReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.entries = this.readCentralDirectory();
+    }
+
+    static isZip(bytes) {
+        return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+    }
+
+    readCentralDirectory() {
+        const view = this.view;
+        const minOffset = Math.max(0, this.bytes.length - 65557);
+        let end = -1;
+
+        // The end-of-central-directory record sits in the last 64KB (it may be followed by a comment)
+        for (let i = this.bytes.length - 22; i >= minOffset; i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) {
+            throw new ResumeParseError('The document archive is damaged (no central directory).', 'corrupt');
+        }
+
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        if (offset === 0xffffffff) {
+            throw new ResumeParseError('ZIP64 document archives are not supported.', 'unsupported');
+        }
+
+        const entries = new Map();
+        const decoder = new TextDecoder('utf-8');
+        for (let i = 0; i < count; i++) {
+            if (offset + 46 > this.bytes.length || view.getUint32(offset, true) !== 0x02014b50) {
+                throw new ResumeParseError('The document archive is damaged (bad directory entry).', 'corrupt');
+            }
+
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const name = decoder.decode(this.bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            entries.set(name, {
+                name,
+                flags: view.getUint16(offset + 8, true),
+                method: view.getUint16(offset + 10, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                size: view.getUint32(offset + 24, true),
+                localOffset: view.getUint32(offset + 42, true)
+            });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    }
+
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    names() {
+        return Array.from(this.entries.keys());
+    }
+
+    async read(name) {
+        const entry = this.entries.get(name);
+        if (!entry) return null;
+        if (entry.flags & 0x1) {
+            throw new ResumeParseError('The document is password-protected. Please upload an unlocked copy.', 'encrypted');
+        }
+
+        const local = entry.localOffset;
+        if (local + 30 > this.bytes.length || this.view.getUint32(local, true) !== 0x04034b50) {
+            throw new ResumeParseError(`The document archive is damaged (${name}).`, 'corrupt');
+        }
+        const start = local + 30 + this.view.getUint16(local + 26, true) + this.view.getUint16(local + 28, true);
+        const data = this.bytes.subarray(start, start + entry.compressedSize);
+
+        if (entry.method === 0) return data;
+        if (entry.method === 8) return TextExtractor.inflate(data, 'deflate-raw');
+        throw new ResumeParseError(`Unsupported compression method ${entry.method} in the document archive.`, 'unsupported');
+    }
+
+    async readText(name) {
+        const data = await this.read(name);
+        return data ? new TextDecoder('utf-8').decode(data) : null;
+    }
+}
@@ -0,0 +1,91 @@
+// ResumeAI - ZIP archive writer
+// Builds an uncompressed (stored) ZIP archive. XLSX workbooks are ZIP packages of XML parts,
+// and exports are small enough that skipping compression keeps this short and dependency-free.
+
+class ZipWriter {
+    constructor() {
+        this.entries = [];
+        this.encoder = new TextEncoder();
+    }
+
+    addFile(name, content) {
+        const data = typeof content === 'string' ? this.encoder.encode(content) : content;
+        this.entries.push({ name: this.encoder.encode(name), data, crc: ZipWriter.crc32(data) });
+    }
+
+    toBytes(date = new Date()) {
+        const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+        const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+        const localSize = this.entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+        const centralSize = this.entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+        const bytes = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(bytes.buffer);
+
+        let offset = 0;
+        const offsets = [];
+        this.entries.forEach(entry => {
+            offsets.push(offset);
+            view.setUint32(offset, 0x04034b50, true);
+            view.setUint16(offset + 4, 20, true); // Version needed
+            view.setUint16(offset + 6, 0x0800, true); // Names are UTF-8
+            view.setUint16(offset + 8, 0, true); // Stored
+            view.setUint16(offset + 10, time, true);
+            view.setUint16(offset + 12, day, true);
+            view.setUint32(offset + 14, entry.crc, true);
+            view.setUint32(offset + 18, entry.data.length, true);
+            view.setUint32(offset + 22, entry.data.length, true);
+            view.setUint16(offset + 26, entry.name.length, true);
+            view.setUint16(offset + 28, 0, true);
+            bytes.set(entry.name, offset + 30);
+            bytes.set(entry.data, offset + 30 + entry.name.length);
+            offset += 30 + entry.name.length + entry.data.length;
+        });
+
+        const centralOffset = offset;
+        this.entries.forEach((entry, i) => {
+            view.setUint32(offset, 0x02014b50, true);
+            view.setUint16(offset + 4, 20, true); // Version made by
+            view.setUint16(offset + 6, 20, true);
+            view.setUint16(offset + 8, 0x0800, true);
+            view.setUint16(offset + 10, 0, true);
+            view.setUint16(offset + 12, time, true);
+            view.setUint16(offset + 14, day, true);
+            view.setUint32(offset + 16, entry.crc, true);
+            view.setUint32(offset + 20, entry.data.length, true);
+            view.setUint32(offset + 24, entry.data.length, true);
+            view.setUint16(offset + 28, entry.name.length, true);
+            // Extra field, comment, disk number and attributes stay zero
+            view.setUint32(offset + 42, offsets[i], true);
+            bytes.set(entry.name, offset + 46);
+            offset += 46 + entry.name.length;
+        });
+
+        view.setUint32(offset, 0x06054b50, true);
+        view.setUint16(offset + 8, this.entries.length, true);
+        view.setUint16(offset + 10, this.entries.length, true);
+        view.setUint32(offset + 12, offset - centralOffset, true);
+        view.setUint32(offset + 16, centralOffset, true);
+        return bytes;
+    }
+
+    static crc32(bytes) {
+        if (!ZipWriter.CRC_TABLE) {
+            ZipWriter.CRC_TABLE = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipWriter.CRC_TABLE[n] = c;
+            }
+        }
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipWriter.CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
+
+ZipWriter.CRC_TABLE = null;